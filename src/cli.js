@@ -2,11 +2,30 @@ import inquirer from "inquirer";
 import path from "path";
 import chalk from "chalk";
 import { logger } from "./utils/logger.js";
-import { directoryExists, fileExists, findComicFiles } from "./utils/files.js";
-import { runAutoOrganizer, executeAssignments } from "./organizers/auto.js";
+import { directoryExists, fileExists } from "./utils/files.js";
+import { runAutoOrganizer, executeAssignments, findAssignmentCollisions } from "./organizers/auto.js";
 import { runManualOrganizer } from "./organizers/manual.js";
 import { runFlattenOrganizer } from "./organizers/flatten.js";
+import { runUndo, describeJournal } from "./organizers/undo.js";
+import { runDuplicateFinder } from "./organizers/duplicates.js";
+import { runWatchMode } from "./organizers/watch.js";
+import { runVerification } from "./organizers/verify.js";
+import { runLibraryStats } from "./organizers/stats.js";
+import { runGapReport } from "./organizers/gaps.js";
+import { listJournals } from "./services/journal.js";
 import { runPostProcessing, runPostProcessingStandalone } from "./services/postProcessing.js";
+import { promptMetadataProvider } from "./services/metadata.js";
+import { FOLDER_TEMPLATES, DEFAULT_FOLDER_TEMPLATE, validateTemplate } from "./services/templates.js";
+import { getUserConfig } from "./services/userConfig.js";
+import { findImageFolders } from "./services/archives.js";
+import { getStatsExportFormat, writeStatsReport } from "./services/libraryStats.js";
+import { getWantListFormat, writeWantList } from "./services/issueGaps.js";
+import { getTransferVerb, promptTransferMode } from "./services/transferModes.js";
+import { promptMinConfidence } from "./services/confidence.js";
+import { promptCollisionPolicy, showCollisions } from "./services/collisions.js";
+import { editAssignments } from "./services/planEditor.js";
+import { findComicFiles } from "./services/comicFiles.js";
+import { packageImageFoldersHandler } from "./postProcessors/packageImageFolders.js";
 
 const DEFAULT_CONFIG_FILE = "./filters.json";
 
@@ -16,7 +35,7 @@ const DEFAULT_CONFIG_FILE = "./filters.json";
 function showBanner() {
     logger.title("COMIC ORGANIZER CLI");
     console.log(chalk.dim("  Organize your digital comic collection with ease"));
-    console.log(chalk.dim("  Supports: .cbr, .cbz, .pdf, .epub"));
+    console.log(chalk.dim("  Supports: .cbr, .cbz, .cb7, .cbt, .pdf, .epub"));
     logger.newline();
 }
 
@@ -46,6 +65,30 @@ async function selectMode() {
                     name: "⚙️  Post-processing only - Run post-processing on a directory",
                     value: "postprocess",
                 },
+                {
+                    name: "📊 Library stats - Totals by publisher, series, format and decade",
+                    value: "stats",
+                },
+                {
+                    name: "🧩 Missing issues - Find the gaps in each series",
+                    value: "gaps",
+                },
+                {
+                    name: "🔁 Find duplicates - Find issues stored more than once",
+                    value: "duplicates",
+                },
+                {
+                    name: "🩺 Verify files - Find damaged, empty and password protected comics",
+                    value: "verify",
+                },
+                {
+                    name: "👀 Watch folder - File new downloads into your library as they arrive",
+                    value: "watch",
+                },
+                {
+                    name: "↩️  Undo - Roll back a previous run",
+                    value: "undo",
+                },
                 {
                     name: "❓ Help - Learn more about each option",
                     value: "help",
@@ -73,9 +116,13 @@ function showHelp() {
   • Series name (Spider-Man, Batman, etc.)
   • Issue numbers and years
 
-  It uses pattern matching and can optionally query the Google Books API
-  for additional metadata. Files are organized into folders like:
+  It uses pattern matching and can optionally query a metadata provider
+  (Google Books or ComicVine) for additional metadata. Files are organized
+  into folders like:
     Publisher/Series/filename.cbz
+
+  The folder structure is a template you can change, e.g.
+    {publisher}/{series} ({startYear})/{format}
 `)
     );
 
@@ -130,6 +177,97 @@ function showHelp() {
 `)
     );
 
+    logger.section("About Copying and Linking");
+    console.log(
+        chalk.white(`
+  Automatic, manual and flatten mode can copy, hardlink or symlink
+  files instead of moving them, so the source folder (a seeding folder
+  or a backup) stays exactly as it was. Post-processing afterwards only
+  changes the new copies and links, and undo deletes them.
+`)
+    );
+
+    logger.section("About Match Confidence");
+    console.log(
+        chalk.white(`
+  Automatic mode rates every match: highest (ComicInfo.xml), high
+  (metadata lookup or a known series), medium (only the publisher is
+  known) or low (a guess from the filename). Set a minimum and files
+  below it go to "_Review" with the folder they would have gone to,
+  or are shown one by one to accept, correct or skip.
+`)
+    );
+
+    logger.section("About Finding Duplicates");
+    console.log(
+        chalk.white(`
+  Finds comics stored more than once anywhere in a folder: files with
+  identical contents, and different files of the same series, issue
+  and year (e.g. "Saga 001 (2012).cbz" and "Saga #1.cbr").
+
+  Each copy is listed with its size and page count. Keep one and move
+  the rest to a "_Duplicates" folder, or delete them.
+`)
+    );
+
+    logger.section("About Library Stats");
+    console.log(
+        chalk.white(`
+  Scans a library and reports how many comics you have and how much
+  disk space they use, by publisher, series, format and decade, along
+  with your biggest series and how many files have ComicInfo.xml.
+
+  The report can be saved as JSON, CSV or a static HTML page to share.
+`)
+    );
+
+    logger.section("About Missing Issues");
+    console.log(
+        chalk.white(`
+  Checks the issue numbers in each series folder and lists the gaps,
+  e.g. "Saga: missing #13, #40–42". Annuals are checked as their own
+  series, and point issues like #0.1 never count as missing.
+
+  The missing issues can be saved as a want list (text, CSV or JSON).
+`)
+    );
+
+    logger.section("About Verifying Files");
+    console.log(
+        chalk.white(`
+  Reads every comic in a folder completely to catch broken downloads:
+  files that fail their CRC check, password protected archives,
+  empty files and archives without any page images.
+
+  Files with problems can be moved to a "_Corrupt" folder so they
+  don't get organized with the rest of your collection.
+`)
+    );
+
+    logger.section("About Watch Mode");
+    console.log(
+        chalk.white(`
+  Keeps an eye on an inbox folder (e.g. your downloads) and files new
+  comics into your library once they have stopped changing.
+
+  A new file joins the library's existing series folder when exactly
+  one matches. Otherwise it is filed like Automatic mode would, but
+  only when the metadata is trustworthy - anything ambiguous is moved
+  to a "_Review" folder in the library instead of being guessed.
+`)
+    );
+
+    logger.section("About Undo");
+    console.log(
+        chalk.white(`
+  Every run that moves, renames or removes anything records its
+  operations in an undo journal (stored in ~/.comic-organizer/journals).
+
+  Undo replays a journal in reverse. Files that were changed or moved
+  again after the run are reported as conflicts and left where they are.
+`)
+    );
+
     logger.divider();
 }
 
@@ -162,6 +300,27 @@ async function getSourceDirectory() {
     return fullPath;
 }
 
+/**
+ * Offer to package folders of page images in the source as CBZ files, so they're organized too
+ */
+async function offerToPackageImageFolders(sourceDir) {
+    const folders = (await findImageFolders(sourceDir)).filter((item) => !item.conflict);
+    if (folders.length === 0) return;
+
+    const { packageFolders } = await inquirer.prompt([
+        {
+            type: "confirm",
+            name: "packageFolders",
+            message: `Found ${folders.length} folders of page images. Package them as CBZ files first?`,
+            default: true,
+        },
+    ]);
+
+    if (packageFolders) {
+        await packageImageFoldersHandler(sourceDir, sourceDir, { interactive: false, recursive: false }).catch((error) => logger.error(error.message));
+    }
+}
+
 async function showQuickPreviewOfDirectory(pathToDir, options = { recursive: false }) {
     // Quick scan to show file count
     const files = await findComicFiles(pathToDir, { recursive: options.recursive });
@@ -253,13 +412,12 @@ async function getConfigFile() {
  * Get automatic mode options
  */
 async function getAutoOptions() {
-    const { useApi, dryRun } = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "useApi",
-            message: "Use Google Books API for enhanced metadata lookup?",
-            default: true,
-        },
+    const { useApi, provider, providerOptions } = await promptMetadataProvider();
+    const folderTemplate = await promptFolderTemplate();
+    const transferMode = await promptTransferMode();
+    const minConfidence = await promptMinConfidence(getUserConfig().minConfidence);
+
+    const { dryRun } = await inquirer.prompt([
         {
             type: "confirm",
             name: "dryRun",
@@ -268,13 +426,53 @@ async function getAutoOptions() {
         },
     ]);
 
-    return { useApi, dryRun };
+    return { useApi, provider, providerOptions, folderTemplate, transferMode, minConfidence, dryRun };
+}
+
+/**
+ * Ask which folder structure to organize into
+ * The config file's folderTemplate is offered first when it isn't one of the built-in templates
+ */
+async function promptFolderTemplate() {
+    const configTemplate = getUserConfig().folderTemplate;
+    const choices = FOLDER_TEMPLATES.map((template) => ({ name: `${template.name} - e.g. ${template.example}`, value: template.value }));
+
+    if (configTemplate && !FOLDER_TEMPLATES.some((template) => template.value === configTemplate)) {
+        choices.unshift({ name: `From config file - ${configTemplate}`, value: configTemplate });
+    }
+    choices.push({ name: "Custom template...", value: "custom" });
+
+    const { folderTemplate } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "folderTemplate",
+            message: "How should folders be structured?",
+            choices,
+            default: configTemplate || DEFAULT_FOLDER_TEMPLATE,
+        },
+    ]);
+
+    if (folderTemplate !== "custom") {
+        return folderTemplate;
+    }
+
+    const { customTemplate } = await inquirer.prompt([
+        {
+            type: "input",
+            name: "customTemplate",
+            message: "Enter a folder template (e.g. {publisher}/{series} ({startYear})/{format}):",
+            validate: (input) => validateTemplate(input)[0] || true,
+        },
+    ]);
+
+    return customTemplate.trim();
 }
 
 /**
  * Get manual mode options
  */
 async function getManualOptions() {
+    const transferMode = await promptTransferMode();
     const { includeUnmatched, dryRun } = await inquirer.prompt([
         {
             type: "confirm",
@@ -290,7 +488,7 @@ async function getManualOptions() {
         },
     ]);
 
-    return { includeUnmatched, dryRun };
+    return { includeUnmatched, transferMode, dryRun };
 }
 
 /**
@@ -320,6 +518,7 @@ async function askContinue() {
 async function runAutoFlow() {
     const sourceDir = await getSourceDirectory();
     if (!sourceDir) return;
+    await offerToPackageImageFolders(sourceDir);
     await showQuickPreviewOfDirectory(sourceDir);
 
     const outputDir = await getOutputDirectory(sourceDir);
@@ -330,30 +529,53 @@ async function runAutoFlow() {
     const result = await runAutoOrganizer(sourceDir, outputDir, options);
 
     let filesWereMoved = false;
+    let { seriesNames, originals } = result;
 
     if (options.dryRun && result.wouldMove > 0 && result.assignments) {
         logger.newline();
-        const { execute } = await inquirer.prompt([
+        const { next } = await inquirer.prompt([
             {
-                type: "confirm",
-                name: "execute",
-                message: `Ready to move ${result.wouldMove} files. Execute now?`,
-                default: true,
+                type: "list",
+                name: "next",
+                message: `Ready to ${getTransferVerb(options.transferMode)} ${result.wouldMove} files. What would you like to do?`,
+                choices: [
+                    { name: "✅ Execute the plan", value: "execute" },
+                    { name: "✏️  Review and edit the plan first", value: "edit" },
+                    { name: "❌ Cancel", value: "cancel" },
+                ],
             },
         ]);
 
-        if (execute) {
-            // Use the already-computed assignments (preserves consolidation choices)
-            await executeAssignments(result.assignments, outputDir);
+        // Use the already-computed assignments (preserves consolidation choices)
+        let assignments = next === "execute" ? result.assignments : null;
+        let { collisionPolicy } = result;
+
+        if (next === "edit") {
+            assignments = await editAssignments(result.assignments, { folderTemplate: result.folderTemplate });
+
+            // Edits can create new name clashes
+            const collisions = assignments ? await findAssignmentCollisions(assignments, outputDir) : [];
+            if (collisions.length > 0 && !collisionPolicy) {
+                showCollisions(collisions, outputDir);
+                collisionPolicy = await promptCollisionPolicy(collisions.length);
+            }
+        }
+
+        if (assignments && assignments.length > 0) {
+            ({ seriesNames, originals } = await executeAssignments(assignments, outputDir, {
+                sourceDir,
+                collisionPolicy,
+                transferMode: options.transferMode,
+            }));
             filesWereMoved = true;
         }
     } else if (!options.dryRun && result.moved > 0) {
         filesWereMoved = true;
     }
 
-    // Run post-processing if files were actually moved
+    // Run post-processing if files were actually moved (copied or linked originals are left alone)
     if (filesWereMoved) {
-        await runPostProcessing(sourceDir, outputDir);
+        await runPostProcessing(sourceDir, outputDir, { seriesNames, originals });
     }
 }
 
@@ -363,6 +585,7 @@ async function runAutoFlow() {
 async function runManualFlow() {
     const sourceDir = await getSourceDirectory();
     if (!sourceDir) return;
+    await offerToPackageImageFolders(sourceDir);
     await showQuickPreviewOfDirectory(sourceDir);
 
     const outputDir = await getOutputDirectory(sourceDir);
@@ -374,6 +597,7 @@ async function runManualFlow() {
     const result = await runManualOrganizer(sourceDir, outputDir, configPath, options);
 
     let filesWereMoved = false;
+    let { originals } = result;
 
     if (options.dryRun && result.wouldMove > 0) {
         logger.newline();
@@ -381,22 +605,22 @@ async function runManualFlow() {
             {
                 type: "confirm",
                 name: "execute",
-                message: `Ready to move ${result.wouldMove} files. Execute now?`,
+                message: `Ready to ${getTransferVerb(options.transferMode)} ${result.wouldMove} files. Execute now?`,
                 default: true,
             },
         ]);
 
         if (execute) {
-            await runManualOrganizer(sourceDir, outputDir, configPath, { ...options, dryRun: false });
+            ({ originals } = await runManualOrganizer(sourceDir, outputDir, configPath, { ...options, dryRun: false, collisionPolicy: result.collisionPolicy }));
             filesWereMoved = true;
         }
     } else if (!options.dryRun && result.moved > 0) {
         filesWereMoved = true;
     }
 
-    // Run post-processing if files were actually moved
+    // Run post-processing if files were actually moved (copied or linked originals are left alone)
     if (filesWereMoved) {
-        await runPostProcessing(sourceDir, outputDir);
+        await runPostProcessing(sourceDir, outputDir, { originals });
     }
 }
 
@@ -408,31 +632,39 @@ async function runFlattenFlow() {
     if (!sourceDir) return;
     await showQuickPreviewOfDirectory(sourceDir, { recursive: true });
 
+    const transferMode = await promptTransferMode();
+
     // Preview first
-    const result = await runFlattenOrganizer(sourceDir, { dryRun: true });
+    const result = await runFlattenOrganizer(sourceDir, { dryRun: true, transferMode });
 
     let filesWereMoved = false;
+    let originals = [];
 
     if (result.wouldMove > 0) {
+        const message =
+            transferMode === "move"
+                ? `Move ${result.wouldMove} files to root and remove ${result.foldersToRemove} folders?`
+                : `Put ${result.wouldMove} ${getTransferVerb(transferMode, "past").toLowerCase()} files in the root? The originals stay in their folders.`;
+
         logger.newline();
         const { execute } = await inquirer.prompt([
             {
                 type: "confirm",
                 name: "execute",
-                message: `Move ${result.wouldMove} files to root and remove ${result.foldersToRemove} folders?`,
+                message,
                 default: true,
             },
         ]);
 
         if (execute) {
-            await runFlattenOrganizer(sourceDir, { dryRun: false });
+            ({ originals } = await runFlattenOrganizer(sourceDir, { dryRun: false, transferMode }));
             filesWereMoved = true;
         }
     }
 
-    // Run post-processing if files were actually moved
+    // Run post-processing if files were actually moved (copied or linked originals are left alone)
     if (filesWereMoved) {
-        await runPostProcessing(sourceDir, sourceDir);
+        await runPostProcessing(sourceDir, sourceDir, { originals });
     }
 }
 
@@ -448,6 +680,191 @@ async function runPostProcessingFlow() {
     await runPostProcessingStandalone(targetDir);
 }
 
+/**
+ * Run library stats flow
+ */
+async function runStatsFlow() {
+    const targetDir = await getSourceDirectory();
+    if (!targetDir) return;
+
+    const stats = await runLibraryStats(targetDir);
+    if (!stats) return;
+
+    logger.newline();
+    const { format } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "format",
+            message: "Save the report?",
+            choices: [
+                { name: "No", value: null },
+                { name: "HTML page (to share)", value: "html" },
+                { name: "CSV spreadsheet", value: "csv" },
+                { name: "JSON", value: "json" },
+            ],
+        },
+    ]);
+
+    if (!format) return;
+
+    const { exportPath } = await inquirer.prompt([
+        {
+            type: "input",
+            name: "exportPath",
+            message: "Save the report to:",
+            default: `./comic-stats.${format}`,
+            validate: (input) => (getStatsExportFormat(input.trim()) ? true : "Use a .json, .csv or .html file"),
+        },
+    ]);
+
+    const filePath = path.resolve(exportPath.trim());
+    await writeStatsReport(stats, filePath);
+    logger.success(`Report saved to ${filePath}`);
+}
+
+/**
+ * Run missing issues flow
+ */
+async function runGapsFlow() {
+    const targetDir = await getSourceDirectory();
+    if (!targetDir) return;
+
+    const { fromLowest } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "fromLowest",
+            message: "Where does each series start?",
+            choices: [
+                { name: "At #1 (issues before the first one you have count as missing)", value: false },
+                { name: "At the lowest issue you have", value: true },
+            ],
+        },
+    ]);
+
+    const result = await runGapReport(targetDir, { fromLowest });
+    if (result.missing === 0) return;
+
+    logger.newline();
+    const { save } = await inquirer.prompt([
+        {
+            type: "confirm",
+            name: "save",
+            message: "Save the missing issues as a want list?",
+            default: false,
+        },
+    ]);
+
+    if (!save) return;
+
+    const { exportPath } = await inquirer.prompt([
+        {
+            type: "input",
+            name: "exportPath",
+            message: "Save the want list to:",
+            default: "./want-list.txt",
+            validate: (input) => (getWantListFormat(input.trim()) ? true : "Use a .txt, .csv or .json file"),
+        },
+    ]);
+
+    const filePath = path.resolve(exportPath.trim());
+    await writeWantList(result.runs, filePath);
+    logger.success(`Want list saved to ${filePath}`);
+}
+
+/**
+ * Run duplicate finder flow
+ */
+async function runDuplicatesFlow() {
+    const targetDir = await getSourceDirectory();
+    if (!targetDir) return;
+    await showQuickPreviewOfDirectory(targetDir, { recursive: true });
+
+    logger.newline();
+    await runDuplicateFinder(targetDir);
+}
+
+/**
+ * Run file verification flow
+ */
+async function runVerifyFlow() {
+    const targetDir = await getSourceDirectory();
+    if (!targetDir) return;
+    await showQuickPreviewOfDirectory(targetDir, { recursive: true });
+
+    logger.newline();
+    await runVerification(targetDir);
+}
+
+/**
+ * Run watch mode flow
+ */
+async function runWatchFlow() {
+    const inboxDir = await getSourceDirectory();
+    if (!inboxDir) return;
+    const libraryDir = await getOutputDirectory(inboxDir);
+    const { useApi, provider, providerOptions } = await promptMetadataProvider();
+
+    logger.newline();
+    await runWatchMode(inboxDir, libraryDir, { useApi, provider, providerOptions });
+}
+
+/**
+ * Run undo flow
+ */
+async function runUndoFlow() {
+    const journals = await listJournals();
+
+    if (journals.length === 0) {
+        logger.info("There are no runs to undo");
+        return;
+    }
+
+    const { journal } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "journal",
+            message: "Which run would you like to undo?",
+            choices: [
+                ...journals.slice(0, 20).map((journal) => ({
+                    name: describeJournal(journal),
+                    value: journal,
+                    short: journal.id,
+                })),
+                new inquirer.Separator(),
+                { name: "Cancel", value: null },
+            ],
+            pageSize: 15,
+        },
+    ]);
+
+    if (!journal) return;
+
+    logger.newline();
+
+    // Preview first
+    const preview = await runUndo(journal, { dryRun: true });
+
+    if (preview.restored === 0) {
+        logger.newline();
+        logger.warning("Nothing can be restored from this run");
+        return;
+    }
+
+    logger.newline();
+    const { execute } = await inquirer.prompt([
+        {
+            type: "confirm",
+            name: "execute",
+            message: `Restore ${preview.restored} files to their previous locations?`,
+            default: true,
+        },
+    ]);
+
+    if (execute) {
+        await runUndo(journal, { dryRun: false });
+    }
+}
+
 /**
  * Main CLI runner
  */
@@ -476,6 +893,30 @@ export async function runCLI() {
                 await runPostProcessingFlow();
                 break;
 
+            case "stats":
+                await runStatsFlow();
+                break;
+
+            case "gaps":
+                await runGapsFlow();
+                break;
+
+            case "duplicates":
+                await runDuplicatesFlow();
+                break;
+
+            case "verify":
+                await runVerifyFlow();
+                break;
+
+            case "watch":
+                await runWatchFlow();
+                break;
+
+            case "undo":
+                await runUndoFlow();
+                break;
+
             case "help":
                 showHelp();
                 continue;
@@ -0,0 +1,691 @@
+import path from "path";
+import chalk from "chalk";
+import { logger } from "./utils/logger.js";
+import { parseArgs, parseList } from "./utils/args.js";
+import { directoryExists, fileExists } from "./utils/files.js";
+import { runAutoOrganizer } from "./organizers/auto.js";
+import { runManualOrganizer } from "./organizers/manual.js";
+import { runFlattenOrganizer } from "./organizers/flatten.js";
+import { runUndo, describeJournal } from "./organizers/undo.js";
+import { runDuplicateFinder, DUPLICATE_ACTIONS } from "./organizers/duplicates.js";
+import { runWatchMode, DEFAULT_POLL_INTERVAL, DEFAULT_SETTLE_TIME } from "./organizers/watch.js";
+import { runVerification } from "./organizers/verify.js";
+import { runLibraryStats } from "./organizers/stats.js";
+import { runGapReport } from "./organizers/gaps.js";
+import { findJournal, listJournals } from "./services/journal.js";
+import { openMetadataCache, clearMetadataCache } from "./services/metadataCache.js";
+import { getMetadataProviders, DEFAULT_PROVIDER, DEFAULT_WORKERS } from "./services/metadata.js";
+import { getPostProcessingOptions, runPostProcessingOperations } from "./services/postProcessing.js";
+import { validateTemplate } from "./services/templates.js";
+import { STATS_EXPORT_FORMATS, getStatsExportFormat } from "./services/libraryStats.js";
+import { WANT_LIST_FORMATS, getWantListFormat } from "./services/issueGaps.js";
+import { COLLISION_POLICIES, DEFAULT_COLLISION_POLICY } from "./services/collisions.js";
+import { TRANSFER_MODES, DEFAULT_TRANSFER_MODE } from "./services/transferModes.js";
+import { CONFIDENCE_LEVELS, DEFAULT_WATCH_MIN_CONFIDENCE } from "./services/confidence.js";
+import { packageImageFoldersHandler } from "./postProcessors/packageImageFolders.js";
+
+/**
+ * Non-interactive command-line mode
+ * Usage: comic-organizer <command> [options]
+ */
+
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+};
+
+const SINGLE_FILE_HANDLING = ["series-folder", "oneshots", "as-is"];
+
+// "ask" needs a terminal, so it isn't offered here
+const COMMAND_COLLISION_POLICIES = Object.keys(COLLISION_POLICIES).filter((policy) => policy !== "ask");
+
+/**
+ * Error for invalid command-line usage (exits with EXIT_CODES.USAGE)
+ */
+class UsageError extends Error {}
+
+/**
+ * Resolve a directory option, throwing a usage error if it's missing or doesn't exist
+ */
+async function requireDirectory(value, optionName) {
+    if (!value) {
+        throw new UsageError(`Missing required option --${optionName}`);
+    }
+
+    const dir = path.resolve(value);
+    if (!(await directoryExists(dir))) {
+        throw new UsageError(`Directory does not exist: ${dir}`);
+    }
+
+    return dir;
+}
+
+/**
+ * Parse an option given in seconds, returning milliseconds (or the default when not set)
+ */
+function parseSeconds(value, optionName, defaultMs) {
+    if (value === undefined) return defaultMs;
+
+    const seconds = Number(value);
+    if (value.trim() === "" || !Number.isFinite(seconds) || seconds < 0) {
+        throw new UsageError(`--${optionName} must be a number of seconds`);
+    }
+
+    return seconds * 1000;
+}
+
+/**
+ * Parse the --workers option (undefined when not set, so the config or default is used)
+ */
+function parseWorkers(value) {
+    if (value === undefined) return undefined;
+
+    const workers = Number(value);
+    if (!Number.isInteger(workers) || workers < 1) {
+        throw new UsageError("--workers must be a whole number of at least 1");
+    }
+
+    return workers;
+}
+
+/**
+ * Run post-processing operations after a command if any were requested
+ * Returns the number of failed operations
+ */
+async function runRequestedPostProcessing(postValue, sourceDir, outputDir, handlerOptions) {
+    const operations = parseList(postValue);
+    if (operations.length === 0) return 0;
+
+    const failures = await runPostProcessingOperations(operations, sourceDir, outputDir, handlerOptions);
+    return failures.length;
+}
+
+/**
+ * Package folders of page images at the top of the source as CBZ files, so they're organized with everything else
+ * Returns the number of failures (folders that couldn't be packaged are left in place)
+ */
+async function packageSourceImageFolders(options, sourceDir) {
+    if (!options.imageFolders) return 0;
+
+    try {
+        await packageImageFoldersHandler(sourceDir, sourceDir, { interactive: false, dryRun: options.dryRun, recursive: false });
+        return 0;
+    } catch (error) {
+        logger.error(error.message);
+        return 1;
+    }
+}
+
+/**
+ * Check the comic files at the top of the source and move bad ones to "_Corrupt" before organizing (--verify)
+ * Returns the number of files that couldn't be moved
+ */
+async function quarantineSourceFiles(options, sourceDir) {
+    if (!options.verify) return 0;
+
+    const result = await runVerification(sourceDir, { interactive: false, recursive: false, quarantine: true, dryRun: options.dryRun });
+    return result.errors.length;
+}
+
+/**
+ * Parse the --on-collision option
+ */
+function parseCollisionPolicy(value) {
+    const policy = value || DEFAULT_COLLISION_POLICY;
+
+    if (!COMMAND_COLLISION_POLICIES.includes(policy)) {
+        throw new UsageError(`--on-collision must be one of: ${COMMAND_COLLISION_POLICIES.join(", ")}`);
+    }
+
+    return policy;
+}
+
+/**
+ * Parse the --transfer option
+ */
+function parseTransferMode(value) {
+    const mode = value || DEFAULT_TRANSFER_MODE;
+
+    if (!Object.keys(TRANSFER_MODES).includes(mode)) {
+        throw new UsageError(`--transfer must be one of: ${Object.keys(TRANSFER_MODES).join(", ")}`);
+    }
+
+    return mode;
+}
+
+/**
+ * Parse the --min-confidence option (undefined leaves it to the config)
+ */
+function parseMinConfidence(value) {
+    if (value !== undefined && !CONFIDENCE_LEVELS.includes(value)) {
+        throw new UsageError(`--min-confidence must be one of: ${CONFIDENCE_LEVELS.join(", ")}`);
+    }
+
+    return value;
+}
+
+/**
+ * Build metadata lookup options from command-line options
+ */
+function getMetadataOptions(options) {
+    const providers = getMetadataProviders();
+    const provider = options.provider || DEFAULT_PROVIDER;
+    const chosen = providers.find((p) => p.value === provider);
+
+    if (!chosen) {
+        throw new UsageError(`--provider must be one of: ${providers.map((p) => p.value).join(", ")}`);
+    }
+
+    // Without a key every lookup would fail and the run would quietly fall back to filename guesses
+    if (options.api && chosen.apiKeyEnv && !process.env[chosen.apiKeyEnv]) {
+        throw new UsageError(`--provider ${provider} requires an API key: set ${chosen.apiKeyEnv}, or pass --no-api`);
+    }
+
+    return {
+        useApi: options.api,
+        useCache: options.cache,
+        provider,
+        providerOptions: options.providerUrl ? { baseUrl: options.providerUrl } : {},
+    };
+}
+
+/**
+ * Get the exit code for an organizer result
+ */
+function exitCodeFor(errorCount) {
+    return errorCount > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * auto: automatic organization
+ */
+async function runAutoCommand(options) {
+    const sourceDir = await requireDirectory(options.source, "source");
+    const outputDir = options.output ? path.resolve(options.output) : sourceDir;
+
+    if (options.singleFiles && !SINGLE_FILE_HANDLING.includes(options.singleFiles)) {
+        throw new UsageError(`--single-files must be one of: ${SINGLE_FILE_HANDLING.join(", ")}`);
+    }
+
+    const templateErrors = options.folderTemplate !== undefined ? validateTemplate(options.folderTemplate) : [];
+    if (templateErrors.length > 0) {
+        throw new UsageError(`Invalid --folder-template: ${templateErrors[0]}`);
+    }
+
+    const metadataOptions = getMetadataOptions(options);
+    const collisionPolicy = parseCollisionPolicy(options.onCollision);
+    const transferMode = parseTransferMode(options.transfer);
+    const minConfidence = parseMinConfidence(options.minConfidence);
+    const packagingFailures = await packageSourceImageFolders(options, sourceDir);
+    const quarantineFailures = await quarantineSourceFiles(options, sourceDir);
+
+    const result = await runAutoOrganizer(sourceDir, outputDir, {
+        ...metadataOptions,
+        dryRun: options.dryRun,
+        reviewSeries: false,
+        singleFileHandling: options.singleFiles || "series-folder",
+        folderTemplate: options.folderTemplate,
+        concurrency: parseWorkers(options.workers),
+        collisionPolicy,
+        transferMode,
+        minConfidence,
+        lowConfidence: "review",
+    });
+
+    let failures = result.errors.length + packagingFailures + quarantineFailures;
+
+    if (!options.dryRun && result.moved > 0) {
+        failures += await runRequestedPostProcessing(options.post, sourceDir, outputDir, {
+            ...metadataOptions,
+            seriesNames: result.seriesNames,
+            originals: result.originals,
+        });
+    }
+
+    return exitCodeFor(failures);
+}
+
+/**
+ * manual: filter-based organization
+ */
+async function runManualCommand(options) {
+    const sourceDir = await requireDirectory(options.source, "source");
+    const metadataOptions = getMetadataOptions(options);
+    const collisionPolicy = parseCollisionPolicy(options.onCollision);
+    const transferMode = parseTransferMode(options.transfer);
+    const outputDir = options.output ? path.resolve(options.output) : sourceDir;
+
+    const configPath = path.resolve(options.config);
+    if (!(await fileExists(configPath))) {
+        throw new UsageError(`Configuration file not found: ${configPath}`);
+    }
+
+    const packagingFailures = await packageSourceImageFolders(options, sourceDir);
+    const quarantineFailures = await quarantineSourceFiles(options, sourceDir);
+
+    const result = await runManualOrganizer(sourceDir, outputDir, configPath, {
+        dryRun: options.dryRun,
+        includeUnmatched: options.includeUnmatched,
+        useCache: metadataOptions.useCache,
+        collisionPolicy,
+        transferMode,
+    });
+
+    let failures = result.errors.length + packagingFailures + quarantineFailures;
+
+    if (!options.dryRun && result.moved > 0) {
+        failures += await runRequestedPostProcessing(options.post, sourceDir, outputDir, { ...metadataOptions, originals: result.originals });
+    }
+
+    return exitCodeFor(failures);
+}
+
+/**
+ * flatten: move everything to the root folder
+ */
+async function runFlattenCommand(options) {
+    const sourceDir = await requireDirectory(options.source, "source");
+    const metadataOptions = getMetadataOptions(options);
+
+    const result = await runFlattenOrganizer(sourceDir, { dryRun: options.dryRun, transferMode: parseTransferMode(options.transfer) });
+
+    let failures = result.errors.length;
+
+    if (!options.dryRun && result.moved > 0) {
+        failures += await runRequestedPostProcessing(options.post, sourceDir, sourceDir, { ...metadataOptions, originals: result.originals });
+    }
+
+    return exitCodeFor(failures);
+}
+
+/**
+ * postprocess: run post-processing operations on a directory
+ */
+async function runPostProcessCommand(options) {
+    const targetDir = await requireDirectory(options.source, "source");
+    const operations = parseList(options.ops);
+
+    if (operations.length === 0) {
+        throw new UsageError("Missing required option --ops");
+    }
+
+    const failures = await runPostProcessingOperations(operations, targetDir, targetDir, {
+        ...getMetadataOptions(options),
+        format: options.format,
+        dryRun: options.dryRun,
+    });
+
+    return exitCodeFor(failures.length);
+}
+
+/**
+ * duplicates: find duplicate comics and keep one copy of each
+ */
+async function runDuplicatesCommand(options) {
+    const targetDir = await requireDirectory(options.source, "source");
+    const action = options.action || "report";
+
+    if (!DUPLICATE_ACTIONS.includes(action)) {
+        throw new UsageError(`--action must be one of: ${DUPLICATE_ACTIONS.join(", ")}`);
+    }
+
+    const result = await runDuplicateFinder(targetDir, {
+        interactive: false,
+        action,
+        dryRun: options.dryRun,
+        useCache: options.cache,
+    });
+
+    return exitCodeFor(result.errors.length);
+}
+
+/**
+ * verify: check comic files for damage and optionally quarantine the bad ones
+ * Exits with a failure when any file has a problem, so scripts can react to it
+ */
+async function runVerifyCommand(options) {
+    const targetDir = await requireDirectory(options.source, "source");
+
+    const result = await runVerification(targetDir, {
+        interactive: false,
+        quarantine: options.quarantine,
+        dryRun: options.dryRun,
+        reportPath: options.report ? path.resolve(options.report) : null,
+        concurrency: parseWorkers(options.workers),
+    });
+
+    return exitCodeFor(result.problems.length + result.errors.length);
+}
+
+/**
+ * stats: report totals for a library and optionally export them
+ */
+async function runStatsCommand(options) {
+    const targetDir = await requireDirectory(options.source, "source");
+
+    if (options.export && !getStatsExportFormat(options.export)) {
+        throw new UsageError(`--export must be a .${STATS_EXPORT_FORMATS.join(", .")} file`);
+    }
+
+    await runLibraryStats(targetDir, {
+        useCache: options.cache,
+        exportPath: options.export ? path.resolve(options.export) : null,
+        concurrency: parseWorkers(options.workers),
+    });
+
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * gaps: list the missing issues of each series and optionally save a want list
+ */
+async function runGapsCommand(options) {
+    const targetDir = await requireDirectory(options.source, "source");
+
+    if (options.export && !getWantListFormat(options.export)) {
+        throw new UsageError(`--export must be a .${WANT_LIST_FORMATS.join(", .")} file`);
+    }
+
+    await runGapReport(targetDir, {
+        useCache: options.cache,
+        fromLowest: options.fromLowest,
+        exportPath: options.export ? path.resolve(options.export) : null,
+        concurrency: parseWorkers(options.workers),
+    });
+
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * watch: file new comics from an inbox folder into a library as they arrive
+ */
+async function runWatchCommand(options) {
+    const inboxDir = await requireDirectory(options.source, "source");
+    const libraryDir = await requireDirectory(options.output, "output");
+
+    const result = await runWatchMode(inboxDir, libraryDir, {
+        ...getMetadataOptions(options),
+        interval: parseSeconds(options.interval, "interval", DEFAULT_POLL_INTERVAL),
+        settleTime: parseSeconds(options.settle, "settle", DEFAULT_SETTLE_TIME),
+        once: options.once,
+        dryRun: options.dryRun,
+        minConfidence: parseMinConfidence(options.minConfidence),
+    });
+
+    return exitCodeFor(result.errors.length);
+}
+
+/**
+ * undo: roll back a previous run from its journal
+ */
+async function runUndoCommand(options) {
+    if (options.list) {
+        const journals = await listJournals();
+        if (journals.length === 0) {
+            logger.info("There are no runs to undo");
+        }
+        for (const journal of journals) {
+            console.log(`${chalk.cyan(journal.id)}  ${chalk.dim(describeJournal(journal))}`);
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const journal = await findJournal(options.journal);
+
+    if (!journal) {
+        logger.error(options.journal ? `No journal found matching: ${options.journal}` : "There are no runs to undo");
+        return EXIT_CODES.FAILURE;
+    }
+
+    const result = await runUndo(journal, { dryRun: options.dryRun });
+
+    return exitCodeFor(result.conflicts.length + result.errors.length);
+}
+
+/**
+ * cache: show or clear the metadata cache
+ */
+async function runCacheCommand(options) {
+    if (options.clear) {
+        const removed = await clearMetadataCache();
+        logger.success(`Cleared ${removed} cached entries`);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const cache = await openMetadataCache();
+    logger.info(`Metadata cache: ${cache.path}`);
+    logger.stats("Entries", cache.size);
+    return EXIT_CODES.SUCCESS;
+}
+
+const COMMON_OPTIONS = {
+    source: { type: "string", alias: "s", description: "Source directory" },
+    api: { type: "boolean", default: true, description: "Skip the metadata API lookup" },
+    cache: { type: "boolean", default: true, description: "Ignore the metadata cache" },
+    provider: { type: "string", description: "Metadata provider: google-books (default), comicvine" },
+    "provider-url": { type: "string", description: "Override the metadata provider's base URL" },
+    "dry-run": { type: "boolean", default: false, description: "Preview only, no files are moved" },
+    post: { type: "string", description: "Comma-separated post-processing operations to run afterwards" },
+};
+
+const IMAGE_FOLDERS_OPTION = { type: "boolean", default: false, description: "Package folders of page images in the source as CBZ files first" };
+const COLLISION_OPTION = { type: "string", description: `When a file of the same name exists: ${COMMAND_COLLISION_POLICIES.join(", ")} (default: ${DEFAULT_COLLISION_POLICY})` };
+const TRANSFER_OPTION = { type: "string", description: `How files are put in place: ${Object.keys(TRANSFER_MODES).join(", ")} (default: ${DEFAULT_TRANSFER_MODE})` };
+const VERIFY_OPTION = { type: "boolean", default: false, description: 'Check files first and move damaged ones to "_Corrupt"' };
+
+/**
+ * Available commands
+ * Each command has a description, an option spec (see utils/args.js) and a run function
+ * that resolves to an exit code
+ */
+const COMMANDS = {
+    auto: {
+        description: "Organize files automatically using metadata",
+        options: {
+            ...COMMON_OPTIONS,
+            output: { type: "string", alias: "o", description: "Destination directory (default: source)" },
+            "single-files": { type: "string", description: `Single file handling: ${SINGLE_FILE_HANDLING.join(", ")}` },
+            "folder-template": { type: "string", description: 'Folder template, e.g. "{publisher}/{series} ({startYear})"' },
+            workers: { type: "string", description: `Files to read at once (default: ${DEFAULT_WORKERS})` },
+            "on-collision": COLLISION_OPTION,
+            transfer: TRANSFER_OPTION,
+            "min-confidence": { type: "string", description: `Send matches below this confidence to "_Review": ${CONFIDENCE_LEVELS.join(", ")} (default: low)` },
+            "image-folders": IMAGE_FOLDERS_OPTION,
+            verify: VERIFY_OPTION,
+        },
+        run: runAutoCommand,
+    },
+    manual: {
+        description: "Organize files using a JSON filter configuration",
+        options: {
+            ...COMMON_OPTIONS,
+            output: { type: "string", alias: "o", description: "Destination directory (default: source)" },
+            config: { type: "string", alias: "c", default: "./filters.json", description: "Filter configuration file" },
+            "include-unmatched": { type: "boolean", default: false, description: 'Move unmatched files to "_Unmatched"' },
+            "on-collision": COLLISION_OPTION,
+            transfer: TRANSFER_OPTION,
+            "image-folders": IMAGE_FOLDERS_OPTION,
+            verify: VERIFY_OPTION,
+        },
+        run: runManualCommand,
+    },
+    flatten: {
+        description: "Move all comics from subdirectories to the root folder",
+        options: { ...COMMON_OPTIONS, transfer: TRANSFER_OPTION },
+        run: runFlattenCommand,
+    },
+    postprocess: {
+        description: "Run post-processing operations on a directory",
+        options: {
+            source: COMMON_OPTIONS.source,
+            api: COMMON_OPTIONS.api,
+            cache: COMMON_OPTIONS.cache,
+            provider: COMMON_OPTIONS.provider,
+            "provider-url": COMMON_OPTIONS["provider-url"],
+            ops: { type: "string", description: "Comma-separated post-processing operations" },
+            format: { type: "string", description: "Rename format, saved rename template or template (default: smart-format)" },
+            "dry-run": { type: "boolean", default: false, description: "Preview only, no files are changed" },
+        },
+        run: runPostProcessCommand,
+    },
+    duplicates: {
+        description: "Find duplicate comics and keep the best copy of each",
+        options: {
+            source: COMMON_OPTIONS.source,
+            cache: COMMON_OPTIONS.cache,
+            action: { type: "string", description: `What to do with extra copies: ${DUPLICATE_ACTIONS.join(", ")} (default: report)` },
+            "dry-run": COMMON_OPTIONS["dry-run"],
+        },
+        run: runDuplicatesCommand,
+    },
+    verify: {
+        description: "Check comic files for damage, password protection and missing pages",
+        options: {
+            source: COMMON_OPTIONS.source,
+            quarantine: { type: "boolean", default: false, description: 'Move bad files to a "_Corrupt" folder' },
+            report: { type: "string", description: "Save the report as JSON to this file" },
+            workers: { type: "string", description: `Files to check at once (default: ${DEFAULT_WORKERS})` },
+            "dry-run": COMMON_OPTIONS["dry-run"],
+        },
+        run: runVerifyCommand,
+    },
+    stats: {
+        description: "Report totals by publisher, series, format and decade, and disk usage",
+        options: {
+            source: COMMON_OPTIONS.source,
+            export: { type: "string", description: `Save the report to a file (${STATS_EXPORT_FORMATS.map((format) => "." + format).join(", ")})` },
+            workers: { type: "string", description: `Files to read at once (default: ${DEFAULT_WORKERS})` },
+            cache: COMMON_OPTIONS.cache,
+        },
+        run: runStatsCommand,
+    },
+    gaps: {
+        description: "List missing issues in each series, e.g. \"Saga: missing #13, #40–42\"",
+        options: {
+            source: COMMON_OPTIONS.source,
+            export: { type: "string", description: `Save a want list to a file (${WANT_LIST_FORMATS.map((format) => "." + format).join(", ")})` },
+            "from-lowest": { type: "boolean", default: false, description: "Start each series at the lowest issue you have instead of #1" },
+            workers: { type: "string", description: `Files to read at once (default: ${DEFAULT_WORKERS})` },
+            cache: COMMON_OPTIONS.cache,
+        },
+        run: runGapsCommand,
+    },
+    watch: {
+        description: "Watch an inbox folder and file new comics into a library",
+        options: {
+            source: { type: "string", alias: "s", description: "Inbox directory to watch" },
+            output: { type: "string", alias: "o", description: "Library directory to file comics into" },
+            interval: { type: "string", description: `Seconds between checks (default: ${DEFAULT_POLL_INTERVAL / 1000})` },
+            settle: { type: "string", description: `Seconds a file must stay unchanged before it's filed (default: ${DEFAULT_SETTLE_TIME / 1000})` },
+            once: { type: "boolean", default: false, description: "Check the inbox once and exit" },
+            "min-confidence": { type: "string", description: `Send new series below this confidence to "_Review": ${CONFIDENCE_LEVELS.join(", ")} (default: ${DEFAULT_WATCH_MIN_CONFIDENCE})` },
+            api: COMMON_OPTIONS.api,
+            cache: COMMON_OPTIONS.cache,
+            provider: COMMON_OPTIONS.provider,
+            "provider-url": COMMON_OPTIONS["provider-url"],
+            "dry-run": COMMON_OPTIONS["dry-run"],
+        },
+        run: runWatchCommand,
+    },
+    undo: {
+        description: "Roll back a previous run (the most recent one by default)",
+        options: {
+            journal: { type: "string", alias: "j", description: "Journal id to undo (see --list)" },
+            list: { type: "boolean", default: false, description: "List runs that can be undone" },
+            "dry-run": COMMON_OPTIONS["dry-run"],
+        },
+        run: runUndoCommand,
+    },
+    cache: {
+        description: "Show or clear the metadata cache",
+        options: {
+            clear: { type: "boolean", default: false, description: "Delete all cached metadata" },
+        },
+        run: runCacheCommand,
+    },
+};
+
+/**
+ * Print usage for all commands, or a single command
+ */
+function showUsage(commandName = null) {
+    const names = commandName ? [commandName] : Object.keys(COMMANDS);
+
+    console.log(chalk.bold("Usage: comic-organizer [command] [options]"));
+    console.log(chalk.dim("  Run without a command to start the interactive menu.\n"));
+
+    for (const name of names) {
+        const command = COMMANDS[name];
+        console.log(chalk.cyan(`  ${name}`) + chalk.dim(` - ${command.description}`));
+
+        for (const [optionName, definition] of Object.entries(command.options)) {
+            const alias = definition.alias ? `-${definition.alias}, ` : "";
+            const value = definition.type === "string" ? " <value>" : "";
+            // Boolean options that default to on are shown in their negated form
+            const flag = definition.type === "boolean" && definition.default === true ? `no-${optionName}` : optionName;
+            console.log(`      ${alias}--${flag}${value}` + chalk.dim(`  ${definition.description}`));
+        }
+        console.log();
+    }
+
+    if (!commandName || commandName === "postprocess") {
+        const operations = getPostProcessingOptions().map((opt) => opt.value);
+        console.log(chalk.dim(`  Post-processing operations: ${operations.join(", ")}\n`));
+    }
+}
+
+/**
+ * Report a usage error and return the usage exit code
+ */
+function usageFailure(message, commandName) {
+    logger.error(message);
+    logger.newline();
+    showUsage(commandName);
+    return EXIT_CODES.USAGE;
+}
+
+/**
+ * Run a command from command-line arguments
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCommand(argv) {
+    const [commandName, ...rest] = argv;
+
+    if (commandName === "help" || commandName === "--help" || commandName === "-h") {
+        showUsage(COMMANDS[rest[0]] ? rest[0] : null);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        return usageFailure(`Unknown command: ${commandName}`, null);
+    }
+
+    let options;
+
+    try {
+        const parsed = parseArgs(rest, command.options);
+
+        if (parsed.positionals.length > 0) {
+            throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+        }
+
+        options = parsed.options;
+    } catch (error) {
+        return usageFailure(error.message, commandName);
+    }
+
+    try {
+        return await command.run(options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            return usageFailure(error.message, commandName);
+        }
+
+        logger.error(error.message);
+        return EXIT_CODES.FAILURE;
+    }
+}
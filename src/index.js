@@ -1,10 +1,28 @@
 #!/usr/bin/env node
 
 import { runCLI } from "./cli.js";
+import { runCommand } from "./commands.js";
+import { applyUserConfig } from "./services/userConfig.js";
 
-console.clear();
+// Post-processors that register themselves with registerPostProcessingOption
+import "./postProcessors/writeComicInfo.js";
 
-runCLI().catch((error) => {
+const args = process.argv.slice(2);
+
+async function main() {
+    // Merge the user's publishers and series patterns over the built-in ones
+    await applyUserConfig();
+
+    if (args.length > 0) {
+        // Non-interactive command-line mode
+        process.exitCode = await runCommand(args);
+    } else {
+        console.clear();
+        await runCLI();
+    }
+}
+
+main().catch((error) => {
     console.error("Fatal error:", error.message);
     process.exit(1);
 });
@@ -2,29 +2,52 @@ import path from "path";
 import ora from "ora";
 import inquirer from "inquirer";
 import { logger } from "../utils/logger.js";
-import { findComicFiles, getFilename, moveFile } from "../utils/files.js";
-import { batchGetMetadata } from "../services/metadata.js";
+import { createTransferStats, describeTransfers, getFilename } from "../utils/files.js";
+import { EMBEDDED_SOURCES, batchGetMetadata } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
 import { detectSeriesGroups, createSeriesLookupMap, promptSeriesReview } from "../services/seriesDetection.js";
-import { SERIES_PATTERNS } from "../patterns/seriesPatterns.js";
+import { getSeriesPatterns, getPublisherFolder } from "../services/patterns.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { findCollisions, logCollisionSummary, moveWithCollisionPolicy, promptCollisionPolicy, showCollisions } from "../services/collisions.js";
+import { DEFAULT_TRANSFER_MODE, getTransferVerb } from "../services/transferModes.js";
+import { DEFAULT_MIN_CONFIDENCE, countByConfidence, describeConfidenceCounts, meetsConfidence, promptLowConfidenceHandling, reviewLowConfidence, routeLowConfidence } from "../services/confidence.js";
+import { REVIEW_FOLDER, recordReview } from "../services/reviewQueue.js";
+import { DEFAULT_FOLDER_TEMPLATE, getTemplateFields, renderFolderTemplate } from "../services/templates.js";
+import { getUserConfig } from "../services/userConfig.js";
+import { findComicFiles } from "../services/comicFiles.js";
 
 /**
  * Get publisher from series patterns if series matches
+ * Returns the publisher folder (following the imprint layout), e.g. "Vertigo" or "DC Comics/Vertigo"
  */
 function getPublisherFromPattern(text) {
-    for (const { pattern, publisher } of SERIES_PATTERNS) {
+    for (const { pattern, publisher } of getSeriesPatterns()) {
         if (pattern.test(text)) {
-            return publisher;
+            return getPublisherFolder(publisher);
         }
     }
     return null;
 }
 
+/**
+ * Get the publisher folder for a file's metadata (following the imprint layout), or null
+ */
+function getMetadataPublisherFolder(metadata) {
+    return metadata.publisher ? getPublisherFolder(metadata.publisher, metadata.imprint) : null;
+}
+
 /**
  * Build assignments from metadata results and series detection
  * Series detection takes priority - files in a series stay together
  * ComicInfo.xml publisher data takes priority over pattern matching
+ * Publishers are turned into folders with the configured imprint layout (see services/patterns.js)
+ * and the folder path comes from the folder template (see services/templates.js)
+ * @param {object} options - { folderTemplate } (default: Publisher/Series)
+ * @returns {Array<Object>} [{ file, folder, publisherFolder, metadata, detectedSeries, patternPublisher }]
  */
-function buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups) {
+export function buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups, options = {}) {
+    const { folderTemplate = DEFAULT_FOLDER_TEMPLATE } = options;
+
     // First pass: determine the best publisher for each series
     const seriesPublisherMap = new Map();
 
@@ -37,8 +60,8 @@ function buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups)
             const fileIndex = files.indexOf(file);
             if (fileIndex !== -1) {
                 const metadata = metadataResults[fileIndex];
-                if (metadata.source === "comicinfo-xml" && metadata.publisher) {
-                    comicInfoPublisher = metadata.publisher;
+                if (EMBEDDED_SOURCES.includes(metadata.source) && metadata.publisher) {
+                    comicInfoPublisher = getMetadataPublisherFolder(metadata);
                     hasComicInfo = true;
                     break; // Found ComicInfo.xml, use it
                 }
@@ -62,8 +85,9 @@ function buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups)
                     const fileIndex = files.indexOf(file);
                     if (fileIndex !== -1) {
                         const metadata = metadataResults[fileIndex];
-                        if (metadata.publisher) {
-                            publishers.set(metadata.publisher, (publishers.get(metadata.publisher) || 0) + 1);
+                        const publisherFolder = getMetadataPublisherFolder(metadata);
+                        if (publisherFolder) {
+                            publishers.set(publisherFolder, (publishers.get(publisherFolder) || 0) + 1);
                         }
                     }
                 }
@@ -82,45 +106,40 @@ function buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups)
         const detectedSeries = seriesLookupMap.get(file);
         const filename = getFilename(file);
 
-        // If we detected a series for this file, use it to build a better folder path
-        let folder = metadata.suggestedFolder;
+        // Work out the publisher folder and series, the template turns them into the folder path
+        let publisherFolder = getMetadataPublisherFolder(metadata) || "Unsorted";
+        let seriesName = metadata.series || metadata.cleanedName;
         let patternPublisher = null;
 
         if (detectedSeries) {
             // Use the series-level publisher (already prioritizes ComicInfo.xml from above)
             const publisherToUse = seriesPublisherMap.get(detectedSeries);
+            seriesName = detectedSeries;
 
             if (publisherToUse) {
                 // Use determined publisher with the series name
-                folder = `${publisherToUse}/${detectedSeries}`;
+                publisherFolder = publisherToUse;
                 patternPublisher = publisherToUse;
-            } else if (metadata.publisher) {
-                // Fallback to file's own publisher if no series publisher
-                folder = `${metadata.publisher}/${detectedSeries}`;
             } else {
-                // Use detected series name without publisher
-                folder = detectedSeries;
+                // Fallback to file's own publisher if no series publisher, otherwise no publisher folder
+                publisherFolder = getMetadataPublisherFolder(metadata);
             }
-        } else {
-            // Single file - Priority 1: Check if it has ComicInfo.xml
-            if (metadata.source === "comicinfo-xml" && metadata.publisher) {
-                const seriesName = metadata.series || metadata.cleanedName;
-                folder = `${metadata.publisher}/${seriesName}`;
-            } else {
-                // Priority 2: Check if it matches a pattern
-                patternPublisher = getPublisherFromPattern(filename);
+        } else if (!(EMBEDDED_SOURCES.includes(metadata.source) && metadata.publisher)) {
+            // Single file without ComicInfo.xml - check if it matches a pattern
+            patternPublisher = getPublisherFromPattern(filename);
 
-                if (patternPublisher) {
-                    // Single file with pattern match - use pattern publisher
-                    const seriesName = metadata.series || metadata.cleanedName;
-                    folder = `${patternPublisher}/${seriesName}`;
-                }
+            if (patternPublisher) {
+                publisherFolder = patternPublisher;
             }
         }
 
+        const fields = getTemplateFields(metadata, { publisher: publisherFolder, series: seriesName });
+        const folder = renderFolderTemplate(folderTemplate, fields) || "Unsorted";
+
         return {
             file,
             folder,
+            publisherFolder,
             metadata,
             detectedSeries,
             patternPublisher,
@@ -185,31 +204,25 @@ function applySingleFileHandling(assignments, seriesLookupMap, handlingChoice) {
 
         // Only modify single files (not part of a detected series)
         if (!isInSeries) {
-            const pathParts = assignment.folder.split("/");
+            // Everything above the series (the publisher, and the imprint with the nested layout)
+            const { publisherFolder } = assignment;
+            const hasPublisher = Boolean(publisherFolder) && publisherFolder !== "Unsorted";
 
             switch (handlingChoice) {
                 case "oneshots":
                     // Move to oneshots folder (preserve publisher if exists)
-                    if (pathParts[0] !== "Unsorted" && pathParts.length > 1) {
-                        return {
-                            ...assignment,
-                            folder: `${pathParts[0]}/oneshots`,
-                            oneshotHandling: true,
-                        };
-                    } else {
-                        return {
-                            ...assignment,
-                            folder: "oneshots",
-                            oneshotHandling: true,
-                        };
-                    }
+                    return {
+                        ...assignment,
+                        folder: hasPublisher ? `${publisherFolder}/oneshots` : "oneshots",
+                        oneshotHandling: true,
+                    };
 
                 case "as-is":
                     // Simplify to just publisher folder
-                    if (pathParts.length > 1 && pathParts[0] !== "Unsorted") {
+                    if (hasPublisher) {
                         return {
                             ...assignment,
-                            folder: pathParts[0],
+                            folder: publisherFolder,
                             simplified: true,
                         };
                     }
@@ -217,7 +230,7 @@ function applySingleFileHandling(assignments, seriesLookupMap, handlingChoice) {
 
                 case "series-folder":
                 default:
-                    // Keep the full path (Publisher/Series)
+                    // Keep the full path from the folder template
                     return assignment;
             }
         }
@@ -229,9 +242,11 @@ function applySingleFileHandling(assignments, seriesLookupMap, handlingChoice) {
 /**
  * Show organization plan
  */
-function showOrganizationPlan(groups) {
+function showOrganizationPlan(groups, folderTemplate, confidenceCounts) {
     const folderCount = Object.keys(groups).length;
     logger.section(`Organization Plan (${folderCount} folders)`);
+    logger.info(`Folder template: ${folderTemplate}`);
+    logger.info(`Confidence: ${describeConfidenceCounts(confidenceCounts)}\n`);
 
     for (const [folder, items] of Object.entries(groups)) {
         logger.folder(folder, items.length);
@@ -244,23 +259,63 @@ function showOrganizationPlan(groups) {
     }
 }
 
+/**
+ * Find the assignments whose destination already has a file of the same name
+ */
+export async function findAssignmentCollisions(assignments, outputDir) {
+    return findCollisions(assignments.map((assignment) => ({ source: assignment.file, destination: path.join(outputDir, assignment.folder, getFilename(assignment.file)) })));
+}
+
 /**
  * Execute moves for pre-computed assignments (used after preview confirmation)
+ * Every move is recorded in an undo journal
+ * Assignments marked for review (see services/confidence.js) go to the review folder and its manifest
+ * @param {object} options - { sourceDir, collisionPolicy, transferMode } (see services/collisions.js and
+ *   services/transferModes.js, default: skip and move)
+ * @returns {Promise<Object>} { processed, moved, queued, errors, collisions, transfers, seriesNames, originals } - queued counts
+ *   the files sent to review; seriesNames maps each moved file's new path to its detected (and possibly user-renamed) series,
+ *   for post-processing; originals are the files that were copied or linked and stay in the source folder (empty when moving)
  */
-export async function executeAssignments(assignments, outputDir) {
-    logger.section("Moving files");
+export async function executeAssignments(assignments, outputDir, options = {}) {
+    const { transferMode = DEFAULT_TRANSFER_MODE } = options;
+    const moving = getTransferVerb(transferMode, "progressive");
+    const movedLabel = getTransferVerb(transferMode, "past");
+
+    logger.section(`${moving} files`);
 
-    const moveSpinner = ora("Moving files...").start();
+    const journal = createJournal("auto", { sourceDir: options.sourceDir || null, outputDir, transferMode });
+    const moveSpinner = ora(`${moving} files...`).start();
+    const transfers = createTransferStats();
     const errors = [];
+    const collisions = [];
+    const seriesNames = new Map();
+    const originals = [];
     let moved = 0;
+    let queued = 0;
 
     for (const assignment of assignments) {
         const destFolder = path.join(outputDir, assignment.folder);
 
         try {
-            await moveFile(assignment.file, destFolder);
+            const outcome = await moveWithCollisionPolicy(assignment.file, destFolder, { policy: options.collisionPolicy, mode: transferMode, journal, spinner: moveSpinner, transfers });
+
+            if (outcome.action !== "move") {
+                collisions.push(outcome);
+            }
+            if (!outcome.destination) {
+                continue;
+            }
+            if (transferMode !== "move") {
+                originals.push(assignment.file);
+            }
+            if (assignment.review) {
+                await recordReview(outputDir, outcome.destination, assignment.review);
+                queued++;
+            } else if (assignment.detectedSeries) {
+                seriesNames.set(outcome.destination, assignment.detectedSeries);
+            }
             moved++;
-            moveSpinner.text = `Moved ${moved}/${assignments.length} files`;
+            moveSpinner.text = `${movedLabel} ${moved}/${assignments.length} files`;
         } catch (error) {
             errors.push({
                 file: assignment.file,
@@ -270,17 +325,21 @@ export async function executeAssignments(assignments, outputDir) {
     }
 
     if (errors.length === 0) {
-        moveSpinner.succeed(`Successfully moved ${moved} files`);
+        moveSpinner.succeed(`Successfully ${movedLabel.toLowerCase()} ${moved} files`);
     } else {
-        moveSpinner.warn(`Moved ${moved} files with ${errors.length} errors`);
+        moveSpinner.warn(`${movedLabel} ${moved} files with ${errors.length} errors`);
     }
 
     // Show summary
     const folders = new Set(assignments.map((a) => a.folder));
     logger.section("Summary");
     logger.stats("Total files", assignments.length);
-    logger.stats("Files moved", moved);
+    logger.stats(`Files ${movedLabel.toLowerCase()}`, moved);
     logger.stats("Folders created", folders.size);
+    logger.stats("Confidence", describeConfidenceCounts(countByConfidence(assignments)));
+    if (queued > 0) logger.stats(`Sent to ${REVIEW_FOLDER}`, queued);
+    if (transfers.copied > 0) logger.stats("Copied between drives", describeTransfers(transfers));
+    logCollisionSummary(collisions);
 
     if (errors.length > 0) {
         logger.stats("Errors", errors.length);
@@ -289,14 +348,33 @@ export async function executeAssignments(assignments, outputDir) {
         errors.forEach((e) => logger.file(e.file, e.error));
     }
 
-    return { processed: assignments.length, moved, errors };
+    logJournalSaved(journal);
+
+    return { processed: assignments.length, moved, queued, errors, collisions, transfers, seriesNames, originals };
 }
 
 /**
  * Automated organization using metadata lookup
+ * @param {object} options - Organizer options
+ * @param {boolean} options.dryRun - Preview only, don't move files
+ * @param {boolean} options.useApi - Query the metadata API
+ * @param {string} options.provider - Metadata provider value (see services/metadata.js)
+ * @param {object} options.providerOptions - Extra provider settings, e.g. { apiKey, baseUrl }
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {boolean} options.reviewSeries - Prompt to review detected series names (default: true)
+ * @param {string} options.singleFileHandling - "series-folder", "oneshots" or "as-is" (prompts when not set)
+ * @param {string} options.folderTemplate - Folder template (default: the config's folderTemplate, or Publisher/Series)
+ * @param {number} options.concurrency - Files read at once (default: the config's "workers", or DEFAULT_WORKERS)
+ * @param {string} options.collisionPolicy - What to do when a file of the same name exists (see services/collisions.js, prompts when not set)
+ * @param {string} options.transferMode - "move", "copy", "hardlink" or "symlink" (see services/transferModes.js, default: move)
+ * @param {string} options.minConfidence - Lowest match confidence that's filed (see services/confidence.js, default: the
+ *   config's minConfidence, or low)
+ * @param {string} options.lowConfidence - "review" or "ask" for files below it (prompts when not set)
  */
 export async function runAutoOrganizer(sourceDir, outputDir, options = {}) {
-    const { dryRun = false, useApi = true } = options;
+    const { dryRun = false, useApi = true, useCache = true, reviewSeries = true, transferMode = DEFAULT_TRANSFER_MODE } = options;
+    const folderTemplate = options.folderTemplate || getUserConfig().folderTemplate || DEFAULT_FOLDER_TEMPLATE;
+    const minConfidence = options.minConfidence || getUserConfig().minConfidence || DEFAULT_MIN_CONFIDENCE;
 
     logger.section("Scanning for comic files");
 
@@ -322,8 +400,14 @@ export async function runAutoOrganizer(sourceDir, outputDir, options = {}) {
 
     const analyzeSpinner = ora("Looking up metadata...").start();
 
+    const cache = useCache ? await openMetadataCache() : null;
+
     const metadataResults = await batchGetMetadata(files, {
         useApi,
+        provider: options.provider,
+        providerOptions: options.providerOptions,
+        cache,
+        concurrency: options.concurrency,
         onProgress: (current, total, meta) => {
             analyzeSpinner.text = `Analyzing ${current}/${total}: ${meta.cleanedName}`;
         },
@@ -342,7 +426,9 @@ export async function runAutoOrganizer(sourceDir, outputDir, options = {}) {
         seriesSpinner.succeed(`Detected ${seriesGroups.length} series with multiple issues`);
 
         // Prompt user to review and optionally rename series
-        seriesGroups = await promptSeriesReview(seriesGroups);
+        if (reviewSeries) {
+            seriesGroups = await promptSeriesReview(seriesGroups);
+        }
     } else {
         seriesSpinner.info("No series with multiple issues detected");
     }
@@ -352,22 +438,41 @@ export async function runAutoOrganizer(sourceDir, outputDir, options = {}) {
 
     // Count single files (files not in any series)
     const singleFileCount = files.filter((file) => !seriesLookupMap.has(file)).length;
-    let singleFileHandling = "series-folder"; // default
+    let singleFileHandling = options.singleFileHandling || "series-folder"; // default
 
-    // If there are single files, prompt user for handling preference
-    if (singleFileCount > 0) {
+    // If there are single files, prompt user for handling preference (unless it was passed in)
+    if (singleFileCount > 0 && !options.singleFileHandling) {
         singleFileHandling = await promptSingleFileHandling(singleFileCount);
     }
 
     // Build assignments with series detection
-    let assignments = buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups);
+    let assignments = buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups, { folderTemplate });
 
     // Apply user's preference for handling single files
     assignments = applySingleFileHandling(assignments, seriesLookupMap, singleFileHandling);
 
+    // Don't file matches below the minimum confidence on a guess (ask how, unless it was passed in)
+    const lowConfidenceCount = assignments.filter((assignment) => !meetsConfidence(assignment.metadata?.confidence, minConfidence)).length;
+
+    if (lowConfidenceCount > 0) {
+        const lowConfidence = options.lowConfidence || (await promptLowConfidenceHandling(lowConfidenceCount, minConfidence));
+        assignments = lowConfidence === "ask" ? await reviewLowConfidence(assignments, minConfidence) : routeLowConfidence(assignments, minConfidence);
+    }
+
     // Show organization plan
     let groups = groupAssignments(assignments);
-    showOrganizationPlan(groups);
+    showOrganizationPlan(groups, folderTemplate, countByConfidence(assignments));
+
+    // List name clashes before anything moves, and pick what happens to them (unless it was passed in)
+    const collisions = await findAssignmentCollisions(assignments, outputDir);
+    let collisionPolicy = options.collisionPolicy;
+
+    if (collisions.length > 0) {
+        showCollisions(collisions, outputDir);
+        if (!collisionPolicy) {
+            collisionPolicy = await promptCollisionPolicy(collisions.length);
+        }
+    }
 
     if (dryRun) {
         logger.newline();
@@ -385,52 +490,19 @@ export async function runAutoOrganizer(sourceDir, outputDir, options = {}) {
         return {
             processed: files.length,
             moved: 0,
-            wouldMove: files.length,
+            wouldMove: assignments.length,
             errors: [],
+            collisions,
+            collisionPolicy,
+            transferMode,
+            folderTemplate,
+            minConfidence,
             assignments,
         };
     }
 
     // Execute moves
-    logger.section("Moving files");
-
-    const moveSpinner = ora("Moving files...").start();
-    const errors = [];
-    let moved = 0;
-
-    for (const assignment of assignments) {
-        const destFolder = path.join(outputDir, assignment.folder);
-
-        try {
-            await moveFile(assignment.file, destFolder);
-            moved++;
-            moveSpinner.text = `Moved ${moved}/${files.length} files`;
-        } catch (error) {
-            errors.push({
-                file: assignment.file,
-                error: error.message,
-            });
-        }
-    }
-
-    if (errors.length === 0) {
-        moveSpinner.succeed(`Successfully moved ${moved} files`);
-    } else {
-        moveSpinner.warn(`Moved ${moved} files with ${errors.length} errors`);
-    }
-
-    // Show summary
-    logger.section("Summary");
-    logger.stats("Total files", files.length);
-    logger.stats("Files moved", moved);
-    logger.stats("Folders created", Object.keys(groups).length);
-
-    if (errors.length > 0) {
-        logger.stats("Errors", errors.length);
-        logger.newline();
-        logger.error("Files with errors:");
-        errors.forEach((e) => logger.file(e.file, e.error));
-    }
+    const result = await executeAssignments(assignments, outputDir, { sourceDir, collisionPolicy, transferMode });
 
-    return { processed: files.length, moved, errors, assignments };
+    return { ...result, processed: files.length, assignments };
 }
@@ -0,0 +1,263 @@
+import path from "path";
+import ora from "ora";
+import fs from "fs-extra";
+import chalk from "chalk";
+import inquirer from "inquirer";
+import { logger } from "../utils/logger.js";
+import { formatBytes, moveFile } from "../utils/files.js";
+import { batchGetMetadata } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
+import { DUPLICATES_FOLDER, findDuplicates, getFilesToRemove } from "../services/duplicates.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { findComicFiles } from "../services/comicFiles.js";
+
+export const DUPLICATE_ACTIONS = ["report", "move", "delete"];
+
+/**
+ * Describe a file in a duplicate group
+ */
+function describeCopy(file, group) {
+    const details = [formatBytes(file.size), file.pages === null ? "? pages" : `${file.pages} pages`];
+
+    if (group.type === "same-issue" && file.hash && group.files.some((other) => other !== file && other.hash === file.hash)) {
+        details.push("identical copy");
+    }
+    if (file.path === group.keep) {
+        details.push(chalk.green("keep"));
+    }
+
+    return details.join(" · ");
+}
+
+/**
+ * Show duplicate groups with size and page count for every copy
+ */
+function showDuplicateGroups(groups, targetDir) {
+    logger.section(`Duplicates (${groups.length} groups)`);
+
+    for (const group of groups) {
+        logger.newline();
+        console.log(chalk.yellow(`  ${group.label}`) + chalk.dim(group.type === "identical" ? " (identical files)" : " (same issue)"));
+        for (const file of group.files) {
+            logger.file(path.relative(targetDir, file.path), describeCopy(file, group));
+        }
+    }
+}
+
+/**
+ * Let the user pick the copy to keep in each group
+ * Returns the groups with updated keepers (null = keep every copy)
+ */
+async function promptKeepers(groups, targetDir) {
+    const updated = [];
+
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        logger.newline();
+
+        const { keep } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "keep",
+                message: `(${i + 1}/${groups.length}) ${group.label} - which copy do you want to keep?`,
+                choices: [
+                    ...group.files.map((file) => ({
+                        name: `${path.relative(targetDir, file.path)} ${chalk.dim(`(${formatBytes(file.size)}, ${file.pages ?? "?"} pages)`)}`,
+                        value: file.path,
+                        short: path.basename(file.path),
+                    })),
+                    new inquirer.Separator(),
+                    { name: "Keep all copies", value: null },
+                ],
+                default: group.keep,
+            },
+        ]);
+
+        updated.push({ ...group, keep });
+    }
+
+    return updated;
+}
+
+/**
+ * Ask what to do with the copies that aren't kept
+ */
+async function promptAction(removeCount) {
+    const { action } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "action",
+            message: `What should happen to the ${removeCount} other copies?`,
+            choices: [
+                { name: `Move them to a "${DUPLICATES_FOLDER}" folder`, value: "move" },
+                { name: "Delete them permanently", value: "delete" },
+                { name: "Nothing, just report them", value: "report" },
+            ],
+        },
+    ]);
+
+    if (action !== "delete") {
+        return action;
+    }
+
+    const { confirm } = await inquirer.prompt([
+        {
+            type: "confirm",
+            name: "confirm",
+            message: `Permanently delete ${removeCount} files? This can't be undone.`,
+            default: false,
+        },
+    ]);
+
+    return confirm ? "delete" : "report";
+}
+
+/**
+ * Get the folder a duplicate is moved to (its relative path is kept so names can't clash)
+ */
+function getDuplicateFolder(filePath, targetDir) {
+    return path.join(targetDir, DUPLICATES_FOLDER, path.dirname(path.relative(targetDir, filePath)));
+}
+
+/**
+ * Find duplicate comics in a library
+ * @param {string} targetDir - Library directory (searched recursively)
+ * @param {object} options - Finder options
+ * @param {boolean} options.interactive - Prompt for the copy to keep and the action (default: true)
+ * @param {string} options.action - "report", "move" or "delete" when not interactive (default: "report")
+ * @param {boolean} options.dryRun - Show what would be moved or deleted without changing anything
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ */
+export async function runDuplicateFinder(targetDir, options = {}) {
+    const { interactive = true, dryRun = false, useCache = true } = options;
+    let { action = "report" } = options;
+
+    const result = { groups: [], moved: 0, deleted: 0, freed: 0, errors: [] };
+
+    logger.section("Scanning for comic files");
+
+    const spinner = ora("Finding comic files...").start();
+    const duplicatesDir = path.join(targetDir, DUPLICATES_FOLDER);
+    const files = (await findComicFiles(targetDir, { recursive: true })).filter((file) => !file.startsWith(duplicatesDir + path.sep));
+    spinner.succeed(`Found ${files.length} comic files`);
+
+    if (files.length < 2) {
+        logger.warning("Not enough comic files to compare");
+        return result;
+    }
+
+    const analyzeSpinner = ora("Reading metadata...").start();
+    const cache = useCache ? await openMetadataCache() : null;
+    const metadataResults = await batchGetMetadata(files, {
+        useApi: false,
+        cache,
+        onProgress: (current, total) => {
+            analyzeSpinner.text = `Reading metadata ${current}/${total}`;
+        },
+    });
+
+    analyzeSpinner.text = "Comparing files...";
+    result.groups = await findDuplicates(files, metadataResults, {
+        onProgress: (current, total) => {
+            analyzeSpinner.text = `Comparing file contents ${current}/${total}`;
+        },
+    });
+
+    if (result.groups.length === 0) {
+        analyzeSpinner.succeed("No duplicates found");
+        return result;
+    }
+
+    analyzeSpinner.succeed(`Found ${result.groups.length} groups of duplicates`);
+    showDuplicateGroups(result.groups, targetDir);
+
+    let groups = result.groups;
+
+    if (interactive) {
+        logger.newline();
+        const { review } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "review",
+                message: "Choose which copy to keep in each group?",
+                default: true,
+            },
+        ]);
+
+        if (!review) {
+            return result;
+        }
+
+        groups = await promptKeepers(groups, targetDir);
+    }
+
+    const toRemove = getFilesToRemove(groups);
+
+    if (toRemove.length === 0) {
+        logger.newline();
+        logger.info("Keeping every copy");
+        return result;
+    }
+
+    if (interactive) {
+        logger.newline();
+        action = await promptAction(toRemove.length);
+    }
+
+    if (action === "report") {
+        return result;
+    }
+
+    if (dryRun) {
+        logger.newline();
+        logger.warning("PREVIEW - No files have been moved or deleted");
+        logger.newline();
+        for (const file of toRemove) {
+            logger.preview(file.path, action === "move" ? path.join(getDuplicateFolder(file.path, targetDir), path.basename(file.path)) : "(deleted)");
+        }
+        return result;
+    }
+
+    logger.section(action === "move" ? "Moving duplicates" : "Deleting duplicates");
+
+    const journal = createJournal("duplicates", { sourceDir: targetDir });
+    const removeSpinner = ora(action === "move" ? "Moving files..." : "Deleting files...").start();
+
+    for (const file of toRemove) {
+        try {
+            if (action === "move") {
+                await moveFile(file.path, getDuplicateFolder(file.path, targetDir), { journal });
+                result.moved++;
+            } else {
+                await fs.remove(file.path);
+                result.deleted++;
+            }
+            result.freed += file.size;
+        } catch (error) {
+            result.errors.push({ file: file.path, error: error.message });
+        }
+    }
+
+    const done = result.moved + result.deleted;
+    if (result.errors.length > 0) {
+        removeSpinner.warn(`${action === "move" ? "Moved" : "Deleted"} ${done} files with ${result.errors.length} errors`);
+    } else {
+        removeSpinner.succeed(`${action === "move" ? "Moved" : "Deleted"} ${done} files`);
+    }
+
+    logger.section("Summary");
+    logger.stats("Duplicate groups", groups.length);
+    logger.stats(action === "move" ? `Moved to ${DUPLICATES_FOLDER}` : "Deleted", done);
+    logger.stats(action === "move" ? "Space that can be freed" : "Space freed", formatBytes(result.freed));
+
+    if (result.errors.length > 0) {
+        logger.stats("Errors", result.errors.length);
+        logger.newline();
+        logger.error("Files with errors:");
+        result.errors.forEach((e) => logger.file(e.file, e.error));
+    }
+
+    logJournalSaved(journal);
+
+    return result;
+}
@@ -3,7 +3,10 @@ import ora from "ora";
 import fs from "fs-extra";
 import inquirer from "inquirer";
 import { logger } from "../utils/logger.js";
-import { findComicFiles, getFilename } from "../utils/files.js";
+import { getFilename } from "../utils/files.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { DEFAULT_TRANSFER_MODE, getTransferVerb, transferFile } from "../services/transferModes.js";
+import { findComicFiles } from "../services/comicFiles.js";
 
 /**
  * Find all subdirectories in a directory (recursively)
@@ -29,7 +32,7 @@ async function findSubdirectories(directory) {
 /**
  * Remove empty directories recursively (deepest first)
  */
-async function removeEmptyDirectories(directories) {
+async function removeEmptyDirectories(directories, journal) {
     // Sort by depth (deepest first) to remove nested dirs before parents
     const sorted = directories.sort((a, b) => b.split(path.sep).length - a.split(path.sep).length);
 
@@ -39,6 +42,7 @@ async function removeEmptyDirectories(directories) {
             const entries = await fs.readdir(dir);
             if (entries.length === 0) {
                 await fs.rmdir(dir);
+                await journal.recordRmdir(dir);
                 removed++;
             }
         } catch (error) {
@@ -50,9 +54,16 @@ async function removeEmptyDirectories(directories) {
 
 /**
  * Flatten hierarchy - move all comics to root folder
+ * When copying or linking, the subdirectories keep their files and aren't removed.
+ * @param {object} options - Flatten options
+ * @param {boolean} options.dryRun - Preview only, don't move files
+ * @param {string} options.transferMode - "move", "copy", "hardlink" or "symlink" (see services/transferModes.js, default: move)
+ * @returns {Promise<Object>} { processed, moved, foldersRemoved, errors, originals } - originals are the files that were
+ *   copied or linked and stay in their subdirectory (empty when moving)
  */
 export async function runFlattenOrganizer(sourceDir, options = {}) {
-    const { dryRun = false } = options;
+    const { dryRun = false, transferMode = DEFAULT_TRANSFER_MODE } = options;
+    const removeFolders = transferMode === "move";
 
     logger.section("Scanning for comic files");
 
@@ -71,7 +82,7 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
     if (filesInSubdirs.length === 0) {
         logger.newline();
         logger.warning("No files found in subdirectories. Nothing to flatten.");
-        return { processed: 0, moved: 0, foldersRemoved: 0, errors: [] };
+        return { processed: 0, moved: 0, foldersRemoved: 0, errors: [], originals: [] };
     }
 
     // Find all subdirectories
@@ -99,8 +110,10 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
     }
 
     logger.newline();
-    logger.info(`All ${filesInSubdirs.length} files will be moved to: ${sourceDir}`);
-    logger.info(`${subdirs.length} empty folders will be removed after flattening.`);
+    logger.info(`All ${filesInSubdirs.length} files will be ${getTransferVerb(transferMode, "past").toLowerCase()} to: ${sourceDir}`);
+    if (removeFolders) {
+        logger.info(`${subdirs.length} empty folders will be removed after flattening.`);
+    }
 
     // Check for potential filename conflicts
     const conflicts = [];
@@ -140,18 +153,23 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
             processed: allFiles.length,
             moved: 0,
             wouldMove: filesInSubdirs.length,
-            foldersToRemove: subdirs.length,
+            foldersToRemove: removeFolders ? subdirs.length : 0,
             errors: [],
             filesInSubdirs,
             subdirs,
+            transferMode,
         };
     }
 
     // Execute flattening
-    logger.section("Moving files to root");
+    const moving = getTransferVerb(transferMode, "progressive");
+    const movedLabel = getTransferVerb(transferMode, "past");
+    logger.section(`${moving} files to root`);
 
-    const moveSpinner = ora("Moving files...").start();
+    const journal = createJournal("flatten", { sourceDir, transferMode });
+    const moveSpinner = ora(`${moving} files...`).start();
     const errors = [];
+    const originals = [];
     let moved = 0;
 
     for (const file of filesInSubdirs) {
@@ -170,9 +188,10 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
         }
 
         try {
-            await fs.move(file, destPath);
+            await transferFile(file, sourceDir, { mode: transferMode, journal, filename: path.basename(destPath) });
+            if (!removeFolders) originals.push(file);
             moved++;
-            moveSpinner.text = `Moved ${moved}/${filesInSubdirs.length} files`;
+            moveSpinner.text = `${movedLabel} ${moved}/${filesInSubdirs.length} files`;
         } catch (error) {
             errors.push({
                 file,
@@ -182,21 +201,24 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
     }
 
     if (errors.length === 0) {
-        moveSpinner.succeed(`Successfully moved ${moved} files`);
+        moveSpinner.succeed(`Successfully ${movedLabel.toLowerCase()} ${moved} files`);
     } else {
-        moveSpinner.warn(`Moved ${moved} files with ${errors.length} errors`);
+        moveSpinner.warn(`${movedLabel} ${moved} files with ${errors.length} errors`);
     }
 
-    // Remove empty directories
-    logger.section("Removing empty folders");
+    // Remove empty directories (copies and links leave them as they were)
+    let foldersRemoved = 0;
+    if (removeFolders) {
+        logger.section("Removing empty folders");
 
-    const removeSpinner = ora("Removing empty folders...").start();
-    const foldersRemoved = await removeEmptyDirectories(subdirs);
-    removeSpinner.succeed(`Removed ${foldersRemoved} empty folders`);
+        const removeSpinner = ora("Removing empty folders...").start();
+        foldersRemoved = await removeEmptyDirectories(subdirs, journal);
+        removeSpinner.succeed(`Removed ${foldersRemoved} empty folders`);
+    }
 
     // Show summary
     logger.section("Summary");
-    logger.stats("Files moved to root", moved);
+    logger.stats(`Files ${movedLabel.toLowerCase()} to root`, moved);
     logger.stats("Folders removed", foldersRemoved);
 
     if (errors.length > 0) {
@@ -206,5 +228,7 @@ export async function runFlattenOrganizer(sourceDir, options = {}) {
         errors.forEach((e) => logger.file(e.file, e.error));
     }
 
-    return { processed: allFiles.length, moved, foldersRemoved, errors };
+    logJournalSaved(journal);
+
+    return { processed: allFiles.length, moved, foldersRemoved, errors, originals };
 }
@@ -0,0 +1,85 @@
+import ora from "ora";
+import chalk from "chalk";
+import { logger } from "../utils/logger.js";
+import { batchGetMetadata } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
+import { WANT_LIST_FORMATS, findIssueGaps, formatIssueRanges, getRunName, getWantListFormat, writeWantList } from "../services/issueGaps.js";
+import { findLibraryFiles } from "./stats.js";
+
+/**
+ * Show the series with missing issues, by folder
+ */
+function showGaps(runs) {
+    logger.section(`Missing Issues (${runs.length} series)`);
+
+    let folder = null;
+    for (const run of runs) {
+        if (run.folder !== folder) {
+            folder = run.folder;
+            logger.newline();
+            console.log(chalk.magenta(`  📁 ${folder || "."}`));
+        }
+
+        const owned = `${run.issues.length} owned${run.points.length > 0 ? `, incl. ${formatIssueRanges(run.points)}` : ""}`;
+        console.log(`    ${chalk.white(getRunName(run))}: missing ${chalk.yellow(formatIssueRanges(run.missing))} ${chalk.dim(`(${owned})`)}`);
+    }
+}
+
+/**
+ * Find the missing issues of every series in a library
+ * @param {string} targetDir - Library directory (searched recursively)
+ * @param {object} options - Gap options
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {boolean} options.fromLowest - Start each series at the lowest issue owned instead of #1 (default: false)
+ * @param {string} options.exportPath - Save a want list to this .txt, .csv or .json file
+ * @param {number} options.concurrency - Files read at once
+ * @returns {Promise<Object>} { runs, missing } - every series found, and the number of missing issues
+ */
+export async function runGapReport(targetDir, options = {}) {
+    const { useCache = true, fromLowest = false, exportPath = null, concurrency } = options;
+    const result = { runs: [], missing: 0 };
+
+    if (exportPath && !getWantListFormat(exportPath)) {
+        throw new Error(`The want list must be a .${WANT_LIST_FORMATS.join(", .")} file`);
+    }
+
+    logger.section("Scanning library");
+
+    const spinner = ora("Finding comic files...").start();
+    const files = await findLibraryFiles(targetDir);
+
+    if (files.length === 0) {
+        spinner.info("No comic files found");
+        return result;
+    }
+
+    spinner.text = `Reading metadata for ${files.length} files...`;
+    const cache = useCache ? await openMetadataCache() : null;
+    const metadataResults = await batchGetMetadata(files, {
+        useApi: false,
+        cache,
+        concurrency,
+        onProgress: (current, total) => {
+            spinner.text = `Reading metadata ${current}/${total}`;
+        },
+    });
+
+    result.runs = findIssueGaps(targetDir, files, metadataResults, { fromLowest });
+    const withGaps = result.runs.filter((run) => run.missing.length > 0);
+    result.missing = withGaps.reduce((total, run) => total + run.missing.length, 0);
+
+    if (withGaps.length === 0) {
+        spinner.succeed(`No missing issues in ${result.runs.length} series`);
+    } else {
+        spinner.warn(`${result.missing} missing issues in ${withGaps.length} of ${result.runs.length} series`);
+        showGaps(withGaps);
+    }
+
+    if (exportPath) {
+        await writeWantList(result.runs, exportPath);
+        logger.newline();
+        logger.info(`Want list saved to ${exportPath}`);
+    }
+
+    return result;
+}
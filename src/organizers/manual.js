@@ -1,7 +1,15 @@
 import path from "path";
 import ora from "ora";
 import { logger } from "../utils/logger.js";
-import { findComicFiles, getFilename, moveFile, readJsonFile, fileExists } from "../utils/files.js";
+import { getFilename, readJsonFile, fileExists, createTransferStats, describeTransfers } from "../utils/files.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { findCollisions, logCollisionSummary, moveWithCollisionPolicy, promptCollisionPolicy, showCollisions } from "../services/collisions.js";
+import { DEFAULT_TRANSFER_MODE, getTransferVerb } from "../services/transferModes.js";
+import { readComicInfoCached } from "../services/metadata.js";
+import { openMetadataCache, saveMetadataCache } from "../services/metadataCache.js";
+import { describeCondition, matchesCondition, validateCondition } from "../services/filterConditions.js";
+import { sanitizeName } from "../services/templates.js";
+import { findComicFiles } from "../services/comicFiles.js";
 
 /**
  * Filter configuration structure:
@@ -12,35 +20,106 @@ import { findComicFiles, getFilename, moveFile, readJsonFile, fileExists } from
  *       "pattern": "marvel|avengers|spider-man|x-men",
  *       "filters": [
  *         { "name": "Spider-Man", "pattern": "spider-man" },
- *         { "name": "X-Men", "pattern": "x-men" }
+ *         { "name": "X-Men", "pattern": "x-men" },
+ *         { "name": "Trades", "match": { "field": "format", "equals": "TPB" } }
  *       ]
  *     }
  *   ]
  * }
+ *
+ * "pattern" is tested against the filename, "match" against ComicInfo.xml fields (see services/filterConditions.js).
+ * A filter needs at least one of them; with both, a file has to pass both.
+ *
+ * Names can use the pattern's named capture groups, and those of its parent filters:
+ *   { "name": "Indie/{series}", "pattern": "^(?<series>.+?) \\d{3}" }
+ * "/" in a name creates nested folders.
  */
 
+// A capture group reference in a filter name, e.g. {series}
+const GROUP_REFERENCE = /\{([A-Za-z_$][\w$]*)\}/g;
+
+/**
+ * Get the named capture groups a regex pattern defines
+ */
+function getPatternGroups(pattern) {
+    // (?<name> but not the lookbehinds (?<= and (?<!
+    return [...pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map((match) => match[1]);
+}
+
+/**
+ * Fill a filter name's capture group references with a file's captured values
+ * Values are made safe for folder names; folders that come out empty are left out.
+ * @returns {string} Folder path ("" when every folder came out empty)
+ */
+function renderFilterName(name, groups) {
+    return name
+        .replace(GROUP_REFERENCE, (reference, group) => sanitizeName(groups[group] || ""))
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter((segment) => segment.length > 0)
+        .join("/");
+}
+
 /**
  * Apply a single filter to a list of files
+ * @param {Map} fileValues - file -> { filename, ...ComicInfo fields }, for filters with a "match" condition
  */
-function applyFilter(files, filter) {
-    const regex = new RegExp(filter.pattern, "i");
-    return files.filter((file) => regex.test(getFilename(file)));
+function applyFilter(files, filter, fileValues) {
+    const regex = filter.pattern ? new RegExp(filter.pattern, "i") : null;
+    return files.filter((file) => {
+        if (regex && !regex.test(getFilename(file))) return false;
+        return !filter.match || matchesCondition(filter.match, fileValues.get(file));
+    });
+}
+
+/**
+ * Check if any filter has a "match" condition (so ComicInfo.xml needs to be read)
+ */
+function usesConditions(filters) {
+    return filters.some((filter) => filter.match || (filter.filters && usesConditions(filter.filters)));
+}
+
+/**
+ * Read the values filter conditions are tested against for each file
+ * @returns {Promise<Map>} file -> { filename, ...ComicInfo fields }
+ */
+async function readFileValues(files, cache) {
+    const fileValues = new Map();
+    for (const file of files) {
+        const comicInfo = await readComicInfoCached(file, cache);
+        fileValues.set(file, { ...comicInfo, filename: getFilename(file) });
+    }
+    return fileValues;
 }
 
 /**
  * Recursively process filters and collect file assignments
+ * @param {Map} parents - file -> { folder, groups } from the parent filter that matched it
  */
-function processFilters(files, filters, parentPath = "") {
+function processFilters(files, filters, fileValues = new Map(), parents = new Map()) {
     const assignments = [];
     const assigned = new Set();
 
     for (const filter of filters) {
-        const currentPath = parentPath ? `${parentPath}/${filter.name}` : filter.name;
-        const matchedFiles = applyFilter(files, filter);
+        const regex = filter.pattern ? new RegExp(filter.pattern, "i") : null;
+        const matches = new Map(); // file -> { folder, groups }
+
+        for (const file of applyFilter(files, filter, fileValues)) {
+            const parent = parents.get(file) || { folder: "", groups: {} };
+            const groups = { ...parent.groups, ...regex?.exec(getFilename(file)).groups };
+            const name = renderFilterName(filter.name, groups);
+
+            // A name made only of groups that captured nothing doesn't give the file a folder
+            if (name) {
+                matches.set(file, { folder: parent.folder ? `${parent.folder}/${name}` : name, groups });
+            }
+        }
+
+        const matchedFiles = [...matches.keys()];
 
         if (filter.filters && filter.filters.length > 0) {
             // Process sub-filters first
-            const subAssignments = processFilters(matchedFiles, filter.filters, currentPath);
+            const subAssignments = processFilters(matchedFiles, filter.filters, fileValues, matches);
 
             // Add sub-assignments
             for (const assignment of subAssignments.assignments) {
@@ -51,14 +130,14 @@ function processFilters(files, filters, parentPath = "") {
             // Files matched by parent but not by any sub-filter go to parent folder
             const unassignedMatches = matchedFiles.filter((f) => !assigned.has(f));
             for (const file of unassignedMatches) {
-                assignments.push({ file, folder: currentPath });
+                assignments.push({ file, folder: matches.get(file).folder });
                 assigned.add(file);
             }
         } else {
             // Leaf filter - assign directly
             for (const file of matchedFiles) {
                 if (!assigned.has(file)) {
-                    assignments.push({ file, folder: currentPath });
+                    assignments.push({ file, folder: matches.get(file).folder });
                     assigned.add(file);
                 }
             }
@@ -79,26 +158,45 @@ function validateConfig(config) {
         return errors;
     }
 
-    function validateFilter(filter, path = "") {
+    // parentGroups: capture groups defined by the filter's parents, which its name can use too
+    function validateFilter(filter, path = "", parentGroups = []) {
         const filterPath = path ? `${path}.${filter.name}` : filter.name;
+        let groups = parentGroups;
 
         if (!filter.name || typeof filter.name !== "string") {
             errors.push(`Filter at ${filterPath || "root"} must have a "name" string`);
         }
 
-        if (!filter.pattern || typeof filter.pattern !== "string") {
+        if (filter.pattern === undefined && filter.match === undefined) {
+            errors.push(`Filter "${filterPath}" must have a "pattern" string or a "match" condition`);
+        } else if (filter.pattern !== undefined && (!filter.pattern || typeof filter.pattern !== "string")) {
             errors.push(`Filter "${filterPath}" must have a "pattern" string`);
-        } else {
+        } else if (filter.pattern !== undefined) {
             try {
                 new RegExp(filter.pattern);
+                groups = [...parentGroups, ...getPatternGroups(filter.pattern)];
             } catch (e) {
                 errors.push(`Filter "${filterPath}" has invalid regex pattern: ${e.message}`);
+                groups = null; // Unknown, don't report the name's groups as well
             }
         }
 
+        if (groups && typeof filter.name === "string") {
+            for (const [, group] of filter.name.matchAll(GROUP_REFERENCE)) {
+                if (!groups.includes(group)) {
+                    const defined = groups.length > 0 ? `defined groups: ${groups.join(", ")}` : "no named groups are defined";
+                    errors.push(`Filter "${filterPath}" name uses {${group}}, but its pattern has no (?<${group}>...) group (${defined})`);
+                }
+            }
+        }
+
+        if (filter.match !== undefined) {
+            errors.push(...validateCondition(filter.match).map((error) => `Filter "${filterPath}" ${error}`));
+        }
+
         if (filter.filters && Array.isArray(filter.filters)) {
             for (const subFilter of filter.filters) {
-                validateFilter(subFilter, filterPath);
+                validateFilter(subFilter, filterPath, groups || parentGroups);
             }
         }
     }
@@ -130,9 +228,17 @@ export async function loadFilterConfig(configPath) {
 
 /**
  * Manual organization using JSON filter configuration
+ * @param {object} options - Organizer options
+ * @param {boolean} options.dryRun - Preview only, don't move files
+ * @param {boolean} options.includeUnmatched - Move files no filter matched to the unmatched folder
+ * @param {boolean} options.useCache - Use the metadata cache when reading ComicInfo.xml for "match" conditions (default: true)
+ * @param {string} options.collisionPolicy - What to do when a file of the same name exists (see services/collisions.js, prompts when not set)
+ * @param {string} options.transferMode - "move", "copy", "hardlink" or "symlink" (see services/transferModes.js, default: move)
+ * @returns {Promise<Object>} { processed, moved, unmatched, errors, collisions, transfers, originals } - originals are the
+ *   files that were copied or linked and stay in the source folder (empty when moving)
  */
 export async function runManualOrganizer(sourceDir, outputDir, configPath, options = {}) {
-    const { dryRun = false, includeUnmatched = false, unmatchedFolder = "_Unmatched" } = options;
+    const { dryRun = false, includeUnmatched = false, unmatchedFolder = "_Unmatched", useCache = true, transferMode = DEFAULT_TRANSFER_MODE } = options;
 
     // Load configuration
     logger.section("Loading filter configuration");
@@ -159,10 +265,21 @@ export async function runManualOrganizer(sourceDir, outputDir, configPath, optio
         return { processed: 0, moved: 0, unmatched: 0, errors: [] };
     }
 
+    // Filters with conditions need each file's ComicInfo.xml
+    let fileValues = new Map();
+
+    if (usesConditions(config.filters)) {
+        const readSpinner = ora("Reading ComicInfo.xml...").start();
+        const cache = useCache ? await openMetadataCache() : null;
+        fileValues = await readFileValues(files, cache);
+        if (cache) await saveMetadataCache(cache);
+        readSpinner.succeed(`Read ComicInfo.xml from ${files.length} files`);
+    }
+
     // Apply filters
     logger.section("Applying filters");
 
-    const { assignments, assigned } = processFilters(files, config.filters);
+    const { assignments, assigned } = processFilters(files, config.filters, fileValues);
     const unmatchedFiles = files.filter((f) => !assigned.has(f));
 
     logger.success(`Matched ${assignments.length} files to ${new Set(assignments.map((a) => a.folder)).size} folders`);
@@ -203,6 +320,17 @@ export async function runManualOrganizer(sourceDir, outputDir, configPath, optio
         }
     }
 
+    // List name clashes before anything moves, and pick what happens to them (unless it was passed in)
+    const collisions = await findCollisions(assignments.map(({ file, folder }) => ({ source: file, destination: path.join(outputDir, folder, getFilename(file)) })));
+    let collisionPolicy = options.collisionPolicy;
+
+    if (collisions.length > 0) {
+        showCollisions(collisions, outputDir);
+        if (!collisionPolicy) {
+            collisionPolicy = await promptCollisionPolicy(collisions.length);
+        }
+    }
+
     if (dryRun) {
         logger.newline();
         logger.warning("PREVIEW - No files have been moved");
@@ -219,23 +347,35 @@ export async function runManualOrganizer(sourceDir, outputDir, configPath, optio
             wouldMove: assignments.length,
             unmatched: unmatchedFiles.length,
             errors: [],
+            collisions,
+            collisionPolicy,
+            transferMode,
         };
     }
 
     // Execute moves
-    logger.section("Moving files");
+    const moving = getTransferVerb(transferMode, "progressive");
+    const movedLabel = getTransferVerb(transferMode, "past");
+    logger.section(`${moving} files`);
 
-    const moveSpinner = ora("Moving files...").start();
+    const journal = createJournal("manual", { sourceDir, outputDir, configPath, transferMode });
+    const moveSpinner = ora(`${moving} files...`).start();
+    const transfers = createTransferStats();
     const errors = [];
+    const outcomes = [];
+    const originals = [];
     let moved = 0;
 
     for (const { file, folder } of assignments) {
         const destFolder = path.join(outputDir, folder);
 
         try {
-            await moveFile(file, destFolder);
+            const outcome = await moveWithCollisionPolicy(file, destFolder, { policy: collisionPolicy, mode: transferMode, journal, spinner: moveSpinner, transfers });
+            if (outcome.action !== "move") outcomes.push(outcome);
+            if (!outcome.destination) continue;
+            if (transferMode !== "move") originals.push(file);
             moved++;
-            moveSpinner.text = `Moved ${moved}/${assignments.length} files`;
+            moveSpinner.text = `${movedLabel} ${moved}/${assignments.length} files`;
         } catch (error) {
             errors.push({
                 file,
@@ -245,17 +385,19 @@ export async function runManualOrganizer(sourceDir, outputDir, configPath, optio
     }
 
     if (errors.length === 0) {
-        moveSpinner.succeed(`Successfully moved ${moved} files`);
+        moveSpinner.succeed(`Successfully ${movedLabel.toLowerCase()} ${moved} files`);
     } else {
-        moveSpinner.warn(`Moved ${moved} files with ${errors.length} errors`);
+        moveSpinner.warn(`${movedLabel} ${moved} files with ${errors.length} errors`);
     }
 
     // Summary
     logger.section("Summary");
     logger.stats("Total files", files.length);
-    logger.stats("Files moved", moved);
+    logger.stats(`Files ${movedLabel.toLowerCase()}`, moved);
     logger.stats("Folders created", Object.keys(groups).length);
     logger.stats("Unmatched", unmatchedFiles.length);
+    if (transfers.copied > 0) logger.stats("Copied between drives", describeTransfers(transfers));
+    logCollisionSummary(outcomes);
 
     if (errors.length > 0) {
         logger.stats("Errors", errors.length);
@@ -264,7 +406,9 @@ export async function runManualOrganizer(sourceDir, outputDir, configPath, optio
         errors.forEach((e) => logger.file(e.file, e.error));
     }
 
-    return { processed: files.length, moved, unmatched: unmatchedFiles.length, errors };
+    logJournalSaved(journal);
+
+    return { processed: files.length, moved, unmatched: unmatchedFiles.length, errors, collisions: outcomes, transfers, originals };
 }
 
 /**
@@ -286,7 +430,8 @@ function countFilters(filters) {
 function printFilterTree(filters, indent = 0) {
     const prefix = "  ".repeat(indent);
     for (const filter of filters) {
-        console.log(`${prefix}  📂 ${filter.name} (/${filter.pattern}/)`);
+        const rules = [filter.pattern && `/${filter.pattern}/`, filter.match && describeCondition(filter.match)].filter(Boolean);
+        console.log(`${prefix}  📂 ${filter.name} (${rules.join(" and ")})`);
         if (filter.filters && filter.filters.length > 0) {
             printFilterTree(filter.filters, indent + 1);
         }
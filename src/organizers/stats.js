@@ -0,0 +1,114 @@
+import path from "path";
+import ora from "ora";
+import fs from "fs-extra";
+import chalk from "chalk";
+import { logger } from "../utils/logger.js";
+import { formatBytes } from "../utils/files.js";
+import { batchGetMetadata } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
+import { STATS_EXPORT_FORMATS, buildLibraryStats, getComicInfoShare, getStatsExportFormat, writeStatsReport } from "../services/libraryStats.js";
+import { DUPLICATES_FOLDER } from "../services/duplicates.js";
+import { CORRUPT_FOLDER } from "../services/integrity.js";
+import { REVIEW_FOLDER } from "../services/reviewQueue.js";
+import { findComicFiles } from "../services/comicFiles.js";
+
+// Folders of files that were set aside, which aren't part of the library
+const EXCLUDED_FOLDERS = [DUPLICATES_FOLDER, CORRUPT_FOLDER, REVIEW_FOLDER];
+
+/**
+ * Find the comic files in a library, leaving out the files that were set aside
+ */
+export async function findLibraryFiles(targetDir) {
+    const excludedDirs = EXCLUDED_FOLDERS.map((folder) => path.join(targetDir, folder) + path.sep);
+    return (await findComicFiles(targetDir, { recursive: true })).filter((file) => !excludedDirs.some((dir) => file.startsWith(dir)));
+}
+
+/**
+ * Show a table of buckets (publishers, formats, ...) with their file counts and sizes
+ */
+function showBuckets(title, buckets, { limit = 10, showPublisher = false } = {}) {
+    logger.section(title);
+
+    for (const bucket of buckets.slice(0, limit)) {
+        const name = showPublisher ? `${bucket.name} ${chalk.dim(`(${bucket.publisher})`)}` : bucket.name;
+        console.log(`  ${name}  ${chalk.dim(`${bucket.files} files · ${formatBytes(bucket.bytes)}`)}`);
+    }
+
+    if (buckets.length > limit) {
+        console.log(chalk.dim(`  ... and ${buckets.length - limit} more`));
+    }
+}
+
+/**
+ * Show library statistics
+ */
+export function showLibraryStats(stats) {
+    logger.section("Library Summary");
+    logger.stats("Comics", stats.totals.files);
+    logger.stats("Disk usage", formatBytes(stats.totals.bytes));
+    logger.stats("Publishers", stats.totals.publishers);
+    logger.stats("Series", stats.totals.series);
+    logger.stats("With ComicInfo.xml", `${stats.totals.withComicInfo} (${getComicInfoShare(stats)}%)`);
+
+    showBuckets("Biggest Series", stats.series, { showPublisher: true });
+    showBuckets("By Publisher", stats.publishers);
+    showBuckets("By Format", stats.formats);
+    showBuckets("By File Type", stats.fileTypes);
+    showBuckets("By Decade", stats.decades, { limit: Infinity });
+}
+
+/**
+ * Report statistics for a comic library: totals by publisher, series, format and decade, and disk usage
+ * @param {string} targetDir - Library directory (searched recursively)
+ * @param {object} options - Stats options
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {string} options.exportPath - Save the report to this .json, .csv or .html file
+ * @param {number} options.concurrency - Files read at once
+ * @returns {Promise<Object|null>} The statistics (see buildLibraryStats), or null if there are no comics
+ */
+export async function runLibraryStats(targetDir, options = {}) {
+    const { useCache = true, exportPath = null, concurrency } = options;
+
+    if (exportPath && !getStatsExportFormat(exportPath)) {
+        throw new Error(`The report must be a .${STATS_EXPORT_FORMATS.join(", .")} file`);
+    }
+
+    logger.section("Scanning library");
+
+    const spinner = ora("Finding comic files...").start();
+    const files = await findLibraryFiles(targetDir);
+
+    if (files.length === 0) {
+        spinner.info("No comic files found");
+        return null;
+    }
+
+    spinner.text = `Reading metadata for ${files.length} files...`;
+    const cache = useCache ? await openMetadataCache() : null;
+    const metadataResults = await batchGetMetadata(files, {
+        useApi: false,
+        cache,
+        concurrency,
+        onProgress: (current, total) => {
+            spinner.text = `Reading metadata ${current}/${total}`;
+        },
+    });
+
+    const sizes = [];
+    for (const file of files) {
+        sizes.push((await fs.stat(file)).size);
+    }
+
+    spinner.succeed(`Scanned ${files.length} comic files`);
+
+    const stats = buildLibraryStats(targetDir, files, metadataResults, sizes);
+    showLibraryStats(stats);
+
+    if (exportPath) {
+        await writeStatsReport(stats, exportPath);
+        logger.newline();
+        logger.info(`Report saved to ${exportPath}`);
+    }
+
+    return stats;
+}
@@ -0,0 +1,74 @@
+import ora from "ora";
+import { logger } from "../utils/logger.js";
+import { getFilename } from "../utils/files.js";
+import { undoJournal } from "../services/journal.js";
+
+/**
+ * Describe a journal for menus and logs
+ */
+export function describeJournal(journal) {
+    const date = new Date(journal.createdAt).toLocaleString();
+    const fileOps = journal.entries.filter((entry) => ["move", "rename", "dedupe", "copy"].includes(entry.type)).length;
+    const target = journal.details.outputDir || journal.details.sourceDir || "";
+    return `${date} · ${journal.mode} · ${fileOps} files${target ? ` · ${target}` : ""}`;
+}
+
+/**
+ * Show conflicts found while undoing
+ */
+function showConflicts(conflicts) {
+    logger.newline();
+    logger.warning(`${conflicts.length} operations can't be undone and will be skipped:`);
+    conflicts.slice(0, 10).forEach(({ entry, reason }) => logger.file(getFilename(entry.to), reason));
+    if (conflicts.length > 10) {
+        logger.info(`    ... and ${conflicts.length - 10} more`);
+    }
+}
+
+/**
+ * Undo a previous run recorded in a journal
+ * @param {Object} journal - Journal to undo (see services/journal.js)
+ * @param {object} options - Undo options
+ * @param {boolean} options.dryRun - Preview only, check for conflicts without changing anything
+ */
+export async function runUndo(journal, options = {}) {
+    const { dryRun = false } = options;
+
+    logger.section(dryRun ? "Undo Preview" : "Undoing run");
+    logger.info(describeJournal(journal));
+
+    const spinner = ora(dryRun ? "Checking files..." : "Restoring files...").start();
+    const result = await undoJournal(journal, { dryRun });
+
+    if (dryRun) {
+        spinner.succeed(`${result.restored} files can be restored`);
+    } else if (result.conflicts.length > 0 || result.errors.length > 0) {
+        spinner.warn(`Restored ${result.restored} files with ${result.conflicts.length + result.errors.length} skipped`);
+    } else {
+        spinner.succeed(`Restored ${result.restored} files`);
+    }
+
+    if (result.conflicts.length > 0) {
+        showConflicts(result.conflicts);
+    }
+
+    if (dryRun) {
+        logger.newline();
+        logger.warning("PREVIEW - No files have been moved");
+        return result;
+    }
+
+    logger.section("Summary");
+    logger.stats("Files restored", result.restored);
+    logger.stats("Folders removed", result.foldersRemoved);
+    logger.stats("Folders recreated", result.foldersRestored);
+
+    if (result.errors.length > 0) {
+        logger.stats("Errors", result.errors.length);
+        logger.newline();
+        logger.error("Operations with errors:");
+        result.errors.forEach((e) => logger.file(e.entry.to || e.entry.path, e.error));
+    }
+
+    return result;
+}
@@ -0,0 +1,144 @@
+import path from "path";
+import ora from "ora";
+import fs from "fs-extra";
+import chalk from "chalk";
+import inquirer from "inquirer";
+import { logger } from "../utils/logger.js";
+import { findFilesByExtension, formatBytes, moveFile } from "../utils/files.js";
+import { CORRUPT_FOLDER, PROBLEM_LABELS, createVerificationReport, verifyComicFiles } from "../services/integrity.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { ARCHIVE_EXTENSIONS } from "../services/archives.js";
+import { COMIC_EXTENSIONS } from "../services/comicFiles.js";
+
+/**
+ * Show the files with problems, grouped by problem
+ */
+function showProblems(problems, targetDir) {
+    for (const [type, label] of Object.entries(PROBLEM_LABELS)) {
+        const ofType = problems.filter((result) => result.problem.type === type);
+        if (ofType.length === 0) continue;
+
+        logger.newline();
+        console.log(chalk.yellow(`  ${label} (${ofType.length})`));
+        for (const result of ofType) {
+            logger.file(path.relative(targetDir, result.path), `${formatBytes(result.size)} · ${result.problem.message}`);
+        }
+    }
+}
+
+/**
+ * Get the folder a bad file is quarantined in (its relative path is kept so names can't clash)
+ */
+function getCorruptFolder(filePath, targetDir) {
+    return path.join(targetDir, CORRUPT_FOLDER, path.dirname(path.relative(targetDir, filePath)));
+}
+
+/**
+ * Verify the comic files in a directory: CRC checks, password protection, empty files and archives without pages
+ * @param {string} targetDir - Directory to verify
+ * @param {object} options - Verification options
+ * @param {boolean} options.interactive - Ask before quarantining bad files (default: true)
+ * @param {boolean} options.recursive - Check subfolders too (default: true)
+ * @param {boolean} options.quarantine - Move bad files to a "_Corrupt" folder when not interactive (default: false)
+ * @param {boolean} options.dryRun - Show what would be moved without moving anything
+ * @param {string} options.reportPath - Save the report as JSON to this file
+ * @param {number} options.concurrency - Files checked at once
+ * @returns {Promise<Object>} { checked, problems, moved, errors }
+ */
+export async function runVerification(targetDir, options = {}) {
+    const { interactive = true, recursive = true, dryRun = false, reportPath = null, concurrency } = options;
+    let { quarantine = false } = options;
+
+    const result = { checked: 0, problems: [], moved: 0, errors: [] };
+
+    logger.section("Verifying comic files");
+
+    const spinner = ora("Finding comic files...").start();
+    const corruptDir = path.join(targetDir, CORRUPT_FOLDER);
+    // Every .zip and .rar is looked at, so one that can't even be listed is reported too
+    const files = (await findFilesByExtension(targetDir, [...COMIC_EXTENSIONS, ...ARCHIVE_EXTENSIONS], { recursive })).filter((file) => !file.startsWith(corruptDir + path.sep));
+
+    if (files.length === 0) {
+        spinner.info("No comic files found");
+        return result;
+    }
+
+    spinner.text = `Checking ${files.length} files...`;
+    const results = await verifyComicFiles(files, {
+        concurrency,
+        onProgress: (current, total) => {
+            spinner.text = `Checking files ${current}/${total}`;
+        },
+    });
+
+    result.checked = results.length;
+    result.problems = results.filter((item) => item.problem);
+
+    if (result.problems.length === 0) {
+        spinner.succeed(`All ${results.length} files are OK`);
+    } else {
+        spinner.warn(`${result.problems.length} of ${results.length} files have problems`);
+        showProblems(result.problems, targetDir);
+    }
+
+    if (reportPath) {
+        await fs.outputJson(reportPath, createVerificationReport(targetDir, results), { spaces: 2 });
+        logger.newline();
+        logger.info(`Report saved to ${reportPath}`);
+    }
+
+    // A .zip or .rar that can't be listed may not be a comic at all, so it's reported but never moved
+    const movable = result.problems.filter((item) => !item.leaveInPlace);
+    if (movable.length === 0) {
+        return result;
+    }
+
+    if (interactive) {
+        logger.newline();
+        ({ quarantine } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "quarantine",
+                message: `Move ${movable.length} files to a "${CORRUPT_FOLDER}" folder?`,
+                default: true,
+            },
+        ]));
+    }
+
+    if (!quarantine) {
+        return result;
+    }
+
+    if (dryRun) {
+        logger.newline();
+        logger.warning("PREVIEW - No files have been moved");
+        logger.newline();
+        for (const item of movable) {
+            logger.preview(item.path, path.join(getCorruptFolder(item.path, targetDir), path.basename(item.path)));
+        }
+        return result;
+    }
+
+    const journal = createJournal("verify", { sourceDir: targetDir });
+    const moveSpinner = ora(`Moving files to ${CORRUPT_FOLDER}...`).start();
+
+    for (const item of movable) {
+        try {
+            await moveFile(item.path, getCorruptFolder(item.path, targetDir), { journal });
+            result.moved++;
+        } catch (error) {
+            result.errors.push({ file: item.path, error: error.message });
+        }
+    }
+
+    if (result.errors.length > 0) {
+        moveSpinner.warn(`Moved ${result.moved} files to ${CORRUPT_FOLDER} with ${result.errors.length} errors`);
+        result.errors.forEach((e) => logger.file(e.file, e.error));
+    } else {
+        moveSpinner.succeed(`Moved ${result.moved} files to ${CORRUPT_FOLDER}`);
+    }
+
+    logJournalSaved(journal);
+
+    return result;
+}
@@ -0,0 +1,283 @@
+import path from "path";
+import fs from "fs-extra";
+import { setTimeout as sleep } from "timers/promises";
+import { logger } from "../utils/logger.js";
+import { getFilename, moveFile } from "../utils/files.js";
+import { getComicMetadata } from "../services/metadata.js";
+import { openMetadataCache, saveMetadataCache } from "../services/metadataCache.js";
+import { extractSeriesName, normalizeSeriesKey } from "../services/seriesDetection.js";
+import { addToReviewQueue, REVIEW_FOLDER } from "../services/reviewQueue.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { getUserConfig } from "../services/userConfig.js";
+import { DEFAULT_WATCH_MIN_CONFIDENCE, meetsConfidence } from "../services/confidence.js";
+import { DEFAULT_FOLDER_TEMPLATE } from "../services/templates.js";
+import { findComicFiles } from "../services/comicFiles.js";
+import { buildAssignments } from "./auto.js";
+
+/**
+ * Watch mode
+ * Polls an inbox folder and files comics into a library once they have stopped changing.
+ * New files join an existing series folder in the library when exactly one matches;
+ * otherwise they are filed like the automatic organizer would, as long as the metadata is
+ * trustworthy. Anything ambiguous goes to the library's review queue.
+ */
+
+export const DEFAULT_POLL_INTERVAL = 5000;
+export const DEFAULT_SETTLE_TIME = 10000;
+
+/**
+ * Create the state kept between polls
+ * pending maps each inbox file to the size and mtime last seen, and since when they haven't changed
+ */
+export function createWatchState() {
+    return { pending: new Map(), handled: new Set() };
+}
+
+/**
+ * Get the series name a library folder holds (its last segment without a trailing year)
+ */
+function getFolderSeriesName(folder) {
+    return path.basename(folder).replace(/\s*\(\d{4}\)$/, "");
+}
+
+/**
+ * Index the series folders already in a library
+ * Folders starting with "_" (review queue, duplicates, unmatched) and "oneshots" folders are skipped.
+ * @returns {Promise<Map<string, Set<string>>>} Normalized series key -> relative folder paths
+ */
+export async function buildLibraryIndex(libraryDir) {
+    const index = new Map();
+    const files = await findComicFiles(libraryDir, { recursive: true });
+
+    for (const file of files) {
+        const folder = path.relative(libraryDir, path.dirname(file));
+        if (!folder) continue;
+
+        const segments = folder.split(path.sep);
+        if (segments.some((segment) => segment.startsWith("_")) || segments.at(-1) === "oneshots") continue;
+
+        const key = normalizeSeriesKey(getFolderSeriesName(folder));
+        if (!key) continue;
+
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(segments.join("/"));
+    }
+
+    return index;
+}
+
+/**
+ * Decide where a new file goes
+ * @returns {Promise<Object>} { folder, source } when it can be filed, or { folder: null, reason, suggestedFolder } for review
+ */
+export async function decideDestination(filePath, libraryIndex, options = {}) {
+    const filename = getFilename(filePath);
+    const metadata = await getComicMetadata(filename, {
+        filePath,
+        useApi: options.useApi,
+        provider: options.provider,
+        providerOptions: options.providerOptions,
+        cache: options.cache,
+    });
+
+    const seriesName = metadata.series || extractSeriesName(filename);
+    const matches = [...(libraryIndex.get(normalizeSeriesKey(seriesName)) || [])];
+
+    if (matches.length === 1) {
+        return { folder: matches[0], source: "library", metadata };
+    }
+
+    if (matches.length > 1) {
+        return {
+            folder: null,
+            reason: `"${seriesName}" matches several library folders: ${matches.join(", ")}`,
+            suggestedFolder: null,
+            metadata,
+        };
+    }
+
+    // Not in the library yet - use the automatic organizer's folder logic and template
+    const folderTemplate = getUserConfig().folderTemplate || DEFAULT_FOLDER_TEMPLATE;
+    const [assignment] = buildAssignments([filePath], [metadata], new Map(), [], { folderTemplate });
+
+    const minConfidence = options.minConfidence || getUserConfig().minConfidence || DEFAULT_WATCH_MIN_CONFIDENCE;
+    if (!meetsConfidence(metadata.confidence, minConfidence)) {
+        return { folder: null, reason: `Low confidence match (${metadata.confidence}, ${metadata.source})`, suggestedFolder: assignment.folder, metadata };
+    }
+
+    if (assignment.folder.split("/")[0] === "Unsorted") {
+        return { folder: null, reason: "Publisher unknown", suggestedFolder: assignment.folder, metadata };
+    }
+
+    return { folder: assignment.folder, source: metadata.source, metadata };
+}
+
+/**
+ * Find inbox files that haven't changed for at least settleTime
+ * A file seen for the first time counts as unchanged since its mtime, so files that were
+ * already complete are picked up on the first poll.
+ */
+async function findSettledFiles(inboxDir, state, settleTime) {
+    const now = Date.now();
+    const files = await findComicFiles(inboxDir);
+    const settled = [];
+
+    for (const file of files) {
+        let stat;
+        try {
+            stat = await fs.stat(file);
+        } catch {
+            continue; // Removed while scanning
+        }
+
+        const previous = state.pending.get(file);
+        if (!previous || previous.size !== stat.size || previous.mtimeMs !== stat.mtimeMs) {
+            state.pending.set(file, {
+                size: stat.size,
+                mtimeMs: stat.mtimeMs,
+                since: previous ? now : Math.min(now, stat.mtimeMs),
+            });
+        }
+
+        const { size, mtimeMs, since } = state.pending.get(file);
+        if (now - since >= settleTime && !state.handled.has(`${file}:${size}:${mtimeMs}`)) {
+            settled.push(file);
+        }
+    }
+
+    // Forget files that left the inbox
+    for (const file of state.pending.keys()) {
+        if (!files.includes(file)) state.pending.delete(file);
+    }
+
+    return settled;
+}
+
+/**
+ * Check the inbox once and file every settled comic
+ * @param {string} inboxDir - Folder new comics arrive in (only its root is watched)
+ * @param {string} libraryDir - Organized library to file comics into
+ * @param {object} state - State from createWatchState, kept between calls
+ * @param {object} options - Same options as runWatchMode
+ * @returns {Promise<Object>} { filed: [{ file, destination }], queued: [{ file, destination, reason }], errors: [{ file, error }] }
+ */
+export async function processInbox(inboxDir, libraryDir, state, options = {}) {
+    const { settleTime = DEFAULT_SETTLE_TIME, dryRun = false, cache = null } = options;
+    const result = { filed: [], queued: [], errors: [] };
+
+    const settled = await findSettledFiles(inboxDir, state, settleTime);
+    if (settled.length === 0) return result;
+
+    const libraryIndex = await buildLibraryIndex(libraryDir);
+    const journal = dryRun ? null : createJournal("watch", { sourceDir: inboxDir, outputDir: libraryDir });
+
+    for (const file of settled) {
+        const filename = getFilename(file);
+        const { size, mtimeMs } = state.pending.get(file);
+
+        try {
+            let decision = await decideDestination(file, libraryIndex, options);
+
+            // A re-download of an issue the library already has is left for the user to compare
+            if (decision.folder && (await fs.pathExists(path.join(libraryDir, decision.folder, filename)))) {
+                decision = { folder: null, reason: `Already in the library (${decision.folder})`, suggestedFolder: decision.folder, metadata: decision.metadata };
+            }
+
+            if (decision.folder) {
+                const destFolder = path.join(libraryDir, decision.folder);
+                const { destination } = await moveFile(file, destFolder, { dryRun, journal });
+                result.filed.push({ file, destination });
+                logger.success(`${filename} → ${decision.folder}`);
+
+                // Later files in the same batch can join the new folder
+                const key = normalizeSeriesKey(getFolderSeriesName(decision.folder));
+                if (!libraryIndex.has(key)) libraryIndex.set(key, new Set([decision.folder]));
+            } else {
+                const destination = dryRun
+                    ? path.join(libraryDir, REVIEW_FOLDER, filename)
+                    : await addToReviewQueue(file, libraryDir, decision, { journal });
+                result.queued.push({ file, destination, reason: decision.reason });
+                logger.warning(`${filename} → ${REVIEW_FOLDER} (${decision.reason})`);
+            }
+        } catch (error) {
+            result.errors.push({ file, error: error.message });
+            logger.error(`${filename}: ${error.message}`);
+        }
+
+        // Don't try the same version of a file again (it stays in the inbox in a dry run or after an error)
+        state.handled.add(`${file}:${size}:${mtimeMs}`);
+    }
+
+    if (cache) await saveMetadataCache(cache);
+    if (journal) logJournalSaved(journal);
+
+    return result;
+}
+
+/**
+ * Watch an inbox folder and file new comics into a library until stopped
+ * @param {string} inboxDir - Folder new comics arrive in (only its root is watched)
+ * @param {string} libraryDir - Organized library to file comics into
+ * @param {object} options - Watch options
+ * @param {number} options.interval - Time between polls in ms (default: 5s)
+ * @param {number} options.settleTime - How long a file must stay unchanged before it's filed, in ms (default: 10s)
+ * @param {boolean} options.once - Check the inbox once and return
+ * @param {boolean} options.dryRun - Report where files would go without moving them
+ * @param {boolean} options.useApi - Query the metadata API
+ * @param {string} options.provider - Metadata provider value (see services/metadata.js)
+ * @param {object} options.providerOptions - Extra provider settings, e.g. { apiKey, baseUrl }
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {string} options.minConfidence - Lowest match confidence that starts a new library folder (see services/confidence.js,
+ *   default: the config's minConfidence, or high)
+ * @param {AbortSignal} options.signal - Stops watching when aborted (Ctrl+C also stops it)
+ * @returns {Promise<Object>} Totals: { filed, queued, errors }
+ */
+export async function runWatchMode(inboxDir, libraryDir, options = {}) {
+    const { interval = DEFAULT_POLL_INTERVAL, once = false, useCache = true } = options;
+
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+    process.once("SIGINT", stop);
+
+    const state = createWatchState();
+    const cache = useCache ? await openMetadataCache() : null;
+    const totals = { filed: 0, queued: 0, errors: [] };
+
+    logger.section("Watching for new comics");
+    logger.stats("Inbox", inboxDir);
+    logger.stats("Library", libraryDir);
+    if (!once) {
+        logger.newline();
+        logger.info("Press Ctrl+C to stop watching");
+    }
+    logger.newline();
+
+    try {
+        while (!signal.aborted) {
+            const result = await processInbox(inboxDir, libraryDir, state, { ...options, cache });
+            totals.filed += result.filed.length;
+            totals.queued += result.queued.length;
+            totals.errors.push(...result.errors);
+
+            if (once) break;
+
+            try {
+                await sleep(interval, undefined, { signal });
+            } catch {
+                break; // Aborted
+            }
+        }
+    } finally {
+        process.removeListener("SIGINT", stop);
+    }
+
+    logger.section("Summary");
+    logger.stats(options.dryRun ? "Files that would be filed" : "Files filed", totals.filed);
+    logger.stats(`Sent to ${REVIEW_FOLDER}`, totals.queued);
+    if (totals.errors.length > 0) {
+        logger.stats("Errors", totals.errors.length);
+    }
+
+    return totals;
+}
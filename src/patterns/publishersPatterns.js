@@ -45,3 +45,9 @@ export const PUBLISHER_ALIASES = {
     "oni press": PUBLISHERS.ONI_PRESS,
     "wildstorm productions": PUBLISHERS.WILDSTORM,
 };
+
+// Imprints and the publisher that owns them
+export const IMPRINTS = {
+    [PUBLISHERS.VERTIGO]: PUBLISHERS.DC,
+    [PUBLISHERS.WILDSTORM]: PUBLISHERS.DC,
+};
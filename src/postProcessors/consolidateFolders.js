@@ -4,7 +4,11 @@ import path from "path";
 import fs from "fs-extra";
 import ora from "ora";
 import { logger } from "../utils/logger.js";
-import { findComicFiles, getFilename } from "../utils/files.js";
+import { getFilename, ensureDirectory } from "../utils/files.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { excludeOriginals } from "../services/transferModes.js";
+import { getPublisherFolder, resolveImprint } from "../services/patterns.js";
+import { findComicFiles } from "../services/comicFiles.js";
 
 /**
  * Normalize a string for comparison (lowercase, remove special chars, collapse spaces)
@@ -38,6 +42,22 @@ function extractSeriesFromFolder(folderPath) {
     return lastPart;
 }
 
+/**
+ * Get the parent publisher and imprint a folder is filed under, whatever the imprint layout
+ * ("Vertigo/Sandman", "DC Comics/Vertigo/Sandman" and "DC Comics/Sandman" all belong to DC Comics)
+ * @returns {Object} { publisher, imprint } - both null for top-level folders
+ */
+function getFolderPublisher(parts) {
+    if (parts.length < 2) return { publisher: null, imprint: null };
+
+    if (parts.length > 2) {
+        const nested = resolveImprint(parts[0], parts[1]);
+        if (nested.imprint) return nested;
+    }
+
+    return resolveImprint(parts[0]);
+}
+
 /**
  * Calculate similarity between two folder names
  */
@@ -72,9 +92,9 @@ function calculateSimilarity(str1, str2) {
 /**
  * Find all folders in a directory
  */
-async function findFolders(directory) {
+async function findFolders(directory, originals) {
     const folders = new Set();
-    const files = await findComicFiles(directory, { recursive: true });
+    const files = excludeOriginals(await findComicFiles(directory, { recursive: true }), originals);
 
     for (const file of files) {
         const relativePath = path.relative(directory, path.dirname(file));
@@ -96,11 +116,10 @@ function findSimilarFolders(folders) {
 
     // Extract info for each folder
     const folderInfo = folders.map((folder) => {
-        const parts = folder.split("/");
-        const publisher = parts.length > 1 ? parts[0] : null;
+        const { publisher, imprint } = getFolderPublisher(folder.split("/"));
         const seriesName = extractSeriesFromFolder(folder);
         const normalizedSeries = normalizeForComparison(seriesName);
-        return { folder, publisher, seriesName, normalizedSeries };
+        return { folder, publisher, imprint, seriesName, normalizedSeries };
     });
 
     // Group similar folders
@@ -111,6 +130,7 @@ function findSimilarFolders(folders) {
         const group = {
             seriesName: current.seriesName,
             publisher: current.publisher,
+            imprint: current.imprint,
             suggestedFolder: current.folder,
             folders: [current.folder],
         };
@@ -123,8 +143,9 @@ function findSimilarFolders(folders) {
 
             const other = folderInfo[j];
 
-            // Must have same publisher (or both no publisher)
-            if (current.publisher !== other.publisher) continue;
+            // Must have same publisher (or both no publisher), imprint folders count as their parent publisher
+            if (group.publisher !== other.publisher) continue;
+            if (group.imprint && other.imprint && group.imprint !== other.imprint) continue;
 
             // Check similarity
             const similarity = calculateSimilarity(current.seriesName, other.seriesName);
@@ -133,6 +154,8 @@ function findSimilarFolders(folders) {
                 group.folders.push(other.folder);
                 processed.add(j);
 
+                group.imprint = group.imprint || other.imprint;
+
                 // Use shorter series name as the group name
                 if (other.seriesName.length < group.seriesName.length) {
                     group.seriesName = other.seriesName;
@@ -143,6 +166,10 @@ function findSimilarFolders(folders) {
 
         // Only keep groups with multiple folders
         if (group.folders.length > 1) {
+            // Suggest the imprint folder the configured layout files the series under
+            if (group.imprint) {
+                group.suggestedFolder = `${getPublisherFolder(group.publisher, group.imprint)}/${path.basename(group.suggestedFolder)}`;
+            }
             groups.push(group);
         }
     }
@@ -155,12 +182,19 @@ function findSimilarFolders(folders) {
 
 /**
  * Consolidate folders post-processor
+ * @param {object} options - Handler options
+ * @param {boolean} options.interactive - Prompt for groups and target names (default: true).
+ *   When false, every group is merged into its suggested folder.
+ * @param {boolean} options.dryRun - Only show the similar folders, don't merge anything
+ * @param {Array<string>} options.originals - Files a copy or link run left in place, which are never touched
  */
-export async function consolidateFoldersHandler(sourceDir, outputDir) {
+export async function consolidateFoldersHandler(sourceDir, outputDir, options = {}) {
+    const { interactive = true, dryRun = false, originals = [] } = options;
+
     logger.newline();
     const spinner = ora("Scanning for similar folders...").start();
 
-    const folders = await findFolders(outputDir);
+    const folders = await findFolders(outputDir, originals);
 
     if (folders.length === 0) {
         spinner.warn("No folders found");
@@ -188,32 +222,44 @@ export async function consolidateFoldersHandler(sourceDir, outputDir) {
         console.log();
     }
 
-    const { wantConsolidate } = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "wantConsolidate",
-            message: "Would you like to merge any of these folders?",
-            default: true,
-        },
-    ]);
-
-    if (!wantConsolidate) {
+    if (dryRun) {
+        logger.warning("PREVIEW - No folders have been merged");
         return;
     }
 
-    // Let user select which groups to consolidate
-    const { selectedGroups } = await inquirer.prompt([
-        {
-            type: "checkbox",
-            name: "selectedGroups",
-            message: "Select folder groups to merge:",
-            choices: similarGroups.map((group, index) => ({
-                name: `${group.seriesName} (merge ${group.folders.length} folders)`,
-                value: index,
-                checked: true,
-            })),
-        },
-    ]);
+    let selectedGroups = similarGroups.map((group, index) => index);
+
+    if (interactive) {
+        const { wantConsolidate } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "wantConsolidate",
+                message: "Would you like to merge any of these folders?",
+                default: true,
+            },
+        ]);
+
+        if (!wantConsolidate) {
+            return;
+        }
+
+        // Let user select which groups to consolidate
+        ({ selectedGroups } = await inquirer.prompt([
+            {
+                type: "checkbox",
+                name: "selectedGroups",
+                message: "Select folder groups to merge:",
+                choices: similarGroups.map((group, index) => ({
+                    name: `${group.seriesName} (merge ${group.folders.length} folders)`,
+                    value: index,
+                    checked: true,
+                })),
+            },
+        ]));
+    }
+
+    const journal = createJournal("consolidate-folders", { outputDir });
+    let totalErrors = 0;
 
     // Process each selected group
     for (const groupIndex of selectedGroups) {
@@ -225,14 +271,18 @@ export async function consolidateFoldersHandler(sourceDir, outputDir) {
         logger.newline();
 
         // Ask for target folder name
-        const { targetFolder } = await inquirer.prompt([
-            {
-                type: "input",
-                name: "targetFolder",
-                message: `Choose target folder name:`,
-                default: group.suggestedFolder,
-            },
-        ]);
+        let targetFolder = group.suggestedFolder;
+
+        if (interactive) {
+            ({ targetFolder } = await inquirer.prompt([
+                {
+                    type: "input",
+                    name: "targetFolder",
+                    message: `Choose target folder name:`,
+                    default: group.suggestedFolder,
+                },
+            ]));
+        }
 
         const targetPath = path.join(outputDir, targetFolder);
 
@@ -245,15 +295,16 @@ export async function consolidateFoldersHandler(sourceDir, outputDir) {
             if (sourceFolder === targetFolder) continue; // Skip if already the target
 
             const sourcePath = path.join(outputDir, sourceFolder);
-            const files = await findComicFiles(sourcePath);
+            const files = excludeOriginals(await findComicFiles(sourcePath), originals);
 
             for (const file of files) {
                 const filename = path.basename(file);
                 const destPath = path.join(targetPath, filename);
 
                 try {
-                    await fs.ensureDir(targetPath);
+                    await ensureDirectory(targetPath, journal);
                     await fs.move(file, destPath, { overwrite: false });
+                    await journal.recordMove(file, destPath);
                     filesMoved++;
                 } catch (error) {
                     errors++;
@@ -265,6 +316,7 @@ export async function consolidateFoldersHandler(sourceDir, outputDir) {
                 const entries = await fs.readdir(sourcePath);
                 if (entries.length === 0) {
                     await fs.rmdir(sourcePath);
+                    await journal.recordRmdir(sourcePath);
                 }
             } catch {
                 // Folder not empty or doesn't exist
@@ -276,6 +328,13 @@ export async function consolidateFoldersHandler(sourceDir, outputDir) {
         } else {
             mergeSpinner.succeed(`Merged ${filesMoved} files into ${targetFolder}`);
         }
+        totalErrors += errors;
+    }
+
+    logJournalSaved(journal);
+
+    if (!interactive && totalErrors > 0) {
+        throw new Error(`${totalErrors} files could not be merged`);
     }
 
     logger.newline();
@@ -0,0 +1,144 @@
+import inquirer from "inquirer";
+import path from "path";
+import fs from "fs-extra";
+import ora from "ora";
+import { logger } from "../utils/logger.js";
+import { getExtension, getFilename } from "../utils/files.js";
+import { ARCHIVE_EXTENSIONS, convertToCbz, inspectArchive } from "../services/archives.js";
+import { createJournal, logJournalSaved, recordReplacements } from "../services/journal.js";
+import { excludeOriginals } from "../services/transferModes.js";
+import { findComicFiles } from "../services/comicFiles.js";
+
+/**
+ * Show the conversion plan
+ */
+function showPreview(conversions, skipped, outputDir) {
+    logger.newline();
+    logger.section(`Preview: ${conversions.length} archives will be converted to CBZ`);
+
+    for (const item of conversions) {
+        const note = item.isZip ? "already a ZIP archive, will be renamed" : `${item.pages} pages`;
+        logger.file(path.relative(outputDir, item.source), `${getFilename(item.destination)} (${note})`);
+    }
+
+    if (skipped.length > 0) {
+        logger.newline();
+        logger.warning(`${skipped.length} files will be skipped:`);
+        skipped.forEach((item) => logger.file(path.relative(outputDir, item.source), item.reason));
+    }
+
+    logger.newline();
+}
+
+/**
+ * Convert CBR, CB7 and CBT files (and .zip/.rar comics) to CBZ
+ * The original archive is only deleted after the new CBZ has been verified (same pages and file contents).
+ * @param {object} options - Handler options
+ * @param {boolean} options.interactive - Ask for confirmation before converting (default: true)
+ * @param {boolean} options.dryRun - Only show which files would be converted
+ * @param {Array<string>} options.originals - Files a copy or link run left in place, which are never touched
+ */
+export async function convertCbrHandler(sourceDir, outputDir, options = {}) {
+    const { interactive = true, dryRun = false, originals = [] } = options;
+
+    logger.newline();
+
+    const spinner = ora("Finding archives to convert...").start();
+    const files = excludeOriginals(await findComicFiles(outputDir, { recursive: true }), originals).filter((file) => ARCHIVE_EXTENSIONS.includes(getExtension(file)) && getExtension(file) !== ".cbz");
+
+    if (files.length === 0) {
+        spinner.info("No archives to convert found");
+        return;
+    }
+
+    spinner.text = `Inspecting ${files.length} archives...`;
+
+    const conversions = [];
+    const skipped = [];
+
+    for (const file of files) {
+        try {
+            const item = await inspectArchive(file);
+
+            if (item.conflict) {
+                skipped.push({ source: file, reason: `${getFilename(item.destination)} already exists` });
+            } else if (item.pages === 0) {
+                skipped.push({ source: file, reason: "no page images found" });
+            } else {
+                conversions.push(item);
+            }
+        } catch (error) {
+            skipped.push({ source: file, reason: `can't be read (${error.message})` });
+        }
+    }
+
+    spinner.succeed(`Found ${files.length} archives to convert`);
+
+    showPreview(conversions, skipped, outputDir);
+
+    if (conversions.length === 0) {
+        logger.warning("No files can be converted");
+        return;
+    }
+
+    if (dryRun) {
+        logger.warning("PREVIEW - No files have been converted");
+        return;
+    }
+
+    if (interactive) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "confirm",
+                message: `Convert ${conversions.length} files? Originals are deleted after each CBZ is verified.`,
+                default: true,
+            },
+        ]);
+
+        if (!confirm) {
+            logger.info("Conversion cancelled");
+            return;
+        }
+    }
+
+    // Only renames of ZIP archives with another extension can be undone; converted originals are deleted
+    const journal = createJournal("convert-cbr", { outputDir });
+    const convertSpinner = ora("Converting files...").start();
+    const errors = [];
+    const replacements = [];
+    let converted = 0;
+
+    for (const item of conversions) {
+        convertSpinner.text = `Converting ${converted + errors.length + 1}/${conversions.length}: ${getFilename(item.source)}`;
+
+        try {
+            const before = await fs.stat(item.source);
+            const result = await convertToCbz(item.source);
+            if (result.renamed) {
+                await journal.recordRename(result.source, result.destination);
+            } else {
+                replacements.push({ path: result.source, before, replacement: result.destination });
+            }
+            converted++;
+        } catch (error) {
+            errors.push({ file: item.source, error: error.message });
+        }
+    }
+
+    // Keep the runs that put the originals here undoable (they carry the CBZ back instead)
+    await recordReplacements(replacements);
+
+    if (errors.length > 0) {
+        convertSpinner.warn(`Converted ${converted} files (${errors.length} failed, originals kept)`);
+        errors.forEach((e) => logger.file(path.relative(outputDir, e.file), e.error));
+    } else {
+        convertSpinner.succeed(`Converted ${converted} files to CBZ`);
+    }
+
+    logJournalSaved(journal);
+
+    if (!interactive && errors.length > 0) {
+        throw new Error(`${errors.length} files could not be converted`);
+    }
+}
@@ -0,0 +1,112 @@
+import inquirer from "inquirer";
+import path from "path";
+import ora from "ora";
+import { logger } from "../utils/logger.js";
+import { getFilename } from "../utils/files.js";
+import { findImageFolders, packageImageFolder } from "../services/archives.js";
+
+/**
+ * Show the packaging plan
+ */
+function showPreview(folders, skipped, outputDir) {
+    logger.newline();
+    logger.section(`Preview: ${folders.length} image folders will be packaged as CBZ`);
+
+    for (const item of folders) {
+        logger.file(path.relative(outputDir, item.folder) + path.sep, `${getFilename(item.destination)} (${item.pages} pages)`);
+    }
+
+    if (skipped.length > 0) {
+        logger.newline();
+        logger.warning(`${skipped.length} folders will be skipped:`);
+        skipped.forEach((item) => logger.file(path.relative(outputDir, item.folder) + path.sep, item.reason));
+    }
+
+    logger.newline();
+}
+
+/**
+ * Package folders of page images as CBZ files
+ * A folder counts as a comic when it only holds numbered page images (and optionally ComicInfo.xml).
+ * Each folder is deleted once its CBZ has been verified.
+ * @param {object} options - Handler options
+ * @param {boolean} options.interactive - Ask for confirmation before packaging (default: true)
+ * @param {boolean} options.dryRun - Only show which folders would be packaged
+ * @param {boolean} options.recursive - Look for image folders in subfolders too (default: true)
+ * @returns {Promise<Array<string>>} Paths of the CBZ files created
+ */
+export async function packageImageFoldersHandler(sourceDir, outputDir, options = {}) {
+    const { interactive = true, dryRun = false, recursive = true } = options;
+
+    logger.newline();
+
+    const spinner = ora("Finding folders of page images...").start();
+    const found = await findImageFolders(outputDir, { recursive });
+
+    if (found.length === 0) {
+        spinner.info("No folders of page images found");
+        return [];
+    }
+
+    spinner.succeed(`Found ${found.length} folders of page images`);
+
+    const folders = found.filter((item) => !item.conflict);
+    const skipped = found.filter((item) => item.conflict).map((item) => ({ folder: item.folder, reason: `${getFilename(item.destination)} already exists` }));
+
+    showPreview(folders, skipped, outputDir);
+
+    if (folders.length === 0) {
+        logger.warning("No folders can be packaged");
+        return [];
+    }
+
+    if (dryRun) {
+        logger.warning("PREVIEW - No folders have been packaged");
+        return [];
+    }
+
+    if (interactive) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "confirm",
+                message: `Package ${folders.length} folders? Each folder is deleted after its CBZ is verified.`,
+                default: true,
+            },
+        ]);
+
+        if (!confirm) {
+            logger.info("Packaging cancelled");
+            return [];
+        }
+    }
+
+    // Packaged folders are deleted, so this can't be undone (and isn't journaled)
+    const packSpinner = ora("Packaging folders...").start();
+    const created = [];
+    const errors = [];
+
+    for (const item of folders) {
+        packSpinner.text = `Packaging ${created.length + errors.length + 1}/${folders.length}: ${getFilename(item.folder)}`;
+
+        try {
+            const result = await packageImageFolder(item.folder);
+            created.push(result.destination);
+        } catch (error) {
+            errors.push({ folder: item.folder, error: error.message });
+        }
+    }
+
+    if (errors.length > 0) {
+        packSpinner.warn(`Packaged ${created.length} folders (${errors.length} failed, folders kept)`);
+        errors.forEach((e) => logger.file(path.relative(outputDir, e.folder) + path.sep, e.error));
+    } else {
+        packSpinner.succeed(`Packaged ${created.length} folders as CBZ`);
+    }
+
+    if (!interactive && errors.length > 0) {
+        throw new Error(`${errors.length} folders could not be packaged`);
+    }
+
+    return created;
+}
@@ -4,8 +4,15 @@ import path from "path";
 import fs from "fs-extra";
 import ora from "ora";
 import { logger } from "../utils/logger.js";
-import { findComicFiles, getExtension, getFilename } from "../utils/files.js";
-import { getComicMetadata } from "../services/metadata.js";
+import { getExtension, getFilename } from "../utils/files.js";
+import { batchGetMetadata, promptMetadataProvider } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
+import { createJournal, logJournalSaved } from "../services/journal.js";
+import { getPublisherSegments } from "../services/patterns.js";
+import { getTemplateFields, renderTemplate, sanitizeName, validateTemplate } from "../services/templates.js";
+import { getUserConfig, saveUserConfig } from "../services/userConfig.js";
+import { excludeOriginals } from "../services/transferModes.js";
+import { findComicFiles } from "../services/comicFiles.js";
 
 /**
  * Sanitize filename by replacing invalid characters
@@ -17,6 +24,13 @@ function sanitizeFilename(filename) {
         .trim();
 }
 
+/**
+ * Get the publisher part of a filename, following the imprint layout (e.g. "Vertigo" or "DC Comics - Vertigo")
+ */
+function getPublisherLabel(meta) {
+    return getPublisherSegments(meta.publisher, meta.imprint).join(" - ");
+}
+
 /**
  * Rename format templates
  */
@@ -87,7 +101,7 @@ const RENAME_FORMATS = [
         example: "Marvel - Spider-Man - Issue #001 (2023).cbz",
         format: (meta, ext) => {
             const parts = [];
-            if (meta.publisher) parts.push(meta.publisher);
+            if (meta.publisher) parts.push(getPublisherLabel(meta));
             if (meta.series) parts.push(meta.series);
             if (meta.issueNumber !== null) parts.push(`Issue #${String(meta.issueNumber).padStart(3, "0")}`);
             if (meta.year) parts.push(`(${meta.year})`);
@@ -123,7 +137,7 @@ const RENAME_FORMATS = [
         example: "Marvel - Spider-Man (2023).cbz",
         format: (meta, ext) => {
             const parts = [];
-            if (meta.publisher) parts.push(meta.publisher);
+            if (meta.publisher) parts.push(getPublisherLabel(meta));
             if (meta.series) parts.push(meta.series);
             if (meta.year) parts.push(`(${meta.year})`);
             return parts.length > 0 ? parts.join(" - ") + ext : null;
@@ -143,43 +157,192 @@ const RENAME_FORMATS = [
     },
 ];
 
+// How many of the user's files the template editor renders examples for
+const TEMPLATE_EXAMPLE_COUNT = 3;
+
 /**
- * Rename files based on metadata
+ * Turn a rename template (see services/templates.js) into a rename format
+ * The publisher follows the imprint layout like the built-in formats ("DC Comics - Vertigo")
+ */
+function createTemplateFormat({ name, template }) {
+    return {
+        name,
+        value: name,
+        example: template,
+        template,
+        format: (meta, ext) => {
+            const fields = getTemplateFields(meta, { publisher: getPublisherLabel(meta) || null });
+            const filename = sanitizeName(renderTemplate(template, fields));
+            return filename ? filename + ext : null;
+        },
+    };
+}
+
+/**
+ * Get the built-in rename formats followed by the user's rename templates from the config file
  */
-export async function renameFilesHandler(sourceDir, outputDir) {
+export function getRenameFormats() {
+    return [...RENAME_FORMATS, ...(getUserConfig().renameTemplates || []).map(createTemplateFormat)];
+}
+
+/**
+ * Find a rename format by value or template name, or use the format itself as a template
+ * (e.g. --format "{series} #{issue:000}")
+ */
+function findRenameFormat(format) {
+    const match = getRenameFormats().find((f) => f.value.toLowerCase() === format.toLowerCase());
+    if (match || !format.includes("{")) return match;
+
+    const errors = validateTemplate(format);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rename template "${format}": ${errors[0]}`);
+    }
+    return createTemplateFormat({ name: "Custom template", template: format });
+}
+
+/**
+ * Prompt for a new rename template, showing it applied to the user's own files until they accept it
+ * Accepted templates can be named and saved to the config file.
+ * @returns {Promise<string>} The saved template's name, or the template itself when not saved
+ */
+async function promptRenameTemplate(outputDir) {
+    // Examples use ComicInfo.xml and filenames only, so they show up straight away
+    const sampleFiles = (await findComicFiles(outputDir, { recursive: true })).slice(0, TEMPLATE_EXAMPLE_COUNT);
+    const samples = await batchGetMetadata(sampleFiles, { useApi: false });
+
     logger.newline();
+    logger.info("Fields: {series} {issue} {title} {year} {month} {volume} {publisher} {format} {writer} {storyArc} ...");
+    logger.info("Zero-padding: {issue:000}   Fallbacks: {title|series}   Optional parts: {? - {title}}");
 
-    // Select rename format
-    const { format } = await inquirer.prompt([
-        {
-            type: "list",
-            name: "format",
-            message: "Select a filename format:",
-            choices: RENAME_FORMATS.map((fmt) => ({
-                name: `${fmt.name}\n  ${chalk.dim("Example: " + fmt.example)}`,
-                value: fmt.value,
-                short: fmt.name,
-            })),
-        },
-    ]);
+    let template = "{series} #{issue:000} ({year}){? - {title}}";
+    let accepted = false;
+
+    while (!accepted) {
+        logger.newline();
+        ({ template } = await inquirer.prompt([
+            {
+                type: "input",
+                name: "template",
+                message: "Enter a filename template (without extension):",
+                default: template,
+                validate: (input) => validateTemplate(input)[0] || (input.includes("{") ? true : "Use at least one field, e.g. {series}"),
+            },
+        ]));
+
+        if (samples.length === 0) break;
 
-    const selectedFormat = RENAME_FORMATS.find((f) => f.value === format);
+        const templateFormat = createTemplateFormat({ name: "New template", template });
+        logger.newline();
+        samples.forEach((meta, index) => {
+            const ext = getExtension(sampleFiles[index]);
+            console.log(chalk.dim("  Now:     ") + chalk.yellow(meta.originalFilename));
+            console.log(chalk.dim("  Becomes: ") + chalk.green(templateFormat.format(meta, ext) || "(unchanged - template is empty for this file)"));
+        });
+        logger.newline();
 
-    // Ask if they want to use API for better metadata
-    const { useApi } = await inquirer.prompt([
+        ({ accepted } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "accepted",
+                message: "Use this template?",
+                default: true,
+            },
+        ]));
+    }
+
+    const existing = getUserConfig().renameTemplates || [];
+    const { name } = await inquirer.prompt([
         {
-            type: "confirm",
-            name: "useApi",
-            message: "Use Google Books API for enhanced metadata?",
-            default: true,
+            type: "input",
+            name: "name",
+            message: "Name to save it under in your config file (leave empty to use it just this once):",
+            validate: (input) => {
+                const trimmed = input.trim();
+                if (getRenameFormats().some((f) => f.value.toLowerCase() === trimmed.toLowerCase() || f.name.toLowerCase() === trimmed.toLowerCase())) {
+                    return `"${trimmed}" is already taken`;
+                }
+                return true;
+            },
         },
     ]);
 
+    if (!name.trim()) return template;
+
+    const configPath = await saveUserConfig({ renameTemplates: [...existing, { name: name.trim(), template }] });
+    logger.success(`Saved "${name.trim()}" to ${configPath}`);
+    return name.trim();
+}
+
+/**
+ * Rename files based on metadata
+ * @param {object} options - Handler options
+ * @param {boolean} options.interactive - Prompt for format, files and confirmation (default: true).
+ *   When false, every file is renamed without confirmation.
+ * @param {string} options.format - Rename format value, rename template name or a template
+ *   (prompts when interactive and not set)
+ * @param {boolean} options.useApi - Use the metadata API (prompts when interactive and not set)
+ * @param {string} options.provider - Metadata provider value
+ * @param {object} options.providerOptions - Extra provider settings, e.g. { apiKey, baseUrl }
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {boolean} options.dryRun - Only show the preview, don't rename anything
+ * @param {Array<string>} options.originals - Files a copy or link run left in place, which are never touched
+ */
+export async function renameFilesHandler(sourceDir, outputDir, options = {}) {
+    const { interactive = true, dryRun = false } = options;
+    let { format = "smart-format", useApi = true } = options;
+
+    logger.newline();
+
+    // Select rename format
+    if (interactive && !options.format) {
+        const userTemplates = getRenameFormats().filter((fmt) => fmt.template);
+
+        ({ format } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "format",
+                message: "Select a filename format:",
+                choices: [
+                    ...RENAME_FORMATS.map((fmt) => ({
+                        name: `${fmt.name}\n  ${chalk.dim("Example: " + fmt.example)}`,
+                        value: fmt.value,
+                        short: fmt.name,
+                    })),
+                    ...(userTemplates.length > 0 ? [new inquirer.Separator("── Your templates ──")] : []),
+                    ...userTemplates.map((fmt) => ({
+                        name: `${fmt.name}\n  ${chalk.dim("Template: " + fmt.template)}`,
+                        value: fmt.value,
+                        short: fmt.name,
+                    })),
+                    new inquirer.Separator(),
+                    { name: "➕ Create a new template...", value: "new-template", short: "New template" },
+                ],
+            },
+        ]));
+
+        if (format === "new-template") {
+            format = await promptRenameTemplate(outputDir);
+        }
+    }
+
+    const selectedFormat = findRenameFormat(format);
+
+    if (!selectedFormat) {
+        throw new Error(`Unknown rename format: ${format}`);
+    }
+
+    // Ask which metadata source to use for better metadata
+    let { provider, providerOptions } = options;
+
+    if (interactive && options.useApi === undefined) {
+        ({ useApi, provider, providerOptions } = await promptMetadataProvider());
+    }
+
     logger.newline();
 
     // Find all comic files
     const spinner = ora("Finding comic files...").start();
-    const files = await findComicFiles(outputDir, { recursive: true });
+    const files = excludeOriginals(await findComicFiles(outputDir, { recursive: true }), options.originals);
 
     if (files.length === 0) {
         spinner.warn("No comic files found");
@@ -189,26 +352,30 @@ export async function renameFilesHandler(sourceDir, outputDir) {
     spinner.succeed(`Found ${files.length} comic files`);
 
     // Let user select which files to process
-    logger.newline();
-    const { selectedFiles } = await inquirer.prompt([
-        {
-            type: "checkbox",
-            name: "selectedFiles",
-            message: "Select files to rename:",
-            choices: files.map((filePath) => ({
-                name: getFilename(filePath),
-                value: filePath,
-                checked: true,
-            })),
-            pageSize: 15,
-            validate: (answer) => {
-                if (answer.length === 0) {
-                    return "You must select at least one file, or press Ctrl+C to cancel.";
-                }
-                return true;
+    let selectedFiles = files;
+
+    if (interactive) {
+        logger.newline();
+        ({ selectedFiles } = await inquirer.prompt([
+            {
+                type: "checkbox",
+                name: "selectedFiles",
+                message: "Select files to rename:",
+                choices: files.map((filePath) => ({
+                    name: getFilename(filePath),
+                    value: filePath,
+                    checked: true,
+                })),
+                pageSize: 15,
+                validate: (answer) => {
+                    if (answer.length === 0) {
+                        return "You must select at least one file, or press Ctrl+C to cancel.";
+                    }
+                    return true;
+                },
             },
-        },
-    ]);
+        ]));
+    }
 
     logger.newline();
 
@@ -217,14 +384,23 @@ export async function renameFilesHandler(sourceDir, outputDir) {
     spinner2.start();
     const renameActions = [];
 
+    const cache = options.useCache === false ? null : await openMetadataCache();
+    const metadataResults = await batchGetMetadata(selectedFiles, {
+        useApi,
+        provider,
+        providerOptions,
+        cache,
+        onProgress: (current, total, meta) => {
+            spinner2.text = `Analyzing ${current}/${total}: ${meta.originalFilename}`;
+        },
+    });
+
     for (let i = 0; i < selectedFiles.length; i++) {
         const filePath = selectedFiles[i];
         const filename = getFilename(filePath);
         const ext = getExtension(filePath);
+        const metadata = metadataResults[i];
 
-        spinner2.text = `Analyzing ${i + 1}/${selectedFiles.length}: ${filename}`;
-
-        const metadata = await getComicMetadata(filename, { useApi, filePath });
         const newFilename = selectedFormat.format(metadata, ext);
 
         if (newFilename && newFilename !== filename) {
@@ -238,11 +414,6 @@ export async function renameFilesHandler(sourceDir, outputDir) {
                 metadata: metadata,
             });
         }
-
-        // Small delay to avoid API rate limiting
-        if (useApi && i < selectedFiles.length - 1) {
-            await new Promise((resolve) => setTimeout(resolve, 200));
-        }
     }
 
     spinner2.succeed("Analysis complete");
@@ -266,31 +437,40 @@ export async function renameFilesHandler(sourceDir, outputDir) {
 
     logger.newline();
 
+    if (dryRun) {
+        logger.warning("PREVIEW - No files have been renamed");
+        return;
+    }
+
     // Confirm rename
-    const { confirm } = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "confirm",
-            message: `Rename ${renameActions.length} files? You can manually rename changed files after this step.`,
-            default: true,
-        },
-    ]);
+    if (interactive) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "confirm",
+                message: `Rename ${renameActions.length} files? You can manually rename changed files after this step.`,
+                default: true,
+            },
+        ]);
 
-    if (!confirm) {
-        logger.info("Rename cancelled");
-        return;
+        if (!confirm) {
+            logger.info("Rename cancelled");
+            return;
+        }
     }
 
     // Execute renames
     logger.newline();
     spinner.start("Renaming files...");
 
+    const journal = createJournal("rename-files", { outputDir });
     let renamed = 0;
     let errors = 0;
 
     for (const action of renameActions) {
         try {
             await fs.move(action.oldPath, action.newPath, { overwrite: false });
+            await journal.recordRename(action.oldPath, action.newPath);
             renamed++;
         } catch (error) {
             errors++;
@@ -303,6 +483,9 @@ export async function renameFilesHandler(sourceDir, outputDir) {
                 const altPath = path.join(dir, altFilename);
                 try {
                     await fs.move(action.oldPath, altPath, { overwrite: false });
+                    await journal.recordRename(action.oldPath, altPath);
+                    action.newPath = altPath;
+                    action.newFilename = altFilename;
                     renamed++;
                     errors--; // Undo error count
                 } catch {
@@ -318,6 +501,15 @@ export async function renameFilesHandler(sourceDir, outputDir) {
         spinner.succeed(`Successfully renamed ${renamed} files`);
     }
 
+    logJournalSaved(journal);
+
+    if (!interactive) {
+        if (errors > 0) {
+            throw new Error(`${errors} files could not be renamed`);
+        }
+        return;
+    }
+
     // Ask if user wants to manually rename any files
     logger.newline();
     const { wantManualRename } = await inquirer.prompt([
@@ -396,6 +588,7 @@ export async function renameFilesHandler(sourceDir, outputDir) {
 
             try {
                 await fs.move(fileToRename.newPath, finalPath, { overwrite: false });
+                await journal.recordRename(fileToRename.newPath, finalPath);
                 logger.success(`${chalk.yellow(fileToRename.newFilename)} ${chalk.dim("→")} ${chalk.green(finalFilename)}`);
 
                 // Update the action in our list
@@ -0,0 +1,264 @@
+import fs from "fs-extra";
+import inquirer from "inquirer";
+import chalk from "chalk";
+import ora from "ora";
+import { logger } from "../utils/logger.js";
+import { getExtension, getFilename } from "../utils/files.js";
+import { batchGetMetadata, promptMetadataProvider } from "../services/metadata.js";
+import { openMetadataCache } from "../services/metadataCache.js";
+import { readComicInfo, writeComicInfo } from "../services/comicInfo.js";
+import { recordRewrites } from "../services/journal.js";
+import { registerPostProcessingOption } from "../services/postProcessing.js";
+import { excludeOriginals } from "../services/transferModes.js";
+import { findComicFiles } from "../services/comicFiles.js";
+
+// Fields shown in the preview, with their display labels
+const FIELD_LABELS = {
+    series: "Series",
+    number: "Number",
+    title: "Title",
+    publisher: "Publisher",
+    imprint: "Imprint",
+    year: "Year",
+    month: "Month",
+    day: "Day",
+};
+
+/**
+ * Build the ComicInfo fields to write for a file
+ * Files that already have ComicInfo.xml only get their series updated (when the user renamed it),
+ * everything else comes from the resolved metadata. Fields without a value are left untouched.
+ * @param {Object} metadata - Result of getComicMetadata
+ * @param {string} confirmedSeries - Series name the user confirmed during series review (optional)
+ */
+export function buildComicInfoFields(metadata, confirmedSeries = null) {
+    if (metadata.source === "comicinfo-xml") {
+        return confirmedSeries ? { series: confirmedSeries } : {};
+    }
+
+    // A title from a non-comic publisher isn't a series name we trust
+    const trustedSeries = metadata.source === "api-lookup-non-comic-publisher" ? null : metadata.series;
+    const series = confirmedSeries || trustedSeries;
+
+    if (!series) {
+        return {};
+    }
+
+    const fields = {
+        series,
+        number: metadata.issueNumber,
+        year: metadata.year,
+    };
+
+    if (metadata.publisher && metadata.publisher !== "Unsorted") {
+        fields.publisher = metadata.publisher;
+    }
+
+    if (metadata.imprint) {
+        fields.imprint = metadata.imprint;
+    }
+
+    if (metadata.issueTitle) {
+        fields.title = metadata.issueTitle;
+    }
+
+    // Providers return dates as YYYY, YYYY-MM or YYYY-MM-DD
+    const date = String(metadata.publishedDate || "").match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+    if (date) {
+        const dateYear = parseInt(date[1], 10);
+        fields.year = fields.year || dateYear;
+
+        // Only use the month/day when they belong to the same year we're writing
+        if (fields.year === dateYear) {
+            fields.month = date[2] ? parseInt(date[2], 10) : null;
+            fields.day = date[3] ? parseInt(date[3], 10) : null;
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Compare the fields to write with the current ComicInfo
+ * @returns {Array<Object>} Changed fields ({ field, from, to })
+ */
+export function getComicInfoChanges(currentInfo, fields) {
+    const changes = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === null || value === undefined || value === "") continue;
+
+        const current = currentInfo?.[field] ?? null;
+        if (current === null || String(current) !== String(value)) {
+            changes.push({ field, from: current, to: value });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Show the changes that will be written
+ */
+function showPreview(actions) {
+    logger.newline();
+    logger.section(`Preview: ComicInfo.xml will be written to ${actions.length} files`);
+
+    for (const action of actions.slice(0, 20)) {
+        logger.newline();
+        console.log(chalk.white(`  ${action.filename}`) + (action.currentInfo ? "" : chalk.dim(" (new ComicInfo.xml)")));
+        for (const change of action.changes) {
+            const from = change.from === null ? chalk.dim("(empty)") : chalk.yellow(change.from);
+            console.log(chalk.dim(`    ${FIELD_LABELS[change.field]}: `) + from + chalk.dim(" → ") + chalk.green(change.to));
+        }
+    }
+
+    if (actions.length > 20) {
+        logger.newline();
+        logger.info(`... and ${actions.length - 20} more`);
+    }
+
+    logger.newline();
+}
+
+/**
+ * Write ComicInfo.xml into CBZ files from resolved metadata
+ * @param {object} options - Handler options
+ * @param {boolean} options.interactive - Prompt for the metadata source and confirmation (default: true)
+ * @param {boolean} options.useApi - Use the metadata API (prompts when interactive and not set)
+ * @param {string} options.provider - Metadata provider value
+ * @param {object} options.providerOptions - Extra provider settings, e.g. { apiKey, baseUrl }
+ * @param {boolean} options.useCache - Use the persistent metadata cache (default: true)
+ * @param {Map<string, string>} options.seriesNames - File path -> series name confirmed by the user
+ * @param {boolean} options.dryRun - Only show the preview, don't write anything
+ * @param {Array<string>} options.originals - Files a copy or link run left in place, which are never touched
+ */
+export async function writeComicInfoHandler(sourceDir, outputDir, options = {}) {
+    const { interactive = true, dryRun = false, seriesNames = new Map() } = options;
+    let { useApi = true, provider, providerOptions } = options;
+
+    logger.newline();
+
+    if (interactive && options.useApi === undefined) {
+        ({ useApi, provider, providerOptions } = await promptMetadataProvider());
+    }
+
+    const spinner = ora("Finding comic files...").start();
+    const allFiles = excludeOriginals(await findComicFiles(outputDir, { recursive: true }), options.originals);
+    const files = allFiles.filter((file) => getExtension(file) === ".cbz");
+
+    if (files.length === 0) {
+        spinner.warn("No CBZ files found");
+        return;
+    }
+
+    spinner.succeed(`Found ${files.length} CBZ files`);
+
+    if (allFiles.length > files.length) {
+        logger.info(`Skipping ${allFiles.length - files.length} files that aren't CBZ archives`);
+    }
+
+    const analyzeSpinner = ora("Analyzing files and fetching metadata...").start();
+
+    const cache = options.useCache === false ? null : await openMetadataCache();
+    const metadataResults = await batchGetMetadata(files, {
+        useApi,
+        provider,
+        providerOptions,
+        cache,
+        onProgress: (current, total, meta) => {
+            analyzeSpinner.text = `Analyzing ${current}/${total}: ${meta.originalFilename}`;
+        },
+    });
+
+    const actions = [];
+    let missingMetadata = 0;
+
+    for (let i = 0; i < files.length; i++) {
+        const fields = buildComicInfoFields(metadataResults[i], seriesNames.get(files[i]));
+
+        if (Object.keys(fields).length === 0) {
+            if (metadataResults[i].source !== "comicinfo-xml") missingMetadata++;
+            continue;
+        }
+
+        const currentInfo = await readComicInfo(files[i]);
+        const changes = getComicInfoChanges(currentInfo, fields);
+
+        if (changes.length > 0) {
+            actions.push({ file: files[i], filename: getFilename(files[i]), fields, changes, currentInfo });
+        }
+    }
+
+    analyzeSpinner.succeed("Analysis complete");
+
+    if (missingMetadata > 0) {
+        logger.info(`${missingMetadata} files don't have enough metadata to tag and will be skipped`);
+    }
+
+    if (actions.length === 0) {
+        logger.warning("No ComicInfo.xml changes needed");
+        return;
+    }
+
+    showPreview(actions);
+
+    if (dryRun) {
+        logger.warning("PREVIEW - No files have been changed");
+        return;
+    }
+
+    if (interactive) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: "confirm",
+                name: "confirm",
+                message: `Write ComicInfo.xml to ${actions.length} files?`,
+                default: true,
+            },
+        ]);
+
+        if (!confirm) {
+            logger.info("Writing ComicInfo.xml cancelled");
+            return;
+        }
+    }
+
+    const writeSpinner = ora("Writing ComicInfo.xml...").start();
+    const errors = [];
+    const rewrites = [];
+    let written = 0;
+
+    for (const action of actions) {
+        try {
+            const before = await fs.stat(action.file);
+            await writeComicInfo(action.file, action.fields);
+            rewrites.push({ path: action.file, before });
+            written++;
+            writeSpinner.text = `Written ${written}/${actions.length} files`;
+        } catch (error) {
+            errors.push({ file: action.file, error: error.message });
+        }
+    }
+
+    // Keep the runs that put the files here undoable (the tags stay in the files)
+    await recordRewrites(rewrites);
+
+    if (errors.length > 0) {
+        writeSpinner.warn(`Wrote ComicInfo.xml to ${written} files (${errors.length} failed)`);
+        errors.forEach((e) => logger.file(getFilename(e.file), e.error));
+
+        if (!interactive) {
+            throw new Error(`${errors.length} files could not be updated`);
+        }
+    } else {
+        writeSpinner.succeed(`Wrote ComicInfo.xml to ${written} files`);
+    }
+}
+
+registerPostProcessingOption({
+    name: "Write ComicInfo.xml",
+    value: "write-comicinfo",
+    description: "Add or update ComicInfo.xml in CBZ files from the resolved metadata",
+    handler: writeComicInfoHandler,
+});
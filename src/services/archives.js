@@ -0,0 +1,749 @@
+import AdmZip from "adm-zip";
+import { createExtractorFromData, createExtractorFromFile } from "node-unrar-js";
+import SevenZip from "7z-wasm";
+import path from "path";
+import os from "os";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import fs from "fs-extra";
+
+export const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp", ".avif", ".jxl"];
+
+// Comic archive extensions. Plain .zip and .rar files only count as comics when they contain page images.
+export const ARCHIVE_EXTENSIONS = [".cbz", ".cbr", ".cb7", ".cbt", ".zip", ".rar"];
+export const GENERIC_ARCHIVE_EXTENSIONS = [".zip", ".rar"];
+
+// Archive types by signature - extensions can't be trusted (plenty of .cbr files are really ZIPs)
+const ARCHIVE_SIGNATURES = [
+    { type: "zip", offset: 0, bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]) },
+    { type: "rar", offset: 0, bytes: Buffer.from("Rar!\x1a\x07", "latin1") },
+    { type: "7z", offset: 0, bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+    { type: "tar", offset: 257, bytes: Buffer.from("ustar", "latin1") },
+];
+
+// ZIP end of central directory record: signature, then a fixed 22 bytes and a comment of up to 64 KB
+const ZIP_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const ZIP_END_MAX_LENGTH = 22 + 0xffff;
+const ZIP_DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+// ZIP64 archives keep counts, sizes and offsets that don't fit in 32 bits in their own records
+const ZIP64_END_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// Files that can sit next to the pages in a folder of images
+const IMAGE_FOLDER_EXTRAS = ["comicinfo.xml", "thumbs.db", "desktop.ini", ".ds_store"];
+
+/**
+ * Check if an archive entry is a page image
+ */
+export function isImageFile(name) {
+    return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Detect an archive's type from its signature
+ * @returns {Promise<string|null>} "zip", "rar", "7z", "tar", or null for anything else
+ */
+export async function detectArchiveType(filePath) {
+    const handle = await fs.open(filePath, "r");
+
+    try {
+        const buffer = Buffer.alloc(262);
+        const { bytesRead } = await fs.read(handle, buffer, 0, buffer.length, 0);
+        const signature = ARCHIVE_SIGNATURES.find(({ offset, bytes }) => bytesRead >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes));
+        return signature ? signature.type : null;
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+/**
+ * Check if a file is a ZIP archive by its signature (some .cbr files are really ZIPs)
+ */
+export async function isZipArchive(filePath) {
+    return (await detectArchiveType(filePath)) === "zip";
+}
+
+/**
+ * Run 7-Zip on an archive (used for 7z and tar)
+ * Every run gets its own 7-Zip instance with the archive in its in-memory file system.
+ * @param {Array<string>} args - Command and switches; the archive path is added at the end
+ * @param {object} options - Run options
+ * @param {boolean} options.allowErrors - Return errors instead of throwing when 7-Zip reports some (default: false)
+ * @returns {Promise<Object>} { sevenZip, output, errors, status } - the instance (to read extracted files from),
+ * its output and error lines, and its exit status
+ */
+async function runSevenZip(filePath, args, options = {}) {
+    const { allowErrors = false } = options;
+    const output = [];
+    const errors = [];
+    const sevenZip = await SevenZip({ print: (line) => output.push(line), printErr: (line) => line.trim() && errors.push(line.trim()) });
+    sevenZip.FS.writeFile("/archive", await fs.readFile(filePath));
+
+    // 7-Zip sets the process exit code as if it were its own process
+    const { exitCode } = process;
+    let status;
+    try {
+        status = sevenZip.callMain([...args, "/archive"]);
+    } catch {
+        // 7-Zip aborts instead of reporting an error for some archives (e.g. an encrypted file list)
+        throw new Error("7-Zip can't open the archive (damaged, or its file list is password protected)");
+    } finally {
+        process.exitCode = exitCode;
+    }
+
+    if (status !== 0 && !allowErrors) {
+        throw new Error(errors.filter((line) => !line.startsWith("/archive")).join(" ") || "Archive can't be read");
+    }
+
+    return { sevenZip, output, errors, status };
+}
+
+/**
+ * List the files in a 7z or tar archive
+ * @returns {Promise<Array<Object>>} [{ name, size, crc, encrypted }] in archive order (crc is null when the format has none)
+ */
+async function listSevenZipEntries(filePath) {
+    const { output } = await runSevenZip(filePath, ["l", "-slt", "-p"]);
+
+    // Entries come after the "----------" line as blocks of "Key = Value" lines
+    const start = output.indexOf("----------");
+    const entries = [];
+    let current = null;
+
+    for (const line of output.slice(start + 1)) {
+        const match = line.match(/^(\w[\w ]*?) = (.*)$/);
+        if (!match) {
+            current = null;
+            continue;
+        }
+
+        const [, key, value] = match;
+        if (key === "Path") {
+            current = { name: value, size: 0, crc: null, encrypted: false, folder: false };
+            entries.push(current);
+        } else if (current && key === "Size") {
+            current.size = parseInt(value, 10) || 0;
+        } else if (current && key === "CRC") {
+            current.crc = value ? parseInt(value, 16) >>> 0 : null;
+        } else if (current && key === "Encrypted") {
+            current.encrypted = value === "+";
+        } else if (current && (key === "Folder" || key === "Attributes")) {
+            current.folder = current.folder || value === "+" || /^D/.test(value);
+        }
+    }
+
+    return entries.filter((entry) => !entry.folder).map(({ folder, ...entry }) => entry);
+}
+
+/**
+ * Extract the files in a 7z or tar archive into memory
+ * @param {string} only - Only extract this file from the root of the archive (case-insensitive)
+ * @returns {Promise<Array<Object>>} [{ name, size, crc, data }] sorted by name
+ */
+async function readSevenZipEntries(filePath, only = null) {
+    const switches = only ? ["-ssc-", `-i!${only}`] : [];
+    const { sevenZip } = await runSevenZip(filePath, ["x", "-o/out", "-y", "-p", ...switches]);
+
+    const entries = [];
+    const walk = (directory) => {
+        for (const name of sevenZip.FS.readdir(directory)) {
+            if (name === "." || name === "..") continue;
+
+            const fullPath = `${directory}/${name}`;
+            if (sevenZip.FS.isDir(sevenZip.FS.stat(fullPath).mode)) {
+                walk(fullPath);
+            } else {
+                const data = Buffer.from(sevenZip.FS.readFile(fullPath));
+                entries.push({ name: fullPath.slice("/out/".length), size: data.length, crc: zlib.crc32(data) >>> 0, data });
+            }
+        }
+    };
+
+    if (sevenZip.FS.analyzePath("/out").exists) walk("/out");
+
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read the values a ZIP64 extra field holds for a central directory entry (only the ones that didn't fit in 32 bits)
+ */
+function readZip64Extra(entry, extra) {
+    let position = 0;
+    while (position + 4 <= extra.length) {
+        const id = extra.readUInt16LE(position);
+        const length = extra.readUInt16LE(position + 2);
+        if (id === ZIP64_EXTRA_FIELD_ID) {
+            const field = extra.subarray(position + 4, position + 4 + length);
+            let offset = 0;
+            for (const key of ["size", "compressedSize", "offset"]) {
+                if (entry[key] !== 0xffffffff) continue;
+                if (offset + 8 > field.length) throw new Error("ZIP central directory is damaged");
+                entry[key] = Number(field.readBigUInt64LE(offset));
+                offset += 8;
+            }
+            return;
+        }
+        position += 4 + length;
+    }
+}
+
+/**
+ * Read the central directory of an open ZIP archive (the list of files at its end)
+ * @returns {Promise<Array<Object>>} [{ name, encrypted, method, crc, compressedSize, size, offset }] in directory order
+ * (folders end in "/"; offset is where the file's local header starts)
+ */
+async function readZipDirectory(handle) {
+    const { size: fileSize } = await fs.fstat(handle);
+    const tail = Buffer.alloc(Math.min(fileSize, ZIP_END_MAX_LENGTH));
+    await fs.read(handle, tail, 0, tail.length, fileSize - tail.length);
+
+    const end = tail.lastIndexOf(ZIP_END_SIGNATURE);
+    if (end === -1 || end + 22 > tail.length) throw new Error("ZIP central directory not found");
+
+    let count = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+    if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+        // The ZIP64 record is found through a locator right before the end of central directory record
+        if (end < 20 || tail.readUInt32LE(end - 20) !== ZIP64_END_LOCATOR_SIGNATURE) throw new Error("ZIP64 central directory not found");
+        const zip64End = Buffer.alloc(56);
+        await fs.read(handle, zip64End, 0, zip64End.length, Number(tail.readBigUInt64LE(end - 12)));
+        if (zip64End.readUInt32LE(0) !== ZIP64_END_SIGNATURE) throw new Error("ZIP64 central directory not found");
+        count = Number(zip64End.readBigUInt64LE(32));
+        directorySize = Number(zip64End.readBigUInt64LE(40));
+        directoryOffset = Number(zip64End.readBigUInt64LE(48));
+    }
+    if (directoryOffset + directorySize > fileSize) throw new Error("ZIP central directory is truncated");
+
+    const directory = Buffer.alloc(directorySize);
+    await fs.read(handle, directory, 0, directorySize, directoryOffset);
+
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > directorySize || directory.readUInt32LE(position) !== ZIP_DIRECTORY_ENTRY_SIGNATURE) {
+            throw new Error("ZIP central directory is damaged");
+        }
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        const nameEnd = position + 46 + nameLength;
+        if (nameEnd + extraLength > directorySize) throw new Error("ZIP central directory is damaged");
+
+        const entry = {
+            name: directory.toString("utf8", position + 46, nameEnd),
+            // General purpose flag bit 0
+            encrypted: (directory.readUInt16LE(position + 8) & 1) !== 0,
+            method: directory.readUInt16LE(position + 10),
+            crc: directory.readUInt32LE(position + 16),
+            compressedSize: directory.readUInt32LE(position + 20),
+            size: directory.readUInt32LE(position + 24),
+            offset: directory.readUInt32LE(position + 42),
+        };
+        readZip64Extra(entry, directory.subarray(nameEnd, nameEnd + extraLength));
+        entries.push(entry);
+        position = nameEnd + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * List the file names in a ZIP archive by reading only its central directory
+ * @returns {Promise<Array<string>>} Names in directory order (folders end in "/")
+ */
+async function listZipEntryNames(filePath) {
+    const handle = await fs.open(filePath, "r");
+
+    try {
+        return (await readZipDirectory(handle)).map((entry) => entry.name);
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+/**
+ * List the files in a RAR archive without extracting them (only the file headers are read)
+ * @returns {Promise<Array<Object>>} [{ name, size, crc }] in archive order
+ */
+export async function listRarEntries(filePath) {
+    const extractor = await createExtractorFromFile({ filepath: filePath });
+    const { fileHeaders } = extractor.getFileList();
+
+    return [...fileHeaders]
+        .filter((header) => !header.flags.directory)
+        .map((header) => ({ name: header.name, size: header.unpSize, crc: header.crc >>> 0 }));
+}
+
+/**
+ * Extract every file in a RAR archive into memory
+ * @returns {Promise<Array<Object>>} [{ name, size, crc, data }] in archive order
+ */
+export async function readRarEntries(filePath) {
+    const extractor = await createExtractorFromData({ data: await fs.readFile(filePath) });
+    const { files } = extractor.extract();
+
+    const entries = [];
+    for (const { fileHeader, extraction } of files) {
+        if (fileHeader.flags.directory) continue;
+
+        entries.push({
+            name: fileHeader.name,
+            size: fileHeader.unpSize,
+            crc: fileHeader.crc >>> 0,
+            data: Buffer.from(extraction),
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * List the files in any supported archive (ZIP, RAR, 7z or tar) without extracting them
+ * @returns {Promise<Array<Object>>} [{ name, size, crc }]
+ */
+export async function listArchiveEntries(filePath) {
+    const type = await detectArchiveType(filePath);
+
+    if (type === "zip") {
+        return new AdmZip(await fs.readFile(filePath))
+            .getEntries()
+            .filter((entry) => !entry.isDirectory)
+            .map((entry) => ({ name: entry.entryName, size: entry.header.size, crc: entry.header.crc >>> 0 }));
+    }
+    if (type === "rar") return listRarEntries(filePath);
+    if (type === "7z" || type === "tar") return listSevenZipEntries(filePath);
+
+    throw new Error("Not a ZIP, RAR, 7z or tar archive");
+}
+
+/**
+ * Extract every file in any supported archive into memory
+ * @returns {Promise<Array<Object>>} [{ name, size, crc, data }]
+ */
+export async function readArchiveEntries(filePath) {
+    const type = await detectArchiveType(filePath);
+
+    if (type === "zip") {
+        return new AdmZip(await fs.readFile(filePath))
+            .getEntries()
+            .filter((entry) => !entry.isDirectory)
+            .map((entry) => ({ name: entry.entryName, size: entry.header.size, crc: entry.header.crc >>> 0, data: entry.getData() }));
+    }
+    if (type === "rar") return readRarEntries(filePath);
+    if (type === "7z" || type === "tar") return readSevenZipEntries(filePath);
+
+    throw new Error("Not a ZIP, RAR, 7z or tar archive");
+}
+
+/**
+ * Read one file from the root of a 7z or tar archive (e.g. ComicInfo.xml), matching its name case-insensitively
+ * ZIP and RAR archives have their own readers that only decompress the one file.
+ * @returns {Promise<Buffer|null>} The file's contents, or null when it isn't in the archive
+ */
+export async function readSevenZipFile(filePath, name) {
+    const entries = await readSevenZipEntries(filePath, name);
+    const entry = entries.find((e) => e.name.toLowerCase() === name.toLowerCase());
+    return entry ? entry.data : null;
+}
+
+/**
+ * Decompress one file of an open ZIP archive and check its CRC
+ * The file is streamed from disk, so its size doesn't matter.
+ * @returns {Promise<boolean>} Whether the file is intact
+ */
+async function testZipEntry(filePath, handle, entry) {
+    const header = Buffer.alloc(30);
+    await fs.read(handle, header, 0, header.length, entry.offset);
+    // Only stored and deflated files can be decompressed
+    if (header.readUInt32LE(0) !== ZIP_LOCAL_HEADER_SIGNATURE || (entry.method !== 0 && entry.method !== 8)) return false;
+
+    let crc = 0;
+    let size = 0;
+    if (entry.compressedSize > 0) {
+        const start = entry.offset + header.length + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const stages = [fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 })];
+        if (entry.method === 8) stages.push(zlib.createInflateRaw());
+
+        try {
+            await pipeline(...stages, async (data) => {
+                for await (const chunk of data) {
+                    crc = zlib.crc32(chunk, crc);
+                    size += chunk.length;
+                }
+            });
+        } catch (error) {
+            // zlib errors (Z_DATA_ERROR, Z_BUF_ERROR...) mean the compressed data is broken
+            if (error.code?.startsWith("Z_")) return false;
+            throw error;
+        }
+    }
+
+    return crc >>> 0 === entry.crc && size === entry.size;
+}
+
+/**
+ * Test a ZIP archive by decompressing every file and checking its CRC, one file at a time
+ */
+async function testZipArchive(filePath) {
+    const handle = await fs.open(filePath, "r");
+
+    try {
+        const entries = (await readZipDirectory(handle)).filter((entry) => !entry.name.endsWith("/"));
+        const names = entries.map((entry) => entry.name);
+
+        // Encrypted files can't be decompressed without the password
+        if (entries.some((entry) => entry.encrypted)) {
+            return { names, encrypted: true, damaged: [] };
+        }
+
+        const damaged = [];
+        for (const entry of entries) {
+            if (!(await testZipEntry(filePath, handle, entry))) damaged.push(entry.name);
+        }
+
+        return { names, encrypted: false, damaged };
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+/**
+ * Test a RAR archive by extracting every file (node-unrar-js checks each file's CRC)
+ * Files are extracted one at a time, each over the last one in a scratch folder, so neither the archive
+ * nor its files are held in memory.
+ */
+async function testRarArchive(filePath) {
+    let headers;
+
+    try {
+        headers = [...(await createExtractorFromFile({ filepath: filePath })).getFileList().fileHeaders].filter((header) => !header.flags.directory);
+    } catch (error) {
+        if (error.reason === "ERAR_MISSING_PASSWORD") return { names: [], encrypted: true, damaged: [] };
+        throw error;
+    }
+
+    const names = headers.map((header) => header.name);
+    if (headers.some((header) => header.flags.encrypted)) {
+        return { names, encrypted: true, damaged: [] };
+    }
+
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-organizer-rar-"));
+    try {
+        const extractor = await createExtractorFromFile({ filepath: filePath, targetPath: scratchDir, filenameTransform: () => "file" });
+        // Files are only extracted (and checked) as they're iterated; extraction stops at the first damaged file
+        for (const file of extractor.extract().files) {
+            // Nothing to keep: each file was checked as it was written out
+        }
+    } catch (error) {
+        if (error.reason === "ERAR_BAD_DATA" && error.file) return { names, encrypted: false, damaged: [error.file] };
+        throw error;
+    } finally {
+        await fs.remove(scratchDir);
+    }
+
+    return { names, encrypted: false, damaged: [] };
+}
+
+/**
+ * Test a 7z or tar archive with 7-Zip's own test command
+ */
+async function testSevenZipArchive(filePath) {
+    const entries = await listSevenZipEntries(filePath);
+    const names = entries.map((entry) => entry.name);
+
+    if (entries.some((entry) => entry.encrypted)) {
+        return { names, encrypted: true, damaged: [] };
+    }
+
+    const { errors, status } = await runSevenZip(filePath, ["t", "-p"], { allowErrors: true });
+
+    // Damaged files are reported as "ERROR: CRC Failed : name" or "ERROR: Data Error : name"
+    const damaged = errors.map((line) => line.match(/^ERROR: .+? : (.+)$/)?.[1]).filter((name) => name && names.includes(name));
+    if (status !== 0 && damaged.length === 0) {
+        throw new Error(errors.join(" ") || "Archive can't be read");
+    }
+
+    return { names, encrypted: false, damaged };
+}
+
+/**
+ * Test an archive by decompressing every file and checking its CRC
+ * Password protected archives can't be tested, so they're only reported as encrypted.
+ * @returns {Promise<Object>} { files, pages, encrypted, damaged } - damaged holds the names of files that failed
+ * @throws When the archive can't be opened at all
+ */
+export async function testArchive(filePath) {
+    const type = await detectArchiveType(filePath);
+    let result;
+
+    if (type === "zip") {
+        result = await testZipArchive(filePath);
+    } else if (type === "rar") {
+        result = await testRarArchive(filePath);
+    } else if (type === "7z" || type === "tar") {
+        result = await testSevenZipArchive(filePath);
+    } else {
+        throw new Error("Not a ZIP, RAR, 7z or tar archive");
+    }
+
+    return {
+        files: result.names.length,
+        pages: result.names.filter(isImageFile).length,
+        encrypted: result.encrypted,
+        damaged: result.damaged,
+    };
+}
+
+/**
+ * List the file names in an archive without extracting anything
+ * Only the ZIP central directory or the RAR file headers are read, so names can be listed without the
+ * password of an encrypted archive (unless its headers are encrypted too).
+ * @returns {Promise<Array<string>>}
+ * @throws When the archive can't be opened at all
+ */
+export async function listArchiveNames(filePath) {
+    const type = await detectArchiveType(filePath);
+    if (type === "zip") return listZipEntryNames(filePath);
+
+    return (await listArchiveEntries(filePath)).map((entry) => entry.name);
+}
+
+/**
+ * Check if an archive contains page images (to tell comics from other .zip and .rar files)
+ */
+export async function isComicArchive(filePath) {
+    try {
+        return (await listArchiveNames(filePath)).some((name) => isImageFile(name));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Count the page images in a comic archive
+ * @returns {Promise<number|null>} Page count, or null for formats without pages to count (PDF, EPUB) or unreadable files
+ */
+export async function countPages(filePath) {
+    if (!ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        return null;
+    }
+
+    try {
+        return (await listArchiveEntries(filePath)).filter((entry) => isImageFile(entry.name)).length;
+    } catch {
+        // Unreadable archive
+        return null;
+    }
+}
+
+/**
+ * Get the CBZ path an archive (or folder of images) converts to
+ */
+export function getCbzPath(filePath) {
+    return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)) + ".cbz");
+}
+
+/**
+ * Inspect an archive before converting it to CBZ
+ * @returns {Promise<Object>} { source, destination, pages, isZip, conflict }
+ */
+export async function inspectArchive(filePath) {
+    const destination = getCbzPath(filePath);
+    const names = (await listArchiveEntries(filePath)).map((entry) => entry.name);
+
+    return {
+        source: filePath,
+        destination,
+        pages: names.filter(isImageFile).length,
+        isZip: await isZipArchive(filePath),
+        conflict: await fs.pathExists(destination),
+    };
+}
+
+/**
+ * Check that a written CBZ contains exactly the files it was made from
+ * Throws if the page count, any file's size or any file's CRC doesn't match
+ * @param {Array<Object>} originalEntries - [{ name, size, crc }] of the original archive or folder
+ */
+function verifyConversion(cbzPath, originalEntries) {
+    const zipEntries = new AdmZip(cbzPath).getEntries().filter((entry) => !entry.isDirectory);
+    const byName = new Map(zipEntries.map((entry) => [entry.entryName, entry]));
+
+    const originalPages = originalEntries.filter((entry) => isImageFile(entry.name)).length;
+    const zipPages = zipEntries.filter((entry) => isImageFile(entry.entryName)).length;
+
+    if (originalPages !== zipPages) {
+        throw new Error(`Page count mismatch after conversion (${originalPages} in the original, ${zipPages} in CBZ)`);
+    }
+
+    for (const originalEntry of originalEntries) {
+        const zipEntry = byName.get(originalEntry.name);
+
+        if (!zipEntry) {
+            throw new Error(`${originalEntry.name} is missing from the converted CBZ`);
+        }
+        if (zipEntry.header.size !== originalEntry.size || zipEntry.header.crc >>> 0 !== originalEntry.crc) {
+            throw new Error(`${originalEntry.name} doesn't match the original after conversion`);
+        }
+    }
+}
+
+/**
+ * Write entries to a new CBZ, verify it, and move it into place
+ * The CBZ is written next to the destination first, so a CBZ only ever appears complete and verified.
+ * @param {Array<Object>} entries - [{ name, size, crc, data }]
+ */
+async function writeVerifiedCbz(destination, entries) {
+    const zip = new AdmZip();
+    for (const entry of entries) {
+        zip.addFile(entry.name, entry.data);
+    }
+
+    const tempPath = path.join(path.dirname(destination), `.${path.basename(destination)}.tmp`);
+
+    try {
+        await fs.writeFile(tempPath, zip.toBuffer());
+        verifyConversion(tempPath, entries);
+        await fs.move(tempPath, destination, { overwrite: false });
+    } finally {
+        await fs.remove(tempPath);
+    }
+}
+
+/**
+ * Convert a comic archive (CBR, CB7, CBT, RAR, ZIP) to a CBZ next to it, deleting the original once the CBZ is verified
+ * Entries keep their names (readers order pages by name), so pages and ComicInfo.xml come through unchanged.
+ * An archive that is already a ZIP is just renamed.
+ * @param {string} filePath - Path to the archive
+ * @returns {Promise<Object>} { source, destination, pages, renamed }
+ */
+export async function convertToCbz(filePath) {
+    const destination = getCbzPath(filePath);
+
+    if (await fs.pathExists(destination)) {
+        throw new Error(`${path.basename(destination)} already exists`);
+    }
+
+    if (await isZipArchive(filePath)) {
+        // Make sure it opens before giving it a .cbz name
+        const pages = new AdmZip(filePath).getEntries().filter((entry) => isImageFile(entry.entryName)).length;
+        await fs.move(filePath, destination, { overwrite: false });
+        return { source: filePath, destination, pages, renamed: true };
+    }
+
+    const entries = await readArchiveEntries(filePath);
+    const pages = entries.filter((entry) => isImageFile(entry.name)).length;
+
+    if (pages === 0) {
+        throw new Error("No page images found in archive");
+    }
+
+    await writeVerifiedCbz(destination, entries);
+    await fs.remove(filePath);
+
+    return { source: filePath, destination, pages, renamed: false };
+}
+
+/**
+ * Read a folder that holds a single comic as loose page images
+ * A folder qualifies when it has at least two images with numbered names, no subfolders, and nothing else
+ * besides a ComicInfo.xml and system files like Thumbs.db.
+ * @returns {Promise<Object|null>} { pages, comicInfo } file names (pages in reading order), or null when it isn't a comic
+ */
+export async function readImageFolder(folder) {
+    const dirents = await fs.readdir(folder, { withFileTypes: true });
+    const pages = [];
+    let comicInfo = null;
+
+    for (const dirent of dirents) {
+        const lowerName = dirent.name.toLowerCase();
+
+        if (dirent.isDirectory()) return null;
+        if (isImageFile(dirent.name)) {
+            pages.push(dirent.name);
+        } else if (lowerName === "comicinfo.xml") {
+            comicInfo = dirent.name;
+        } else if (!IMAGE_FOLDER_EXTRAS.includes(lowerName) && !dirent.name.startsWith(".")) {
+            return null;
+        }
+    }
+
+    if (pages.length < 2 || !pages.every((name) => /\d/.test(name))) {
+        return null;
+    }
+
+    // Natural order, so page2 comes before page10
+    pages.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" }));
+    return { pages, comicInfo };
+}
+
+/**
+ * Find folders of page images that can be packaged as CBZ files
+ * @param {object} options - Search options
+ * @param {boolean} options.recursive - Look in subfolders too (default: false)
+ * @returns {Promise<Array<Object>>} [{ folder, destination, pages, conflict }]
+ */
+export async function findImageFolders(directory, options = {}) {
+    const { recursive = false } = options;
+    const found = [];
+
+    const dirents = await fs.readdir(directory, { withFileTypes: true });
+    for (const dirent of dirents) {
+        if (!dirent.isDirectory() || dirent.name.startsWith(".")) continue;
+
+        const folder = path.join(directory, dirent.name);
+        const contents = await readImageFolder(folder);
+
+        if (contents) {
+            const destination = `${folder}.cbz`;
+            found.push({ folder, destination, pages: contents.pages.length, conflict: await fs.pathExists(destination) });
+        } else if (recursive) {
+            found.push(...(await findImageFolders(folder, options)));
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Package a folder of page images as a CBZ next to it, deleting the folder once the CBZ is verified
+ * Pages keep their names when those already sort in reading order; otherwise they're numbered
+ * (001.jpg, 002.jpg, ...) because readers order pages by name.
+ * @returns {Promise<Object>} { source, destination, pages, renumbered }
+ */
+export async function packageImageFolder(folder) {
+    const destination = `${folder}.cbz`;
+
+    if (await fs.pathExists(destination)) {
+        throw new Error(`${path.basename(destination)} already exists`);
+    }
+
+    const contents = await readImageFolder(folder);
+    if (!contents) {
+        throw new Error("Not a folder of page images");
+    }
+
+    const { pages, comicInfo } = contents;
+    const renumbered = pages.some((name, index) => index > 0 && pages[index - 1] > name);
+    const width = Math.max(3, String(pages.length).length);
+
+    const entries = [];
+    for (const [index, name] of pages.entries()) {
+        const data = await fs.readFile(path.join(folder, name));
+        const entryName = renumbered ? `${String(index + 1).padStart(width, "0")}${path.extname(name).toLowerCase()}` : name;
+        entries.push({ name: entryName, size: data.length, crc: zlib.crc32(data) >>> 0, data });
+    }
+
+    if (comicInfo) {
+        const data = await fs.readFile(path.join(folder, comicInfo));
+        entries.push({ name: "ComicInfo.xml", size: data.length, crc: zlib.crc32(data) >>> 0, data });
+    }
+
+    await writeVerifiedCbz(destination, entries);
+    await fs.remove(folder);
+
+    return { source: folder, destination, pages: pages.length, renumbered };
+}
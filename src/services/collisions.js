@@ -0,0 +1,260 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import inquirer from "inquirer";
+import { logger } from "../utils/logger.js";
+import { formatBytes, getFilename, hashFile, moveVerified } from "../utils/files.js";
+import { DEFAULT_TRANSFER_MODE, transferFile } from "./transferModes.js";
+
+/**
+ * Collision handling
+ * What happens when a file is moved to a folder that already has a file with the same name:
+ * - "skip": leave the new file where it is
+ * - "suffix": keep both, the new file is renamed "Saga 001 (2).cbz"
+ * - "larger" / "newer": keep the larger or more recently modified file in the library;
+ *   when the new file wins, the two files swap places so nothing is lost
+ * - "dedupe": delete the new file when it's byte-for-byte identical, otherwise keep both (like "suffix")
+ * - "ask": ask for each collision
+ * Every outcome is recorded in the undo journal (a deleted duplicate is copied back on undo).
+ * When files are copied or linked instead of moved (see services/transferModes.js) the source folder
+ * is never changed: a replaced file is kept next to the new one with a suffix, and an exact duplicate is skipped.
+ */
+
+export const COLLISION_POLICIES = {
+    skip: "Skip the file (leave it in the source folder)",
+    suffix: 'Keep both (the new file gets " (2)" added to its name)',
+    larger: "Keep the larger file",
+    newer: "Keep the newer file",
+    dedupe: "Drop exact duplicates, keep both when they differ",
+    ask: "Ask for each file",
+};
+
+export const DEFAULT_COLLISION_POLICY = "skip";
+
+/**
+ * Find the moves whose destination is already taken, on disk or by an earlier move in the same run
+ * @param {Array<Object>} moves - [{ source, destination }] in the order they'll be made
+ * @returns {Promise<Array<Object>>} [{ source, destination, plannedSource }] - plannedSource is the
+ *   earlier file moving to the same destination, or null when the file is already there
+ */
+export async function findCollisions(moves) {
+    const planned = new Map();
+    const collisions = [];
+
+    for (const { source, destination } of moves) {
+        if (source === destination) continue;
+
+        if (planned.has(destination)) {
+            collisions.push({ source, destination, plannedSource: planned.get(destination) });
+        } else if (await fs.pathExists(destination)) {
+            collisions.push({ source, destination, plannedSource: null });
+        } else {
+            planned.set(destination, source);
+        }
+    }
+
+    return collisions;
+}
+
+/**
+ * Show the collisions in a plan, before anything is moved
+ * @param {string} outputDir - Destinations are shown relative to this folder
+ */
+export function showCollisions(collisions, outputDir) {
+    logger.newline();
+    logger.warning(`${collisions.length} files clash with a file of the same name:`);
+
+    for (const collision of collisions.slice(0, 10)) {
+        const reason = collision.plannedSource ? `also moving there: ${getFilename(collision.plannedSource)}` : "already exists";
+        logger.file(getFilename(collision.source), `${path.relative(outputDir, collision.destination)} (${reason})`);
+    }
+    if (collisions.length > 10) {
+        logger.info(`    ... and ${collisions.length - 10} more`);
+    }
+}
+
+/**
+ * Ask which collision policy to use for a run
+ */
+export async function promptCollisionPolicy(count) {
+    const { policy } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "policy",
+            message: `What should happen to the ${count} files that clash with a file of the same name?`,
+            choices: Object.entries(COLLISION_POLICIES).map(([value, name]) => ({ name, value })),
+            default: DEFAULT_COLLISION_POLICY,
+        },
+    ]);
+
+    return policy;
+}
+
+/**
+ * Find a free name by adding " (2)", " (3)", ... before the extension
+ */
+export async function getSuffixedPath(destination) {
+    const ext = path.extname(destination);
+    const base = destination.slice(0, destination.length - ext.length);
+
+    for (let counter = 2; ; counter++) {
+        const candidate = `${base} (${counter})${ext}`;
+        if (!(await fs.pathExists(candidate))) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Check whether two files have the same contents
+ */
+async function isIdentical(source, destination, sourceStat, destinationStat) {
+    return sourceStat.size === destinationStat.size && (await hashFile(source)) === (await hashFile(destination));
+}
+
+/**
+ * Ask what to do with a single collision
+ */
+async function promptCollision(source, destination, sourceStat, destinationStat, identical) {
+    const describe = (stat) => `${formatBytes(stat.size)}, modified ${stat.mtime.toLocaleString()}`;
+
+    logger.newline();
+    logger.warning(`${getFilename(destination)} already exists in ${path.dirname(destination)}`);
+    console.log(chalk.dim(`    New:      ${describe(sourceStat)}`));
+    console.log(chalk.dim(`    Existing: ${describe(destinationStat)}`) + (identical ? chalk.green(" (identical)") : ""));
+
+    const { action } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "action",
+            message: "What should happen to the new file?",
+            choices: [
+                ...(identical ? [{ name: "Delete it (it's an exact duplicate)", value: "drop" }] : []),
+                { name: "Skip it (leave it in the source folder)", value: "skip" },
+                { name: 'Keep both (add " (2)" to its name)', value: "suffix" },
+                { name: "Replace the existing file (it moves to where the new file was)", value: "replace" },
+            ],
+        },
+    ]);
+
+    return action;
+}
+
+/**
+ * Decide what to do with a file whose destination is taken
+ * @param {Object} spinner - Spinner to pause while asking (for the "ask" policy)
+ * @returns {Promise<Object>} { action, reason } - action is "skip", "suffix", "replace" or "drop"
+ */
+export async function resolveCollision(source, destination, policy, spinner = null) {
+    const sourceStat = await fs.stat(source);
+    const destinationStat = await fs.stat(destination);
+
+    switch (policy) {
+        case "suffix":
+            return { action: "suffix", reason: "kept both" };
+
+        case "larger":
+            return sourceStat.size > destinationStat.size ? { action: "replace", reason: "new file is larger" } : { action: "skip", reason: "existing file is as large or larger" };
+
+        case "newer":
+            return sourceStat.mtimeMs > destinationStat.mtimeMs ? { action: "replace", reason: "new file is newer" } : { action: "skip", reason: "existing file is as new or newer" };
+
+        case "dedupe":
+            return (await isIdentical(source, destination, sourceStat, destinationStat)) ? { action: "drop", reason: "identical copy already exists" } : { action: "suffix", reason: "files differ, kept both" };
+
+        case "ask": {
+            const identical = await isIdentical(source, destination, sourceStat, destinationStat);
+            // The prompt would be hidden behind a running spinner
+            spinner?.stop();
+            const action = await promptCollision(source, destination, sourceStat, destinationStat, identical);
+            spinner?.start();
+            return { action, reason: "chosen when asked" };
+        }
+
+        case "skip":
+        default:
+            return { action: "skip", reason: "a file with this name already exists" };
+    }
+}
+
+/**
+ * Move a file to a folder, handling a file of the same name with a collision policy
+ * @param {object} options - Move options
+ * @param {string} options.policy - Collision policy (see COLLISION_POLICIES, default: skip)
+ * @param {string} options.mode - Transfer mode (see services/transferModes.js, default: move)
+ * @param {Object} options.journal - Undo journal to record the changes in
+ * @param {Object} options.spinner - Spinner to pause while asking (for the "ask" policy)
+ * @param {Object} options.transfers - Counters from createTransferStats, for moves to another drive
+ * @returns {Promise<Object>} { source, destination, action, reason } - action is "move" (no collision),
+ *   "skip", "suffix", "replace" or "drop"; destination is where the file ended up (null if it didn't move)
+ */
+export async function moveWithCollisionPolicy(sourcePath, destinationFolder, options = {}) {
+    const { policy = DEFAULT_COLLISION_POLICY, mode = DEFAULT_TRANSFER_MODE, journal = null, spinner = null, transfers = null } = options;
+    const destination = path.join(destinationFolder, getFilename(sourcePath));
+
+    if (!(await fs.pathExists(destination))) {
+        await transferFile(sourcePath, destinationFolder, { mode, journal, transfers });
+        return { source: sourcePath, destination, action: "move", reason: null };
+    }
+
+    const resolved = await resolveCollision(sourcePath, destination, policy, spinner);
+    // Exact duplicates are only deleted when the source folder is being emptied anyway
+    const { action, reason } = resolved.action === "drop" && mode !== "move" ? { action: "skip", reason: resolved.reason } : resolved;
+    const result = { source: sourcePath, destination: null, action, reason };
+
+    if (action === "suffix") {
+        const suffixed = await getSuffixedPath(destination);
+        await transferFile(sourcePath, destinationFolder, { mode, journal, transfers, filename: path.basename(suffixed) });
+        result.destination = suffixed;
+    } else if (action === "replace" && mode !== "move") {
+        // The original stays in the source folder, so the replaced file is kept next to the new one
+        const kept = await getSuffixedPath(destination);
+        await fs.rename(destination, kept);
+        await journal?.recordRename(destination, kept);
+        await transferFile(sourcePath, destinationFolder, { mode, journal, transfers });
+        result.destination = destination;
+    } else if (action === "replace") {
+        // Swap the files, parking the new one next to the destination first
+        const parked = await getSuffixedPath(destination);
+        await moveVerified(sourcePath, parked, { transfers });
+        await journal?.recordMove(sourcePath, parked);
+        await moveVerified(destination, sourcePath, { transfers });
+        await journal?.recordMove(destination, sourcePath);
+        await fs.rename(parked, destination);
+        await journal?.recordRename(parked, destination);
+        result.destination = destination;
+    } else if (action === "drop") {
+        await fs.remove(sourcePath);
+        await journal?.recordDedupe(sourcePath, destination);
+    }
+
+    return result;
+}
+
+const OUTCOME_LABELS = {
+    skip: "Skipped (name clash)",
+    suffix: "Kept both (renamed)",
+    replace: "Replaced",
+    drop: "Duplicates removed",
+};
+
+/**
+ * Add collision counts to a run's summary, and list the files that were skipped
+ * @param {Array<Object>} outcomes - Results of moveWithCollisionPolicy for files that had a collision
+ */
+export function logCollisionSummary(outcomes) {
+    for (const [action, label] of Object.entries(OUTCOME_LABELS)) {
+        const count = outcomes.filter((outcome) => outcome.action === action).length;
+        if (count > 0) logger.stats(label, count);
+    }
+
+    const skipped = outcomes.filter((outcome) => outcome.action === "skip");
+    if (skipped.length > 0) {
+        logger.newline();
+        logger.warning("Files left in place:");
+        skipped.slice(0, 10).forEach((outcome) => logger.file(getFilename(outcome.source), outcome.reason));
+        if (skipped.length > 10) {
+            logger.info(`    ... and ${skipped.length - 10} more`);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+import fs from "fs-extra";
+import { findFilesByExtension, getExtension } from "../utils/files.js";
+import { GENERIC_ARCHIVE_EXTENSIONS, isComicArchive } from "./archives.js";
+
+/**
+ * Comic file discovery
+ * Comic formats are found by extension. Plain .zip and .rar files only count when they contain
+ * page images; the answer is remembered per file (until its size or mtime changes), so repeated
+ * scans - like watch mode's polls - don't open the same archives again.
+ */
+
+export const COMIC_EXTENSIONS = [".cbr", ".cbz", ".cb7", ".cbt", ".pdf", ".epub"];
+
+// file path -> { size, mtimeMs, isComic }
+const archiveChecks = new Map();
+
+/**
+ * Check if a .zip or .rar file is a comic, reusing the last answer while the file is unchanged
+ */
+async function isComicGenericArchive(filePath) {
+    let stat;
+    try {
+        stat = await fs.stat(filePath);
+    } catch {
+        // Gone since the directory was listed
+        return false;
+    }
+
+    const cached = archiveChecks.get(filePath);
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+        return cached.isComic;
+    }
+
+    const isComic = await isComicArchive(filePath);
+    archiveChecks.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, isComic });
+    return isComic;
+}
+
+/**
+ * Find all comic files in a directory
+ * Plain .zip and .rar files are included when they contain page images.
+ * @param {string} directory - The directory to search
+ * @param {object} options - Search options
+ * @param {boolean} options.recursive - Whether to search subdirectories (default: false)
+ */
+export async function findComicFiles(directory, options = {}) {
+    const files = await findFilesByExtension(directory, [...COMIC_EXTENSIONS, ...GENERIC_ARCHIVE_EXTENSIONS], options);
+
+    const comics = [];
+    for (const file of files) {
+        if (!GENERIC_ARCHIVE_EXTENSIONS.includes(getExtension(file)) || (await isComicGenericArchive(file))) {
+            comics.push(file);
+        }
+    }
+
+    return comics;
+}
@@ -1,16 +1,17 @@
 import AdmZip from "adm-zip";
-import { createExtractorFromFile } from "node-unrar-js";
-import { XMLParser } from "fast-xml-parser";
+import { createExtractorFromData } from "node-unrar-js";
+import { XMLParser, XMLBuilder } from "fast-xml-parser";
 import path from "path";
 import fs from "fs-extra";
-import os from "os";
+import { ARCHIVE_EXTENSIONS, detectArchiveType, readSevenZipFile } from "./archives.js";
 
 /**
  * Extract ComicInfo.xml from a CBZ file
  */
 async function extractComicInfoFromCBZ(filePath) {
     try {
-        const zip = new AdmZip(filePath);
+        // Read asynchronously so other files can be read at the same time (see batchGetMetadata)
+        const zip = new AdmZip(await fs.readFile(filePath));
         const zipEntries = zip.getEntries();
 
         const comicInfoEntry = zipEntries.find((entry) => entry.entryName.toLowerCase() === "comicinfo.xml");
@@ -28,62 +29,46 @@ async function extractComicInfoFromCBZ(filePath) {
 
 /**
  * Extract ComicInfo.xml from a CBR file
+ * The archive is read in memory and only ComicInfo.xml is decompressed, so nothing is written to disk
  */
 async function extractComicInfoFromCBR(filePath) {
-    let tempDir = null;
-
     try {
-        // Create a temporary directory for extraction
-        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cbr-extract-"));
+        const extractor = await createExtractorFromData({ data: await fs.readFile(filePath) });
 
-        const extractor = await createExtractorFromFile({
-            filepath: filePath,
-            targetPath: tempDir,
-        });
+        // Get file list without extracting
+        const { fileHeaders } = extractor.getFileList();
+        const comicInfoFile = [...fileHeaders].find((file) => file.name.toLowerCase() === "comicinfo.xml");
+
+        if (!comicInfoFile) {
+            return null;
+        }
 
-        // Wrap synchronous operations to allow event loop to continue
-        return await new Promise((resolve) => {
-            setImmediate(async () => {
-                try {
-                    // Get file list without extracting
-                    const fileList = extractor.getFileList();
-                    const fileHeaders = [...fileList.fileHeaders];
-
-                    const comicInfoFile = fileHeaders.find((file) => file.name.toLowerCase() === "comicinfo.xml");
-
-                    if (!comicInfoFile) {
-                        return resolve(null);
-                    }
-
-                    // Extract just this file
-                    const extracted = extractor.extract({
-                        files: [comicInfoFile.name],
-                    });
-
-                    const files = [...extracted.files];
-
-                    if (files.length === 0 || !files[0].extraction) {
-                        return resolve(null);
-                    }
-
-                    const xmlContent = Buffer.from(files[0].extraction).toString("utf8");
-                    resolve(xmlContent);
-                } catch (error) {
-                    resolve(null);
-                }
-            });
+        // Extract just this file
+        const extracted = extractor.extract({
+            files: [comicInfoFile.name],
         });
+
+        const files = [...extracted.files];
+
+        if (files.length === 0 || !files[0].extraction) {
+            return null;
+        }
+
+        return Buffer.from(files[0].extraction).toString("utf8");
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract ComicInfo.xml from a CB7 (7z) or CBT (tar) file
+ */
+async function extractComicInfoFromSevenZip(filePath) {
+    try {
+        const data = await readSevenZipFile(filePath, "ComicInfo.xml");
+        return data ? data.toString("utf8") : null;
     } catch (error) {
         return null;
-    } finally {
-        // Clean up temp directory
-        if (tempDir) {
-            try {
-                await fs.rm(tempDir, { recursive: true, force: true });
-            } catch (cleanupError) {
-                // Ignore cleanup errors
-            }
-        }
     }
 }
 
@@ -148,16 +133,28 @@ export function parseComicInfo(xmlContent) {
  * @returns {Promise<Object|null>} Parsed ComicInfo data or null if not found/error
  */
 export async function readComicInfo(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
+    if (!ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        // PDF and EPUB don't contain ComicInfo.xml
+        return null;
+    }
+
+    // Go by the archive's real type, whatever its extension says
+    let type;
+    try {
+        type = await detectArchiveType(filePath);
+    } catch {
+        return null;
+    }
 
     let xmlContent = null;
 
-    if (ext === ".cbz") {
+    if (type === "zip") {
         xmlContent = await extractComicInfoFromCBZ(filePath);
-    } else if (ext === ".cbr") {
+    } else if (type === "rar") {
         xmlContent = await extractComicInfoFromCBR(filePath);
+    } else if (type === "7z" || type === "tar") {
+        xmlContent = await extractComicInfoFromSevenZip(filePath);
     } else {
-        // PDF and EPUB don't typically contain ComicInfo.xml
         return null;
     }
 
@@ -167,3 +164,216 @@ export async function readComicInfo(filePath) {
 
     return parseComicInfo(xmlContent);
 }
+
+/**
+ * ComicInfo.xml elements for each parsed field, in schema order
+ * The ComicInfo schema is a sequence, so new elements are inserted at their schema position
+ */
+const COMICINFO_ELEMENTS = [
+    ["title", "Title"],
+    ["series", "Series"],
+    ["number", "Number"],
+    ["volume", "Volume"],
+    ["alternateSeries", "AlternateSeries"],
+    ["alternateNumber", "AlternateNumber"],
+    ["summary", "Summary"],
+    ["year", "Year"],
+    ["month", "Month"],
+    ["day", "Day"],
+    ["writer", "Writer"],
+    ["penciller", "Penciller"],
+    ["inker", "Inker"],
+    ["colorist", "Colorist"],
+    ["letterer", "Letterer"],
+    ["coverArtist", "CoverArtist"],
+    ["editor", "Editor"],
+    ["publisher", "Publisher"],
+    ["imprint", "Imprint"],
+    ["web", "Web"],
+    ["pageCount", "PageCount"],
+    ["languageISO", "LanguageISO"],
+    ["format", "Format"],
+    ["storyArc", "StoryArc"],
+    ["seriesGroup", "SeriesGroup"],
+    ["ageRating", "AgeRating"],
+];
+
+/**
+ * Create a ComicInfo object in the shape parseComicInfo returns, with every field not given set to null
+ * Used for metadata read from other sources (see services/documentMetadata.js)
+ */
+export function createComicInfo(fields = {}) {
+    const comicInfo = Object.fromEntries(COMICINFO_ELEMENTS.map(([field]) => [field, null]));
+    for (const [field, value] of Object.entries(fields)) {
+        if (field in comicInfo && value !== undefined && value !== "") {
+            comicInfo[field] = value;
+        }
+    }
+    return comicInfo;
+}
+
+// Elements from the full schema that can appear between the ones we write, used to find insert positions
+const SCHEMA_ORDER = [
+    "Title",
+    "Series",
+    "Number",
+    "Count",
+    "Volume",
+    "AlternateSeries",
+    "AlternateNumber",
+    "AlternateCount",
+    "Summary",
+    "Notes",
+    "Year",
+    "Month",
+    "Day",
+    "Writer",
+    "Penciller",
+    "Inker",
+    "Colorist",
+    "Letterer",
+    "CoverArtist",
+    "Editor",
+    "Translator",
+    "Publisher",
+    "Imprint",
+    "Genre",
+    "Tags",
+    "Web",
+    "PageCount",
+    "LanguageISO",
+    "Format",
+    "BlackAndWhite",
+    "Manga",
+    "Characters",
+    "Teams",
+    "Locations",
+    "ScanInformation",
+    "StoryArc",
+    "StoryArcNumber",
+    "SeriesGroup",
+    "AgeRating",
+    "Pages",
+    "CommunityRating",
+    "MainCharacterOrTeam",
+    "Review",
+];
+
+// Keep the document exactly as written: element order, attributes (e.g. <Page> entries) and text values
+const XML_OPTIONS = {
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    parseTagValue: false,
+    trimValues: true,
+};
+
+/**
+ * Get the element name of a node in a preserveOrder document
+ */
+function getNodeName(node) {
+    return Object.keys(node).find((key) => key !== ":@");
+}
+
+/**
+ * Serialize ComicInfo fields to XML
+ * When existing XML is given, only the provided fields are changed - every other element,
+ * attribute and the element order are kept as they were
+ * @param {Object} fields - Fields in the parseComicInfo shape (null/undefined values are left untouched)
+ * @param {string} existingXml - Current ComicInfo.xml content (optional)
+ * @returns {string} ComicInfo.xml content
+ */
+export function serializeComicInfo(fields, existingXml = null) {
+    let document = null;
+
+    if (existingXml) {
+        try {
+            document = new XMLParser(XML_OPTIONS).parse(existingXml);
+        } catch {
+            // Unreadable XML - replace it with a fresh document
+        }
+    }
+
+    let root = document?.find((node) => getNodeName(node) === "ComicInfo");
+
+    if (!root) {
+        root = {
+            ComicInfo: [],
+            ":@": {
+                "@_xmlns:xsd": "http://www.w3.org/2001/XMLSchema",
+                "@_xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+            },
+        };
+        document = [{ "?xml": [{ "#text": "" }], ":@": { "@_version": "1.0", "@_encoding": "utf-8" } }, root];
+    }
+
+    const children = root.ComicInfo;
+
+    for (const [field, element] of COMICINFO_ELEMENTS) {
+        const value = fields[field];
+        if (value === null || value === undefined || value === "") continue;
+
+        const text = [{ "#text": String(value) }];
+        const existing = children.find((node) => getNodeName(node) === element);
+
+        if (existing) {
+            existing[element] = text;
+            continue;
+        }
+
+        // Insert before the first element that comes later in the schema (unknown elements are skipped over)
+        const position = SCHEMA_ORDER.indexOf(element);
+        const insertAt = children.findIndex((node) => {
+            const index = SCHEMA_ORDER.indexOf(getNodeName(node));
+            return index > position;
+        });
+
+        const newNode = { [element]: text };
+        if (insertAt === -1) {
+            children.push(newNode);
+        } else {
+            children.splice(insertAt, 0, newNode);
+        }
+    }
+
+    const builder = new XMLBuilder({ ...XML_OPTIONS, format: true, indentBy: "  ", suppressEmptyNode: true });
+    return builder.build(document).trim() + "\n";
+}
+
+/**
+ * Add or update ComicInfo.xml inside a CBZ file
+ * All other archive entries are kept as they are. The archive is written to a temporary
+ * file next to the original first, so an interrupted write can't corrupt the comic (and a
+ * hardlink or symlink gets its own file instead of changing the file it points at).
+ * @param {string} filePath - Path to the CBZ file
+ * @param {Object} fields - Fields to set, in the parseComicInfo shape
+ * @returns {Promise<Object>} { created } - created is true when the archive had no ComicInfo.xml
+ */
+export async function writeComicInfo(filePath, fields) {
+    if (path.extname(filePath).toLowerCase() !== ".cbz") {
+        throw new Error("ComicInfo.xml can only be written to CBZ files");
+    }
+
+    const zip = new AdmZip(filePath);
+    const existingEntry = zip.getEntries().find((entry) => entry.entryName.toLowerCase() === "comicinfo.xml");
+    const existingXml = existingEntry ? existingEntry.getData().toString("utf8") : null;
+
+    const xml = serializeComicInfo(fields, existingXml);
+
+    if (existingEntry) {
+        zip.updateFile(existingEntry, Buffer.from(xml, "utf8"));
+    } else {
+        zip.addFile("ComicInfo.xml", Buffer.from(xml, "utf8"));
+    }
+
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+
+    try {
+        await fs.writeFile(tempPath, zip.toBuffer());
+        await fs.move(tempPath, filePath, { overwrite: true });
+    } finally {
+        await fs.remove(tempPath);
+    }
+
+    return { created: !existingEntry };
+}
@@ -0,0 +1,171 @@
+import inquirer from "inquirer";
+import chalk from "chalk";
+import { logger } from "../utils/logger.js";
+import { getFilename } from "../utils/files.js";
+import { REVIEW_FOLDER } from "./reviewQueue.js";
+import { sanitizeFolderPath } from "./templates.js";
+
+/**
+ * Confidence threshold
+ * getComicMetadata rates every match from "low" (just the filename) to "highest" (ComicInfo.xml).
+ * Files below the minimum confidence aren't filed on a guess: they're either sent to the library's
+ * review queue (see services/reviewQueue.js) or shown one by one so the user can accept the
+ * suggested folder, correct it, send the file to review or skip it.
+ */
+
+// Lowest first
+export const CONFIDENCE_LEVELS = ["low", "medium", "high", "highest"];
+
+// Every match is filed unless a minimum is set
+export const DEFAULT_MIN_CONFIDENCE = "low";
+
+// Watch mode files new series without anyone looking at a plan, so it needs a confident match unless a minimum is set
+export const DEFAULT_WATCH_MIN_CONFIDENCE = "high";
+
+export const LOW_CONFIDENCE_HANDLING = {
+    review: `Send them to ${REVIEW_FOLDER}`,
+    ask: "Ask about each file",
+};
+
+/**
+ * Check whether a confidence level is at least the minimum (unknown levels count as "low")
+ */
+export function meetsConfidence(confidence, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    return Math.max(CONFIDENCE_LEVELS.indexOf(confidence), 0) >= CONFIDENCE_LEVELS.indexOf(minConfidence);
+}
+
+/**
+ * Count assignments per confidence level
+ * @returns {Object} { highest, high, medium, low } - only the levels that occur, highest first
+ */
+export function countByConfidence(assignments) {
+    const counts = {};
+
+    for (const level of [...CONFIDENCE_LEVELS].reverse()) {
+        const count = assignments.filter((assignment) => (assignment.metadata?.confidence || "low") === level).length;
+        if (count > 0) counts[level] = count;
+    }
+
+    return counts;
+}
+
+/**
+ * Describe confidence counts, e.g. "12 highest, 3 high, 1 low"
+ */
+export function describeConfidenceCounts(counts) {
+    return Object.entries(counts)
+        .map(([level, count]) => `${count} ${level}`)
+        .join(", ");
+}
+
+/**
+ * Send an assignment to the review queue instead of its folder
+ * The folder it would have gone to is kept as the suggestion in the queue's manifest.
+ */
+export function markForReview(assignment, reason = null) {
+    const { confidence = "low", source } = assignment.metadata || {};
+
+    return {
+        ...assignment,
+        folder: REVIEW_FOLDER,
+        review: { reason: reason || `Low confidence match (${confidence}, ${source})`, suggestedFolder: assignment.folder },
+    };
+}
+
+/**
+ * Send every assignment below the minimum confidence to the review queue
+ */
+export function routeLowConfidence(assignments, minConfidence) {
+    return assignments.map((assignment) => (meetsConfidence(assignment.metadata?.confidence, minConfidence) ? assignment : markForReview(assignment)));
+}
+
+/**
+ * Ask for the minimum confidence of a run (the config's minConfidence is the default)
+ */
+export async function promptMinConfidence(defaultLevel = DEFAULT_MIN_CONFIDENCE) {
+    const { minConfidence } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "minConfidence",
+            message: "Which matches should be filed without review?",
+            choices: [
+                { name: "All of them, even guesses from the filename (low)", value: "low" },
+                { name: "Anything with a publisher (medium)", value: "medium" },
+                { name: "Metadata lookups, known series and document metadata (high)", value: "high" },
+                { name: "Only files with ComicInfo.xml (highest)", value: "highest" },
+            ],
+            default: defaultLevel,
+        },
+    ]);
+
+    return minConfidence;
+}
+
+/**
+ * Ask what to do with the files below the minimum confidence
+ */
+export async function promptLowConfidenceHandling(count, minConfidence) {
+    const { handling } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "handling",
+            message: `${count} files are below the minimum confidence (${minConfidence}). What should happen to them?`,
+            choices: Object.entries(LOW_CONFIDENCE_HANDLING).map(([value, name]) => ({ name, value })),
+            default: "review",
+        },
+    ]);
+
+    return handling;
+}
+
+/**
+ * Go through the files below the minimum confidence one by one
+ * @returns {Promise<Array<Object>>} The assignments, with skipped files left out and review files marked
+ */
+export async function reviewLowConfidence(assignments, minConfidence) {
+    const low = assignments.filter((assignment) => !meetsConfidence(assignment.metadata?.confidence, minConfidence));
+    const decisions = new Map();
+
+    logger.section(`Low Confidence Matches (${low.length} files)`);
+
+    for (const [index, assignment] of low.entries()) {
+        const { confidence = "low", source } = assignment.metadata || {};
+
+        logger.newline();
+        console.log(chalk.cyan(`  ${index + 1}/${low.length} ${getFilename(assignment.file)}`));
+        console.log(chalk.dim(`    Suggested: ${assignment.folder} (${confidence} confidence, from ${source})`));
+
+        const { action } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "action",
+                message: "What should happen to this file?",
+                choices: [
+                    { name: "Accept the suggested folder", value: "accept" },
+                    { name: "Correct the folder", value: "correct" },
+                    { name: `Send it to ${REVIEW_FOLDER}`, value: "review" },
+                    { name: "Skip it (leave it in the source folder)", value: "skip" },
+                ],
+            },
+        ]);
+
+        if (action === "correct") {
+            const { folder } = await inquirer.prompt([
+                {
+                    type: "input",
+                    name: "folder",
+                    message: 'Folder (use "/" for subfolders):',
+                    default: assignment.folder,
+                    validate: (input) => (input && input.trim().length > 0 ? true : "Folder cannot be empty"),
+                },
+            ]);
+            decisions.set(assignment.file, { ...assignment, folder: sanitizeFolderPath(folder) || assignment.folder });
+        } else if (action === "review") {
+            decisions.set(assignment.file, markForReview(assignment));
+        } else if (action === "skip") {
+            decisions.set(assignment.file, null);
+        }
+    }
+
+    return assignments.map((assignment) => (decisions.has(assignment.file) ? decisions.get(assignment.file) : assignment)).filter(Boolean);
+}
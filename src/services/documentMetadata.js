@@ -0,0 +1,377 @@
+import AdmZip from "adm-zip";
+import { XMLParser } from "fast-xml-parser";
+import path from "path";
+import fs from "fs-extra";
+import { createComicInfo } from "./comicInfo.js";
+
+/**
+ * Metadata embedded in EPUB and PDF files
+ * Both are mapped into the shape parseComicInfo returns, so they can be used like ComicInfo.xml.
+ *
+ * EPUB: the OPF package metadata - dc:title, dc:creator (by role), dc:publisher, dc:date, dc:language,
+ * dc:description, and the series from calibre:series / calibre:series_index or an EPUB 3
+ * belongs-to-collection with its group-position.
+ *
+ * PDF: the Info dictionary (Title, Author, Subject) and XMP metadata (dc:title, dc:creator, dc:publisher,
+ * dc:description, dc:language, and prism:publicationName / prism:volume / prism:number / prism:coverDate
+ * for the series, volume, issue and date). XMP wins where both have a value. The PDF creation date is
+ * when the file was made, not when the comic was published, so it isn't used as the year.
+ *
+ * Only an explicit series is used as the series. A title on its own is often whatever the scanner or
+ * converter put there ("Microsoft Word - scan"), so files without a series are matched like any other
+ * file (filename, series patterns and the metadata provider) and keep the title as their title.
+ */
+
+// PDFs up to this size are searched completely, bigger ones only at the start and end
+// (where writers put the Info dictionary and XMP metadata)
+const PDF_FULL_READ_LIMIT = 32 * 1024 * 1024;
+const PDF_PARTIAL_READ_SIZE = 4 * 1024 * 1024;
+
+// EPUB / MARC relator roles for the ComicInfo credit fields (creators without a role are writers)
+const CREATOR_ROLES = {
+    aut: "writer",
+    art: "penciller",
+    ill: "penciller",
+    clr: "colorist",
+    cov: "coverArtist",
+    edt: "editor",
+};
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+});
+
+/**
+ * Wrap a value that may be a single item or a list in a list
+ */
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the text of a parsed XML element (a string, or an object with attributes and #text)
+ */
+function getText(node) {
+    if (node === undefined || node === null) return null;
+    const text = typeof node === "object" ? node["#text"] : node;
+    return text === undefined || text === null ? null : String(text).trim() || null;
+}
+
+/**
+ * Parse a date like "2019", "2019-05" or "2019-05-01T00:00:00Z" into ComicInfo year, month and day
+ */
+function parseDate(value) {
+    const match = value && String(value).match(/^(\d{4})(?:-?(\d{2}))?(?:-?(\d{2}))?/);
+    if (!match) return {};
+
+    return {
+        year: parseInt(match[1], 10),
+        month: match[2] ? parseInt(match[2], 10) : null,
+        day: match[3] ? parseInt(match[3], 10) : null,
+    };
+}
+
+/**
+ * Parse a series position ("3" or "3.0") into a number, or null
+ */
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Remove HTML tags from a description
+ */
+function stripTags(text) {
+    return text ? text.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim() || null : null;
+}
+
+/**
+ * Map parsed EPUB OPF package metadata to ComicInfo fields
+ */
+export function parseOpfMetadata(opfXml) {
+    let metadata;
+    try {
+        metadata = xmlParser.parse(opfXml)?.package?.metadata;
+    } catch {
+        return null;
+    }
+    if (!metadata) return null;
+
+    const metas = toArray(metadata.meta);
+    const metaByName = (name) => getText(metas.find((meta) => meta.name === name)?.content);
+    const refinements = (id) => metas.filter((meta) => meta.refines === `#${id}`);
+    const refinement = (id, property) => getText(refinements(id).find((meta) => meta.property === property));
+
+    // Credits: EPUB 2 has opf:role on the creator, EPUB 3 a "role" meta refining it
+    const credits = {};
+    for (const creator of toArray(metadata.creator)) {
+        const name = getText(creator);
+        if (!name) continue;
+
+        const role = (creator.role || (creator.id && refinement(creator.id, "role")) || "aut").toLowerCase();
+        const field = CREATOR_ROLES[role];
+        if (field) {
+            credits[field] = credits[field] ? `${credits[field]}, ${name}` : name;
+        }
+    }
+
+    // Series: calibre's metadata, or an EPUB 3 collection of type "series" (or without a type)
+    let series = metaByName("calibre:series");
+    let number = parseNumber(metaByName("calibre:series_index"));
+
+    if (!series) {
+        const collection = metas.find(
+            (meta) => meta.property === "belongs-to-collection" && (!meta.id || ["series", null].includes(refinement(meta.id, "collection-type")))
+        );
+        if (collection) {
+            series = getText(collection);
+            number = collection.id ? parseNumber(refinement(collection.id, "group-position")) : null;
+        }
+    }
+
+    // Prefer the publication date when dates are marked with an event
+    const dates = toArray(metadata.date);
+    const date = dates.find((entry) => entry?.event === "publication") || dates[0];
+
+    const title = getText(toArray(metadata.title)[0]);
+
+    return createComicInfo({
+        series,
+        number,
+        title,
+        publisher: getText(toArray(metadata.publisher)[0]),
+        summary: stripTags(getText(toArray(metadata.description)[0])),
+        languageISO: getText(toArray(metadata.language)[0]),
+        ...parseDate(getText(date)),
+        ...credits,
+    });
+}
+
+/**
+ * Read the OPF package metadata from an EPUB file
+ * @returns {Promise<Object|null>} Metadata in the parseComicInfo shape, or null when there's none
+ */
+export async function readEpubMetadata(filePath) {
+    try {
+        const zip = new AdmZip(await fs.readFile(filePath));
+
+        // META-INF/container.xml points to the OPF package file
+        const container = xmlParser.parse(zip.readAsText("META-INF/container.xml"));
+        const rootfile = toArray(container?.container?.rootfiles?.rootfile)[0];
+        const opfPath = rootfile?.["full-path"];
+        if (!opfPath) return null;
+
+        const opfEntry = zip.getEntry(opfPath);
+        return opfEntry ? parseOpfMetadata(opfEntry.getData().toString("utf8")) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode a PDF literal string body (without the outer parentheses)
+ */
+function decodeLiteralString(body) {
+    const bytes = [];
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char !== "\\") {
+            bytes.push(body.charCodeAt(i) & 0xff);
+            continue;
+        }
+
+        const next = body[++i];
+        const octal = body.slice(i).match(/^[0-7]{1,3}/);
+        if (octal) {
+            bytes.push(parseInt(octal[0], 8) & 0xff);
+            i += octal[0].length - 1;
+        } else if (next === "\r" || next === "\n") {
+            // Line continuation
+            if (next === "\r" && body[i + 1] === "\n") i++;
+        } else {
+            const escapes = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+            bytes.push(escapes[next] ?? next.charCodeAt(0));
+        }
+    }
+    return decodePdfText(Buffer.from(bytes));
+}
+
+/**
+ * Decode PDF text string bytes: UTF-16BE with a byte order mark, UTF-8 with a BOM, or PDFDocEncoding (~Latin-1)
+ */
+function decodePdfText(buffer) {
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        const swapped = Buffer.from(buffer.subarray(2));
+        swapped.swap16();
+        return swapped.toString("utf16le");
+    }
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.subarray(3).toString("utf8");
+    }
+    return buffer.toString("latin1");
+}
+
+/**
+ * Read a string value for a key in a PDF dictionary, e.g. /Title (Saga) or /Title <FEFF0053...>
+ */
+function readPdfString(dictionary, key) {
+    const start = dictionary.search(new RegExp(`/${key}\\s*[(<]`));
+    if (start === -1) return null;
+
+    let i = dictionary.indexOf(key, start) + key.length;
+    while (/\s/.test(dictionary[i])) i++;
+
+    if (dictionary[i] === "<") {
+        const end = dictionary.indexOf(">", i);
+        const hex = dictionary.slice(i + 1, end).replace(/\s/g, "");
+        return decodePdfText(Buffer.from(hex.length % 2 ? `${hex}0` : hex, "hex")).trim() || null;
+    }
+
+    // Literal string - parentheses can be nested when balanced
+    let depth = 0;
+    for (let j = i; j < dictionary.length; j++) {
+        if (dictionary[j] === "\\") {
+            j++;
+        } else if (dictionary[j] === "(") {
+            depth++;
+        } else if (dictionary[j] === ")" && --depth === 0) {
+            return decodeLiteralString(dictionary.slice(i + 1, j)).trim() || null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the document Info dictionary (the last one, as incremental updates append a new one)
+ */
+function findInfoDictionary(content) {
+    const references = [...content.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+    if (references.length === 0) return null;
+
+    const [, objectNumber, generation] = references[references.length - 1];
+    const objects = [...content.matchAll(new RegExp(`(?:^|[^\\d])${objectNumber}\\s+${generation}\\s+obj\\b`, "g"))];
+    if (objects.length === 0) return null;
+
+    const start = objects[objects.length - 1].index;
+    const end = content.indexOf("endobj", start);
+    return content.slice(start, end === -1 ? undefined : end);
+}
+
+/**
+ * Get the values of an XMP property: a plain value, or the items of an rdf:Alt, rdf:Seq or rdf:Bag
+ */
+function getXmpValues(value) {
+    if (value === undefined || value === null) return [];
+    if (typeof value === "object") {
+        const list = value.Alt || value.Seq || value.Bag;
+        if (list) return toArray(list.li).map(getText).filter(Boolean);
+    }
+    const text = getText(value);
+    return text ? [text] : [];
+}
+
+/**
+ * Map an XMP packet to ComicInfo fields
+ */
+export function parseXmpMetadata(xmp) {
+    let descriptions;
+    try {
+        const parsed = xmlParser.parse(xmp);
+        descriptions = toArray(parsed?.xmpmeta?.RDF?.Description ?? parsed?.RDF?.Description);
+    } catch {
+        return {};
+    }
+
+    // Properties can be spread over several descriptions, as elements or attributes
+    const properties = Object.assign({}, ...descriptions.filter((description) => typeof description === "object"));
+    const first = (name) => getXmpValues(properties[name])[0] || null;
+    const creators = getXmpValues(properties.creator);
+
+    return {
+        series: first("publicationName"),
+        title: first("title"),
+        writer: creators.length > 0 ? creators.join(", ") : null,
+        publisher: first("publisher"),
+        summary: first("description"),
+        languageISO: first("language"),
+        volume: parseNumber(first("volume")),
+        number: parseNumber(first("number")),
+        ...parseDate(first("coverDate") || first("publicationDate")),
+    };
+}
+
+/**
+ * Read the start and end of a big file, or all of a small one
+ */
+async function readPdfContent(filePath) {
+    const { size } = await fs.stat(filePath);
+    if (size <= PDF_FULL_READ_LIMIT) {
+        return (await fs.readFile(filePath)).toString("latin1");
+    }
+
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+        const head = Buffer.alloc(PDF_PARTIAL_READ_SIZE);
+        const tail = Buffer.alloc(PDF_PARTIAL_READ_SIZE);
+        await handle.read(head, 0, head.length, 0);
+        await handle.read(tail, 0, tail.length, size - tail.length);
+        return head.toString("latin1") + "\n" + tail.toString("latin1");
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Read the Info dictionary and XMP metadata from a PDF file
+ * Compressed metadata (in object streams) isn't read.
+ * @returns {Promise<Object|null>} Metadata in the parseComicInfo shape (the series only from prism:publicationName),
+ *   or null when there's no title or series
+ */
+export async function readPdfMetadata(filePath) {
+    let content;
+    try {
+        content = await readPdfContent(filePath);
+    } catch {
+        return null;
+    }
+
+    const info = findInfoDictionary(content);
+    const infoFields = info
+        ? {
+              title: readPdfString(info, "Title"),
+              writer: readPdfString(info, "Author"),
+              summary: readPdfString(info, "Subject"),
+          }
+        : {};
+
+    // The last XMP packet is the most recent (incremental updates append)
+    const packets = [...content.matchAll(/<x:xmpmeta[\s\S]*?<\/x:xmpmeta>/g)];
+    const xmpFields = packets.length > 0 ? parseXmpMetadata(Buffer.from(packets[packets.length - 1][0], "latin1").toString("utf8")) : {};
+
+    const fields = { ...infoFields };
+    for (const [field, value] of Object.entries(xmpFields)) {
+        if (value !== null && value !== undefined) fields[field] = value;
+    }
+
+    if (!fields.series && !fields.title) return null;
+
+    return createComicInfo(fields);
+}
+
+/**
+ * Read the embedded metadata of an EPUB or PDF file
+ * @returns {Promise<Object|null>} Metadata in the parseComicInfo shape, or null for other files and files without metadata
+ */
+export async function readDocumentMetadata(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === ".epub") return readEpubMetadata(filePath);
+    if (ext === ".pdf") return readPdfMetadata(filePath);
+    return null;
+}
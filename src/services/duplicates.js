@@ -0,0 +1,188 @@
+import fs from "fs-extra";
+import path from "path";
+import { getFilename, hashFile } from "../utils/files.js";
+import { countPages } from "./archives.js";
+import { detectSeriesGroups, createSeriesLookupMap, extractSeriesName, normalizeSeriesKey } from "./seriesDetection.js";
+
+/**
+ * Duplicate detection
+ * Files are grouped two ways:
+ * - "identical": byte-for-byte the same content (same size and SHA-256 hash)
+ * - "same-issue": the same series, issue number and year, even if the files differ
+ *   (e.g. "Saga 001 (2012).cbz" and "Saga #1.cbr")
+ */
+
+export const DUPLICATES_FOLDER = "_Duplicates";
+
+/**
+ * Group files with identical contents
+ * Only files that share a size with another file are hashed
+ * @param {Function} onProgress - Called with (current, total) while hashing
+ * @returns {Promise<Object>} { groups: Array<Array<string>>, hashes: Map<string, string> }
+ */
+async function findIdenticalGroups(files, onProgress) {
+    const bySize = new Map();
+
+    for (const file of files) {
+        const { size } = await fs.stat(file);
+        if (!bySize.has(size)) bySize.set(size, []);
+        bySize.get(size).push(file);
+    }
+
+    const candidates = [...bySize.values()].filter((sameSize) => sameSize.length > 1).flat();
+    const hashes = new Map();
+    const byHash = new Map();
+
+    for (let i = 0; i < candidates.length; i++) {
+        const hash = await hashFile(candidates[i]);
+        hashes.set(candidates[i], hash);
+
+        if (!byHash.has(hash)) byHash.set(hash, []);
+        byHash.get(hash).push(candidates[i]);
+
+        if (onProgress) onProgress(i + 1, candidates.length);
+    }
+
+    return {
+        groups: [...byHash.values()].filter((sameHash) => sameHash.length > 1),
+        hashes,
+    };
+}
+
+/**
+ * Group files that are the same issue of the same series
+ * Undated copies match a dated one as long as only one year is seen for that issue;
+ * different years are treated as different volumes of the series.
+ * @param {Array<string>} files - File paths
+ * @param {Array<Object>} metadataResults - Metadata for each file (from batchGetMetadata)
+ * @returns {Array<Object>} [{ label, files }]
+ */
+export function findSameIssueGroups(files, metadataResults) {
+    const seriesLookupMap = createSeriesLookupMap(detectSeriesGroups(files, metadataResults));
+    const buckets = new Map();
+
+    files.forEach((file, index) => {
+        const metadata = metadataResults[index];
+        if (metadata.issueNumber === null || metadata.issueNumber === undefined) return;
+
+        const series = seriesLookupMap.get(file) || metadata.series || extractSeriesName(getFilename(file));
+        const key = `${normalizeSeriesKey(series)}#${metadata.issueNumber}`;
+
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push({ file, series, issueNumber: metadata.issueNumber, year: metadata.year || null });
+    });
+
+    const groups = [];
+    const describe = (entries, year) => ({
+        label: `${entries[0].series} #${entries[0].issueNumber}${year ? ` (${year})` : ""}`,
+        files: entries.map((entry) => entry.file),
+    });
+
+    for (const entries of buckets.values()) {
+        if (entries.length < 2) continue;
+
+        const years = new Set(entries.filter((entry) => entry.year).map((entry) => entry.year));
+
+        if (years.size <= 1) {
+            groups.push(describe(entries, [...years][0]));
+            continue;
+        }
+
+        for (const year of years) {
+            const sameYear = entries.filter((entry) => entry.year === year);
+            if (sameYear.length > 1) {
+                groups.push(describe(sameYear, year));
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Pick the copy to keep: most pages, then largest file, then CBZ over other formats
+ * @param {Array<Object>} files - File details ({ path, size, pages })
+ * @returns {string} Path of the file to keep
+ */
+export function pickKeeper(files) {
+    const ranked = [...files].sort(
+        (a, b) =>
+            (b.pages ?? -1) - (a.pages ?? -1) ||
+            b.size - a.size ||
+            Number(path.extname(b.path).toLowerCase() === ".cbz") - Number(path.extname(a.path).toLowerCase() === ".cbz") ||
+            a.path.localeCompare(b.path)
+    );
+    return ranked[0].path;
+}
+
+/**
+ * Get size, page count and modification time for a file in a duplicate group
+ */
+async function describeFile(filePath, hashes) {
+    const stat = await fs.stat(filePath);
+
+    return {
+        path: filePath,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        pages: await countPages(filePath),
+        hash: hashes.get(filePath) || null,
+    };
+}
+
+/**
+ * Find duplicate files
+ * @param {Array<string>} files - File paths
+ * @param {Array<Object>} metadataResults - Metadata for each file (from batchGetMetadata)
+ * @param {object} options - Options
+ * @param {Function} options.onProgress - Called with (current, total) while hashing
+ * @returns {Promise<Array<Object>>} [{ type, label, files: [{ path, size, mtimeMs, pages, hash }], keep }]
+ */
+export async function findDuplicates(files, metadataResults, options = {}) {
+    const { onProgress } = options;
+
+    const identical = await findIdenticalGroups(files, onProgress);
+    const sameIssue = findSameIssueGroups(files, metadataResults);
+
+    // Identical copies of the same issue are already covered by the issue group
+    const identicalOnly = identical.groups.filter((group) => !sameIssue.some((issueGroup) => group.every((file) => issueGroup.files.includes(file))));
+
+    const rawGroups = [
+        ...sameIssue.map((group) => ({ type: "same-issue", label: group.label, files: group.files })),
+        ...identicalOnly.map((group) => ({ type: "identical", label: getFilename(group[0]), files: group })),
+    ];
+
+    const groups = [];
+    for (const group of rawGroups) {
+        const details = [];
+        for (const file of group.files) {
+            details.push(await describeFile(file, identical.hashes));
+        }
+        groups.push({ ...group, files: details, keep: pickKeeper(details) });
+    }
+
+    return groups;
+}
+
+/**
+ * Work out which files to remove once the user has picked a keeper for each group
+ * A file that is kept in any group is never removed, even if another group lists it as a duplicate.
+ * Groups with a null keep are skipped.
+ * @returns {Array<Object>} File details of the files to remove
+ */
+export function getFilesToRemove(groups) {
+    const kept = new Set(groups.filter((group) => group.keep).map((group) => group.keep));
+    const remove = new Map();
+
+    for (const group of groups) {
+        if (!group.keep) continue;
+
+        for (const file of group.files) {
+            if (!kept.has(file.path)) {
+                remove.set(file.path, file);
+            }
+        }
+    }
+
+    return [...remove.values()];
+}
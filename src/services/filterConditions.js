@@ -0,0 +1,149 @@
+/**
+ * Filter conditions on a file's ComicInfo.xml fields (used by "match" in manual filters)
+ *
+ * A condition is either a field test or a combination of conditions:
+ *   { "field": "format", "equals": "TPB" }               Case-insensitive comparison
+ *   { "field": "imprint", "pattern": "black\\s*label" }  Case-insensitive regex
+ *   { "field": "year", "min": 2000, "max": 2009 }         Number range (either end can be left out)
+ *   { "all": [...] }, { "any": [...] }, { "not": {...} }
+ *
+ * Field tests never match a file that doesn't have the field (so "not" does).
+ */
+
+// Fields conditions can test: the filename and everything parseComicInfo reads
+export const CONDITION_FIELDS = [
+    "filename",
+    "series",
+    "number",
+    "volume",
+    "title",
+    "publisher",
+    "imprint",
+    "year",
+    "month",
+    "day",
+    "writer",
+    "penciller",
+    "inker",
+    "colorist",
+    "letterer",
+    "coverArtist",
+    "editor",
+    "summary",
+    "storyArc",
+    "seriesGroup",
+    "alternateSeries",
+    "alternateNumber",
+    "format",
+    "ageRating",
+    "web",
+    "pageCount",
+    "languageISO",
+];
+
+const COMBINATIONS = ["all", "any", "not"];
+
+/**
+ * Check if a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate a condition
+ * @param {string} where - Where the condition is, for error messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateCondition(condition, where = "match") {
+    if (!isPlainObject(condition)) {
+        return [`${where} must be an object`];
+    }
+
+    const combinations = COMBINATIONS.filter((key) => key in condition);
+    const combination = combinations[0];
+
+    if (combinations.length > 1 || (combination && "field" in condition)) {
+        return [`${where} must have only one of "field", "all", "any" or "not" (nest conditions to combine them)`];
+    }
+
+    if (combination === "not") {
+        return validateCondition(condition.not, `${where}.not`);
+    }
+
+    if (combination) {
+        const conditions = condition[combination];
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            return [`${where}.${combination} must be a non-empty list of conditions`];
+        }
+        return conditions.flatMap((subCondition, index) => validateCondition(subCondition, `${where}.${combination}[${index}]`));
+    }
+
+    if (!CONDITION_FIELDS.includes(condition.field)) {
+        return [`${where} must have a "field" (one of: ${CONDITION_FIELDS.join(", ")}) or "all", "any" or "not"`];
+    }
+
+    const errors = [];
+    const hasRange = condition.min !== undefined || condition.max !== undefined;
+    const tests = ["equals", "pattern"].filter((key) => condition[key] !== undefined).length + (hasRange ? 1 : 0);
+
+    if (tests !== 1) {
+        errors.push(`${where} must have exactly one of "equals", "pattern" or "min"/"max"`);
+    }
+
+    if (condition.pattern !== undefined) {
+        try {
+            new RegExp(condition.pattern, "i");
+        } catch (e) {
+            errors.push(`${where} has invalid regex pattern: ${e.message}`);
+        }
+    }
+
+    for (const key of ["min", "max"]) {
+        if (condition[key] !== undefined && typeof condition[key] !== "number") {
+            errors.push(`${where}.${key} must be a number`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check if a file's values match a (validated) condition
+ * @param {Object} values - { filename, ...ComicInfo fields }
+ */
+export function matchesCondition(condition, values) {
+    if (condition.all) return condition.all.every((subCondition) => matchesCondition(subCondition, values));
+    if (condition.any) return condition.any.some((subCondition) => matchesCondition(subCondition, values));
+    if (condition.not) return !matchesCondition(condition.not, values);
+
+    const value = values[condition.field];
+    if (value === null || value === undefined || value === "") return false;
+
+    if (condition.equals !== undefined) {
+        return String(value).toLowerCase() === String(condition.equals).toLowerCase();
+    }
+
+    if (condition.pattern !== undefined) {
+        return new RegExp(condition.pattern, "i").test(String(value));
+    }
+
+    const number = Number(value);
+    if (Number.isNaN(number)) return false;
+    return (condition.min === undefined || number >= condition.min) && (condition.max === undefined || number <= condition.max);
+}
+
+/**
+ * Describe a condition for display, e.g. any(imprint ~ /black label/, format = "TPB")
+ */
+export function describeCondition(condition) {
+    if (condition.all) return `all(${condition.all.map(describeCondition).join(", ")})`;
+    if (condition.any) return `any(${condition.any.map(describeCondition).join(", ")})`;
+    if (condition.not) return `not(${describeCondition(condition.not)})`;
+
+    if (condition.equals !== undefined) return `${condition.field} = "${condition.equals}"`;
+    if (condition.pattern !== undefined) return `${condition.field} ~ /${condition.pattern}/`;
+
+    if (condition.min !== undefined && condition.max !== undefined) return `${condition.field} ${condition.min}-${condition.max}`;
+    return condition.min !== undefined ? `${condition.field} >= ${condition.min}` : `${condition.field} <= ${condition.max}`;
+}
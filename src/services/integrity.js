@@ -0,0 +1,177 @@
+import fs from "fs-extra";
+import path from "path";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { ARCHIVE_EXTENSIONS, GENERIC_ARCHIVE_EXTENSIONS, isImageFile, listArchiveNames, testArchive } from "./archives.js";
+import { DEFAULT_WORKERS } from "./metadata.js";
+import { getUserConfig } from "./userConfig.js";
+
+/**
+ * Integrity checks
+ * Every file is read completely so broken downloads are caught before they're organized:
+ * - "empty": a zero-byte file
+ * - "unreadable": not a valid archive or PDF, or the archive can't be opened
+ * - "damaged": files in the archive that fail their CRC check, or a PDF that was cut off
+ * - "password": a password protected archive (its pages can't be read)
+ * - "no-images": an archive without any page images
+ * - "unchecked": a file too big to check with the memory available (nothing is known to be wrong with it)
+ *
+ * Plain .zip and .rar files are only checked when they list page images. One whose contents can't be
+ * listed at all is reported as "unreadable" but marked to be left in place, since it may not be a comic;
+ * unchecked files are left in place too.
+ */
+
+export const CORRUPT_FOLDER = "_Corrupt";
+
+export const PROBLEM_LABELS = {
+    empty: "Empty files",
+    unreadable: "Unreadable files",
+    damaged: "Damaged files",
+    password: "Password protected",
+    "no-images": "No page images",
+    unchecked: "Too large to check",
+};
+
+// Errors that come from running out of memory (or from a file too big to read at once), not from the file itself
+const RESOURCE_ERROR_CODES = ["ERR_FS_FILE_TOO_LARGE", "ERR_BUFFER_TOO_LARGE", "ENOMEM"];
+const RESOURCE_ERROR_MESSAGE = /allocation failed|out of memory|\bOOM\b|Invalid array length/i;
+
+/**
+ * Check if an error is about the memory available rather than the file being checked
+ */
+function isResourceError(error) {
+    return RESOURCE_ERROR_CODES.includes(error.code) || error.reason === "ERAR_NO_MEMORY" || RESOURCE_ERROR_MESSAGE.test(error.message);
+}
+
+// A complete PDF ends with %%EOF (followed by at most a line break or a little padding)
+const PDF_TAIL_SIZE = 1024;
+
+/**
+ * Check a PDF's header and that it wasn't cut off
+ */
+async function checkPdf(filePath, size) {
+    const handle = await fs.open(filePath, "r");
+
+    try {
+        const head = Buffer.alloc(5);
+        await fs.read(handle, head, 0, head.length, 0);
+        if (head.toString("latin1") !== "%PDF-") {
+            return { type: "unreadable", message: "Not a PDF file" };
+        }
+
+        const tail = Buffer.alloc(Math.min(PDF_TAIL_SIZE, size));
+        await fs.read(handle, tail, 0, tail.length, size - tail.length);
+        if (!tail.toString("latin1").includes("%%EOF")) {
+            return { type: "damaged", message: "The PDF is incomplete (no end of file marker)" };
+        }
+
+        return null;
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+/**
+ * Check an archive (or EPUB) by decompressing every file
+ */
+async function checkArchive(filePath) {
+    const result = await testArchive(filePath);
+    const isEpub = path.extname(filePath).toLowerCase() === ".epub";
+
+    if (result.encrypted) {
+        return { type: "password", message: "The archive is password protected" };
+    }
+    if (result.damaged.length > 0) {
+        return { type: "damaged", message: `${result.damaged.join(", ")} failed the CRC check` };
+    }
+    if (result.pages === 0 && !isEpub) {
+        return { type: "no-images", message: `No page images (${result.files} other files)` };
+    }
+
+    return null;
+}
+
+/**
+ * Verify a comic file
+ * @returns {Promise<Object|null>} { path, size, problem, leaveInPlace } - problem is null for a good file, otherwise
+ *   { type, message }; leaveInPlace is set for a .zip or .rar that can't be listed and for a file too big to check.
+ *   Null for a .zip or .rar that isn't a comic.
+ */
+export async function verifyComicFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    let size = 0;
+
+    try {
+        ({ size } = await fs.stat(filePath));
+
+        if (GENERIC_ARCHIVE_EXTENSIONS.includes(ext)) {
+            let names;
+            try {
+                names = await listArchiveNames(filePath);
+            } catch (error) {
+                if (isResourceError(error)) throw error;
+                return { path: filePath, size, problem: { type: "unreadable", message: error.message }, leaveInPlace: true };
+            }
+            if (!names.some((name) => isImageFile(name))) return null;
+        }
+
+        if (size === 0) {
+            return { path: filePath, size, problem: { type: "empty", message: "The file is empty (0 bytes)" } };
+        }
+
+        let problem = null;
+        if (ext === ".pdf") {
+            problem = await checkPdf(filePath, size);
+        } else if (ext === ".epub" || ARCHIVE_EXTENSIONS.includes(ext)) {
+            problem = await checkArchive(filePath);
+        }
+
+        return { path: filePath, size, problem };
+    } catch (error) {
+        if (isResourceError(error)) {
+            return { path: filePath, size, problem: { type: "unchecked", message: error.message }, leaveInPlace: true };
+        }
+        return { path: filePath, size, problem: { type: "unreadable", message: error.message } };
+    }
+}
+
+/**
+ * Verify comic files, several at a time
+ * @param {object} options - Verification options
+ * @param {number} options.concurrency - Files checked at once (default: the config's "workers", or DEFAULT_WORKERS)
+ * @param {Function} options.onProgress - Called with (completed, total)
+ * @returns {Promise<Array<Object>>} Results of verifyComicFile, in file order (.zip and .rar files that aren't comics are left out)
+ */
+export async function verifyComicFiles(files, options = {}) {
+    const concurrency = options.concurrency || getUserConfig().workers || DEFAULT_WORKERS;
+    let completed = 0;
+
+    const results = await mapWithConcurrency(files, concurrency, async (file) => {
+        const result = await verifyComicFile(file);
+        options.onProgress?.(++completed, files.length);
+        return result;
+    });
+
+    return results.filter(Boolean);
+}
+
+/**
+ * Build a verification report for saving as JSON
+ * @param {string} directory - Directory that was verified (file paths are relative to it)
+ * @param {Array<Object>} results - Results of verifyComicFiles
+ */
+export function createVerificationReport(directory, results) {
+    const problems = results.filter((result) => result.problem);
+
+    return {
+        directory,
+        createdAt: new Date().toISOString(),
+        checked: results.length,
+        ok: results.length - problems.length,
+        problems: problems.map((result) => ({
+            file: path.relative(directory, result.path),
+            size: result.size,
+            type: result.problem.type,
+            message: result.problem.message,
+        })),
+    };
+}
@@ -0,0 +1,217 @@
+import fs from "fs-extra";
+import path from "path";
+import { extractIssueNumber, getFilename } from "../utils/files.js";
+import { toCsv } from "./libraryStats.js";
+import { createSeriesLookupMap, detectSeriesGroups, extractSeriesName, normalizeSeriesKey } from "./seriesDetection.js";
+
+/**
+ * Missing issue detection
+ * Files are grouped per folder and series, and each series' issue numbers are checked for gaps:
+ * - point issues (0.1, 1.5, ...) are listed but never expected, so they don't create gaps
+ * - annuals are tracked as their own run ("Batman Annual"), numbered separately from the series
+ * - annuals numbered by year (e.g. "Annual 2016") aren't checked, their numbering isn't sequential
+ */
+
+export const WANT_LIST_FORMATS = ["txt", "csv", "json"];
+
+const ANNUAL_PATTERN = /\bannual\b/i;
+const ANNUAL_NUMBER_PATTERN = /\bannual\s*#?(\d{1,4}(?:\.\d{1,2})?)\b/i;
+
+// Annual "numbers" at least this big are years
+const FIRST_YEAR_NUMBER = 1900;
+
+/**
+ * Work out the series, issue number and whether a file is an annual
+ * @param {string} seriesName - Series the file was grouped into
+ * @returns {Object} { series, annual, number } - number is null when the issue isn't numbered
+ */
+export function getIssueDetails(file, metadata, seriesName) {
+    const filename = getFilename(file);
+    const annual = ANNUAL_PATTERN.test(filename) || ANNUAL_PATTERN.test(metadata.series || "") || /^annual$/i.test(metadata.format || "");
+    let number = metadata.issueNumber ?? null;
+
+    // Numbers from the filename are a guess, ComicInfo.xml's are kept as they are
+    if (metadata.comicInfo?.number == null) {
+        // "Batman (2016) 001": the first number is the year, not the issue
+        if (number !== null && number === metadata.year) {
+            number = extractIssueNumber(filename.replace(String(metadata.year), ""));
+        }
+
+        // "Batman 2016 Annual 1": the number after "Annual" is the issue
+        const match = annual && filename.match(ANNUAL_NUMBER_PATTERN);
+        if (match) number = parseFloat(match[1]);
+    }
+
+    return {
+        series: seriesName.replace(/\s*\bannual\b.*$/i, "").trim() || seriesName,
+        annual,
+        number: Number.isFinite(number) && number >= 0 ? number : null,
+    };
+}
+
+/**
+ * Find the whole issue numbers missing from a run
+ * @param {Array<number>} numbers - Issue numbers owned
+ * @param {object} options - Gap options
+ * @param {boolean} options.fromLowest - Start at the lowest issue owned instead of #1 (default: false)
+ * @returns {Array<number>} Missing issue numbers, in order
+ */
+export function findMissingNumbers(numbers, options = {}) {
+    const { fromLowest = false } = options;
+    const whole = new Set(numbers.filter((number) => Number.isInteger(number)));
+
+    if (whole.size === 0) {
+        return [];
+    }
+
+    const lowest = Math.min(...whole);
+    const highest = Math.max(...whole);
+    // #0 is only expected when the series has one
+    const start = fromLowest ? lowest : Math.min(lowest, 1);
+    const missing = [];
+
+    for (let number = start; number < highest; number++) {
+        if (!whole.has(number)) missing.push(number);
+    }
+
+    return missing;
+}
+
+/**
+ * Format issue numbers as ranges, e.g. [13, 40, 41, 42] -> "#13, #40–42"
+ */
+export function formatIssueRanges(numbers) {
+    const ranges = [];
+
+    for (const number of numbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && Number.isInteger(number) && number === last.end + 1) {
+            last.end = number;
+        } else {
+            ranges.push({ start: number, end: number });
+        }
+    }
+
+    return ranges.map(({ start, end }) => (start === end ? `#${start}` : `#${start}–${end}`)).join(", ");
+}
+
+/**
+ * Get the display name of a run, e.g. "Batman Annual"
+ */
+export function getRunName(run) {
+    return run.annual ? `${run.series} Annual` : run.series;
+}
+
+/**
+ * Find the missing issues of every series in a library
+ * @param {string} directory - Library directory (folders are reported relative to it)
+ * @param {Array<string>} files - File paths
+ * @param {Array<Object>} metadataResults - Metadata for each file (from batchGetMetadata)
+ * @param {object} options - Same options as findMissingNumbers
+ * @returns {Array<Object>} [{ folder, series, annual, issues, missing, points, unnumbered }] sorted by folder and series
+ */
+export function findIssueGaps(directory, files, metadataResults, options = {}) {
+    const byFolder = new Map();
+
+    files.forEach((file, index) => {
+        const folder = path.dirname(file);
+        if (!byFolder.has(folder)) byFolder.set(folder, []);
+        byFolder.get(folder).push(index);
+    });
+
+    const runs = [];
+
+    for (const [folder, indexes] of byFolder) {
+        const folderFiles = indexes.map((index) => files[index]);
+        const folderMetadata = indexes.map((index) => metadataResults[index]);
+        const seriesLookupMap = createSeriesLookupMap(detectSeriesGroups(folderFiles, folderMetadata));
+        const folderRuns = new Map();
+
+        folderFiles.forEach((file, i) => {
+            const metadata = folderMetadata[i];
+            const seriesName = seriesLookupMap.get(file) || metadata.series || extractSeriesName(getFilename(file));
+            const { series, annual, number } = getIssueDetails(file, metadata, seriesName);
+            const key = `${normalizeSeriesKey(series)}${annual ? "#annual" : ""}`;
+
+            if (!folderRuns.has(key)) {
+                folderRuns.set(key, { folder: path.relative(directory, folder), series, annual, numbers: [], unnumbered: 0 });
+            }
+
+            const run = folderRuns.get(key);
+            if (number === null) {
+                run.unnumbered++;
+            } else {
+                run.numbers.push(number);
+            }
+        });
+
+        for (const { numbers, ...run } of folderRuns.values()) {
+            const issues = [...new Set(numbers)].sort((a, b) => a - b);
+            const yearNumbered = run.annual && issues.some((number) => number >= FIRST_YEAR_NUMBER);
+
+            runs.push({
+                ...run,
+                issues,
+                missing: yearNumbered ? [] : findMissingNumbers(issues, options),
+                points: issues.filter((number) => !Number.isInteger(number)),
+            });
+        }
+    }
+
+    return runs
+        .filter((run) => run.issues.length > 0)
+        .sort((a, b) => a.folder.localeCompare(b.folder) || a.series.localeCompare(b.series) || a.annual - b.annual);
+}
+
+/**
+ * Format the missing issues as a want list, one issue per line ("Saga #13")
+ */
+export function wantListToText(runs) {
+    return runs.flatMap((run) => run.missing.map((number) => `${getRunName(run)} #${number}`)).join("\n") + "\n";
+}
+
+/**
+ * Format the missing issues as a CSV want list
+ */
+export function wantListToCsv(runs) {
+    const rows = [["series", "issue", "annual", "folder"]];
+
+    for (const run of runs) {
+        for (const number of run.missing) {
+            rows.push([run.series, number, run.annual ? "yes" : "no", run.folder]);
+        }
+    }
+
+    return toCsv(rows);
+}
+
+/**
+ * Get the want list format for a file from its extension
+ * @returns {string|null} "txt", "csv", "json" or null if the extension isn't supported
+ */
+export function getWantListFormat(filePath) {
+    const format = path.extname(filePath).toLowerCase().slice(1);
+    return WANT_LIST_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Save the missing issues as a want list (text, CSV or JSON, picked from the file extension)
+ * Only series with missing issues are included
+ */
+export async function writeWantList(runs, filePath) {
+    const format = getWantListFormat(filePath);
+    const wanted = runs.filter((run) => run.missing.length > 0);
+
+    if (format === "txt") {
+        await fs.outputFile(filePath, wantListToText(wanted));
+    } else if (format === "csv") {
+        await fs.outputFile(filePath, wantListToCsv(wanted));
+    } else if (format === "json") {
+        const series = wanted.map((run) => ({ series: getRunName(run), folder: run.folder, missing: run.missing, label: formatIssueRanges(run.missing) }));
+        await fs.outputJson(filePath, { createdAt: new Date().toISOString(), series }, { spaces: 2 });
+    } else {
+        throw new Error(`Can't save a want list to "${path.basename(filePath)}" (use a .${WANT_LIST_FORMATS.join(", .")} file)`);
+    }
+
+    return format;
+}
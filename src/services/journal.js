@@ -0,0 +1,407 @@
+import path from "path";
+import fs from "fs-extra";
+import { getAppDataPath } from "../utils/appData.js";
+import { logger } from "../utils/logger.js";
+import { moveVerified } from "../utils/files.js";
+
+/**
+ * Undo journal
+ * Every run that changes the filesystem records its operations to a journal file
+ * so it can be rolled back later. Journals are JSON Lines files:
+ *
+ *   { "type": "header", "id": "...", "mode": "auto", "createdAt": "...", "details": { ... } }
+ *   { "type": "mkdir", "path": "/library/Marvel" }
+ *   { "type": "move", "from": "/inbox/a.cbz", "to": "/library/Marvel/a.cbz", "size": 1234, "mtimeMs": 1700000000000 }
+ *   { "type": "rename", "from": "/library/a.cbz", "to": "/library/b.cbz", "size": 1234, "mtimeMs": 1700000000000 }
+ *   { "type": "dedupe", "from": "/inbox/a.cbz", "to": "/library/Marvel/a.cbz", "size": 1234, "mtimeMs": 1700000000000 }
+ *   { "type": "copy", "from": "/seeding/a.cbz", "to": "/library/Marvel/a.cbz", "size": 1234, "mtimeMs": 1700000000000 }
+ *   { "type": "rmdir", "path": "/library/Old Folder" }
+ *   { "type": "rewrite", "to": "/library/Marvel/a.cbz", "size": 1300, "mtimeMs": 1700000100000 }
+ *   { "type": "replace", "to": "/library/Marvel/b.cbr", "with": { "from": "/inbox/b.cbz", "to": "/library/Marvel/b.cbz", "size": 1400, "mtimeMs": 1700000200000 } }
+ *   { "type": "undone", "at": "..." }
+ *   { "type": "undone", "at": "...", "entries": [0, 3] }
+ *
+ * A "dedupe" entry is a file that was deleted because `to` is an identical copy; undo copies it back.
+ * A "copy" entry is a copy, hardlink or symlink of `from` that was created at `to`; undo deletes it.
+ * A "rewrite" line is added when a later step changed a file in place (e.g. writing ComicInfo.xml): it
+ * refreshes the size and modification time of the last operation that put the file at `to`, so undo
+ * doesn't take the change for the user's. It isn't an operation of its own.
+ * A "replace" line is added when a later step replaced the file with another one (e.g. converted a CBR to CBZ):
+ * the last operation that put a file at `to` takes the fields in `with`, so undo carries the new file back instead.
+ * An "undone" line without entries marks the whole journal as undone. When some operations were skipped
+ * (conflicts or errors) it lists the operations that were undone instead, by position, so undo can be
+ * run again once the conflicts are fixed.
+ */
+
+const JOURNAL_EXTENSION = ".jsonl";
+
+/**
+ * Get the default journal directory
+ */
+export function getJournalDir() {
+    return getAppDataPath("journals");
+}
+
+/**
+ * Create a journal for a run
+ * Nothing is written to disk until the first operation is recorded
+ * @param {string} mode - The organizer or post-processor that is running (e.g. "auto", "flatten")
+ * @param {object} details - Extra information to store in the header (source/output directories)
+ * @param {object} options - Journal options
+ * @param {string} options.directory - Directory to write journals to (default: app data journals dir)
+ */
+export function createJournal(mode, details = {}, options = {}) {
+    const { directory = getJournalDir() } = options;
+    const createdAt = new Date().toISOString();
+    const id = `${createdAt.replace(/[:.]/g, "-")}-${mode}`;
+    const journalPath = path.join(directory, id + JOURNAL_EXTENSION);
+
+    let entryCount = 0;
+    let headerWritten = false;
+
+    async function append(entry) {
+        if (!headerWritten) {
+            await fs.ensureDir(directory);
+            await fs.appendFile(journalPath, JSON.stringify({ type: "header", id, mode, createdAt, details }) + "\n");
+            headerWritten = true;
+        }
+
+        await fs.appendFile(journalPath, JSON.stringify(entry) + "\n");
+        entryCount++;
+    }
+
+    /**
+     * Record a file that now lives at `to` (stat is taken for conflict detection on undo)
+     */
+    async function recordFileOperation(type, from, to) {
+        const stat = await fs.stat(to);
+        await append({ type, from, to, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+
+    return {
+        id,
+        path: journalPath,
+        get entryCount() {
+            return entryCount;
+        },
+        recordMove: (from, to) => recordFileOperation("move", from, to),
+        recordRename: (from, to) => recordFileOperation("rename", from, to),
+        recordDedupe: (from, to) => recordFileOperation("dedupe", from, to),
+        recordCopy: (from, to) => recordFileOperation("copy", from, to),
+        recordMkdir: (dirPath) => append({ type: "mkdir", path: dirPath }),
+        recordRmdir: (dirPath) => append({ type: "rmdir", path: dirPath }),
+    };
+}
+
+/**
+ * Tell the user where the journal for a run was saved (if anything was recorded)
+ */
+export function logJournalSaved(journal) {
+    if (journal.entryCount === 0) return;
+
+    logger.newline();
+    logger.info(`Recorded ${journal.entryCount} operations in undo journal ${journal.id}`);
+}
+
+/**
+ * Read a journal file
+ * @returns {Promise<Object>} { id, mode, createdAt, details, entries, undone, undoneEntries, path } - undoneEntries
+ *   holds the positions (in entries) of operations undone by an earlier partial undo
+ */
+export async function readJournal(journalPath) {
+    const content = await fs.readFile(journalPath, "utf-8");
+    const lines = content.split("\n").filter((line) => line.trim().length > 0);
+
+    let header = null;
+    let undone = false;
+    const entries = [];
+    const undoneEntries = new Set();
+
+    for (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            // A run that was interrupted mid-write can leave a partial last line
+            continue;
+        }
+
+        if (entry.type === "header") {
+            header = entry;
+        } else if (entry.type === "rewrite") {
+            const index = entries.findLastIndex((earlier) => earlier.to === entry.to);
+            if (index !== -1) {
+                entries[index] = { ...entries[index], size: entry.size, mtimeMs: entry.mtimeMs };
+            }
+        } else if (entry.type === "replace") {
+            const index = entries.findLastIndex((earlier) => earlier.to === entry.to);
+            if (index !== -1) {
+                entries[index] = { ...entries[index], ...entry.with };
+            }
+        } else if (entry.type === "undone") {
+            if (Array.isArray(entry.entries)) {
+                entry.entries.forEach((index) => undoneEntries.add(index));
+            } else {
+                undone = true;
+            }
+        } else {
+            entries.push(entry);
+        }
+    }
+
+    if (!header) {
+        throw new Error(`Not a valid journal file: ${journalPath}`);
+    }
+
+    return {
+        id: header.id,
+        mode: header.mode,
+        createdAt: header.createdAt,
+        details: header.details || {},
+        entries,
+        undone,
+        undoneEntries,
+        path: journalPath,
+    };
+}
+
+/**
+ * List journals, newest first
+ * @param {object} options - List options
+ * @param {string} options.directory - Journal directory (default: app data journals dir)
+ * @param {boolean} options.includeUndone - Include journals that were already undone (default: false)
+ */
+export async function listJournals(options = {}) {
+    const { directory = getJournalDir(), includeUndone = false } = options;
+
+    if (!(await fs.pathExists(directory))) {
+        return [];
+    }
+
+    const files = (await fs.readdir(directory)).filter((file) => file.endsWith(JOURNAL_EXTENSION));
+    const journals = [];
+
+    for (const file of files) {
+        try {
+            const journal = await readJournal(path.join(directory, file));
+            if (includeUndone || !journal.undone) {
+                journals.push(journal);
+            }
+        } catch {
+            // Skip unreadable journals
+        }
+    }
+
+    journals.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return journals;
+}
+
+/**
+ * Find a journal by id (or the most recent one when no id is given)
+ */
+export async function findJournal(id = null, options = {}) {
+    const journals = await listJournals({ ...options, includeUndone: Boolean(id) });
+
+    if (!id) {
+        return journals[0] || null;
+    }
+
+    return journals.find((journal) => journal.id === id || journal.id.startsWith(id)) || null;
+}
+
+/**
+ * Find the newest journal operation that put a file where it is, if the file is still as it recorded
+ * @param {fs.Stats} before - The file's stat from just before it was changed
+ * @returns {Object|null} { journal, index } - null when no journal holds the file, or it changed since (a conflict)
+ */
+function findRecordedOperation(journals, filePath, before) {
+    for (const journal of journals) {
+        const index = journal.entries.findLastIndex((entry) => entry.to === filePath);
+        if (index === -1 || journal.undoneEntries.has(index)) continue;
+
+        const entry = journal.entries[index];
+        const unchanged = entry.size === before.size && Math.round(entry.mtimeMs) === Math.round(before.mtimeMs);
+        return unchanged ? { journal, index } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Record files that were changed in place after a run put them there (e.g. ComicInfo.xml was written)
+ * The newest journal that still holds the file gets a "rewrite" line with its new size and modification time,
+ * but only when the file was as that journal recorded it before the change - anything else stays a conflict.
+ * @param {Array<Object>} rewrites - [{ path, before }] - before is the file's fs.Stats from just before the change
+ * @param {object} options - { directory } (default: app data journals dir)
+ */
+export async function recordRewrites(rewrites, options = {}) {
+    if (rewrites.length === 0) return;
+
+    const journals = await listJournals(options);
+
+    for (const { path: filePath, before } of rewrites) {
+        const found = findRecordedOperation(journals, filePath, before);
+        if (!found) continue;
+
+        const stat = await fs.stat(filePath);
+        await fs.appendFile(found.journal.path, JSON.stringify({ type: "rewrite", to: filePath, size: stat.size, mtimeMs: stat.mtimeMs }) + "\n");
+        found.journal.entries[found.index] = { ...found.journal.entries[found.index], size: stat.size, mtimeMs: stat.mtimeMs };
+    }
+}
+
+/**
+ * Record files that were replaced by a new file after a run put them there (e.g. a CBR converted to CBZ)
+ * The newest journal that still holds the original gets a "replace" line, so undoing it carries the new file
+ * back instead; it's restored under the original's name with the new file's extension (copies keep their original).
+ * Like recordRewrites, only originals that were as the journal recorded them are taken over.
+ * @param {Array<Object>} replacements - [{ path, before, replacement }] - before is the original's fs.Stats,
+ *   replacement the path of the file that took its place
+ * @param {object} options - { directory } (default: app data journals dir)
+ */
+export async function recordReplacements(replacements, options = {}) {
+    if (replacements.length === 0) return;
+
+    const journals = await listJournals(options);
+
+    for (const { path: filePath, before, replacement } of replacements) {
+        const found = findRecordedOperation(journals, filePath, before);
+        if (!found) continue;
+
+        const entry = found.journal.entries[found.index];
+        const stat = await fs.stat(replacement);
+        const from = entry.type === "copy" ? entry.from : path.join(path.dirname(entry.from), path.parse(entry.from).name + path.extname(replacement));
+        const replaced = { from, to: replacement, size: stat.size, mtimeMs: stat.mtimeMs };
+
+        await fs.appendFile(found.journal.path, JSON.stringify({ type: "replace", to: filePath, with: replaced }) + "\n");
+        found.journal.entries[found.index] = { ...entry, ...replaced };
+    }
+}
+
+/**
+ * Check whether a file operation can be reversed
+ * Returns a conflict reason, or null if it's safe to undo
+ * @param {Object} simulated - Paths restored/vacated by earlier steps of a dry run ({ present, vacated })
+ */
+async function checkFileConflict(entry, simulated) {
+    if (simulated.vacated.has(entry.to)) {
+        return "file no longer exists at its new location";
+    }
+
+    // A file put back by an earlier (simulated) step is the one we recorded
+    if (!simulated.present.has(entry.to)) {
+        let stat;
+        try {
+            stat = await fs.stat(entry.to);
+        } catch {
+            return "file no longer exists at its new location";
+        }
+
+        if (stat.size !== entry.size || Math.round(stat.mtimeMs) !== Math.round(entry.mtimeMs)) {
+            return "file was modified after the run";
+        }
+    }
+
+    // A copy's original is still there
+    if (entry.type === "copy") {
+        return null;
+    }
+
+    const originalTaken = simulated.present.has(entry.from) || (!simulated.vacated.has(entry.from) && (await fs.pathExists(entry.from)));
+    if (originalTaken) {
+        return "another file now exists at the original location";
+    }
+
+    return null;
+}
+
+/**
+ * Undo a journal by replaying its operations in reverse
+ * Files that changed after the run are reported as conflicts and left untouched; the journal is only
+ * marked as undone when nothing was skipped, otherwise the operations that were undone are recorded
+ * @param {Object} journal - Journal from readJournal/listJournals
+ * @param {object} options - Undo options
+ * @param {boolean} options.dryRun - Only check for conflicts, don't change anything
+ * @returns {Promise<Object>} { restored, foldersRemoved, foldersRestored, conflicts, errors }
+ */
+export async function undoJournal(journal, options = {}) {
+    const { dryRun = false } = options;
+
+    const result = { restored: 0, foldersRemoved: 0, foldersRestored: 0, conflicts: [], errors: [] };
+    const simulated = { present: new Set(), vacated: new Set() };
+
+    const previouslyUndone = journal.undoneEntries || new Set();
+    const undone = [];
+
+    for (let index = journal.entries.length - 1; index >= 0; index--) {
+        const entry = journal.entries[index];
+        if (previouslyUndone.has(index)) continue;
+
+        try {
+            if (entry.type === "move" || entry.type === "rename" || entry.type === "dedupe" || entry.type === "copy") {
+                const conflict = await checkFileConflict(entry, simulated);
+                if (conflict) {
+                    result.conflicts.push({ entry, reason: conflict });
+                    continue;
+                }
+
+                if (entry.type === "copy") {
+                    if (dryRun) {
+                        simulated.vacated.add(entry.to);
+                    } else {
+                        await fs.remove(entry.to);
+                    }
+                } else if (entry.type === "dedupe") {
+                    // The identical copy stays where it is
+                    if (dryRun) {
+                        simulated.present.add(entry.from);
+                        simulated.vacated.delete(entry.from);
+                    } else {
+                        await fs.ensureDir(path.dirname(entry.from));
+                        await fs.copy(entry.to, entry.from, { overwrite: false, errorOnExist: true, preserveTimestamps: true });
+                    }
+                } else if (dryRun) {
+                    simulated.present.add(entry.from);
+                    simulated.present.delete(entry.to);
+                    simulated.vacated.add(entry.to);
+                    simulated.vacated.delete(entry.from);
+                } else {
+                    await fs.ensureDir(path.dirname(entry.from));
+                    await moveVerified(entry.to, entry.from);
+                }
+                result.restored++;
+                undone.push(index);
+            } else if (entry.type === "mkdir") {
+                // Only remove folders we created that are empty again
+                if (dryRun) continue;
+
+                try {
+                    const contents = await fs.readdir(entry.path);
+                    if (contents.length === 0) {
+                        await fs.rmdir(entry.path);
+                        result.foldersRemoved++;
+                        undone.push(index);
+                    }
+                } catch {
+                    // Folder already gone
+                    undone.push(index);
+                }
+            } else if (entry.type === "rmdir") {
+                if (!dryRun) {
+                    await fs.ensureDir(entry.path);
+                }
+                result.foldersRestored++;
+                undone.push(index);
+            }
+        } catch (error) {
+            result.errors.push({ entry, error: error.message });
+        }
+    }
+
+    if (!dryRun) {
+        const complete = result.conflicts.length === 0 && result.errors.length === 0;
+        const marker = complete ? { type: "undone", at: new Date().toISOString() } : { type: "undone", at: new Date().toISOString(), entries: undone };
+        await fs.appendFile(journal.path, JSON.stringify(marker) + "\n");
+    }
+
+    return result;
+}
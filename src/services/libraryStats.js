@@ -0,0 +1,256 @@
+import fs from "fs-extra";
+import path from "path";
+import { formatBytes, getExtension, getFilename } from "../utils/files.js";
+import { extractSeriesName, normalizeSeriesKey } from "./seriesDetection.js";
+
+/**
+ * Library statistics
+ * Totals by publisher, series, format, file type and decade, with disk usage for each,
+ * and exporters for sharing the report as JSON, CSV or a static HTML page.
+ */
+
+export const STATS_EXPORT_FORMATS = ["json", "csv", "html"];
+
+const UNKNOWN = "Unknown";
+
+/**
+ * Add a file to a named bucket in a totals map
+ */
+function addToBucket(buckets, name, size, extra = {}) {
+    if (!buckets.has(name)) {
+        buckets.set(name, { name, files: 0, bytes: 0, ...extra });
+    }
+
+    const bucket = buckets.get(name);
+    bucket.files++;
+    bucket.bytes += size;
+    return bucket;
+}
+
+/**
+ * Sort buckets biggest first, by file count then size
+ */
+function sortBySize(buckets) {
+    return [...buckets].sort((a, b) => b.files - a.files || b.bytes - a.bytes || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the decade a year falls in, e.g. 1994 -> "1990s"
+ */
+function getDecade(year) {
+    const value = parseInt(year, 10);
+    return Number.isFinite(value) && value > 0 ? `${Math.floor(value / 10) * 10}s` : UNKNOWN;
+}
+
+/**
+ * Build library statistics
+ * @param {string} directory - Library directory the files were found in
+ * @param {Array<string>} files - File paths
+ * @param {Array<Object>} metadataResults - Metadata for each file (from batchGetMetadata)
+ * @param {Array<number>} sizes - Size of each file in bytes
+ * @returns {Object} { directory, createdAt, totals, publishers, series, formats, fileTypes, decades }
+ */
+export function buildLibraryStats(directory, files, metadataResults, sizes) {
+    const publishers = new Map();
+    const series = new Map();
+    const formats = new Map();
+    const fileTypes = new Map();
+    const decades = new Map();
+    const totals = { files: files.length, bytes: 0, publishers: 0, series: 0, withComicInfo: 0 };
+
+    files.forEach((file, index) => {
+        const metadata = metadataResults[index];
+        const size = sizes[index];
+        const publisher = metadata.publisher || UNKNOWN;
+        const seriesName = metadata.series || extractSeriesName(getFilename(file));
+
+        totals.bytes += size;
+        if (metadata.source === "comicinfo-xml") totals.withComicInfo++;
+
+        // Series are counted per publisher, so "Batman" from two publishers stays two series
+        const seriesKey = `${normalizeSeriesKey(publisher)}/${normalizeSeriesKey(seriesName)}`;
+        addToBucket(series, seriesKey, size, { title: seriesName, publisher });
+
+        const publisherBucket = addToBucket(publishers, publisher, size, { seriesKeys: new Set() });
+        publisherBucket.seriesKeys.add(seriesKey);
+
+        addToBucket(formats, metadata.format || UNKNOWN, size);
+        addToBucket(fileTypes, getExtension(file).slice(1).toUpperCase() || UNKNOWN, size);
+        addToBucket(decades, getDecade(metadata.year), size);
+    });
+
+    totals.publishers = publishers.size;
+    totals.series = series.size;
+
+    return {
+        directory,
+        createdAt: new Date().toISOString(),
+        totals,
+        publishers: sortBySize(publishers.values()).map(({ seriesKeys, ...bucket }) => ({ ...bucket, series: seriesKeys.size })),
+        // Biggest first by disk usage
+        series: [...series.values()]
+            .sort((a, b) => b.bytes - a.bytes || b.files - a.files || a.title.localeCompare(b.title))
+            .map(({ title, publisher, files: count, bytes }) => ({ name: title, publisher, files: count, bytes })),
+        formats: sortBySize(formats.values()),
+        fileTypes: sortBySize(fileTypes.values()),
+        // Oldest first, with undated files last
+        decades: [...decades.values()].sort((a, b) => (a.name === UNKNOWN) - (b.name === UNKNOWN) || a.name.localeCompare(b.name)),
+    };
+}
+
+/**
+ * Get the share of files with ComicInfo.xml, as a percentage
+ */
+export function getComicInfoShare(stats) {
+    return stats.totals.files === 0 ? 0 : Math.round((stats.totals.withComicInfo / stats.totals.files) * 1000) / 10;
+}
+
+/**
+ * Format rows as CSV, quoting values that need it
+ */
+export function toCsv(rows) {
+    const csvValue = (value) => {
+        const text = value === null || value === undefined ? "" : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map((row) => row.map(csvValue).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Format library statistics as CSV
+ * One table with a "category" column: summary, publisher, series, format, file-type and decade rows
+ */
+export function statsToCsv(stats) {
+    const rows = [["category", "name", "publisher", "files", "bytes", "size"]];
+    const addRow = (category, bucket) => rows.push([category, bucket.name, bucket.publisher ?? "", bucket.files, bucket.bytes, bucket.bytes === "" ? "" : formatBytes(bucket.bytes)]);
+
+    addRow("summary", { name: "All comics", files: stats.totals.files, bytes: stats.totals.bytes });
+    addRow("summary", { name: "With ComicInfo.xml", files: stats.totals.withComicInfo, bytes: "" });
+    stats.publishers.forEach((bucket) => addRow("publisher", bucket));
+    stats.series.forEach((bucket) => addRow("series", bucket));
+    stats.formats.forEach((bucket) => addRow("format", bucket));
+    stats.fileTypes.forEach((bucket) => addRow("file-type", bucket));
+    stats.decades.forEach((bucket) => addRow("decade", bucket));
+
+    return toCsv(rows);
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * Render a table of buckets, with a bar showing each row's share of the files
+ */
+function htmlTable(title, buckets, total, { publisherColumn = false } = {}) {
+    if (buckets.length === 0) return "";
+
+    const rows = buckets
+        .map((bucket) => {
+            const share = total === 0 ? 0 : (bucket.files / total) * 100;
+            return `<tr><td>${escapeHtml(bucket.name)}</td>${publisherColumn ? `<td>${escapeHtml(bucket.publisher)}</td>` : ""}<td class="num">${bucket.files}</td><td class="num">${formatBytes(bucket.bytes)}</td><td class="bar"><span style="width:${share.toFixed(1)}%"></span></td></tr>`;
+        })
+        .join("\n");
+
+    return `<section>
+<h2>${escapeHtml(title)}</h2>
+<table>
+<thead><tr><th>Name</th>${publisherColumn ? "<th>Publisher</th>" : ""}<th class="num">Files</th><th class="num">Size</th><th>Share</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * Format library statistics as a self-contained HTML page
+ * @param {number} options.topSeries - Number of series in the "Biggest series" table (default: 10)
+ */
+export function statsToHtml(stats, options = {}) {
+    const { topSeries = 10 } = options;
+    const { totals } = stats;
+    const title = `Comic library - ${path.basename(stats.directory)}`;
+
+    const cards = [
+        ["Comics", totals.files],
+        ["Disk usage", formatBytes(totals.bytes)],
+        ["Publishers", totals.publishers],
+        ["Series", totals.series],
+        ["With ComicInfo.xml", `${getComicInfoShare(stats)}%`],
+    ]
+        .map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`)
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+.card { flex: 1 1 150px; border: 1px solid #ddd; border-radius: 8px; padding: 1rem; }
+.card .value { font-size: 1.6rem; font-weight: 600; }
+.card .label, .meta { color: #666; }
+table { border-collapse: collapse; width: 100%; }
+th, td { padding: 0.35rem 0.6rem; border-bottom: 1px solid #eee; text-align: left; }
+.num { text-align: right; white-space: nowrap; }
+.bar { width: 25%; }
+.bar span { display: block; height: 0.7rem; background: #4a7bd0; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(stats.directory)} · ${escapeHtml(new Date(stats.createdAt).toLocaleString())}</p>
+<div class="cards">
+${cards}
+</div>
+${[
+    htmlTable("Biggest series", stats.series.slice(0, topSeries), totals.files, { publisherColumn: true }),
+    htmlTable("Publishers", stats.publishers, totals.files),
+    htmlTable("Formats", stats.formats, totals.files),
+    htmlTable("File types", stats.fileTypes, totals.files),
+    htmlTable("Decades", stats.decades, totals.files),
+    htmlTable("All series", stats.series, totals.files, { publisherColumn: true }),
+]
+    .filter(Boolean)
+    .join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Get the export format for a report file from its extension
+ * @returns {string|null} "json", "csv", "html" or null if the extension isn't supported
+ */
+export function getStatsExportFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase().slice(1);
+    const format = ext === "htm" ? "html" : ext;
+    return STATS_EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Save library statistics as JSON, CSV or HTML (picked from the file extension)
+ */
+export async function writeStatsReport(stats, filePath) {
+    const format = getStatsExportFormat(filePath);
+
+    if (format === "json") {
+        await fs.outputJson(filePath, { ...stats, totals: { ...stats.totals, comicInfoShare: getComicInfoShare(stats) } }, { spaces: 2 });
+    } else if (format === "csv") {
+        await fs.outputFile(filePath, statsToCsv(stats));
+    } else if (format === "html") {
+        await fs.outputFile(filePath, statsToHtml(stats));
+    } else {
+        throw new Error(`Can't export stats to "${path.basename(filePath)}" (use a .${STATS_EXPORT_FORMATS.join(", .")} file)`);
+    }
+
+    return format;
+}
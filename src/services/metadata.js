@@ -1,14 +1,57 @@
+import fs from "fs-extra";
+import inquirer from "inquirer";
 import { cleanFilenameForLookup, extractIssueNumber, extractYear, getFilename } from "../utils/files.js";
-import { PUBLISHERS, PUBLISHER_ALIASES } from "../patterns/publishersPatterns.js";
-import { SERIES_PATTERNS } from "../patterns/seriesPatterns.js";
+import { createRateLimiter, mapWithConcurrency } from "../utils/concurrency.js";
+import { getPublishers, getPublisherAliases, getSeriesPatterns, getPublisherFolder, resolveImprint } from "./patterns.js";
 import { readComicInfo } from "./comicInfo.js";
+import { readDocumentMetadata } from "./documentMetadata.js";
+import { saveMetadataCache } from "./metadataCache.js";
+import { googleBooksProvider } from "./providers/googleBooks.js";
+import { comicVineProvider } from "./providers/comicVine.js";
+import { getUserConfig } from "./userConfig.js";
 
 /**
  * Comic metadata lookup service
- * Priority: ComicInfo.xml > Google Books API > Pattern matching
+ * Priority: ComicInfo.xml > Metadata provider API > Pattern matching
  */
 
-const GOOGLE_BOOKS_API = "https://www.googleapis.com/books/v1/volumes";
+/**
+ * Available metadata providers
+ * Each provider should have:
+ * - name: Display name
+ * - value: Internal identifier (also the cache namespace)
+ * - description: Short description for menus
+ * - lookup(query, context): Resolves to { title, publisher, publishedDate, ... } or null when nothing matched.
+ *   Should throw when the request fails. context is { issueNumber, year, waitForSlot, ...providerOptions } -
+ *   await context.waitForSlot() before every request, so lookups that need several requests keep to the rate limit
+ * - requestsPerSecond (optional): The provider's default rate limit (default: DEFAULT_API_REQUESTS_PER_SECOND)
+ * - cacheKey(query, context) (optional): Cache key when results depend on more than the query
+ * - apiKeyEnv (optional): Environment variable holding the API key, for providers that need one
+ */
+const METADATA_PROVIDERS = [googleBooksProvider, comicVineProvider];
+
+export const DEFAULT_PROVIDER = googleBooksProvider.value;
+
+// Default request rate for API providers that don't set their own, to avoid being rate limited
+// (config: "apiRequestsPerSecond", which applies to every provider)
+export const DEFAULT_API_REQUESTS_PER_SECOND = 5;
+
+// Default number of files read at once in a batch (config: "workers")
+export const DEFAULT_WORKERS = 4;
+
+// One rate limiter per provider, so a slow provider doesn't hold up another
+const apiRateLimiters = new Map();
+
+/**
+ * Wait until the provider's rate limit allows another request
+ */
+async function waitForApiSlot(provider) {
+    if (!apiRateLimiters.has(provider.value)) {
+        const requestsPerSecond = getUserConfig().apiRequestsPerSecond || provider.requestsPerSecond || DEFAULT_API_REQUESTS_PER_SECOND;
+        apiRateLimiters.set(provider.value, createRateLimiter(requestsPerSecond));
+    }
+    await apiRateLimiters.get(provider.value)();
+}
 
 /**
  * Check if publisher is a known comic publisher
@@ -17,13 +60,13 @@ function isKnownComicPublisher(publisher) {
     if (!publisher) return false;
     const publisherLower = publisher.toLowerCase();
 
-    // Check if in PUBLISHER_ALIASES
-    if (PUBLISHER_ALIASES[publisherLower]) {
+    // Check if it's a known alias
+    if (getPublisherAliases()[publisherLower]) {
         return true;
     }
 
-    // Check if in PUBLISHERS object values
-    return Object.values(PUBLISHERS).some((known) => known.toLowerCase() === publisherLower);
+    // Check if it's a known publisher
+    return getPublishers().some((known) => known.toLowerCase() === publisherLower);
 }
 
 /**
@@ -36,7 +79,7 @@ function normalizePublisher(publisher) {
     const publisherLower = publisher.toLowerCase();
 
     // Check if it's in the aliases first
-    const normalized = PUBLISHER_ALIASES[publisherLower];
+    const normalized = getPublisherAliases()[publisherLower];
     if (normalized) {
         return normalized;
     }
@@ -55,7 +98,7 @@ function normalizePublisher(publisher) {
  */
 function detectPublisher(filename) {
     const upper = filename.toUpperCase();
-    for (const pub of Object.values(PUBLISHERS)) {
+    for (const pub of getPublishers()) {
         if (upper.includes(pub.toUpperCase())) {
             return pub;
         }
@@ -67,7 +110,7 @@ function detectPublisher(filename) {
  * Detect series from filename using patterns
  */
 function detectSeriesFromPatterns(filename) {
-    for (const { pattern, series, publisher } of SERIES_PATTERNS) {
+    for (const { pattern, series, publisher } of getSeriesPatterns()) {
         if (pattern.test(filename)) {
             return { series, publisher };
         }
@@ -76,44 +119,139 @@ function detectSeriesFromPatterns(filename) {
 }
 
 /**
- * Look up comic metadata using Google Books API
+ * Register a new metadata provider
  */
-async function lookupGoogleBooks(query) {
-    try {
-        const url = `${GOOGLE_BOOKS_API}?q=${encodeURIComponent(query + " comic")}&maxResults=5`;
-        const response = await fetch(url);
+export function registerMetadataProvider(provider) {
+    if (!provider.name || !provider.value || typeof provider.lookup !== "function") {
+        throw new Error("Metadata provider must have name, value, and lookup function");
+    }
 
-        if (!response.ok) {
-            return null;
-        }
+    METADATA_PROVIDERS.push(provider);
+}
 
-        const data = await response.json();
+/**
+ * Get all registered metadata providers
+ */
+export function getMetadataProviders() {
+    return [...METADATA_PROVIDERS];
+}
 
-        if (!data.items || data.items.length === 0) {
-            return null;
-        }
+/**
+ * Prompt the user to choose a metadata provider (or none)
+ * Asks for an API key when the chosen provider needs one and it isn't set in the environment
+ * @returns {Promise<Object>} { useApi, provider, providerOptions }
+ */
+export async function promptMetadataProvider() {
+    const { provider } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "provider",
+            message: "Which metadata source should be used for lookups?",
+            choices: [
+                ...METADATA_PROVIDERS.map((p) => ({ name: `${p.name} - ${p.description}`, value: p.value, short: p.name })),
+                { name: "None - Only use ComicInfo.xml and filename patterns", value: "none", short: "None" },
+            ],
+            default: DEFAULT_PROVIDER,
+        },
+    ]);
+
+    if (provider === "none") {
+        return { useApi: false, provider: DEFAULT_PROVIDER, providerOptions: {} };
+    }
+
+    const providerOptions = {};
+
+    const chosen = METADATA_PROVIDERS.find((p) => p.value === provider);
+
+    if (chosen.apiKeyEnv && !process.env[chosen.apiKeyEnv]) {
+        const { apiKey } = await inquirer.prompt([
+            {
+                type: "password",
+                name: "apiKey",
+                message: `Enter your ${chosen.name} API key:`,
+                validate: (input) => (input.trim().length > 0 ? true : `An API key is required for ${chosen.name}`),
+            },
+        ]);
+        providerOptions.apiKey = apiKey.trim();
+    }
+
+    return { useApi: true, provider, providerOptions };
+}
+
+/**
+ * Look up metadata with a provider, using the cache when possible
+ * @param {Object} cache - Optional metadata cache (see metadataCache.js)
+ */
+async function lookupWithProvider(provider, query, context, cache = null) {
+    const cacheKey = provider.cacheKey ? provider.cacheKey(query, context) : query;
 
-        // Find the most relevant result
-        const book = data.items[0].volumeInfo;
-
-        return {
-            title: book.title,
-            authors: book.authors || [],
-            publisher: book.publisher,
-            publishedDate: book.publishedDate,
-            description: book.description,
-            source: "Google Books",
-        };
+    const cached = cache?.getApi(provider.value, cacheKey);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    try {
+        const result = await provider.lookup(query, { ...context, waitForSlot: () => waitForApiSlot(provider) });
+        cache?.setApi(provider.value, cacheKey, result);
+        return result;
     } catch (error) {
         return null;
     }
 }
 
+// Sources of metadata read from the file itself
+export const EMBEDDED_SOURCES = ["comicinfo-xml", "embedded-metadata"];
+
+/**
+ * Read a file's embedded metadata: ComicInfo.xml for comic archives, the OPF / Info / XMP metadata for EPUB and PDF
+ */
+function readEmbeddedMetadata(filePath) {
+    return isDocument(filePath) ? readDocumentMetadata(filePath) : readComicInfo(filePath);
+}
+
+/**
+ * Check if a file is an EPUB or PDF (which have document metadata rather than ComicInfo.xml)
+ */
+function isDocument(filePath) {
+    return /\.(pdf|epub)$/i.test(filePath);
+}
+
+/**
+ * Read ComicInfo.xml (or EPUB/PDF metadata) from a file, using the cache when the file hasn't changed
+ */
+export async function readComicInfoCached(filePath, cache) {
+    if (!cache) {
+        return readEmbeddedMetadata(filePath);
+    }
+
+    let stat;
+    try {
+        stat = await fs.stat(filePath);
+    } catch {
+        return readEmbeddedMetadata(filePath);
+    }
+
+    const cached = cache.getFile(filePath, stat);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const comicInfo = await readEmbeddedMetadata(filePath);
+    cache.setFile(filePath, stat, comicInfo);
+    return comicInfo;
+}
+
 /**
- * Extract metadata from filename using ComicInfo.xml first, then API lookup, falling back to pattern matching
+ * Extract metadata from filename using ComicInfo.xml (or EPUB/PDF metadata) first, then API lookup, falling back to pattern matching
+ * @param {object} options - Lookup options
+ * @param {boolean} options.useApi - Query the metadata API (default: true)
+ * @param {string} options.provider - Metadata provider value (default: Google Books)
+ * @param {object} options.providerOptions - Extra provider settings, e.g. { apiKey, baseUrl }
+ * @param {string} options.filePath - Full path to the file, used to read ComicInfo.xml
+ * @param {Object} options.cache - Metadata cache to read from and write to (see metadataCache.js)
  */
 export async function getComicMetadata(filename, options = {}) {
-    const { useApi = true, filePath = null } = options;
+    const { useApi = true, filePath = null, cache = null, provider = DEFAULT_PROVIDER, providerOptions = {} } = options;
 
     const cleanName = cleanFilenameForLookup(filename);
     const issueNumber = extractIssueNumber(filename);
@@ -126,21 +264,23 @@ export async function getComicMetadata(filename, options = {}) {
         year,
         series: null,
         publisher: null,
+        imprint: null,
         suggestedFolder: null,
         confidence: "low",
         source: "filename-analysis",
     };
 
-    // PRIORITY 1: Try ComicInfo.xml if we have the file path
+    // PRIORITY 1: Try ComicInfo.xml (or EPUB/PDF metadata) if we have the file path
     if (filePath) {
-        const comicInfo = await readComicInfo(filePath);
+        const comicInfo = await readComicInfoCached(filePath, cache);
         if (comicInfo && comicInfo.series) {
-            const normalizedPub = normalizePublisher(comicInfo.publisher || comicInfo.imprint);
+            const { publisher, imprint } = resolveImprint(normalizePublisher(comicInfo.publisher || comicInfo.imprint), comicInfo.imprint);
 
             metadata = {
                 ...metadata,
                 series: comicInfo.series,
-                publisher: normalizedPub || "Unsorted",
+                publisher: publisher || "Unsorted",
+                imprint,
                 issueNumber: comicInfo.number !== null ? comicInfo.number : issueNumber,
                 year: comicInfo.year || year,
                 title: comicInfo.title,
@@ -149,17 +289,22 @@ export async function getComicMetadata(filename, options = {}) {
                 summary: comicInfo.summary,
                 storyArc: comicInfo.storyArc,
                 format: comicInfo.format,
-                suggestedFolder: normalizedPub ? `${normalizedPub}/${comicInfo.series}` : `Unsorted/${comicInfo.series}`,
-                confidence: "highest",
-                source: "comicinfo-xml",
+                comicInfo,
+                suggestedFolder: publisher ? `${getPublisherFolder(publisher, imprint)}/${comicInfo.series}` : `Unsorted/${comicInfo.series}`,
+                // Document metadata is often filled in by whatever made the file, so it's trusted a little less
+                confidence: isDocument(filePath) ? "high" : "highest",
+                source: isDocument(filePath) ? "embedded-metadata" : "comicinfo-xml",
             };
             return metadata;
         }
     }
 
-    // PRIORITY 2: Try Google Books API if enabled
-    if (useApi) {
-        const apiResult = await lookupGoogleBooks(cleanName);
+    // PRIORITY 2: Try the metadata provider API if enabled
+    const metadataProvider = METADATA_PROVIDERS.find((p) => p.value === provider);
+
+    if (useApi && metadataProvider) {
+        const context = { ...providerOptions, issueNumber, year };
+        const apiResult = await lookupWithProvider(metadataProvider, cleanName, context, cache);
         if (apiResult && apiResult.publisher) {
             const normalizedPub = normalizePublisher(apiResult.publisher);
 
@@ -176,12 +321,15 @@ export async function getComicMetadata(filename, options = {}) {
                 return metadata;
             }
 
+            const { publisher, imprint } = resolveImprint(normalizedPub);
+
             metadata = {
                 ...metadata,
                 ...apiResult,
                 series: apiResult.title,
-                publisher: normalizedPub,
-                suggestedFolder: `${normalizedPub}/${apiResult.title}`,
+                publisher,
+                imprint,
+                suggestedFolder: `${getPublisherFolder(publisher, imprint)}/${apiResult.title}`,
                 confidence: "high",
                 source: "api-lookup",
             };
@@ -196,54 +344,73 @@ export async function getComicMetadata(filename, options = {}) {
     const normalizedPatternPub = normalizePublisher(patternMatch?.publisher);
     const normalizedDetectedPub = normalizePublisher(detectedPublisher);
 
+    const { publisher, imprint } = resolveImprint(normalizedPatternPub || normalizedDetectedPub);
+    const publisherFolder = getPublisherFolder(publisher, imprint);
+
     metadata.series = patternMatch?.series || null;
-    metadata.publisher = normalizedPatternPub || normalizedDetectedPub || null;
+    metadata.publisher = publisher;
+    metadata.imprint = imprint;
 
     if (patternMatch) {
         metadata.confidence = "high";
-        metadata.suggestedFolder = `${metadata.publisher}/${metadata.series}`;
+        metadata.suggestedFolder = `${publisherFolder}/${metadata.series}`;
         metadata.source = "pattern-match";
     } else if (normalizedDetectedPub) {
         metadata.confidence = "medium";
-        metadata.suggestedFolder = `${normalizedDetectedPub}/${cleanName}`;
+        metadata.suggestedFolder = `${publisherFolder}/${cleanName}`;
         metadata.source = "publisher-detection";
     }
 
     // Fallback: use cleaned name as series
     if (!metadata.suggestedFolder) {
-        metadata.suggestedFolder = metadata.publisher ? `${metadata.publisher}/${cleanName}` : `Unsorted/${cleanName}`;
+        metadata.suggestedFolder = publisherFolder ? `${publisherFolder}/${cleanName}` : `Unsorted/${cleanName}`;
     }
 
     return metadata;
 }
 
+// How often to persist the cache during a batch, so an interrupted run keeps its progress
+const CACHE_SAVE_INTERVAL = 250;
+
 /**
  * Batch process multiple files
+ * Files are read concurrently (API requests still go through the provider's rate limiter)
  * @param {Array<string>} files - Array of file paths (not just filenames)
+ * @param {object} options - Same options as getComicMetadata, plus:
+ * @param {Function} options.onProgress - (completed, total, metadata), called as each file finishes
+ * @param {number} options.concurrency - Files read at once (default: the config's "workers", or DEFAULT_WORKERS)
+ * @returns {Promise<Array<Object>>} Metadata in the same order as files
  */
 export async function batchGetMetadata(files, options = {}) {
-    const { onProgress } = options;
-    const results = [];
+    const { onProgress, cache = null } = options;
+    const concurrency = options.concurrency || getUserConfig().workers || DEFAULT_WORKERS;
+    let completed = 0;
+    let saving = Promise.resolve();
 
-    for (let i = 0; i < files.length; i++) {
-        const filePath = files[i];
-        const filename = getFilename(filePath);
-
-        const metadata = await getComicMetadata(filename, {
+    const results = await mapWithConcurrency(files, concurrency, async (filePath) => {
+        const metadata = await getComicMetadata(getFilename(filePath), {
             ...options,
             filePath, // Pass full path for ComicInfo.xml reading
         });
 
-        results.push(metadata);
+        completed++;
 
         if (onProgress) {
-            onProgress(i + 1, files.length, metadata);
+            onProgress(completed, files.length, metadata);
         }
 
-        // Small delay to avoid API rate limiting
-        if (options.useApi && i < files.length - 1) {
-            await new Promise((resolve) => setTimeout(resolve, 200));
+        if (cache && completed % CACHE_SAVE_INTERVAL === 0) {
+            // One save at a time - they share a temp file
+            saving = saving.then(() => saveMetadataCache(cache));
+            await saving;
         }
+
+        return metadata;
+    });
+
+    if (cache) {
+        await saving;
+        await saveMetadataCache(cache);
     }
 
     return results;
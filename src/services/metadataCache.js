@@ -0,0 +1,171 @@
+import path from "path";
+import fs from "fs-extra";
+import { getAppDataPath } from "../utils/appData.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Persistent metadata cache
+ * Stores ComicInfo.xml results per file (invalidated when the file's size or mtime changes)
+ * and metadata API results per query, so re-running on a large library skips work already done.
+ *
+ * Cache file structure:
+ * {
+ *   "version": 3,
+ *   "files": { "/path/to/file.cbz": { "size": 123, "mtimeMs": 1700000000000, "storedAt": 1700000000000, "comicInfo": { ... } } },
+ *   "api": { "google-books:saga": { "storedAt": 1700000000000, "result": { ... } } }
+ * }
+ */
+
+// Version 2: PDF and EPUB entries hold their document metadata (version 1 stored null for them)
+// Version 3: PDF and EPUB titles are no longer stored as the series
+const CACHE_VERSION = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Caches that already failed to save (the warning is only shown once)
+const failedSaves = new WeakSet();
+
+// API data changes rarely, but publishers do fix bad records - refresh monthly
+export const API_ENTRY_MAX_AGE = 30 * DAY_MS;
+// File entries are validated by size/mtime, so they can live much longer
+export const FILE_ENTRY_MAX_AGE = 365 * DAY_MS;
+
+/**
+ * Get the default cache file path
+ */
+export function getMetadataCachePath() {
+    return getAppDataPath("cache", "metadata.json");
+}
+
+/**
+ * Build the key for an API lookup
+ */
+function apiKey(provider, query) {
+    return `${provider}:${query.trim().toLowerCase()}`;
+}
+
+/**
+ * Read the cache file, starting fresh if it's missing, corrupt or from another version
+ */
+async function readCacheFile(cachePath) {
+    try {
+        const data = await fs.readJson(cachePath);
+        if (data.version === CACHE_VERSION && data.files && data.api) {
+            return data;
+        }
+    } catch {
+        // Missing or unreadable - start with an empty cache
+    }
+
+    return { version: CACHE_VERSION, files: {}, api: {} };
+}
+
+/**
+ * Open the metadata cache
+ * @param {object} options - Cache options
+ * @param {string} options.cachePath - Cache file (default: app data cache dir)
+ * @param {number} options.apiMaxAge - Max age of API entries in ms
+ * @param {number} options.fileMaxAge - Max age of file entries in ms
+ */
+export async function openMetadataCache(options = {}) {
+    const { cachePath = getMetadataCachePath(), apiMaxAge = API_ENTRY_MAX_AGE, fileMaxAge = FILE_ENTRY_MAX_AGE } = options;
+
+    const data = await readCacheFile(cachePath);
+    let dirty = false;
+
+    const isExpired = (entry, maxAge) => Date.now() - entry.storedAt > maxAge;
+
+    return {
+        path: cachePath,
+
+        /**
+         * Get cached ComicInfo for a file
+         * @param {fs.Stats} stat - Current stat of the file
+         * @returns {Object|null|undefined} Cached value (null = file has no ComicInfo), undefined on a miss
+         */
+        getFile(filePath, stat) {
+            const entry = data.files[filePath];
+            if (!entry || entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs || isExpired(entry, fileMaxAge)) {
+                return undefined;
+            }
+            return entry.comicInfo;
+        },
+
+        setFile(filePath, stat, comicInfo) {
+            data.files[filePath] = { size: stat.size, mtimeMs: stat.mtimeMs, storedAt: Date.now(), comicInfo };
+            dirty = true;
+        },
+
+        /**
+         * Get a cached API result
+         * @returns {Object|null|undefined} Cached value (null = no results), undefined on a miss
+         */
+        getApi(provider, query) {
+            const entry = data.api[apiKey(provider, query)];
+            if (!entry || isExpired(entry, apiMaxAge)) {
+                return undefined;
+            }
+            return entry.result;
+        },
+
+        setApi(provider, query, result) {
+            data.api[apiKey(provider, query)] = { storedAt: Date.now(), result };
+            dirty = true;
+        },
+
+        /**
+         * Number of entries in the cache
+         */
+        get size() {
+            return Object.keys(data.files).length + Object.keys(data.api).length;
+        },
+
+        /**
+         * Write the cache to disk (expired entries are dropped)
+         */
+        async save() {
+            if (!dirty) return;
+
+            for (const [key, entry] of Object.entries(data.files)) {
+                if (isExpired(entry, fileMaxAge)) delete data.files[key];
+            }
+            for (const [key, entry] of Object.entries(data.api)) {
+                if (isExpired(entry, apiMaxAge)) delete data.api[key];
+            }
+
+            // Write to a temp file first so an interrupted save can't corrupt the cache
+            await fs.ensureDir(path.dirname(cachePath));
+            const tempPath = `${cachePath}.tmp`;
+            await fs.writeJson(tempPath, data);
+            await fs.move(tempPath, cachePath, { overwrite: true });
+            dirty = false;
+        },
+    };
+}
+
+/**
+ * Delete the metadata cache
+ * @returns {Promise<number>} Number of entries that were removed
+ */
+export async function clearMetadataCache(cachePath = getMetadataCachePath()) {
+    if (!(await fs.pathExists(cachePath))) {
+        return 0;
+    }
+
+    const data = await readCacheFile(cachePath);
+    await fs.remove(cachePath);
+
+    return Object.keys(data.files).length + Object.keys(data.api).length;
+}
+
+/**
+ * Save a cache, warning instead of throwing when it can't be written
+ * The cache only saves work for next time, so a failed save mustn't stop a scan or the watch loop.
+ */
+export async function saveMetadataCache(cache) {
+    try {
+        await cache.save();
+    } catch (error) {
+        if (!failedSaves.has(cache)) logger.warning(`Could not save the metadata cache: ${error.message}`);
+        failedSaves.add(cache);
+    }
+}
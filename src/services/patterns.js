@@ -0,0 +1,260 @@
+import { PUBLISHERS, PUBLISHER_ALIASES, IMPRINTS } from "../patterns/publishersPatterns.js";
+import { SERIES_PATTERNS } from "../patterns/seriesPatterns.js";
+
+/**
+ * Publisher and series pattern database
+ * The built-in data from src/patterns/ merged with the user's additions (see services/userConfig.js).
+ *
+ * User pattern configuration:
+ * {
+ *   "publishers": ["Vault", "Ahoy Comics"],
+ *   "aliases": { "vault comics": "Vault", "ahoy": "Ahoy Comics" },
+ *   "imprints": { "Black Label": "DC Comics" },
+ *   "series": [{ "pattern": "heavy[-\\s]?metal", "series": "Heavy Metal", "publisher": "Heavy Metal" }],
+ *   "imprintLayout": "nested"
+ * }
+ *
+ * Imprints are publishers in their own right, owned by their parent publisher.
+ * User series patterns are case-insensitive and checked before the built-in ones.
+ * imprintLayout decides the folders comics from an imprint are filed under (see IMPRINT_LAYOUTS).
+ */
+
+// How comics from an imprint are filed, e.g. for Vertigo's Sandman
+export const IMPRINT_LAYOUTS = [
+    { name: "Imprint only (Vertigo/Sandman)", value: "imprint" },
+    { name: "Publisher and imprint (DC Comics/Vertigo/Sandman)", value: "nested" },
+    { name: "Publisher only (DC Comics/Sandman)", value: "publisher" },
+];
+
+export const DEFAULT_IMPRINT_LAYOUT = "imprint";
+
+/**
+ * Build the database from the built-in data and a (validated) user pattern configuration
+ */
+function buildDatabase(config = {}) {
+    const imprints = { ...IMPRINTS, ...config.imprints };
+    const publishers = [...new Set([...Object.values(PUBLISHERS), ...(config.publishers || []), ...Object.keys(imprints)])];
+
+    // User aliases may use any case for the publisher, store its canonical name
+    const canonical = (name) => publishers.find((publisher) => publisher.toLowerCase() === name.toLowerCase()) || name;
+
+    const aliases = { ...PUBLISHER_ALIASES };
+    for (const [alias, publisher] of Object.entries(config.aliases || {})) {
+        aliases[alias.toLowerCase()] = canonical(publisher);
+    }
+
+    const userPatterns = (config.series || []).map((entry) => ({
+        pattern: new RegExp(entry.pattern, "i"),
+        series: entry.series,
+        publisher: canonical(entry.publisher),
+    }));
+
+    return {
+        publishers,
+        aliases,
+        imprints: Object.fromEntries(Object.entries(imprints).map(([imprint, parent]) => [imprint, canonical(parent)])),
+        seriesPatterns: [...userPatterns, ...SERIES_PATTERNS],
+        imprintLayout: config.imprintLayout || DEFAULT_IMPRINT_LAYOUT,
+    };
+}
+
+let database = buildDatabase();
+
+/**
+ * Get all known publisher names (built-in, user-defined and imprints)
+ */
+export function getPublishers() {
+    return database.publishers;
+}
+
+/**
+ * Get publisher aliases (lower case variation -> canonical name)
+ */
+export function getPublisherAliases() {
+    return database.aliases;
+}
+
+/**
+ * Get imprints (imprint -> parent publisher)
+ */
+export function getImprints() {
+    return database.imprints;
+}
+
+/**
+ * Get series patterns ({ pattern, series, publisher }), user patterns first
+ */
+export function getSeriesPatterns() {
+    return database.seriesPatterns;
+}
+
+/**
+ * Get the configured imprint layout ("imprint", "nested" or "publisher")
+ */
+export function getImprintLayout() {
+    return database.imprintLayout;
+}
+
+/**
+ * Find a known imprint by name (case-insensitive)
+ * @returns {Array|undefined} [imprint, parent publisher]
+ */
+function findImprint(name) {
+    if (!name) return undefined;
+    return Object.entries(database.imprints).find(([imprint]) => imprint.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Get the publisher that owns an imprint, or null if it isn't a known imprint
+ */
+export function getParentPublisher(publisher) {
+    const match = findImprint(publisher);
+    return match ? match[1] : null;
+}
+
+/**
+ * Split a publisher into its parent publisher and imprint
+ * Either the publisher itself is a known imprint ("Vertigo"), or the imprint is a known imprint
+ * of the publisher (ComicInfo Publisher "DC Comics" with Imprint "Vertigo"). Unknown imprints are ignored.
+ * @returns {Object} { publisher, imprint } - imprint is null when there isn't one
+ */
+export function resolveImprint(publisher, imprint = null) {
+    const ownImprint = findImprint(publisher);
+    if (ownImprint) {
+        return { publisher: ownImprint[1], imprint: ownImprint[0] };
+    }
+
+    const match = findImprint(imprint);
+    if (match && (!publisher || match[1].toLowerCase() === publisher.toLowerCase())) {
+        return { publisher: match[1], imprint: match[0] };
+    }
+
+    return { publisher: publisher || null, imprint: null };
+}
+
+/**
+ * Get the folders a publisher's comics are filed under, following the imprint layout
+ * e.g. ["DC Comics", "Vertigo"] for Vertigo with the "nested" layout
+ * @param {string} publisher - Publisher or imprint name
+ * @param {string} imprint - Imprint name, when the publisher is the parent
+ * @param {string} layout - Imprint layout (default: the configured one)
+ * @returns {Array<string>} Folder names (empty when there is no publisher)
+ */
+export function getPublisherSegments(publisher, imprint = null, layout = getImprintLayout()) {
+    const resolved = resolveImprint(publisher, imprint);
+
+    if (!resolved.publisher) return [];
+    if (!resolved.imprint) return [resolved.publisher];
+
+    switch (layout) {
+        case "nested":
+            return [resolved.publisher, resolved.imprint];
+        case "publisher":
+            return [resolved.publisher];
+        default:
+            return [resolved.imprint];
+    }
+}
+
+/**
+ * Get the folder path a publisher's comics are filed under (see getPublisherSegments)
+ */
+export function getPublisherFolder(publisher, imprint = null, layout = getImprintLayout()) {
+    return getPublisherSegments(publisher, imprint, layout).join("/");
+}
+
+/**
+ * Check if a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate a user pattern configuration
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validatePatternConfig(config) {
+    const errors = [];
+    const isName = (value) => typeof value === "string" && value.trim().length > 0;
+
+    if (config.publishers !== undefined) {
+        if (!Array.isArray(config.publishers)) {
+            errors.push('"publishers" must be a list of publisher names');
+        } else {
+            config.publishers.forEach((publisher, index) => {
+                if (!isName(publisher)) errors.push(`publishers[${index}] must be a non-empty string`);
+            });
+        }
+    }
+
+    if (config.imprints !== undefined && !isPlainObject(config.imprints)) {
+        errors.push('"imprints" must map imprint names to their parent publisher');
+    }
+    if (config.aliases !== undefined && !isPlainObject(config.aliases)) {
+        errors.push('"aliases" must map name variations to a publisher');
+    }
+    if (config.series !== undefined && !Array.isArray(config.series)) {
+        errors.push('"series" must be a list of series patterns');
+    }
+    if (config.imprintLayout !== undefined && !IMPRINT_LAYOUTS.some((layout) => layout.value === config.imprintLayout)) {
+        errors.push(`"imprintLayout" must be one of: ${IMPRINT_LAYOUTS.map((layout) => layout.value).join(", ")}`);
+    }
+
+    if (errors.length > 0) return errors;
+
+    // Names that references can point to
+    const known = new Set(
+        [...Object.values(PUBLISHERS), ...Object.keys(IMPRINTS), ...(config.publishers || []), ...Object.keys(config.imprints || {})].map((name) => name.toLowerCase())
+    );
+    const checkPublisher = (publisher, where) => {
+        if (!isName(publisher)) {
+            errors.push(`${where} must be a publisher name`);
+        } else if (!known.has(publisher.toLowerCase())) {
+            errors.push(`${where} refers to unknown publisher "${publisher}" (add it to "publishers" first)`);
+        }
+    };
+
+    for (const [imprint, parent] of Object.entries(config.imprints || {})) {
+        checkPublisher(parent, `Imprint "${imprint}"`);
+        if (isName(parent) && imprint.toLowerCase() === parent.toLowerCase()) {
+            errors.push(`Imprint "${imprint}" can't be its own parent publisher`);
+        }
+    }
+
+    for (const [alias, publisher] of Object.entries(config.aliases || {})) {
+        checkPublisher(publisher, `Alias "${alias}"`);
+    }
+
+    (config.series || []).forEach((entry, index) => {
+        const where = isPlainObject(entry) && isName(entry.series) ? `Series pattern "${entry.series}"` : `series[${index}]`;
+
+        if (!isPlainObject(entry)) {
+            errors.push(`${where} must be an object with "pattern", "series" and "publisher"`);
+            return;
+        }
+        if (!isName(entry.series)) {
+            errors.push(`${where} must have a "series" name`);
+        }
+        if (!isName(entry.pattern)) {
+            errors.push(`${where} must have a "pattern" string`);
+        } else {
+            try {
+                new RegExp(entry.pattern, "i");
+            } catch (e) {
+                errors.push(`${where} has invalid regex pattern: ${e.message}`);
+            }
+        }
+        checkPublisher(entry.publisher, `${where} publisher`);
+    });
+
+    return errors;
+}
+
+/**
+ * Merge a validated user pattern configuration over the built-in data
+ * Pass null to go back to the built-in data only
+ */
+export function applyPatternConfig(config) {
+    database = buildDatabase(config || {});
+}
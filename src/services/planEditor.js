@@ -0,0 +1,305 @@
+import inquirer from "inquirer";
+import chalk from "chalk";
+import { logger } from "../utils/logger.js";
+import { getFilename } from "../utils/files.js";
+import { getPublisherFolder } from "./patterns.js";
+import { DEFAULT_FOLDER_TEMPLATE, getTemplateFields, renderFolderTemplate, sanitizeFolderPath } from "./templates.js";
+import { markForReview } from "./confidence.js";
+import { REVIEW_FOLDER } from "./reviewQueue.js";
+
+/**
+ * Plan editor
+ * Lets the user fix an automatic organization plan before anything moves, instead of
+ * rejecting the whole plan for one wrong guess: files can be moved to another folder,
+ * given another series or publisher, split off into their own series or left out,
+ * and folders can be merged. The edits only change the assignments (see buildAssignments);
+ * a file sent to the review queue for low confidence is filed normally once it's been edited,
+ * unless it's put in the review folder again.
+ */
+
+/**
+ * Group assignments by folder, in the order folders first appear
+ * @returns {Map<string, Array<Object>>} folder -> assignments
+ */
+export function groupByFolder(assignments) {
+    const groups = new Map();
+    for (const assignment of assignments) {
+        if (!groups.has(assignment.folder)) groups.set(assignment.folder, []);
+        groups.get(assignment.folder).push(assignment);
+    }
+    return groups;
+}
+
+/**
+ * Put one assignment in another folder
+ * Files put in the review folder get a review entry of their own, with the folder they were in as the suggestion.
+ */
+function placeInFolder(assignment, folder) {
+    if (folder !== REVIEW_FOLDER) return { ...assignment, folder, review: null };
+    return assignment.folder === REVIEW_FOLDER ? assignment : markForReview(assignment);
+}
+
+/**
+ * Put files in another folder
+ * @param {Array<string>} files - Files to move (paths of assignment.file)
+ */
+export function moveToFolder(assignments, files, folder) {
+    const selected = new Set(files);
+    return assignments.map((assignment) => (selected.has(assignment.file) ? placeInFolder(assignment, folder) : assignment));
+}
+
+/**
+ * Give files another series and/or publisher, and work out their folder again from the folder template
+ * The new series is what post-processing writes to ComicInfo.xml (see executeAssignments' seriesNames).
+ * @param {Array<string>} files - Files to change (paths of assignment.file)
+ * @param {object} changes - { series, publisher } - either can be left out to keep the file's own,
+ *   a null publisher takes the publisher away
+ * @param {string} folderTemplate - Folder template the plan was built with
+ */
+export function setSeries(assignments, files, changes, folderTemplate = DEFAULT_FOLDER_TEMPLATE) {
+    const selected = new Set(files);
+
+    return assignments.map((assignment) => {
+        if (!selected.has(assignment.file)) return assignment;
+
+        const publisherFolder = changes.publisher === undefined ? assignment.publisherFolder : changes.publisher && getPublisherFolder(changes.publisher);
+        const series = changes.series || assignment.detectedSeries || assignment.metadata.series || assignment.metadata.cleanedName;
+        const fields = getTemplateFields(assignment.metadata, { publisher: publisherFolder, series });
+
+        return {
+            ...assignment,
+            folder: renderFolderTemplate(folderTemplate, fields) || "Unsorted",
+            publisherFolder,
+            detectedSeries: series,
+            review: null,
+        };
+    });
+}
+
+/**
+ * Leave files out of the plan (they stay in the source folder)
+ */
+export function excludeFiles(assignments, files) {
+    const selected = new Set(files);
+    return assignments.filter((assignment) => !selected.has(assignment.file));
+}
+
+/**
+ * Merge folders into one, e.g. two spellings of the same series
+ * The merged files take the series of the files already in the target folder (not when merging into the review folder).
+ * @param {Array<string>} folders - Folders to merge (the target may be one of them)
+ */
+export function mergeFolders(assignments, folders, targetFolder) {
+    const merging = new Set(folders);
+    const target = targetFolder !== REVIEW_FOLDER && assignments.find((assignment) => assignment.folder === targetFolder);
+
+    return assignments.map((assignment) => {
+        if (!merging.has(assignment.folder) || assignment.folder === targetFolder) return assignment;
+        return placeInFolder({ ...assignment, detectedSeries: target ? target.detectedSeries : assignment.detectedSeries }, targetFolder);
+    });
+}
+
+/**
+ * Show the plan with every file, by folder
+ */
+function showPlan(assignments) {
+    const groups = groupByFolder(assignments);
+    logger.section(`Organization Plan (${groups.size} folders, ${assignments.length} files)`);
+
+    for (const [folder, items] of groups) {
+        logger.folder(folder, items.length);
+        items.forEach((item) => logger.file(getFilename(item.file), item.metadata?.confidence || ""));
+    }
+}
+
+const requireName = (label) => (input) => (input && input.trim().length > 0 ? true : `${label} cannot be empty`);
+
+/**
+ * Ask for a folder from the plan, or a new one
+ */
+async function promptFolder(groups, message, exclude = null) {
+    const { folder } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "folder",
+            message,
+            choices: [
+                ...[...groups.keys()].filter((name) => name !== exclude).map((name) => ({ name: `${name} ${chalk.dim(`(${groups.get(name).length} files)`)}`, value: name, short: name })),
+                new inquirer.Separator(),
+                { name: "➕ New folder...", value: null, short: "New folder" },
+            ],
+            pageSize: 15,
+        },
+    ]);
+
+    if (folder !== null) return folder;
+
+    const { newFolder } = await inquirer.prompt([
+        {
+            type: "input",
+            name: "newFolder",
+            message: 'Folder path (use "/" for subfolders):',
+            validate: requireName("Folder"),
+        },
+    ]);
+
+    return sanitizeFolderPath(newFolder);
+}
+
+/**
+ * Pick files in one folder and change them
+ */
+async function reviewFolder(assignments, folderTemplate) {
+    const groups = groupByFolder(assignments);
+    const { folder } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "folder",
+            message: "Which folder?",
+            choices: [...groups.keys()].map((name) => ({ name: `${name} ${chalk.dim(`(${groups.get(name).length} files)`)}`, value: name, short: name })),
+            pageSize: 15,
+        },
+    ]);
+
+    const items = groups.get(folder);
+    const { files } = await inquirer.prompt([
+        {
+            type: "checkbox",
+            name: "files",
+            message: `Select files in ${folder}:`,
+            choices: items.map((item) => ({ name: `${getFilename(item.file)} ${chalk.dim(item.metadata?.confidence || "")}`, value: item.file, short: getFilename(item.file) })),
+            pageSize: 15,
+        },
+    ]);
+
+    if (files.length === 0) return assignments;
+
+    const { action } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "action",
+            message: `What should happen to the ${files.length} selected files?`,
+            choices: [
+                { name: "Move them to another folder", value: "move" },
+                { name: "Change their series or publisher", value: "series" },
+                { name: "Split them off into a new series", value: "split" },
+                { name: "Leave them out (they stay in the source folder)", value: "exclude" },
+                { name: "Back", value: "back" },
+            ],
+        },
+    ]);
+
+    switch (action) {
+        case "move": {
+            const target = await promptFolder(groups, "Move them to:", folder);
+            logger.success(`${files.length} files will go to ${target}`);
+            return moveToFolder(assignments, files, target);
+        }
+
+        case "series": {
+            const first = items.find((item) => item.file === files[0]);
+            const { series, publisher } = await inquirer.prompt([
+                { type: "input", name: "series", message: "Series:", default: first.detectedSeries || first.metadata.series || first.metadata.cleanedName, validate: requireName("Series") },
+                { type: "input", name: "publisher", message: "Publisher (leave empty for none):", default: first.publisherFolder && first.publisherFolder !== "Unsorted" ? first.publisherFolder : "" },
+            ]);
+            const result = setSeries(assignments, files, { series: series.trim(), publisher: publisher.trim() || null }, folderTemplate);
+            logger.success(`${files.length} files will go to ${result.find((assignment) => assignment.file === files[0]).folder}`);
+            return result;
+        }
+
+        case "split": {
+            const { series } = await inquirer.prompt([{ type: "input", name: "series", message: "Name of the new series:", validate: requireName("Series") }]);
+            const result = setSeries(assignments, files, { series: series.trim() }, folderTemplate);
+            logger.success(`Split ${files.length} files into ${result.find((assignment) => assignment.file === files[0]).folder}`);
+            return result;
+        }
+
+        case "exclude":
+            logger.success(`Left out ${files.length} files`);
+            return excludeFiles(assignments, files);
+
+        default:
+            return assignments;
+    }
+}
+
+/**
+ * Pick folders to merge and the folder they're merged into
+ */
+async function promptMerge(assignments) {
+    const groups = groupByFolder(assignments);
+
+    if (groups.size < 2) {
+        logger.warning("There's only one folder in the plan");
+        return assignments;
+    }
+
+    const { folders } = await inquirer.prompt([
+        {
+            type: "checkbox",
+            name: "folders",
+            message: "Select the folders to merge:",
+            choices: [...groups.keys()].map((name) => ({ name: `${name} ${chalk.dim(`(${groups.get(name).length} files)`)}`, value: name, short: name })),
+            validate: (answer) => (answer.length >= 2 ? true : "Select at least two folders"),
+            pageSize: 15,
+        },
+    ]);
+
+    const { target } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "target",
+            message: "Merge them into:",
+            choices: folders,
+        },
+    ]);
+
+    logger.success(`Merged ${folders.length} folders into ${target}`);
+    return mergeFolders(assignments, folders, target);
+}
+
+/**
+ * Review and edit an automatic organization plan until the user executes or cancels it
+ * @param {Array<Object>} assignments - Assignments from runAutoOrganizer (see buildAssignments)
+ * @param {object} options - { folderTemplate } - the template the plan was built with
+ * @returns {Promise<Array<Object>|null>} The edited assignments, or null when cancelled
+ */
+export async function editAssignments(assignments, options = {}) {
+    const { folderTemplate = DEFAULT_FOLDER_TEMPLATE } = options;
+    let edited = assignments;
+
+    for (;;) {
+        logger.newline();
+        const { action } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "action",
+                message: `The plan has ${edited.length} files in ${groupByFolder(edited).size} folders. What would you like to do?`,
+                choices: [
+                    { name: "📂 Review a folder - move, re-series, split or leave out files", value: "folder" },
+                    { name: "🔗 Merge folders", value: "merge" },
+                    { name: "📋 Show the whole plan", value: "show" },
+                    new inquirer.Separator(),
+                    { name: "✅ Execute the plan", value: "execute" },
+                    { name: "❌ Cancel (nothing is moved)", value: "cancel" },
+                ],
+            },
+        ]);
+
+        if (action === "execute") return edited;
+        if (action === "cancel") return null;
+
+        if (edited.length === 0 && action !== "show") {
+            logger.warning("Every file has been left out of the plan");
+            continue;
+        }
+
+        if (action === "folder") {
+            edited = await reviewFolder(edited, folderTemplate);
+        } else if (action === "merge") {
+            edited = await promptMerge(edited);
+        } else {
+            showPlan(edited);
+        }
+    }
+}
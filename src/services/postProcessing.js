@@ -3,6 +3,8 @@ import chalk from "chalk";
 import { logger } from "../utils/logger.js";
 import { renameFilesHandler } from "../postProcessors/renameFiles.js";
 import { consolidateFoldersHandler } from "../postProcessors/consolidateFolders.js";
+import { convertCbrHandler } from "../postProcessors/convertCbr.js";
+import { packageImageFoldersHandler } from "../postProcessors/packageImageFolders.js";
 
 /**
  * Available post-processing options
@@ -25,6 +27,18 @@ const POST_PROCESSING_OPTIONS = [
         description: "Rename files using metadata (publisher, series, issue, year)",
         handler: renameFilesHandler,
     },
+    {
+        name: "Convert archives to CBZ",
+        value: "convert-cbr",
+        description: "Repack CBR, CB7 and CBT archives as ZIP, keeping pages and ComicInfo.xml",
+        handler: convertCbrHandler,
+    },
+    {
+        name: "Package image folders as CBZ",
+        value: "package-image-folders",
+        description: "Turn folders of numbered page images into CBZ files",
+        handler: packageImageFoldersHandler,
+    },
 ];
 
 /**
@@ -79,11 +93,15 @@ async function selectPostProcessingOptions() {
 
 /**
  * Execute selected post-processing operations
+ * @param {object} handlerOptions - Options passed through to every handler (e.g. { interactive: false })
+ * @returns {Promise<Array<Object>>} Failed operations ({ value, error })
  */
-async function executePostProcessing(selectedOptions, sourceDir, outputDir) {
+async function executePostProcessing(selectedOptions, sourceDir, outputDir, handlerOptions = {}) {
     logger.newline();
     logger.section("Running Post-Processing Operations");
 
+    const failures = [];
+
     for (const optionValue of selectedOptions) {
         const option = POST_PROCESSING_OPTIONS.find((opt) => opt.value === optionValue);
 
@@ -92,24 +110,28 @@ async function executePostProcessing(selectedOptions, sourceDir, outputDir) {
             logger.info(`Running: ${option.name}`);
 
             try {
-                await option.handler(sourceDir, outputDir);
+                await option.handler(sourceDir, outputDir, handlerOptions);
                 logger.success(`✓ ${option.name} completed`);
             } catch (error) {
                 logger.error(`✗ ${option.name} failed: ${error.message}`);
+                failures.push({ value: option.value, error: error.message });
             }
         }
     }
 
     logger.newline();
     logger.success("Post-processing complete!");
+
+    return failures;
 }
 
 /**
  * Main post-processing flow
  * @param {string} sourceDir - Source directory path
  * @param {string} outputDir - Output directory path
+ * @param {object} handlerOptions - Options passed through to every handler (e.g. { seriesNames })
  */
-export async function runPostProcessing(sourceDir, outputDir) {
+export async function runPostProcessing(sourceDir, outputDir, handlerOptions = {}) {
     const wantPostProcessing = await askForPostProcessing();
 
     if (!wantPostProcessing) {
@@ -119,7 +141,7 @@ export async function runPostProcessing(sourceDir, outputDir) {
     const selectedOptions = await selectPostProcessingOptions();
 
     if (selectedOptions.length > 0) {
-        await executePostProcessing(selectedOptions, sourceDir, outputDir);
+        await executePostProcessing(selectedOptions, sourceDir, outputDir, handlerOptions);
     }
 }
 
@@ -157,3 +179,21 @@ export async function runPostProcessingStandalone(targetDir) {
         await executePostProcessing(selectedOptions, targetDir, targetDir);
     }
 }
+
+/**
+ * Run post-processing operations by value without prompting (command-line mode)
+ * @param {Array<string>} optionValues - Post-processing option values to run, in order
+ * @param {string} sourceDir - Source directory path
+ * @param {string} outputDir - Output directory path
+ * @param {object} handlerOptions - Options passed through to every handler
+ * @returns {Promise<Array<Object>>} Failed operations ({ value, error })
+ */
+export async function runPostProcessingOperations(optionValues, sourceDir, outputDir, handlerOptions = {}) {
+    const unknown = optionValues.filter((value) => !POST_PROCESSING_OPTIONS.some((opt) => opt.value === value));
+
+    if (unknown.length > 0) {
+        throw new Error(`Unknown post-processing operation(s): ${unknown.join(", ")}`);
+    }
+
+    return executePostProcessing(optionValues, sourceDir, outputDir, { ...handlerOptions, interactive: false });
+}
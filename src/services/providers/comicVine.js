@@ -0,0 +1,141 @@
+/**
+ * ComicVine metadata provider
+ * Matches the series to a ComicVine volume, then looks up the specific issue in that volume.
+ * Requires an API key (COMICVINE_API_KEY). The base URL can be changed with COMICVINE_BASE_URL
+ * or the baseUrl option, e.g. to test against a local mock server.
+ * ComicVine blocks clients that make requests in quick succession, so it defaults to one request a second.
+ */
+
+const DEFAULT_BASE_URL = "https://comicvine.gamespot.com/api";
+
+/**
+ * Normalize a volume name for comparison
+ */
+function normalizeName(name) {
+    return String(name || "")
+        .toLowerCase()
+        .replace(/^the\s+/, "")
+        .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Pick the volume that best matches the query (and year, when known)
+ * Exact name matches win, then volumes that started on or before the issue's year
+ * (closest start year first), then the longest-running volume
+ */
+export function pickVolume(volumes, query, year = null) {
+    if (!volumes || volumes.length === 0) return null;
+
+    const target = normalizeName(query);
+
+    const scored = volumes.map((volume) => {
+        const startYear = parseInt(volume.start_year, 10) || null;
+        let score = 0;
+
+        if (normalizeName(volume.name) === target) score += 100;
+        if (year && startYear && startYear <= year) score += 50 - Math.min(year - startYear, 49);
+
+        return { volume, score, issues: volume.count_of_issues || 0 };
+    });
+
+    scored.sort((a, b) => b.score - a.score || b.issues - a.issues);
+    return scored[0].volume;
+}
+
+/**
+ * Make a request to the ComicVine API
+ * @param {object} connection - { baseUrl, apiKey, waitForSlot } - waitForSlot resolves when the rate limit
+ *   allows the request (see services/metadata.js)
+ */
+async function request(connection, resource, params) {
+    const { baseUrl, apiKey, waitForSlot } = connection;
+    const url = new URL(`${baseUrl.replace(/\/+$/, "")}/${resource}/`);
+    url.searchParams.set("api_key", apiKey);
+    url.searchParams.set("format", "json");
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+
+    if (waitForSlot) await waitForSlot();
+
+    // ComicVine rejects requests without a user agent
+    const response = await fetch(url, { headers: { "User-Agent": "comic-organizer-cli" } });
+
+    if (!response.ok) {
+        throw new Error(`ComicVine request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status_code !== 1) {
+        throw new Error(`ComicVine error: ${data.error || "unknown error"}`);
+    }
+
+    return data.results || [];
+}
+
+export const comicVineProvider = {
+    name: "ComicVine",
+    value: "comicvine",
+    description: "Matches series and issue numbers. Requires a free API key",
+    apiKeyEnv: "COMICVINE_API_KEY",
+    requestsPerSecond: 1,
+
+    /**
+     * Results depend on the issue number, so it's part of the cache key
+     */
+    cacheKey(query, context = {}) {
+        return context.issueNumber !== null && context.issueNumber !== undefined ? `${query}#${context.issueNumber}` : query;
+    },
+
+    /**
+     * Look up a series (and issue, if the number is known)
+     * @param {string} query - Cleaned series name
+     * @param {object} context - { issueNumber, year, apiKey, baseUrl, waitForSlot }
+     */
+    async lookup(query, context = {}) {
+        const { issueNumber = null, year = null, waitForSlot = null } = context;
+        const apiKey = context.apiKey || process.env.COMICVINE_API_KEY;
+        const baseUrl = context.baseUrl || process.env.COMICVINE_BASE_URL || DEFAULT_BASE_URL;
+
+        if (!apiKey) {
+            throw new Error("ComicVine requires an API key (set COMICVINE_API_KEY)");
+        }
+
+        const connection = { baseUrl, apiKey, waitForSlot };
+
+        const volumes = await request(connection, "search", {
+            query,
+            resources: "volume",
+            field_list: "id,name,start_year,publisher,count_of_issues",
+            limit: "10",
+        });
+
+        const volume = pickVolume(volumes, query, year);
+        if (!volume) {
+            return null;
+        }
+
+        let issue = null;
+        if (issueNumber !== null) {
+            const issues = await request(connection, "issues", {
+                filter: `volume:${volume.id},issue_number:${issueNumber}`,
+                field_list: "id,name,issue_number,cover_date",
+            });
+            issue = issues[0] || null;
+        }
+
+        const startYear = parseInt(volume.start_year, 10) || null;
+
+        return {
+            title: volume.name,
+            publisher: volume.publisher?.name || null,
+            publishedDate: issue?.cover_date || (startYear ? String(startYear) : null),
+            startYear,
+            issueTitle: issue?.name || null,
+            comicVineVolumeId: volume.id,
+            comicVineIssueId: issue?.id || null,
+            source: "ComicVine",
+        };
+    },
+};
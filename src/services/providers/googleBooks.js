@@ -0,0 +1,46 @@
+/**
+ * Google Books metadata provider
+ * Free and keyless, but returns generic book data - best for trades and graphic novels
+ */
+
+const GOOGLE_BOOKS_API = "https://www.googleapis.com/books/v1/volumes";
+
+export const googleBooksProvider = {
+    name: "Google Books",
+    value: "google-books",
+    description: "Free, no API key needed. Best for trades and graphic novels",
+
+    /**
+     * Look up a cleaned series name
+     * Throws on request failures so they aren't cached as "no results"
+     * @param {object} context - { waitForSlot } (see services/metadata.js)
+     */
+    async lookup(query, context = {}) {
+        const url = `${GOOGLE_BOOKS_API}?q=${encodeURIComponent(query + " comic")}&maxResults=5`;
+
+        if (context.waitForSlot) await context.waitForSlot();
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Google Books request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (!data.items || data.items.length === 0) {
+            return null;
+        }
+
+        // Find the most relevant result
+        const book = data.items[0].volumeInfo;
+
+        return {
+            title: book.title,
+            authors: book.authors || [],
+            publisher: book.publisher,
+            publishedDate: book.publishedDate,
+            description: book.description,
+            source: "Google Books",
+        };
+    },
+};
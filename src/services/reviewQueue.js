@@ -0,0 +1,68 @@
+import path from "path";
+import fs from "fs-extra";
+import { moveFile } from "../utils/files.js";
+
+/**
+ * Review queue
+ * Files that can't be filed with confidence are moved to a "_Review" folder in the library
+ * instead of being guessed. A manifest next to them records why each file is waiting.
+ *
+ * Manifest structure (_Review/review-queue.json):
+ * {
+ *   "Unknown Comic 001.cbz": { "reason": "...", "suggestedFolder": "Unsorted/Unknown Comic", "addedAt": "2025-01-01T00:00:00.000Z" }
+ * }
+ */
+
+export const REVIEW_FOLDER = "_Review";
+const MANIFEST_FILE = "review-queue.json";
+
+/**
+ * Get the review folder of a library
+ */
+export function getReviewDir(libraryDir) {
+    return path.join(libraryDir, REVIEW_FOLDER);
+}
+
+/**
+ * Read the review queue manifest
+ * @returns {Promise<Object>} { filename: { reason, suggestedFolder, addedAt } }
+ */
+export async function readReviewQueue(libraryDir) {
+    try {
+        return await fs.readJson(path.join(getReviewDir(libraryDir), MANIFEST_FILE));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Move a file to the library's review folder and record why
+ * @param {string} filePath - File to queue
+ * @param {string} libraryDir - Library directory
+ * @param {object} details - { reason, suggestedFolder }
+ * @param {object} options - Move options
+ * @param {Object} options.journal - Undo journal to record the move in
+ * @returns {Promise<string>} New path of the file
+ */
+export async function addToReviewQueue(filePath, libraryDir, details, options = {}) {
+    const { destination } = await moveFile(filePath, getReviewDir(libraryDir), { journal: options.journal });
+    await recordReview(libraryDir, destination, details);
+
+    return destination;
+}
+
+/**
+ * Record why a file that's already in the review folder is waiting
+ * @param {string} libraryDir - Library directory
+ * @param {string} reviewPath - Path of the file in the review folder
+ * @param {object} details - { reason, suggestedFolder }
+ */
+export async function recordReview(libraryDir, reviewPath, details) {
+    const queue = await readReviewQueue(libraryDir);
+    queue[path.basename(reviewPath)] = {
+        reason: details.reason,
+        suggestedFolder: details.suggestedFolder || null,
+        addedAt: new Date().toISOString(),
+    };
+    await fs.outputJson(path.join(getReviewDir(libraryDir), MANIFEST_FILE), queue, { spaces: 2 });
+}
@@ -15,11 +15,21 @@ function normalizeForComparison(str) {
         .trim();
 }
 
+/**
+ * Normalize a series name for use in a grouping key
+ */
+export function normalizeSeriesKey(name) {
+    return String(name || "")
+        .toLowerCase()
+        .replace(/^the\s+/, "")
+        .replace(/[^a-z0-9]/g, "");
+}
+
 /**
  * Extract potential series name from a filename
  * Strips version/volume/issue numbers to get clean series name
  */
-function extractSeriesName(filename) {
+export function extractSeriesName(filename) {
     let name = filename.replace(/\.[^.]+$/, ""); // Remove extension
 
     // Replace separators with spaces
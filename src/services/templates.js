@@ -0,0 +1,288 @@
+import { getPublisherFolder } from "./patterns.js";
+
+/**
+ * Name templates for folders and files
+ *
+ * Syntax:
+ *   {series}               A field's value
+ *   {publisher|Unsorted}   The first alternative with a value - fields, or literal text as the last alternative
+ *   {issue:000}            A number zero-padded to the width of the zeros (1 -> 001, 1.5 -> 001.5)
+ *   {? v{volume}}          An optional section, left out unless every field inside it has a value
+ *
+ * Missing values render as nothing. In folder templates each "/" starts a new folder; empty folders,
+ * empty brackets and characters that aren't allowed in file names are cleaned up.
+ */
+
+// Fields available in templates (see getTemplateFields)
+export const TEMPLATE_FIELDS = [
+    "series",
+    "issue",
+    "title",
+    "publisher",
+    "imprint",
+    "year",
+    "month",
+    "day",
+    "startYear",
+    "volume",
+    "format",
+    "writer",
+    "penciller",
+    "inker",
+    "colorist",
+    "letterer",
+    "coverArtist",
+    "editor",
+    "storyArc",
+    "seriesGroup",
+    "alternateSeries",
+    "alternateNumber",
+    "ageRating",
+    "languageISO",
+    "pageCount",
+    "cleanedName",
+];
+
+export const DEFAULT_FOLDER_TEMPLATE = "{publisher}/{series}";
+
+// Ready-made folder templates offered in automatic mode
+export const FOLDER_TEMPLATES = [
+    { name: "Publisher/Series", value: DEFAULT_FOLDER_TEMPLATE, example: "DC Comics/Batman" },
+    { name: "Publisher/Series (Start Year)", value: "{publisher}/{series}{? ({startYear})}", example: "DC Comics/Batman (2016)" },
+    { name: "Publisher/Series (Start Year)/Format", value: "{publisher}/{series}{? ({startYear})}/{format}", example: "DC Comics/Batman (2016)/TPB" },
+    { name: "Series only", value: "{series}", example: "Batman" },
+];
+
+// Characters that can't be used in file or folder names
+const INVALID_NAME_CHARS = /[<>:"/\\|?*]/g;
+
+/**
+ * Parse a template into text, field and optional section nodes
+ * Throws an error describing the first problem found
+ * @returns {Array<Object>} Nodes: { type: "text", value } | { type: "field", alternatives, padding } | { type: "optional", nodes }
+ */
+export function parseTemplate(template) {
+    let position = 0;
+
+    function parseNodes(insideOptional) {
+        const nodes = [];
+        let text = "";
+
+        while (position < template.length) {
+            const char = template[position];
+
+            if (char === "}") {
+                if (!insideOptional) {
+                    throw new Error(`Unexpected "}" at position ${position + 1}`);
+                }
+                break;
+            }
+
+            if (char !== "{") {
+                text += char;
+                position++;
+                continue;
+            }
+
+            if (text) nodes.push({ type: "text", value: text });
+            text = "";
+
+            if (template[position + 1] === "?") {
+                const start = position;
+                position += 2;
+                const optionalNodes = parseNodes(true);
+                if (template[position] !== "}") {
+                    throw new Error(`Optional section at position ${start + 1} is missing its closing "}"`);
+                }
+                position++;
+                nodes.push({ type: "optional", nodes: optionalNodes });
+            } else {
+                nodes.push(parseField());
+            }
+        }
+
+        if (text) nodes.push({ type: "text", value: text });
+        return nodes;
+    }
+
+    function parseField() {
+        const start = position;
+        const end = template.indexOf("}", position);
+        const nextOpen = template.indexOf("{", position + 1);
+
+        if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+            throw new Error(`Field at position ${start + 1} is missing its closing "}"`);
+        }
+
+        const content = template.slice(start + 1, end);
+        position = end + 1;
+
+        const [expression, padding = null] = content.split(":");
+        const alternatives = expression.split("|").map((alternative) => alternative.trim());
+
+        if (padding !== null && !/^0+$/.test(padding)) {
+            throw new Error(`Invalid number format "${padding}" in {${content}} (use zeros, e.g. {issue:000})`);
+        }
+
+        alternatives.forEach((alternative, index) => {
+            const isLast = index === alternatives.length - 1;
+            if (TEMPLATE_FIELDS.includes(alternative)) return;
+
+            if (!alternative) {
+                throw new Error(`Empty field in {${content}}`);
+            }
+            // Only the last alternative can be literal text
+            if (!isLast || alternatives.length === 1) {
+                throw new Error(`Unknown field "${alternative}" in {${content}}`);
+            }
+        });
+
+        return {
+            type: "field",
+            alternatives: alternatives.map((name) => (TEMPLATE_FIELDS.includes(name) ? { field: name } : { text: name })),
+            padding: padding ? padding.length : 0,
+        };
+    }
+
+    return parseNodes(false);
+}
+
+/**
+ * Validate a template
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateTemplate(template) {
+    if (typeof template !== "string" || template.trim() === "") {
+        return ["Template must be a non-empty string"];
+    }
+
+    try {
+        parseTemplate(template);
+        return [];
+    } catch (error) {
+        return [error.message];
+    }
+}
+
+/**
+ * Check if a field value counts as missing
+ */
+function isMissing(value) {
+    return value === null || value === undefined || value === "";
+}
+
+/**
+ * Zero-pad the whole-number part of a number (1.5 -> 001.5)
+ */
+function padNumber(value, width) {
+    const [whole, fraction] = String(value).split(".");
+    if (!/^-?\d+$/.test(whole)) return String(value);
+    return whole.padStart(width, "0") + (fraction !== undefined ? `.${fraction}` : "");
+}
+
+/**
+ * Render parsed nodes
+ * @returns {Object} { text, complete } - complete is false when a field had no value
+ */
+function renderNodes(nodes, fields, formatValue) {
+    let text = "";
+    let complete = true;
+
+    for (const node of nodes) {
+        if (node.type === "text") {
+            text += node.value;
+        } else if (node.type === "optional") {
+            const section = renderNodes(node.nodes, fields, formatValue);
+            if (section.complete) text += section.text;
+        } else {
+            const match = node.alternatives.find((alternative) => alternative.text !== undefined || !isMissing(fields[alternative.field]));
+
+            if (!match) {
+                complete = false;
+            } else if (match.text !== undefined) {
+                text += match.text;
+            } else {
+                const value = node.padding ? padNumber(fields[match.field], node.padding) : String(fields[match.field]);
+                text += formatValue(match.field, value);
+            }
+        }
+    }
+
+    return { text, complete };
+}
+
+/**
+ * Make a single file or folder name safe
+ */
+export function sanitizeName(name) {
+    return name
+        .replace(INVALID_NAME_CHARS, "-")
+        .replace(/\(\s*\)|\[\s*\]/g, "") // Empty brackets left by missing values
+        .replace(/\s+/g, " ")
+        .replace(/[\s.]+$/, "") // Trailing dots and spaces aren't allowed on Windows
+        .trim();
+}
+
+/**
+ * Make a relative folder path safe, one folder at a time ("/" separates folders)
+ */
+export function sanitizeFolderPath(folder) {
+    return folder
+        .split("/")
+        .map(sanitizeName)
+        .filter((segment) => segment.length > 0)
+        .join("/");
+}
+
+/**
+ * Render a template to a string
+ * @param {string} template - Template text
+ * @param {Object} fields - Field values (see getTemplateFields)
+ */
+export function renderTemplate(template, fields) {
+    return renderNodes(parseTemplate(template), fields, (field, value) => value).text;
+}
+
+/**
+ * Render a folder template to a relative folder path
+ * Field values can't create folders, except the publisher which already follows the imprint layout.
+ * @returns {string} Folder path with "/" separators, or "" when every folder came out empty
+ */
+export function renderFolderTemplate(template, fields) {
+    const rendered = renderNodes(parseTemplate(template), fields, (field, value) =>
+        field === "publisher" ? value.split("/").map(sanitizeName).join("/") : value.replace(INVALID_NAME_CHARS, "-")
+    ).text;
+
+    return sanitizeFolderPath(rendered);
+}
+
+/**
+ * Get template field values for a file's metadata
+ * @param {Object} metadata - Result of getComicMetadata
+ * @param {Object} overrides - Values that replace the metadata's own (e.g. the detected series)
+ */
+export function getTemplateFields(metadata, overrides = {}) {
+    const comicInfo = metadata.comicInfo || {};
+    const volume = metadata.volume ?? comicInfo.volume ?? null;
+    const year = metadata.year ?? null;
+
+    const fields = {
+        ...Object.fromEntries(TEMPLATE_FIELDS.map((field) => [field, comicInfo[field] ?? null])),
+        series: metadata.series || metadata.cleanedName || null,
+        issue: metadata.issueNumber ?? null,
+        // API results use "title" for the series, their issue title is issueTitle
+        title: comicInfo.title ?? metadata.issueTitle ?? null,
+        publisher: metadata.publisher ? getPublisherFolder(metadata.publisher, metadata.imprint) : null,
+        imprint: metadata.imprint ?? null,
+        year,
+        volume,
+        // ComicInfo volumes are often the year the series started (e.g. Batman (2016))
+        startYear: volume >= 1900 && volume <= 2100 ? volume : year,
+        format: metadata.format ?? comicInfo.format ?? null,
+        writer: metadata.writer ?? comicInfo.writer ?? null,
+        storyArc: metadata.storyArc ?? comicInfo.storyArc ?? null,
+        cleanedName: metadata.cleanedName ?? null,
+    };
+
+    return { ...fields, ...overrides };
+}
@@ -0,0 +1,124 @@
+import fs from "fs-extra";
+import path from "path";
+import inquirer from "inquirer";
+import { ensureDirectory, moveFile } from "../utils/files.js";
+
+/**
+ * Transfer modes
+ * How the organizers put a file in its new place:
+ * - "move": the file leaves the source folder (the default)
+ * - "copy": a copy is made and the original stays where it is
+ * - "hardlink": a second name for the same file, taking no extra space (same drive only)
+ * - "symlink": a link pointing at the original, which must stay where it is
+ * With anything but "move" the source folder is never changed, so an organized "view" of a
+ * seeding folder or a backup can be built next to it. Copies and links are undone by deleting them.
+ */
+
+export const TRANSFER_MODES = {
+    move: "Move the files",
+    copy: "Copy the files (originals stay where they are)",
+    hardlink: "Hardlink the files (no extra space, same drive only)",
+    symlink: "Symlink the files (links point at the originals)",
+};
+
+export const DEFAULT_TRANSFER_MODE = "move";
+
+const VERBS = {
+    move: { verb: "move", past: "Moved", progressive: "Moving" },
+    copy: { verb: "copy", past: "Copied", progressive: "Copying" },
+    hardlink: { verb: "hardlink", past: "Hardlinked", progressive: "Hardlinking" },
+    symlink: { verb: "symlink", past: "Symlinked", progressive: "Symlinking" },
+};
+
+/**
+ * Get the verb for a transfer mode, for messages like "Ready to copy 12 files" or "Copied 12 files"
+ * @param {string} form - "verb" ("copy"), "past" ("Copied") or "progressive" ("Copying")
+ */
+export function getTransferVerb(mode = DEFAULT_TRANSFER_MODE, form = "verb") {
+    return (VERBS[mode] || VERBS[DEFAULT_TRANSFER_MODE])[form];
+}
+
+/**
+ * Ask which transfer mode to use for a run
+ */
+export async function promptTransferMode() {
+    const { mode } = await inquirer.prompt([
+        {
+            type: "list",
+            name: "mode",
+            message: "How should files be put in place?",
+            choices: Object.entries(TRANSFER_MODES).map(([value, name]) => ({ name, value })),
+            default: DEFAULT_TRANSFER_MODE,
+        },
+    ]);
+
+    return mode;
+}
+
+/**
+ * Put a file in a destination folder with a transfer mode
+ * Moves go through moveFile; copies and links are recorded as "copy" entries in the journal.
+ * @param {object} options - Transfer options
+ * @param {string} options.mode - Transfer mode (see TRANSFER_MODES, default: move)
+ * @param {boolean} options.dryRun - Don't change anything, just return the destination
+ * @param {Object} options.journal - Undo journal to record the change in
+ * @param {string} options.filename - Name to give the file (default: its current name)
+ * @param {Object} options.transfers - Counters from createTransferStats, for moves to another drive
+ * @returns {Promise<Object>} { source, destination, moved } - moved is false in a dry run
+ */
+export async function transferFile(sourcePath, destinationFolder, options = {}) {
+    const { mode = DEFAULT_TRANSFER_MODE, dryRun = false, journal = null, filename = path.basename(sourcePath), transfers = null } = options;
+
+    if (mode === "move") {
+        return moveFile(sourcePath, destinationFolder, { dryRun, journal, filename, transfers });
+    }
+
+    const destinationPath = path.join(destinationFolder, filename);
+
+    if (dryRun) {
+        return { source: sourcePath, destination: destinationPath, moved: false };
+    }
+
+    if (await fs.pathExists(destinationPath)) {
+        throw new Error(`${filename} already exists`);
+    }
+
+    await ensureDirectory(destinationFolder, journal);
+
+    if (mode === "copy") {
+        await fs.copy(sourcePath, destinationPath, { overwrite: false, errorOnExist: true, preserveTimestamps: true });
+    } else if (mode === "hardlink") {
+        try {
+            await fs.link(sourcePath, destinationPath);
+        } catch (error) {
+            if (error.code === "EXDEV") {
+                throw new Error("Hardlinks only work on the same drive, use copy or symlink instead");
+            }
+            throw error;
+        }
+    } else if (mode === "symlink") {
+        // An absolute target keeps the link working when post-processing renames or moves it
+        await fs.symlink(path.resolve(sourcePath), destinationPath);
+    } else {
+        throw new Error(`Unknown transfer mode: ${mode}`);
+    }
+
+    if (journal) {
+        await journal.recordCopy(sourcePath, destinationPath);
+    }
+
+    return { source: sourcePath, destination: destinationPath, moved: true };
+}
+
+/**
+ * Leave out the originals a copy or link run left in place, so post-processing only changes the new files
+ * (renaming, converting or writing ComicInfo.xml to a link replaces the link, never the file it points at)
+ * @param {Array<string>} files - Files found by a post-processor
+ * @param {Array<string>} originals - The run's originals (see executeAssignments), empty or missing after a move
+ */
+export function excludeOriginals(files, originals = []) {
+    if (originals.length === 0) return files;
+
+    const skip = new Set(originals);
+    return files.filter((file) => !skip.has(file));
+}
@@ -0,0 +1,182 @@
+import path from "path";
+import fs from "fs-extra";
+import YAML from "yaml";
+import { getAppDataPath } from "../utils/appData.js";
+import { applyPatternConfig, validatePatternConfig } from "./patterns.js";
+import { validateTemplate } from "./templates.js";
+import { CONFIDENCE_LEVELS } from "./confidence.js";
+
+/**
+ * User configuration
+ * Read from config.json, config.yaml or config.yml in the app data directory (~/.comic-organizer).
+ * Holds the user's additions to the publisher and series pattern database (see services/patterns.js)
+ * the folder template for automatic mode ("folderTemplate") and the user's rename templates
+ * ("renameTemplates": [{ "name": "Short", "template": "{series} #{issue:000}" }], see services/templates.js),
+ * how hard metadata lookups work: "workers" (files read at once) and "apiRequestsPerSecond" (per provider),
+ * and the lowest match confidence automatic mode files without review ("minConfidence", see services/confidence.js).
+ */
+
+const CONFIG_FILES = ["config.json", "config.yaml", "config.yml"];
+
+// The configuration applied by applyUserConfig
+let activeConfig = {};
+
+/**
+ * Find the user's config file
+ * @returns {Promise<string|null>} Path of the first config file that exists, or null
+ */
+export async function findUserConfigPath() {
+    for (const filename of CONFIG_FILES) {
+        const configPath = getAppDataPath(filename);
+        if (await fs.pathExists(configPath)) {
+            return configPath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a JSON or YAML config file (by extension)
+ */
+async function readConfigFile(configPath) {
+    const content = await fs.readFile(configPath, "utf-8");
+
+    try {
+        const ext = path.extname(configPath).toLowerCase();
+        // An empty YAML file parses to null
+        return (ext === ".yaml" || ext === ".yml" ? YAML.parse(content) : JSON.parse(content)) ?? {};
+    } catch (error) {
+        throw new Error(`Could not parse ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Validate the user's rename templates
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateRenameTemplates(renameTemplates) {
+    if (!Array.isArray(renameTemplates)) {
+        return ['"renameTemplates" must be a list of { name, template } entries'];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    renameTemplates.forEach((entry, index) => {
+        const hasName = typeof entry?.name === "string" && entry.name.trim().length > 0;
+        const where = hasName ? `Rename template "${entry.name}"` : `renameTemplates[${index}]`;
+
+        if (!hasName) {
+            errors.push(`${where} must have a "name"`);
+        } else if (names.has(entry.name.toLowerCase())) {
+            errors.push(`${where} is defined more than once`);
+        } else {
+            names.add(entry.name.toLowerCase());
+        }
+
+        errors.push(...validateTemplate(entry?.template).map((error) => `${where}: ${error}`));
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a user configuration
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateUserConfig(config) {
+    if (typeof config !== "object" || config === null || Array.isArray(config)) {
+        return ["Configuration must be an object"];
+    }
+
+    const errors = validatePatternConfig(config);
+
+    if (config.folderTemplate !== undefined) {
+        errors.push(...validateTemplate(config.folderTemplate).map((error) => `"folderTemplate": ${error}`));
+    }
+
+    if (config.renameTemplates !== undefined) {
+        errors.push(...validateRenameTemplates(config.renameTemplates));
+    }
+
+    if (config.workers !== undefined && !(Number.isInteger(config.workers) && config.workers > 0)) {
+        errors.push('"workers" must be a whole number of at least 1');
+    }
+    if (config.apiRequestsPerSecond !== undefined && !(typeof config.apiRequestsPerSecond === "number" && config.apiRequestsPerSecond > 0)) {
+        errors.push('"apiRequestsPerSecond" must be a number above 0');
+    }
+    if (config.minConfidence !== undefined && !CONFIDENCE_LEVELS.includes(config.minConfidence)) {
+        errors.push(`"minConfidence" must be one of: ${CONFIDENCE_LEVELS.join(", ")}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Load and validate the user configuration
+ * @param {string} configPath - Config file (default: the first config file found in the app data directory)
+ * @returns {Promise<Object>} The configuration, or an empty object when there is no config file
+ */
+export async function loadUserConfig(configPath = null) {
+    const resolvedPath = configPath || (await findUserConfigPath());
+    if (!resolvedPath) return {};
+
+    const config = await readConfigFile(resolvedPath);
+    const errors = validateUserConfig(config);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration in ${resolvedPath}:\n  - ${errors.join("\n  - ")}`);
+    }
+
+    return config;
+}
+
+/**
+ * Load the user configuration and merge its publishers and series patterns over the built-in ones
+ * @returns {Promise<Object>} The configuration
+ */
+export async function applyUserConfig(configPath = null) {
+    const config = await loadUserConfig(configPath);
+    applyPatternConfig(config);
+    activeConfig = config;
+    return config;
+}
+
+/**
+ * Save settings to the user's config file, keeping everything else in it
+ * YAML files keep their comments and layout. Creates config.json when there is no config file yet.
+ * @param {Object} changes - Top-level settings to set, e.g. { renameTemplates: [...] }
+ * @returns {Promise<string>} Path of the config file
+ */
+export async function saveUserConfig(changes) {
+    const configPath = (await findUserConfigPath()) || getAppDataPath(CONFIG_FILES[0]);
+    const exists = await fs.pathExists(configPath);
+    const config = { ...(exists ? await readConfigFile(configPath) : {}), ...changes };
+    const errors = validateUserConfig(config);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+    }
+
+    const ext = path.extname(configPath).toLowerCase();
+    if (ext === ".yaml" || ext === ".yml") {
+        const document = YAML.parseDocument(await fs.readFile(configPath, "utf-8"));
+        for (const [key, value] of Object.entries(changes)) {
+            document.set(key, value);
+        }
+        await fs.writeFile(configPath, document.toString());
+    } else {
+        await fs.ensureDir(path.dirname(configPath));
+        await fs.writeJson(configPath, config, { spaces: 2 });
+    }
+
+    activeConfig = config;
+    return configPath;
+}
+
+/**
+ * Get the configuration applied by applyUserConfig (empty before it has run)
+ */
+export function getUserConfig() {
+    return activeConfig;
+}
@@ -0,0 +1,17 @@
+import path from "path";
+import os from "os";
+
+/**
+ * Get the directory where the organizer keeps its own data (journals, caches, user config)
+ * Defaults to ~/.comic-organizer, override with the COMIC_ORGANIZER_HOME environment variable
+ */
+export function getAppDataDir() {
+    return process.env.COMIC_ORGANIZER_HOME || path.join(os.homedir(), ".comic-organizer");
+}
+
+/**
+ * Get a path inside the app data directory
+ */
+export function getAppDataPath(...segments) {
+    return path.join(getAppDataDir(), ...segments);
+}
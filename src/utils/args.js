@@ -0,0 +1,127 @@
+/**
+ * Minimal command-line argument parser
+ *
+ * Option spec structure (keys are the long option names, in kebab-case):
+ * {
+ *   "source": { type: "string", alias: "s" },
+ *   "dry-run": { type: "boolean", default: false },
+ *   "api": { type: "boolean", default: true }   // --no-api turns it off
+ * }
+ *
+ * Parsed options are returned in camelCase ("dry-run" -> dryRun).
+ */
+
+/**
+ * Convert a kebab-case option name to camelCase
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Find the spec entry for a short alias (e.g. "s" -> "source")
+ */
+function findByAlias(spec, alias) {
+    return Object.keys(spec).find((name) => spec[name].alias === alias) || null;
+}
+
+/**
+ * Parse an argument list against an option spec
+ * @param {Array<string>} argv - Arguments to parse (without node/script/command names)
+ * @param {object} spec - Option spec (see above)
+ * @returns {{ options: object, positionals: Array<string> }}
+ * @throws {Error} On unknown options or missing option values
+ */
+export function parseArgs(argv, spec = {}) {
+    const options = {};
+    const positionals = [];
+
+    // Apply defaults first
+    for (const [name, definition] of Object.entries(spec)) {
+        if (definition.default !== undefined) {
+            options[toCamelCase(name)] = definition.default;
+        }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        // Everything after "--" is positional
+        if (arg === "--") {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith("-") || arg === "-") {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name;
+        let inlineValue = null;
+
+        if (arg.startsWith("--")) {
+            const body = arg.slice(2);
+            const equalsIndex = body.indexOf("=");
+            if (equalsIndex !== -1) {
+                name = body.slice(0, equalsIndex);
+                inlineValue = body.slice(equalsIndex + 1);
+            } else {
+                name = body;
+            }
+        } else {
+            name = findByAlias(spec, arg.slice(1));
+            if (!name) {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+        }
+
+        // Negated boolean flags (--no-api)
+        if (!spec[name] && name.startsWith("no-") && spec[name.slice(3)]?.type === "boolean") {
+            if (inlineValue !== null) {
+                throw new Error(`Option --${name} does not take a value`);
+            }
+            options[toCamelCase(name.slice(3))] = false;
+            continue;
+        }
+
+        const definition = spec[name];
+        if (!definition) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+
+        if (definition.type === "boolean") {
+            if (inlineValue !== null) {
+                throw new Error(`Option --${name} does not take a value`);
+            }
+            options[toCamelCase(name)] = true;
+            continue;
+        }
+
+        // String option - take the inline value or the next argument
+        let value = inlineValue;
+        if (value === null) {
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith("-")) {
+                throw new Error(`Option --${name} requires a value`);
+            }
+            value = next;
+            i++;
+        }
+
+        options[toCamelCase(name)] = value;
+    }
+
+    return { options, positionals };
+}
+
+/**
+ * Split a comma-separated option value into a list
+ */
+export function parseList(value) {
+    if (!value) return [];
+    return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0);
+}
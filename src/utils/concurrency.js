@@ -0,0 +1,45 @@
+/**
+ * Map over items with at most `limit` calls running at once
+ * Results are in the same order as the items, whatever order the calls finish in.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+/**
+ * Create a rate limiter that spaces out calls to at most `requestsPerSecond`
+ * Slots are handed out in the order they're asked for, so concurrent callers queue up instead of
+ * all firing once the previous wait is over.
+ * @returns {Function} async () => void - resolves when the caller may make its request
+ */
+export function createRateLimiter(requestsPerSecond) {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlotAt = 0;
+
+    return async function waitForSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotAt);
+        nextSlotAt = slot + interval;
+
+        if (slot > now) {
+            await new Promise((resolve) => setTimeout(resolve, slot - now));
+        }
+    };
+}
@@ -1,24 +1,22 @@
 import fs from "fs-extra";
 import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
 import { glob } from "glob";
 
-const COMIC_EXTENSIONS = [".cbr", ".cbz", ".pdf", ".epub"];
-
 /**
- * Find all comic files in a directory
+ * Find the files with the given extensions in a directory
  * @param {string} directory - The directory to search
+ * @param {Array<string>} extensions - Lowercase extensions to include (e.g. ".cbz")
  * @param {object} options - Search options
  * @param {boolean} options.recursive - Whether to search subdirectories (default: false)
  */
-export async function findComicFiles(directory, options = {}) {
+export async function findFilesByExtension(directory, extensions, options = {}) {
     const { recursive = false } = options;
     const pattern = recursive ? path.join(directory, "**/*") : path.join(directory, "*");
     const allFiles = await glob(pattern, { nodir: true, absolute: true });
 
-    return allFiles.filter((file) => {
-        const ext = path.extname(file).toLowerCase();
-        return COMIC_EXTENSIONS.includes(ext);
-    });
+    return allFiles.filter((file) => extensions.includes(path.extname(file).toLowerCase()));
 }
 
 /**
@@ -35,20 +33,148 @@ export function getExtension(filePath) {
     return path.extname(filePath).toLowerCase();
 }
 
+/**
+ * Create a directory (and any missing parents), recording each created folder in the journal
+ * @param {string} directory - Directory to create
+ * @param {Object} journal - Optional undo journal (see services/journal.js)
+ */
+export async function ensureDirectory(directory, journal = null) {
+    if (!journal) {
+        await fs.ensureDir(directory);
+        return;
+    }
+
+    // Find which folders don't exist yet (deepest first)
+    const missing = [];
+    let current = path.resolve(directory);
+    while (!(await fs.pathExists(current))) {
+        missing.push(current);
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+
+    await fs.ensureDir(directory);
+
+    // Record parents before children so undo removes children first
+    for (const dir of missing.reverse()) {
+        await journal.recordMkdir(dir);
+    }
+}
+
+/**
+ * Get the temporary file a copy to another drive is written to, next to its destination
+ * It's only renamed to the destination once the copy has been verified
+ */
+export function getPartialPath(destinationPath) {
+    return `${destinationPath}.partial`;
+}
+
+/**
+ * Create counters for the files a run copied to another drive, for its summary (see describeTransfers)
+ */
+export function createTransferStats() {
+    return { copied: 0, resumed: 0, bytes: 0, elapsedMs: 0 };
+}
+
+/**
+ * Describe the copies to another drive in a run, e.g. "12 files, 1.2 GB in 45.0s (27.3 MB/s)"
+ * @returns {string|null} null when nothing was copied
+ */
+export function describeTransfers(transfers) {
+    if (!transfers || transfers.copied === 0) return null;
+
+    const seconds = Math.max(transfers.elapsedMs, 1) / 1000;
+    const resumed = transfers.resumed > 0 ? `, ${transfers.resumed} resumed` : "";
+    return `${transfers.copied} files, ${formatBytes(transfers.bytes)} in ${seconds.toFixed(1)}s (${formatBytes(Math.round(transfers.bytes / seconds))}/s)${resumed}`;
+}
+
+/**
+ * Copy a file to another drive and remove the original once the copy is verified (same size and SHA-256 hash)
+ * The copy is written to a ".partial" file first: an interrupted copy is resumed from where it stopped,
+ * and a copy that fails verification is started over once, then removed (the original is kept).
+ * @returns {Promise<Object>} { bytes, resumed } - bytes copied in this run, and whether an earlier copy was resumed
+ */
+async function copyAcrossDevices(sourcePath, destinationPath) {
+    const partialPath = getPartialPath(destinationPath);
+    const sourceStat = await fs.stat(sourcePath);
+    const sourceHash = await hashFile(sourcePath);
+    let bytes = 0;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const partialStat = await fs.stat(partialPath).catch(() => null);
+        // Only the first attempt resumes, a retry starts from scratch
+        const offset = attempt === 1 && partialStat && partialStat.size <= sourceStat.size ? partialStat.size : 0;
+
+        await pipeline(fs.createReadStream(sourcePath, { start: offset }), fs.createWriteStream(partialPath, { flags: offset > 0 ? "a" : "w" }));
+        bytes += sourceStat.size - offset;
+
+        const copiedStat = await fs.stat(partialPath);
+        if (copiedStat.size === sourceStat.size && (await hashFile(partialPath)) === sourceHash) {
+            await fs.utimes(partialPath, sourceStat.atime, sourceStat.mtime);
+            await fs.rename(partialPath, destinationPath);
+            await fs.remove(sourcePath);
+            return { bytes, resumed: offset > 0 };
+        }
+    }
+
+    await fs.remove(partialPath);
+    throw new Error(`The copy of ${path.basename(sourcePath)} didn't match the original, so the original was kept`);
+}
+
+/**
+ * Move a file to a new path, which mustn't exist yet
+ * Moves to another drive are copied and verified before the original is removed (see copyAcrossDevices)
+ * @param {object} options - Move options
+ * @param {Object} options.transfers - Counters from createTransferStats to add copies to
+ */
+export async function moveVerified(sourcePath, destinationPath, options = {}) {
+    const { transfers = null } = options;
+
+    if (await fs.pathExists(destinationPath)) {
+        throw new Error(`${path.basename(destinationPath)} already exists`);
+    }
+
+    try {
+        await fs.rename(sourcePath, destinationPath);
+        return;
+    } catch (error) {
+        if (error.code !== "EXDEV") throw error;
+    }
+
+    const started = Date.now();
+    const { bytes, resumed } = await copyAcrossDevices(sourcePath, destinationPath);
+
+    if (transfers) {
+        transfers.copied++;
+        transfers.bytes += bytes;
+        transfers.elapsedMs += Date.now() - started;
+        if (resumed) transfers.resumed++;
+    }
+}
+
 /**
  * Move a file to a destination folder
+ * @param {object} options - Move options
+ * @param {boolean} options.dryRun - Don't move, just return the destination
+ * @param {Object} options.journal - Undo journal to record the move in
+ * @param {string} options.filename - Name to give the file (default: its current name)
+ * @param {Object} options.transfers - Counters from createTransferStats, for moves to another drive
  */
 export async function moveFile(sourcePath, destinationFolder, options = {}) {
-    const { dryRun = false } = options;
-    const filename = path.basename(sourcePath);
+    const { dryRun = false, journal = null, filename = path.basename(sourcePath), transfers = null } = options;
     const destinationPath = path.join(destinationFolder, filename);
 
     if (dryRun) {
         return { source: sourcePath, destination: destinationPath, moved: false };
     }
 
-    await fs.ensureDir(destinationFolder);
-    await fs.move(sourcePath, destinationPath, { overwrite: false });
+    await ensureDirectory(destinationFolder, journal);
+    await moveVerified(sourcePath, destinationPath, { transfers });
+
+    if (journal) {
+        await journal.recordMove(sourcePath, destinationPath);
+    }
 
     return { source: sourcePath, destination: destinationPath, moved: true };
 }
@@ -86,18 +212,32 @@ export async function readJsonFile(filePath) {
 }
 
 /**
- * Get file size in human readable format
+ * Format a byte count in human readable format
  */
-export async function getFileSize(filePath) {
-    const stats = await fs.stat(filePath);
-    const bytes = stats.size;
-
+export function formatBytes(bytes) {
     if (bytes < 1024) return bytes + " B";
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + " KB";
     if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + " MB";
     return (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB";
 }
 
+/**
+ * Get file size in human readable format
+ */
+export async function getFileSize(filePath) {
+    const stats = await fs.stat(filePath);
+    return formatBytes(stats.size);
+}
+
+/**
+ * Calculate the SHA-256 hash of a file's contents
+ */
+export async function hashFile(filePath) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest("hex");
+}
+
 /**
  * Clean filename for metadata lookup (remove extensions, brackets, etc.)
  */
@@ -120,10 +260,11 @@ export function cleanFilenameForLookup(filename) {
 
 /**
  * Extract potential issue number from filename
+ * Point issues keep their decimal ("Saga #0.5" -> 0.5)
  */
 export function extractIssueNumber(filename) {
-    const match = filename.match(/#?(\d{1,4})\b/);
-    return match ? parseInt(match[1], 10) : null;
+    const match = filename.match(/#?(\d{1,4}(?:\.\d{1,2})?)\b/);
+    return match ? parseFloat(match[1]) : null;
 }
 
 /**
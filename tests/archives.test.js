@@ -0,0 +1,514 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+    convertToCbz,
+    countPages,
+    detectArchiveType,
+    findImageFolders,
+    inspectArchive,
+    isImageFile,
+    isZipArchive,
+    listArchiveNames,
+    packageImageFolder,
+    testArchive,
+} from "../src/services/archives.js";
+import { convertCbrHandler } from "../src/postProcessors/convertCbr.js";
+import { packageImageFoldersHandler } from "../src/postProcessors/packageImageFolders.js";
+import { readComicInfo } from "../src/services/comicInfo.js";
+import { createJournal, findJournal, undoJournal } from "../src/services/journal.js";
+import { moveFile } from "../src/utils/files.js";
+import { findComicFiles } from "../src/services/comicFiles.js";
+import AdmZip from "adm-zip";
+import SevenZip from "7z-wasm";
+import zlib from "zlib";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+/**
+ * Build a RAR (v4) block: 2-byte header CRC, type, flags, size, then the header body and any data
+ */
+function rarBlock(type, flags, body, data = Buffer.alloc(0)) {
+    const header = Buffer.alloc(7);
+    header.writeUInt8(type, 2);
+    header.writeUInt16LE(flags, 3);
+    header.writeUInt16LE(header.length + body.length, 5);
+    header.writeUInt16LE(zlib.crc32(Buffer.concat([header.subarray(2), body])) & 0xffff, 0);
+    return Buffer.concat([header, body, data]);
+}
+
+/**
+ * Build an uncompressed RAR archive from { name: content } entries
+ */
+function createRar(entries, fileFlags = 0x8000) {
+    const blocks = [Buffer.from("Rar!\x1a\x07\x00", "latin1"), rarBlock(0x73, 0, Buffer.alloc(6))];
+
+    for (const [name, content] of Object.entries(entries)) {
+        const data = Buffer.from(content);
+        const nameBuffer = Buffer.from(name);
+        const body = Buffer.alloc(25);
+
+        body.writeUInt32LE(data.length, 0); // packed size
+        body.writeUInt32LE(data.length, 4); // unpacked size
+        body.writeUInt8(2, 8); // host OS
+        body.writeUInt32LE(zlib.crc32(data), 9);
+        body.writeUInt32LE(0x5a210000, 13); // DOS timestamp
+        body.writeUInt8(20, 17); // version needed
+        body.writeUInt8(0x30, 18); // method: store
+        body.writeUInt16LE(nameBuffer.length, 19);
+        body.writeUInt32LE(0x20, 21); // attributes
+
+        blocks.push(rarBlock(0x74, fileFlags, Buffer.concat([body, nameBuffer]), data));
+    }
+
+    blocks.push(rarBlock(0x7b, 0x4000, Buffer.alloc(0)));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Build a ZIP64 archive holding one stored file: every size and offset is in the ZIP64 records
+ */
+function createZip64(name, content) {
+    const data = Buffer.from(content);
+    const nameBuffer = Buffer.from(name);
+    const sizes = Buffer.alloc(16);
+    sizes.writeBigUInt64LE(BigInt(data.length), 0); // uncompressed
+    sizes.writeBigUInt64LE(BigInt(data.length), 8); // compressed
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(45, 4); // version needed
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(0xffffffff, 18);
+    local.writeUInt32LE(0xffffffff, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(4 + sizes.length, 28);
+    const localExtra = Buffer.concat([Buffer.from([0x01, 0x00, sizes.length, 0x00]), sizes]);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(45, 4); // version made by
+    central.writeUInt16LE(45, 6); // version needed
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(0xffffffff, 20);
+    central.writeUInt32LE(0xffffffff, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt16LE(4 + sizes.length + 8, 30);
+    central.writeUInt32LE(0xffffffff, 42); // local header offset
+    const centralExtra = Buffer.concat([Buffer.from([0x01, 0x00, sizes.length + 8, 0x00]), sizes, Buffer.alloc(8)]);
+
+    const directoryOffset = local.length + nameBuffer.length + localExtra.length + data.length;
+    const directorySize = central.length + nameBuffer.length + centralExtra.length;
+
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(44n, 4); // record size
+    zip64End.writeUInt16LE(45, 12);
+    zip64End.writeUInt16LE(45, 14);
+    zip64End.writeBigUInt64LE(1n, 24);
+    zip64End.writeBigUInt64LE(1n, 32);
+    zip64End.writeBigUInt64LE(BigInt(directorySize), 40);
+    zip64End.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16); // total disks
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0xffff, 8);
+    end.writeUInt16LE(0xffff, 10);
+    end.writeUInt32LE(0xffffffff, 12);
+    end.writeUInt32LE(0xffffffff, 16);
+
+    return Buffer.concat([local, nameBuffer, localExtra, data, central, nameBuffer, centralExtra, zip64End, locator, end]);
+}
+
+/**
+ * Build a 7z or tar archive from { name: content } entries with 7-Zip
+ */
+async function createSevenZipArchive(type, entries, password = null) {
+    const sevenZip = await SevenZip({ print: () => {}, printErr: () => {} });
+
+    for (const [name, content] of Object.entries(entries)) {
+        const directory = path.posix.dirname(`/in/${name}`);
+        sevenZip.FS.mkdirTree(directory);
+        sevenZip.FS.writeFile(`/in/${name}`, Buffer.from(content));
+    }
+
+    sevenZip.FS.chdir("/in");
+    const { exitCode } = process;
+    sevenZip.callMain(["a", `-t${type}`, ...(password ? [`-p${password}`] : []), `/archive.${type}`, ...new Set(Object.keys(entries).map((name) => name.split("/")[0]))]);
+    process.exitCode = exitCode;
+
+    return Buffer.from(sevenZip.FS.readFile(`/archive.${type}`));
+}
+
+describe("Archives", () => {
+    let testDir;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-archives-"));
+    });
+
+    afterEach(async () => {
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function writeCbr(filename, entries) {
+        const filePath = path.join(testDir, filename);
+        await fs.writeFile(filePath, createRar(entries));
+        return filePath;
+    }
+
+    const PAGES = {
+        "Saga 001/page01.jpg": "first page",
+        "Saga 001/page02.jpg": "second page",
+        "Saga 001/page03.png": "third page",
+        "ComicInfo.xml": "<ComicInfo><Series>Saga</Series><Number>1</Number></ComicInfo>",
+    };
+
+    describe("isImageFile", () => {
+        it("should match page images case-insensitively", () => {
+            expect(isImageFile("page01.JPG")).toBe(true);
+            expect(isImageFile("folder/page.webp")).toBe(true);
+            expect(isImageFile("ComicInfo.xml")).toBe(false);
+            expect(isImageFile("Thumbs.db")).toBe(false);
+        });
+    });
+
+    describe("readComicInfo", () => {
+        it("should read ComicInfo.xml from a RAR archive without a temp directory", async () => {
+            const filePath = await writeCbr("saga-001.cbr", PAGES);
+            const mkdtemp = vi.spyOn(fs, "mkdtemp");
+
+            expect(await readComicInfo(filePath)).toMatchObject({ series: "Saga", number: 1 });
+            expect(mkdtemp).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("readComicInfo", () => {
+        it("should read ComicInfo.xml from CB7 and CBT archives", async () => {
+            await fs.writeFile(path.join(testDir, "saga-001.cb7"), await createSevenZipArchive("7z", PAGES));
+            await fs.writeFile(path.join(testDir, "saga-002.cbt"), await createSevenZipArchive("tar", PAGES));
+
+            expect(await readComicInfo(path.join(testDir, "saga-001.cb7"))).toMatchObject({ series: "Saga", number: 1 });
+            expect(await readComicInfo(path.join(testDir, "saga-002.cbt"))).toMatchObject({ series: "Saga", number: 1 });
+        });
+
+        it("should go by the archive's signature rather than its extension", async () => {
+            const filePath = await writeCbr("really-a-rar.cbz", PAGES);
+
+            expect(await detectArchiveType(filePath)).toBe("rar");
+            expect((await readComicInfo(filePath)).series).toBe("Saga");
+        });
+    });
+
+    describe("countPages", () => {
+        it("should count pages in every archive format", async () => {
+            await writeCbr("saga.cbr", PAGES);
+            await fs.writeFile(path.join(testDir, "saga.cb7"), await createSevenZipArchive("7z", PAGES));
+            await fs.writeFile(path.join(testDir, "saga.cbt"), await createSevenZipArchive("tar", PAGES));
+
+            for (const filename of ["saga.cbr", "saga.cb7", "saga.cbt"]) {
+                expect(await countPages(path.join(testDir, filename))).toBe(3);
+            }
+        });
+    });
+
+    describe("findComicFiles", () => {
+        it("should include .zip and .rar files only when they contain page images", async () => {
+            const comicZip = new AdmZip();
+            comicZip.addFile("page01.jpg", Buffer.from("x"));
+            comicZip.writeZip(path.join(testDir, "Saga 001.zip"));
+
+            const otherZip = new AdmZip();
+            otherZip.addFile("readme.txt", Buffer.from("x"));
+            otherZip.writeZip(path.join(testDir, "drivers.zip"));
+
+            await writeCbr("Saga 002.rar", PAGES);
+            await fs.writeFile(path.join(testDir, "Saga 003.cb7"), await createSevenZipArchive("7z", PAGES));
+
+            const files = (await findComicFiles(testDir)).map((file) => path.basename(file)).sort();
+
+            expect(files).toEqual(["Saga 001.zip", "Saga 002.rar", "Saga 003.cb7"]);
+        });
+
+        it("should find the pages of a .zip with an archive comment, and skip a truncated one", async () => {
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("x"));
+            zip.addZipComment("Scanned by someone");
+            zip.writeZip(path.join(testDir, "Saga 001.zip"));
+            await fs.writeFile(path.join(testDir, "Saga 002.zip"), zip.toBuffer().subarray(0, 40));
+
+            const files = (await findComicFiles(testDir)).map((file) => path.basename(file));
+
+            expect(files).toEqual(["Saga 001.zip"]);
+        });
+    });
+
+    describe("testArchive", () => {
+        it("should pass intact archives of every format", async () => {
+            await writeCbr("saga.cbr", PAGES);
+            await fs.writeFile(path.join(testDir, "saga.cb7"), await createSevenZipArchive("7z", PAGES));
+            await fs.writeFile(path.join(testDir, "saga.cbt"), await createSevenZipArchive("tar", PAGES));
+            const zip = new AdmZip();
+            Object.entries(PAGES).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+            zip.writeZip(path.join(testDir, "saga.cbz"));
+
+            for (const filename of ["saga.cbr", "saga.cb7", "saga.cbt", "saga.cbz"]) {
+                expect(await testArchive(path.join(testDir, filename))).toEqual({ files: 4, pages: 3, encrypted: false, damaged: [] });
+            }
+        });
+
+        it("should find files that fail their CRC check", async () => {
+            const rar = createRar(PAGES);
+            rar[rar.indexOf("second page")] = "S".charCodeAt(0);
+            await fs.writeFile(path.join(testDir, "saga.cbr"), rar);
+
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("first page"));
+            zip.getEntry("page01.jpg").header.method = 0; // stored, so the page can be damaged in place
+            const zipBuffer = zip.toBuffer();
+            zipBuffer[zipBuffer.indexOf("first page")] = "F".charCodeAt(0);
+            await fs.writeFile(path.join(testDir, "saga.cbz"), zipBuffer);
+
+            expect((await testArchive(path.join(testDir, "saga.cbr"))).damaged).toEqual(["Saga 001/page02.jpg"]);
+            expect((await testArchive(path.join(testDir, "saga.cbz"))).damaged).toEqual(["page01.jpg"]);
+        });
+
+        it("should find compressed files that can't be decompressed", async () => {
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("first page ".repeat(100)));
+            zip.addFile("page02.jpg", Buffer.from("second page ".repeat(100)));
+            const zipBuffer = zip.toBuffer();
+            const entry = new AdmZip(zipBuffer).getEntry("page01.jpg");
+            const dataStart = zipBuffer.indexOf("page01.jpg") + "page01.jpg".length + entry.header.extraLength;
+            zipBuffer.fill(0xff, dataStart, dataStart + 8);
+            await fs.writeFile(path.join(testDir, "saga.cbz"), zipBuffer);
+
+            expect((await testArchive(path.join(testDir, "saga.cbz"))).damaged).toEqual(["page01.jpg"]);
+        });
+
+        it("should check ZIP and RAR archives a file at a time, without reading them into memory", async () => {
+            await writeCbr("saga.cbr", PAGES);
+            await fs.writeFile(path.join(testDir, "saga.cbz"), createZip64("page01.jpg", "first page"));
+            const readFile = vi.spyOn(fs, "readFile");
+
+            expect(await testArchive(path.join(testDir, "saga.cbr"))).toEqual({ files: 4, pages: 3, encrypted: false, damaged: [] });
+            expect(await testArchive(path.join(testDir, "saga.cbz"))).toEqual({ files: 1, pages: 1, encrypted: false, damaged: [] });
+            expect(await listArchiveNames(path.join(testDir, "saga.cbz"))).toEqual(["page01.jpg"]);
+            expect(readFile).not.toHaveBeenCalled();
+        });
+
+        it("should detect password protected archives", async () => {
+            await fs.writeFile(path.join(testDir, "locked.cbr"), createRar(PAGES, 0x8000 | 0x04));
+            await fs.writeFile(path.join(testDir, "locked.cbz"), await createSevenZipArchive("zip", PAGES, "secret"));
+            await fs.writeFile(path.join(testDir, "locked.cb7"), await createSevenZipArchive("7z", PAGES, "secret"));
+
+            for (const filename of ["locked.cbr", "locked.cbz", "locked.cb7"]) {
+                expect((await testArchive(path.join(testDir, filename))).encrypted).toBe(true);
+            }
+        });
+    });
+
+    describe("inspectArchive", () => {
+        it("should count pages in a RAR archive", async () => {
+            const filePath = await writeCbr("saga-001.cbr", PAGES);
+
+            const info = await inspectArchive(filePath);
+
+            expect(info.pages).toBe(3);
+            expect(info.isZip).toBe(false);
+            expect(info.conflict).toBe(false);
+            expect(info.destination).toBe(path.join(testDir, "saga-001.cbz"));
+        });
+
+        it("should detect a ZIP archive with a .cbr extension", async () => {
+            const filePath = path.join(testDir, "really-a-zip.cbr");
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("x"));
+            zip.writeZip(filePath);
+
+            expect(await isZipArchive(filePath)).toBe(true);
+            expect((await inspectArchive(filePath)).isZip).toBe(true);
+        });
+    });
+
+    describe("convertToCbz", () => {
+        it("should repack every entry and delete the original", async () => {
+            const filePath = await writeCbr("saga-001.cbr", PAGES);
+
+            const result = await convertToCbz(filePath);
+
+            expect(result.pages).toBe(3);
+            expect(result.renamed).toBe(false);
+            expect(await fs.pathExists(filePath)).toBe(false);
+
+            const zip = new AdmZip(result.destination);
+            // Readers order pages by name, so keeping the names keeps the page order
+            expect(zip.getEntries().map((entry) => entry.entryName).sort()).toEqual(Object.keys(PAGES).sort());
+            expect(zip.readAsText("Saga 001/page02.jpg")).toBe("second page");
+            expect((await readComicInfo(result.destination)).series).toBe("Saga");
+        });
+
+        it("should repack CB7 and CBT archives", async () => {
+            for (const [filename, type] of [
+                ["saga-001.cb7", "7z"],
+                ["saga-002.cbt", "tar"],
+            ]) {
+                const filePath = path.join(testDir, filename);
+                await fs.writeFile(filePath, await createSevenZipArchive(type, PAGES));
+
+                const result = await convertToCbz(filePath);
+
+                expect(result.pages).toBe(3);
+                expect(await fs.pathExists(filePath)).toBe(false);
+                expect(new AdmZip(result.destination).readAsText("Saga 001/page03.png")).toBe("third page");
+            }
+        });
+
+        it("should rename a ZIP archive with a .cbr extension", async () => {
+            const filePath = path.join(testDir, "really-a-zip.cbr");
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("x"));
+            zip.writeZip(filePath);
+
+            const result = await convertToCbz(filePath);
+
+            expect(result.renamed).toBe(true);
+            expect(await fs.pathExists(path.join(testDir, "really-a-zip.cbz"))).toBe(true);
+        });
+
+        it("should keep the original when the CBZ already exists", async () => {
+            const filePath = await writeCbr("saga-001.cbr", PAGES);
+            await fs.writeFile(path.join(testDir, "saga-001.cbz"), "existing");
+
+            await expect(convertToCbz(filePath)).rejects.toThrow("already exists");
+            expect(await fs.pathExists(filePath)).toBe(true);
+            expect(await fs.readFile(path.join(testDir, "saga-001.cbz"), "utf8")).toBe("existing");
+        });
+
+        it("should keep the original when the archive can't be read", async () => {
+            const filePath = path.join(testDir, "broken.cbr");
+            await fs.writeFile(filePath, "not an archive");
+
+            await expect(convertToCbz(filePath)).rejects.toThrow();
+            expect(await fs.pathExists(filePath)).toBe(true);
+            expect(await fs.readdir(testDir)).toEqual(["broken.cbr"]);
+        });
+    });
+
+    describe("convertCbrHandler", () => {
+        beforeEach(() => {
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        it("should not change anything in a dry run", async () => {
+            const filePath = await writeCbr("saga-001.cbr", PAGES);
+
+            await convertCbrHandler(testDir, testDir, { interactive: false, dryRun: true });
+
+            expect(await fs.readdir(testDir)).toEqual(["saga-001.cbr"]);
+            expect(await fs.pathExists(filePath)).toBe(true);
+        });
+
+        it("should convert every CBR in nested folders", async () => {
+            await fs.ensureDir(path.join(testDir, "Image", "Saga"));
+            await writeCbr("Image/Saga/saga-001.cbr", PAGES);
+            await writeCbr("Image/Saga/saga-002.cbr", PAGES);
+
+            await convertCbrHandler(testDir, testDir, { interactive: false });
+
+            expect((await fs.readdir(path.join(testDir, "Image", "Saga"))).sort()).toEqual(["saga-001.cbz", "saga-002.cbz"]);
+        });
+
+        it("should keep the run that filed a CBR undoable after converting it", async () => {
+            const originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+
+            try {
+                const source = await writeCbr("saga-001.cbr", PAGES);
+                const journal = createJournal("auto");
+                await moveFile(source, path.join(testDir, "library", "Saga"), { journal });
+
+                await convertCbrHandler(path.join(testDir, "library"), path.join(testDir, "library"), { interactive: false });
+                const result = await undoJournal(await findJournal(journal.id));
+
+                expect(result).toMatchObject({ restored: 1, conflicts: [] });
+                expect(await fs.readdir(testDir)).toEqual(expect.arrayContaining(["saga-001.cbz"]));
+                expect(await fs.pathExists(path.join(testDir, "library"))).toBe(false);
+            } finally {
+                if (originalHome === undefined) {
+                    delete process.env.COMIC_ORGANIZER_HOME;
+                } else {
+                    process.env.COMIC_ORGANIZER_HOME = originalHome;
+                }
+            }
+        });
+    });
+
+    describe("Image folders", () => {
+        async function writeFolder(folder, files) {
+            await fs.ensureDir(path.join(testDir, folder));
+            for (const [name, content] of Object.entries(files)) {
+                await fs.writeFile(path.join(testDir, folder, name), content);
+            }
+        }
+
+        it("should only find folders that hold nothing but numbered pages", async () => {
+            await writeFolder("Saga 001", { "01.jpg": "a", "02.jpg": "b", "ComicInfo.xml": "<ComicInfo/>", "Thumbs.db": "" });
+            await writeFolder("Wallpapers", { "cover.jpg": "a", "logo.png": "b" });
+            await writeFolder("Notes", { "01.jpg": "a", "02.jpg": "b", "notes.txt": "c" });
+            await writeFolder("Image/Saga 002", { "p1.jpg": "a", "p2.jpg": "b" });
+
+            const topLevel = await findImageFolders(testDir);
+            const all = await findImageFolders(testDir, { recursive: true });
+
+            expect(topLevel.map((item) => path.basename(item.folder))).toEqual(["Saga 001"]);
+            expect(topLevel[0]).toMatchObject({ destination: path.join(testDir, "Saga 001.cbz"), pages: 2, conflict: false });
+            expect(all.map((item) => path.relative(testDir, item.folder)).sort()).toEqual([path.join("Image", "Saga 002"), "Saga 001"]);
+        });
+
+        it("should package pages in reading order and delete the folder", async () => {
+            await writeFolder("Saga 001", { "page1.jpg": "one", "page2.jpg": "two", "page10.jpg": "ten", "ComicInfo.xml": "<ComicInfo><Series>Saga</Series></ComicInfo>" });
+
+            const result = await packageImageFolder(path.join(testDir, "Saga 001"));
+
+            expect(result).toMatchObject({ pages: 3, renumbered: true });
+            expect(await fs.pathExists(path.join(testDir, "Saga 001"))).toBe(false);
+
+            // "page10" sorts before "page2" by name, so pages are numbered to keep them in order
+            const zip = new AdmZip(result.destination);
+            expect(zip.getEntries().map((entry) => entry.entryName)).toEqual(["001.jpg", "002.jpg", "003.jpg", "ComicInfo.xml"]);
+            expect(zip.readAsText("003.jpg")).toBe("ten");
+            expect((await readComicInfo(result.destination)).series).toBe("Saga");
+        });
+
+        it("should keep page names that already sort in order", async () => {
+            await writeFolder("Saga 001", { "page01.jpg": "one", "page02.jpg": "two" });
+
+            const result = await packageImageFolder(path.join(testDir, "Saga 001"));
+
+            expect(result.renumbered).toBe(false);
+            expect(new AdmZip(result.destination).getEntries().map((entry) => entry.entryName)).toEqual(["page01.jpg", "page02.jpg"]);
+        });
+
+        it("should leave folders alone in a dry run or when the CBZ exists", async () => {
+            vi.spyOn(console, "log").mockImplementation(() => {});
+            await writeFolder("Saga 001", { "01.jpg": "a", "02.jpg": "b" });
+            await writeFolder("Saga 002", { "01.jpg": "a", "02.jpg": "b" });
+            await fs.writeFile(path.join(testDir, "Saga 002.cbz"), "existing");
+
+            await packageImageFoldersHandler(testDir, testDir, { interactive: false, dryRun: true });
+            expect(await fs.pathExists(path.join(testDir, "Saga 001.cbz"))).toBe(false);
+
+            const created = await packageImageFoldersHandler(testDir, testDir, { interactive: false });
+
+            expect(created).toEqual([path.join(testDir, "Saga 001.cbz")]);
+            expect(await fs.pathExists(path.join(testDir, "Saga 002"))).toBe(true);
+            expect(await fs.readFile(path.join(testDir, "Saga 002.cbz"), "utf8")).toBe("existing");
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { parseArgs, parseList } from "../src/utils/args.js";
+
+const SPEC = {
+    source: { type: "string", alias: "s" },
+    output: { type: "string", alias: "o" },
+    "dry-run": { type: "boolean", default: false },
+    api: { type: "boolean", default: true },
+};
+
+describe("Argument Parsing", () => {
+    describe("parseArgs", () => {
+        it("should apply defaults when no arguments are given", () => {
+            const { options, positionals } = parseArgs([], SPEC);
+
+            expect(options).toEqual({ dryRun: false, api: true });
+            expect(positionals).toEqual([]);
+        });
+
+        it("should parse string options with separate and inline values", () => {
+            const { options } = parseArgs(["--source", "./inbox", "--output=./library"], SPEC);
+
+            expect(options.source).toBe("./inbox");
+            expect(options.output).toBe("./library");
+        });
+
+        it("should parse short aliases", () => {
+            const { options } = parseArgs(["-s", "./inbox", "-o", "./library"], SPEC);
+
+            expect(options.source).toBe("./inbox");
+            expect(options.output).toBe("./library");
+        });
+
+        it("should convert kebab-case names to camelCase", () => {
+            const { options } = parseArgs(["--dry-run"], SPEC);
+
+            expect(options.dryRun).toBe(true);
+        });
+
+        it("should support negated boolean flags", () => {
+            const { options } = parseArgs(["--no-api"], SPEC);
+
+            expect(options.api).toBe(false);
+        });
+
+        it("should collect positional arguments", () => {
+            const { positionals } = parseArgs(["first", "--dry-run", "second", "--", "--not-an-option"], SPEC);
+
+            expect(positionals).toEqual(["first", "second", "--not-an-option"]);
+        });
+
+        it("should throw on unknown options", () => {
+            expect(() => parseArgs(["--bogus"], SPEC)).toThrow("Unknown option: --bogus");
+            expect(() => parseArgs(["-x"], SPEC)).toThrow("Unknown option: -x");
+        });
+
+        it("should throw when a string option has no value", () => {
+            expect(() => parseArgs(["--source"], SPEC)).toThrow("requires a value");
+            expect(() => parseArgs(["--source", "--dry-run"], SPEC)).toThrow("requires a value");
+        });
+
+        it("should throw when a boolean option is given a value", () => {
+            expect(() => parseArgs(["--dry-run=yes"], SPEC)).toThrow("does not take a value");
+        });
+    });
+
+    describe("parseList", () => {
+        it("should split comma-separated values and trim whitespace", () => {
+            expect(parseList("consolidate-folders, rename-files")).toEqual(["consolidate-folders", "rename-files"]);
+        });
+
+        it("should return an empty list for missing values", () => {
+            expect(parseList(undefined)).toEqual([]);
+            expect(parseList("")).toEqual([]);
+        });
+    });
+});
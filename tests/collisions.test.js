@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { findCollisions, getSuffixedPath, moveWithCollisionPolicy } from "../src/services/collisions.js";
+import { createJournal, readJournal, undoJournal } from "../src/services/journal.js";
+import { runManualOrganizer } from "../src/organizers/manual.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Collisions", () => {
+    let testDir;
+    let libraryDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-collisions-"));
+        libraryDir = path.join(testDir, "library", "Saga");
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function createFile(relativePath, content, mtime = null) {
+        const filePath = path.join(testDir, relativePath);
+        await fs.outputFile(filePath, content);
+        if (mtime) await fs.utimes(filePath, mtime, mtime);
+        return filePath;
+    }
+
+    /**
+     * Put a file in the inbox and one with the same name in the library, then move the inbox file
+     */
+    async function collide(policy, incoming, existing) {
+        const source = await createFile("inbox/Saga 001.cbz", incoming.content, incoming.mtime);
+        await createFile("library/Saga/Saga 001.cbz", existing.content, existing.mtime);
+        const journal = createJournal("auto", {});
+        const outcome = await moveWithCollisionPolicy(source, libraryDir, { policy, journal });
+        return { source, outcome, journal };
+    }
+
+    const read = (relativePath) => fs.readFile(path.join(testDir, relativePath), "utf-8");
+
+    it("should list files whose destination exists or is taken earlier in the run", async () => {
+        await createFile("library/Saga/Saga 001.cbz", "old");
+
+        const collisions = await findCollisions([
+            { source: "/inbox/Saga 001.cbz", destination: path.join(libraryDir, "Saga 001.cbz") },
+            { source: "/inbox/a/Saga 002.cbz", destination: path.join(libraryDir, "Saga 002.cbz") },
+            { source: "/inbox/b/Saga 002.cbz", destination: path.join(libraryDir, "Saga 002.cbz") },
+        ]);
+
+        expect(collisions).toEqual([
+            { source: "/inbox/Saga 001.cbz", destination: path.join(libraryDir, "Saga 001.cbz"), plannedSource: null },
+            { source: "/inbox/b/Saga 002.cbz", destination: path.join(libraryDir, "Saga 002.cbz"), plannedSource: "/inbox/a/Saga 002.cbz" },
+        ]);
+    });
+
+    it("should find the next free suffixed name", async () => {
+        await createFile("library/Saga/Saga 001 (2).cbz", "x");
+
+        expect(await getSuffixedPath(path.join(libraryDir, "Saga 001.cbz"))).toBe(path.join(libraryDir, "Saga 001 (3).cbz"));
+    });
+
+    it("should skip, or keep both with a suffix", async () => {
+        const skipped = await collide("skip", { content: "new" }, { content: "old" });
+        expect(skipped.outcome).toMatchObject({ action: "skip", destination: null });
+        expect(await read("inbox/Saga 001.cbz")).toBe("new");
+
+        const suffixed = await moveWithCollisionPolicy(skipped.source, libraryDir, { policy: "suffix" });
+        expect(suffixed).toMatchObject({ action: "suffix", destination: path.join(libraryDir, "Saga 001 (2).cbz") });
+        expect(await read("library/Saga/Saga 001 (2).cbz")).toBe("new");
+        expect(await read("library/Saga/Saga 001.cbz")).toBe("old");
+    });
+
+    it("should swap in a larger file and put it back on undo", async () => {
+        const { source, outcome, journal } = await collide("larger", { content: "bigger file" }, { content: "small" });
+
+        expect(outcome.action).toBe("replace");
+        expect(await read("library/Saga/Saga 001.cbz")).toBe("bigger file");
+        expect(await read("inbox/Saga 001.cbz")).toBe("small");
+
+        const result = await undoJournal(await readJournal(journal.path));
+        expect(result.conflicts).toEqual([]);
+        expect(await read("library/Saga/Saga 001.cbz")).toBe("small");
+        expect(await fs.readFile(source, "utf-8")).toBe("bigger file");
+    });
+
+    it("should keep the newer file", async () => {
+        const { outcome } = await collide("newer", { content: "new", mtime: new Date("2020-01-01") }, { content: "old", mtime: new Date("2024-01-01") });
+
+        expect(outcome).toMatchObject({ action: "skip", reason: "existing file is as new or newer" });
+        expect(await read("library/Saga/Saga 001.cbz")).toBe("old");
+    });
+
+    it("should drop exact duplicates, restore them on undo, and keep both when they differ", async () => {
+        const { source, outcome, journal } = await collide("dedupe", { content: "same" }, { content: "same" });
+
+        expect(outcome.action).toBe("drop");
+        expect(await fs.pathExists(source)).toBe(false);
+
+        await undoJournal(await readJournal(journal.path));
+        expect(await fs.readFile(source, "utf-8")).toBe("same");
+        expect(await read("library/Saga/Saga 001.cbz")).toBe("same");
+
+        await fs.writeFile(source, "different");
+        expect((await moveWithCollisionPolicy(source, libraryDir, { policy: "dedupe" })).action).toBe("suffix");
+    });
+
+    it("should list collisions in a manual dry run and apply the policy when moving", async () => {
+        await createFile("inbox/Saga 001.cbz", "new");
+        await createFile("out/Saga/Saga 001.cbz", "old");
+        const configPath = path.join(testDir, "filters.json");
+        await fs.writeJson(configPath, { filters: [{ name: "Saga", pattern: "^Saga" }] });
+
+        const preview = await runManualOrganizer(path.join(testDir, "inbox"), path.join(testDir, "out"), configPath, { dryRun: true, collisionPolicy: "suffix" });
+        expect(preview.collisions).toHaveLength(1);
+        expect(console.log.mock.calls.flat().join("\n")).toContain("1 files clash with a file of the same name");
+
+        const result = await runManualOrganizer(path.join(testDir, "inbox"), path.join(testDir, "out"), configPath, { collisionPolicy: "suffix" });
+        expect(result.moved).toBe(1);
+        expect(result.errors).toEqual([]);
+        expect(await read("out/Saga/Saga 001 (2).cbz")).toBe("new");
+    });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect } from "vitest";
-import { readComicInfo, parseComicInfo } from "../src/services/comicInfo.js";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { readComicInfo, parseComicInfo, serializeComicInfo, writeComicInfo } from "../src/services/comicInfo.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
 
 describe("ComicInfo Service", () => {
     describe("parseComicInfo (XML parsing)", () => {
@@ -312,4 +316,118 @@ describe("ComicInfo Service", () => {
             expect(result).toBeNull();
         });
     });
+
+    describe("serializeComicInfo", () => {
+        it("should create a new document when there is no existing XML", () => {
+            const xml = serializeComicInfo({ series: "Saga", number: 1, publisher: "Image", year: 2012 });
+            const info = parseComicInfo(xml);
+
+            expect(xml).toContain('<?xml version="1.0" encoding="utf-8"?>');
+            expect(info.series).toBe("Saga");
+            expect(info.number).toBe(1);
+            expect(info.publisher).toBe("Image");
+            expect(info.year).toBe(2012);
+        });
+
+        it("should keep untouched fields, attributes and page entries", () => {
+            const existing = `<?xml version="1.0"?>
+<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Series>Saga Vol 1</Series>
+    <Number>1</Number>
+    <Writer>Brian K. Vaughan</Writer>
+    <Notes>Scanned by someone</Notes>
+    <Pages>
+        <Page Image="0" Type="FrontCover" />
+    </Pages>
+</ComicInfo>`;
+
+            const xml = serializeComicInfo({ series: "Saga" }, existing);
+
+            expect(parseComicInfo(xml).series).toBe("Saga");
+            expect(parseComicInfo(xml).writer).toBe("Brian K. Vaughan");
+            expect(xml).toContain('xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"');
+            expect(xml).toContain("<Notes>Scanned by someone</Notes>");
+            expect(xml).toContain('<Page Image="0" Type="FrontCover"/>');
+        });
+
+        it("should insert new elements in schema order", () => {
+            const existing = `<ComicInfo><Series>Saga</Series><Writer>Brian K. Vaughan</Writer><Pages /></ComicInfo>`;
+
+            const xml = serializeComicInfo({ title: "Chapter One", year: 2012, publisher: "Image" }, existing);
+            const order = ["Title", "Series", "Year", "Writer", "Publisher"].map((element) => xml.indexOf(`<${element}>`));
+
+            expect(order.every((index) => index !== -1)).toBe(true);
+            expect([...order].sort((a, b) => a - b)).toEqual(order);
+        });
+
+        it("should ignore empty values", () => {
+            const xml = serializeComicInfo({ series: "Saga", title: null, year: undefined, publisher: "" });
+
+            expect(xml).not.toContain("<Title>");
+            expect(xml).not.toContain("<Year>");
+            expect(xml).not.toContain("<Publisher>");
+        });
+
+        it("should escape special characters", () => {
+            const xml = serializeComicInfo({ series: "Batman & Robin <Eternal>" });
+
+            expect(xml).toContain("Batman &amp; Robin &lt;Eternal&gt;");
+            expect(parseComicInfo(xml).series).toBe("Batman & Robin <Eternal>");
+        });
+    });
+
+    describe("writeComicInfo", () => {
+        let testDir;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comicinfo-write-"));
+        });
+
+        afterEach(async () => {
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        function createCBZ(filename, entries) {
+            const zip = new AdmZip();
+            for (const [name, content] of Object.entries(entries)) {
+                zip.addFile(name, Buffer.from(content));
+            }
+            const filePath = path.join(testDir, filename);
+            zip.writeZip(filePath);
+            return filePath;
+        }
+
+        it("should add ComicInfo.xml and keep the pages", async () => {
+            const filePath = createCBZ("saga-001.cbz", { "page01.jpg": "image one", "page02.jpg": "image two" });
+
+            const result = await writeComicInfo(filePath, { series: "Saga", number: 1 });
+
+            expect(result.created).toBe(true);
+            expect((await readComicInfo(filePath)).series).toBe("Saga");
+
+            const zip = new AdmZip(filePath);
+            expect(zip.getEntries().map((e) => e.entryName).sort()).toEqual(["ComicInfo.xml", "page01.jpg", "page02.jpg"]);
+            expect(zip.readAsText("page02.jpg")).toBe("image two");
+        });
+
+        it("should update an existing ComicInfo.xml in place", async () => {
+            const filePath = createCBZ("saga-001.cbz", {
+                "comicinfo.xml": "<ComicInfo><Series>Saga (2012)</Series><Writer>Brian K. Vaughan</Writer></ComicInfo>",
+                "page01.jpg": "image one",
+            });
+
+            const result = await writeComicInfo(filePath, { series: "Saga" });
+            const info = await readComicInfo(filePath);
+
+            expect(result.created).toBe(false);
+            expect(info.series).toBe("Saga");
+            expect(info.writer).toBe("Brian K. Vaughan");
+            expect(new AdmZip(filePath).getEntries()).toHaveLength(2);
+            expect(await fs.readdir(testDir)).toEqual(["saga-001.cbz"]);
+        });
+
+        it("should reject other file types", async () => {
+            await expect(writeComicInfo(path.join(testDir, "saga.cbr"), { series: "Saga" })).rejects.toThrow("CBZ");
+        });
+    });
 });
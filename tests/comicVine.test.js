@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from "vitest";
+import http from "http";
+import os from "os";
+import { comicVineProvider, pickVolume } from "../src/services/providers/comicVine.js";
+import { getComicMetadata, getMetadataProviders } from "../src/services/metadata.js";
+import { EXIT_CODES, runCommand } from "../src/commands.js";
+
+const VOLUMES = [
+    { id: 1, name: "Saga of the Swamp Thing", start_year: "1982", publisher: { name: "DC Comics" }, count_of_issues: 64 },
+    { id: 2, name: "Saga", start_year: "2012", publisher: { name: "Image" }, count_of_issues: 66 },
+];
+
+const ISSUES = {
+    "volume:2,issue_number:1": [{ id: 100, name: "Chapter One", issue_number: "1", cover_date: "2012-03-14" }],
+};
+
+describe("ComicVine Provider", () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeAll(async () => {
+        // Local mock of the ComicVine API
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, "http://localhost");
+            requests.push(url);
+            res.setHeader("Content-Type", "application/json");
+
+            if (url.searchParams.get("api_key") !== "test-key") {
+                res.end(JSON.stringify({ status_code: 100, error: "Invalid API Key", results: [] }));
+            } else if (url.pathname === "/api/search/") {
+                res.end(JSON.stringify({ status_code: 1, results: VOLUMES }));
+            } else if (url.pathname === "/api/issues/") {
+                res.end(JSON.stringify({ status_code: 1, results: ISSUES[url.searchParams.get("filter")] || [] }));
+            } else {
+                res.statusCode = 404;
+                res.end("{}");
+            }
+        });
+
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    describe("pickVolume", () => {
+        it("should prefer an exact name match", () => {
+            expect(pickVolume(VOLUMES, "Saga").id).toBe(2);
+        });
+
+        it("should prefer the volume that started closest before the issue year", () => {
+            const volumes = [
+                { id: 1, name: "Batman", start_year: "1940", count_of_issues: 700 },
+                { id: 2, name: "Batman", start_year: "2016", count_of_issues: 150 },
+            ];
+
+            expect(pickVolume(volumes, "Batman", 2018).id).toBe(2);
+            expect(pickVolume(volumes, "Batman", 1985).id).toBe(1);
+        });
+
+        it("should return null when there are no volumes", () => {
+            expect(pickVolume([], "Saga")).toBeNull();
+        });
+    });
+
+    describe("lookup", () => {
+        it("should match the volume and issue number", async () => {
+            const result = await comicVineProvider.lookup("Saga", { issueNumber: 1, year: 2012, apiKey: "test-key", baseUrl });
+
+            expect(result.title).toBe("Saga");
+            expect(result.publisher).toBe("Image");
+            expect(result.issueTitle).toBe("Chapter One");
+            expect(result.publishedDate).toBe("2012-03-14");
+            expect(result.startYear).toBe(2012);
+            expect(requests[1].searchParams.get("filter")).toBe("volume:2,issue_number:1");
+        });
+
+        it("should fall back to volume data when the issue isn't found", async () => {
+            const result = await comicVineProvider.lookup("Saga", { issueNumber: 999, apiKey: "test-key", baseUrl });
+
+            expect(result.title).toBe("Saga");
+            expect(result.issueTitle).toBeNull();
+            expect(result.publishedDate).toBe("2012");
+        });
+
+        it("should wait for a rate limit slot before every request", async () => {
+            const waitForSlot = vi.fn(async () => {});
+
+            await comicVineProvider.lookup("Saga", { issueNumber: 1, apiKey: "test-key", baseUrl, waitForSlot });
+
+            expect(waitForSlot).toHaveBeenCalledTimes(2);
+            expect(requests).toHaveLength(2);
+        });
+
+        it("should throw on API errors", async () => {
+            await expect(comicVineProvider.lookup("Saga", { apiKey: "wrong-key", baseUrl })).rejects.toThrow("Invalid API Key");
+        });
+
+        it("should include the issue number in the cache key", () => {
+            expect(comicVineProvider.cacheKey("Saga", { issueNumber: 1 })).toBe("Saga#1");
+            expect(comicVineProvider.cacheKey("Saga", { issueNumber: null })).toBe("Saga");
+        });
+    });
+
+    describe("getComicMetadata with ComicVine", () => {
+        it("should be registered as a provider", () => {
+            expect(getMetadataProviders().map((p) => p.value)).toContain("comicvine");
+        });
+
+        it("should use ComicVine results for the folder suggestion", async () => {
+            const result = await getComicMetadata("Saga 001 (2012).cbz", {
+                useApi: true,
+                provider: "comicvine",
+                providerOptions: { apiKey: "test-key", baseUrl },
+            });
+
+            expect(result.source).toBe("api-lookup");
+            expect(result.series).toBe("Saga");
+            expect(result.publisher).toBe("Image");
+            expect(result.suggestedFolder).toBe("Image/Saga");
+        });
+    });
+
+    describe("command-line mode", () => {
+        it("should refuse ComicVine without an API key instead of falling back to filenames", async () => {
+            const apiKey = process.env.COMICVINE_API_KEY;
+            delete process.env.COMICVINE_API_KEY;
+            const output = vi.spyOn(console, "log").mockImplementation(() => {});
+
+            try {
+                expect(await runCommand(["auto", "--source", os.tmpdir(), "--provider", "comicvine", "--dry-run"])).toBe(EXIT_CODES.USAGE);
+                expect(output.mock.calls.flat().join(" ")).toContain("COMICVINE_API_KEY");
+            } finally {
+                if (apiKey !== undefined) process.env.COMICVINE_API_KEY = apiKey;
+                vi.restoreAllMocks();
+            }
+        });
+    });
+});
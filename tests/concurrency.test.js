@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createRateLimiter, mapWithConcurrency } from "../src/utils/concurrency.js";
+import { batchGetMetadata, registerMetadataProvider } from "../src/services/metadata.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Concurrency", () => {
+    describe("mapWithConcurrency", () => {
+        it("should keep results in item order and stay within the limit", async () => {
+            let running = 0;
+            let maxRunning = 0;
+
+            const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, index) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise((resolve) => setTimeout(resolve, delay));
+                running--;
+                return `${index}:${delay}`;
+            });
+
+            expect(results).toEqual(["0:30", "1:5", "2:20", "3:1", "4:10"]);
+            expect(maxRunning).toBe(2);
+        });
+
+        it("should handle empty lists and limits above the item count", async () => {
+            expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+            expect(await mapWithConcurrency([1, 2], 10, async (n) => n * 2)).toEqual([2, 4]);
+        });
+    });
+
+    describe("createRateLimiter", () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it("should space out concurrent callers", async () => {
+            const waitForSlot = createRateLimiter(10); // every 100ms
+            const start = Date.now();
+            const times = [];
+
+            const calls = [1, 2, 3].map(() => waitForSlot().then(() => times.push(Date.now() - start)));
+            await vi.runAllTimersAsync();
+            await Promise.all(calls);
+
+            expect(times).toEqual([0, 100, 200]);
+        });
+    });
+
+    describe("batchGetMetadata", () => {
+        let testDir;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-concurrency-"));
+        });
+
+        afterEach(async () => {
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        it("should read files concurrently and return metadata in file order", async () => {
+            const files = [];
+            for (let i = 1; i <= 6; i++) {
+                const zip = new AdmZip();
+                zip.addFile("page01.jpg", Buffer.from("page"));
+                zip.addFile("ComicInfo.xml", Buffer.from(`<ComicInfo><Series>Series ${i}</Series><Number>${i}</Number></ComicInfo>`));
+                const filePath = path.join(testDir, `comic-${i}.cbz`);
+                zip.writeZip(filePath);
+                files.push(filePath);
+            }
+            const progress = [];
+
+            const results = await batchGetMetadata(files, { useApi: false, concurrency: 3, onProgress: (current, total) => progress.push(`${current}/${total}`) });
+
+            expect(results.map((metadata) => metadata.series)).toEqual(["Series 1", "Series 2", "Series 3", "Series 4", "Series 5", "Series 6"]);
+            expect(progress).toEqual(["1/6", "2/6", "3/6", "4/6", "5/6", "6/6"]);
+        });
+
+        it("should rate limit API lookups while files are read concurrently", async () => {
+            const requestTimes = [];
+            registerMetadataProvider({
+                name: "Test Provider",
+                value: "rate-limit-test",
+                description: "Records request times",
+                async lookup(query, context) {
+                    await context.waitForSlot();
+                    requestTimes.push(Date.now());
+                    return { title: query, publisher: "Image" };
+                },
+            });
+
+            const results = await batchGetMetadata(["/inbox/Alpha 001.cbz", "/inbox/Beta 001.cbz", "/inbox/Gamma 001.cbz"], {
+                provider: "rate-limit-test",
+                concurrency: 3,
+            });
+
+            expect(results.map((metadata) => metadata.series)).toEqual(["Alpha 001", "Beta 001", "Gamma 001"]);
+            // Default rate: 5 requests per second
+            expect(requestTimes[2] - requestTimes[0]).toBeGreaterThanOrEqual(390);
+        });
+
+        it("should rate limit every request of a lookup at the provider's own rate", async () => {
+            const requestTimes = [];
+            registerMetadataProvider({
+                name: "Two Request Provider",
+                value: "two-request-test",
+                description: "Makes two requests per lookup",
+                requestsPerSecond: 10,
+                async lookup(query, context) {
+                    for (let i = 0; i < 2; i++) {
+                        await context.waitForSlot();
+                        requestTimes.push(Date.now());
+                    }
+                    return { title: query, publisher: "Image" };
+                },
+            });
+
+            await batchGetMetadata(["/inbox/Alpha 001.cbz", "/inbox/Beta 001.cbz"], { provider: "two-request-test", concurrency: 2 });
+
+            // Four requests at 10 per second
+            expect(requestTimes).toHaveLength(4);
+            expect(requestTimes[3] - requestTimes[0]).toBeGreaterThanOrEqual(290);
+            expect(requestTimes[3] - requestTimes[0]).toBeLessThan(550);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { countByConfidence, describeConfidenceCounts, meetsConfidence, routeLowConfidence } from "../src/services/confidence.js";
+import { readReviewQueue } from "../src/services/reviewQueue.js";
+import { validateUserConfig } from "../src/services/userConfig.js";
+import { runAutoOrganizer } from "../src/organizers/auto.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+/**
+ * An assignment like buildAssignments makes
+ */
+function assignment(file, folder, confidence, source = "filename-analysis") {
+    return { file, folder, metadata: { confidence, source } };
+}
+
+describe("Confidence threshold", () => {
+    const plan = [
+        assignment("/in/Saga 001.cbz", "Image/Saga", "highest", "comicinfo-xml"),
+        assignment("/in/Saga 002.cbz", "Image/Saga", "highest", "comicinfo-xml"),
+        assignment("/in/Hellboy 001.cbz", "Dark Horse Comics/Hellboy", "high", "pattern-match"),
+        assignment("/in/Random 001.cbz", "Unsorted/Random", "low"),
+    ];
+
+    it("should compare confidence levels", () => {
+        expect(meetsConfidence("highest", "high")).toBe(true);
+        expect(meetsConfidence("high", "high")).toBe(true);
+        expect(meetsConfidence("medium", "high")).toBe(false);
+        expect(meetsConfidence(undefined, "medium")).toBe(false);
+        expect(meetsConfidence("low")).toBe(true);
+    });
+
+    it("should count files per confidence level, highest first", () => {
+        const counts = countByConfidence(plan);
+
+        expect(counts).toEqual({ highest: 2, high: 1, low: 1 });
+        expect(describeConfidenceCounts(counts)).toBe("2 highest, 1 high, 1 low");
+    });
+
+    it("should send files below the minimum to review with their folder as the suggestion", () => {
+        const routed = routeLowConfidence(plan, "high");
+
+        expect(routed.map((item) => item.folder)).toEqual(["Image/Saga", "Image/Saga", "Dark Horse Comics/Hellboy", "_Review"]);
+        expect(routed[3].review).toEqual({ reason: "Low confidence match (low, filename-analysis)", suggestedFolder: "Unsorted/Random" });
+        expect(routeLowConfidence(plan, "low")).toEqual(plan);
+    });
+
+    it("should only accept known levels in the config", () => {
+        expect(validateUserConfig({ minConfidence: "high" })).toEqual([]);
+        expect(validateUserConfig({ minConfidence: "sure" })).toEqual(['"minConfidence" must be one of: low, medium, high, highest']);
+    });
+
+    describe("automatic organization", () => {
+        let testDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-confidence-"));
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        it("should file confident matches and queue the rest in _Review", async () => {
+            const zip = new AdmZip();
+            zip.addFile("ComicInfo.xml", Buffer.from("<ComicInfo><Series>Saga</Series><Publisher>Image</Publisher><Number>1</Number></ComicInfo>"));
+            zip.addFile("01.jpg", Buffer.from("page"));
+            await fs.outputFile(path.join(testDir, "inbox", "Saga 001.cbz"), zip.toBuffer());
+            await fs.outputFile(path.join(testDir, "inbox", "Mystery Scan 001.cbz"), "pages");
+
+            const libraryDir = path.join(testDir, "library");
+            const result = await runAutoOrganizer(path.join(testDir, "inbox"), libraryDir, {
+                useApi: false,
+                useCache: false,
+                reviewSeries: false,
+                singleFileHandling: "series-folder",
+                collisionPolicy: "skip",
+                minConfidence: "high",
+                lowConfidence: "review",
+            });
+
+            expect(result).toMatchObject({ moved: 2, queued: 1 });
+            expect(await fs.pathExists(path.join(libraryDir, "Image", "Saga", "Saga 001.cbz"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, "_Review", "Mystery Scan 001.cbz"))).toBe(true);
+            expect(result.seriesNames.size).toBe(0);
+
+            const queue = await readReviewQueue(libraryDir);
+            expect(queue["Mystery Scan 001.cbz"]).toMatchObject({ reason: "Low confidence match (low, filename-analysis)", suggestedFolder: "Unsorted/Mystery Scan 001" });
+        });
+    });
+});
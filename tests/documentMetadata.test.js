@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { readDocumentMetadata, readEpubMetadata, readPdfMetadata } from "../src/services/documentMetadata.js";
+import { getComicMetadata } from "../src/services/metadata.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+const EPUB2_OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" xmlns:opf="http://www.idpf.org/2007/opf" version="2.0">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:title>Saga, Volume 2</dc:title>
+        <dc:creator opf:role="aut">Brian K. Vaughan</dc:creator>
+        <dc:creator opf:role="ill">Fiona Staples</dc:creator>
+        <dc:publisher>Image Comics</dc:publisher>
+        <dc:date>2013-06-25T00:00:00+00:00</dc:date>
+        <dc:language>en</dc:language>
+        <dc:description>&lt;p&gt;Parenthood &lt;b&gt;and&lt;/b&gt; war.&lt;/p&gt;</dc:description>
+        <meta name="calibre:series" content="Saga"/>
+        <meta name="calibre:series_index" content="2.0"/>
+    </metadata>
+</package>`;
+
+const EPUB3_OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:title>Paper Girls Deluxe Edition</dc:title>
+        <dc:creator id="c1">Cliff Chiang</dc:creator>
+        <meta refines="#c1" property="role" scheme="marc:relators">art</meta>
+        <dc:creator id="c2">Brian K. Vaughan</dc:creator>
+        <dc:date>2017-11</dc:date>
+        <meta property="belongs-to-collection" id="s1">Paper Girls</meta>
+        <meta refines="#s1" property="collection-type">series</meta>
+        <meta refines="#s1" property="group-position">1</meta>
+    </metadata>
+</package>`;
+
+/**
+ * Build a minimal PDF with an Info dictionary and optional XMP packet
+ */
+function createPdf(info, xmp = null) {
+    const parts = ["%PDF-1.4", "1 0 obj << /Type /Catalog >> endobj", `2 0 obj << ${info} >> endobj`];
+    if (xmp) {
+        parts.push(`3 0 obj << /Type /Metadata /Subtype /XML >> stream\n${xmp}\nendstream endobj`);
+    }
+    parts.push("trailer << /Root 1 0 R /Info 2 0 R >>", "%%EOF");
+    return Buffer.from(parts.join("\n"), "latin1");
+}
+
+describe("Document Metadata", () => {
+    let testDir;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-documents-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function createEpub(filename, opf) {
+        const zip = new AdmZip();
+        zip.addFile("mimetype", Buffer.from("application/epub+zip"));
+        zip.addFile(
+            "META-INF/container.xml",
+            Buffer.from(
+                '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>'
+            )
+        );
+        zip.addFile("OEBPS/content.opf", Buffer.from(opf));
+        const filePath = path.join(testDir, filename);
+        await fs.writeFile(filePath, zip.toBuffer());
+        return filePath;
+    }
+
+    describe("readEpubMetadata", () => {
+        it("should read EPUB 2 metadata with a calibre series", async () => {
+            const metadata = await readEpubMetadata(await createEpub("saga.epub", EPUB2_OPF));
+
+            expect(metadata).toMatchObject({
+                series: "Saga",
+                number: 2,
+                title: "Saga, Volume 2",
+                writer: "Brian K. Vaughan",
+                penciller: "Fiona Staples",
+                publisher: "Image Comics",
+                year: 2013,
+                month: 6,
+                day: 25,
+                languageISO: "en",
+                summary: "Parenthood and war.",
+                imprint: null,
+            });
+        });
+
+        it("should read EPUB 3 collections and refined creator roles", async () => {
+            const metadata = await readEpubMetadata(await createEpub("paper-girls.epub", EPUB3_OPF));
+
+            expect(metadata).toMatchObject({ series: "Paper Girls", number: 1, penciller: "Cliff Chiang", writer: "Brian K. Vaughan", year: 2017, month: 11, day: null });
+        });
+
+        it("should return null for invalid EPUBs", async () => {
+            const filePath = path.join(testDir, "broken.epub");
+            await fs.writeFile(filePath, "not a zip");
+
+            expect(await readEpubMetadata(filePath)).toBeNull();
+        });
+    });
+
+    describe("readPdfMetadata", () => {
+        it("should read the Info dictionary", async () => {
+            const filePath = path.join(testDir, "info.pdf");
+            await fs.writeFile(filePath, createPdf("/Title (Watchmen \\(Absolute\\)) /Author <FEFF0041006C0061006E0020004D006F006F00720065> /CreationDate (D:20200101000000)"));
+
+            const metadata = await readPdfMetadata(filePath);
+
+            expect(metadata).toMatchObject({ series: null, title: "Watchmen (Absolute)", writer: "Alan Moore", year: null });
+        });
+
+        it("should prefer XMP metadata", async () => {
+            const xmp = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+                <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:prism="http://prismstandard.org/namespaces/basic/2.0/">
+                    <dc:title><rdf:Alt><rdf:li xml:lang="x-default">The Court of Owls</rdf:li></rdf:Alt></dc:title>
+                    <dc:creator><rdf:Seq><rdf:li>Scott Snyder</rdf:li><rdf:li>Greg Capullo</rdf:li></rdf:Seq></dc:creator>
+                    <dc:publisher><rdf:Bag><rdf:li>DC Comics</rdf:li></rdf:Bag></dc:publisher>
+                    <prism:publicationName>Batman</prism:publicationName>
+                    <prism:volume>2</prism:volume>
+                    <prism:number>1</prism:number>
+                    <prism:coverDate>2011-11</prism:coverDate>
+                </rdf:Description>
+            </rdf:RDF></x:xmpmeta>`;
+            const filePath = path.join(testDir, "xmp.pdf");
+            await fs.writeFile(filePath, createPdf("/Title (batman_01_scan)", xmp));
+
+            const metadata = await readPdfMetadata(filePath);
+
+            expect(metadata).toMatchObject({
+                series: "Batman",
+                title: "The Court of Owls",
+                writer: "Scott Snyder, Greg Capullo",
+                publisher: "DC Comics",
+                volume: 2,
+                number: 1,
+                year: 2011,
+                month: 11,
+            });
+        });
+
+        it("should return null when the PDF has no title", async () => {
+            const filePath = path.join(testDir, "untitled.pdf");
+            await fs.writeFile(filePath, createPdf("/Producer (Scanner 1.0)"));
+
+            expect(await readPdfMetadata(filePath)).toBeNull();
+            expect(await readDocumentMetadata(path.join(testDir, "comic.cbz"))).toBeNull();
+        });
+    });
+
+    describe("getComicMetadata", () => {
+        it("should use document metadata at high confidence", async () => {
+            const filePath = await createEpub("saga_v2_final.epub", EPUB2_OPF);
+
+            const metadata = await getComicMetadata("saga_v2_final.epub", { filePath, useApi: false });
+
+            expect(metadata).toMatchObject({ series: "Saga", publisher: "Image", issueNumber: 2, year: 2013, source: "embedded-metadata", confidence: "high" });
+        });
+
+        it("should match files with only a document title like any other file", async () => {
+            const filePath = path.join(testDir, "Hellboy 001.pdf");
+            await fs.writeFile(filePath, createPdf("/Title (Microsoft Word - scan)"));
+            const epubPath = await createEpub("Random Thing 001.epub", EPUB3_OPF.replace(/<meta property="belongs-to-collection"[\s\S]*?group-position">1<\/meta>/, ""));
+
+            const pdf = await getComicMetadata("Hellboy 001.pdf", { filePath, useApi: false });
+            const epub = await getComicMetadata("Random Thing 001.epub", { filePath: epubPath, useApi: false });
+
+            expect(pdf).toMatchObject({ series: "Hellboy", source: "pattern-match" });
+            expect(epub).toMatchObject({ series: null, source: "filename-analysis", confidence: "low" });
+        });
+    });
+});
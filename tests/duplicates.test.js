@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { findSameIssueGroups, findDuplicates, pickKeeper, getFilesToRemove } from "../src/services/duplicates.js";
+import { runDuplicateFinder } from "../src/organizers/duplicates.js";
+import { batchGetMetadata } from "../src/services/metadata.js";
+import { listJournals } from "../src/services/journal.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Duplicate Detection", () => {
+    let testDir;
+    let libraryDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-duplicates-"));
+        libraryDir = path.join(testDir, "library");
+        await fs.ensureDir(libraryDir);
+
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+    });
+
+    afterEach(async () => {
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Create a CBZ with the given number of pages (content varies with the seed)
+     */
+    async function createCBZ(relativePath, pages, seed = "a") {
+        const zip = new AdmZip();
+        for (let i = 1; i <= pages; i++) {
+            zip.addFile(`page${String(i).padStart(2, "0")}.jpg`, Buffer.from(`${seed}-${i}`));
+        }
+        const filePath = path.join(libraryDir, relativePath);
+        await fs.ensureDir(path.dirname(filePath));
+        zip.writeZip(filePath);
+        return filePath;
+    }
+
+    const metadataFor = (files) => batchGetMetadata(files, { useApi: false });
+
+    describe("findSameIssueGroups", () => {
+        it("should group different files of the same issue", async () => {
+            const files = [path.join(libraryDir, "Saga 001 (2012).cbz"), path.join(libraryDir, "Image", "Saga #1.cbr"), path.join(libraryDir, "Saga 002 (2012).cbz")];
+
+            const groups = findSameIssueGroups(files, await metadataFor(files));
+
+            expect(groups).toHaveLength(1);
+            expect(groups[0].files).toEqual(files.slice(0, 2));
+            expect(groups[0].label).toBe("Saga #1 (2012)");
+        });
+
+        it("should keep different years apart", async () => {
+            const files = [path.join(libraryDir, "Batman 001 (1940).cbz"), path.join(libraryDir, "Batman 001 (2016).cbz"), path.join(libraryDir, "Batman #1.cbz")];
+
+            const groups = findSameIssueGroups(files, await metadataFor(files));
+
+            expect(groups).toEqual([]);
+        });
+
+        it("should ignore files without an issue number", async () => {
+            const metadata = [
+                { issueNumber: null, series: "Saga", year: null },
+                { issueNumber: null, series: "Saga", year: null },
+            ];
+
+            expect(findSameIssueGroups(["/a/Saga.cbz", "/b/Saga.cbz"], metadata)).toEqual([]);
+        });
+    });
+
+    describe("pickKeeper", () => {
+        it("should prefer more pages, then larger files, then CBZ", () => {
+            expect(
+                pickKeeper([
+                    { path: "/a.cbz", pages: 20, size: 100 },
+                    { path: "/b.cbz", pages: 22, size: 50 },
+                ])
+            ).toBe("/b.cbz");
+            expect(
+                pickKeeper([
+                    { path: "/a.cbr", pages: 20, size: 100 },
+                    { path: "/b.cbz", pages: 20, size: 100 },
+                ])
+            ).toBe("/b.cbz");
+            expect(
+                pickKeeper([
+                    { path: "/a.pdf", pages: null, size: 500 },
+                    { path: "/b.cbz", pages: 1, size: 100 },
+                ])
+            ).toBe("/b.cbz");
+        });
+    });
+
+    describe("getFilesToRemove", () => {
+        it("should never remove a file that is kept in another group", () => {
+            const a = { path: "/a.cbz" };
+            const b = { path: "/b.cbz" };
+            const c = { path: "/c.cbz" };
+
+            const toRemove = getFilesToRemove([
+                { files: [a, b], keep: "/a.cbz" },
+                { files: [a, b, c], keep: "/b.cbz" },
+                { files: [c, a], keep: null },
+            ]);
+
+            expect(toRemove.map((file) => file.path)).toEqual(["/c.cbz"]);
+        });
+    });
+
+    describe("findDuplicates", () => {
+        it("should find identical files and report size and pages", async () => {
+            const original = await createCBZ("Marvel/Random Title.cbz", 3, "same");
+            const copy = await createCBZ("Unsorted/Random Title (copy).cbz", 3, "same");
+            await createCBZ("Unsorted/Something Else.cbz", 3, "other");
+
+            const files = [original, copy, path.join(libraryDir, "Unsorted/Something Else.cbz")];
+            const groups = await findDuplicates(files, await metadataFor(files));
+
+            expect(groups).toHaveLength(1);
+            expect(groups[0].type).toBe("identical");
+            expect(groups[0].files.map((file) => file.path)).toEqual([original, copy]);
+            expect(groups[0].files[0].pages).toBe(3);
+            expect(groups[0].files[0].size).toBeGreaterThan(0);
+            expect(groups[0].files[0].hash).toBe(groups[0].files[1].hash);
+        });
+
+        it("should report identical copies of an issue once, in the issue group", async () => {
+            const a = await createCBZ("Saga 001 (2012).cbz", 3, "same");
+            const b = await createCBZ("Image/Saga 001 (2012).cbz", 3, "same");
+            const c = await createCBZ("Saga #1.cbz", 5, "rescan");
+
+            const files = [a, b, c];
+            const groups = await findDuplicates(files, await metadataFor(files));
+
+            expect(groups).toHaveLength(1);
+            expect(groups[0].type).toBe("same-issue");
+            expect(groups[0].files).toHaveLength(3);
+            expect(groups[0].keep).toBe(c);
+        });
+    });
+
+    describe("runDuplicateFinder", () => {
+        beforeEach(() => {
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        it("should only report by default", async () => {
+            await createCBZ("Saga 001 (2012).cbz", 3, "one");
+            await createCBZ("Saga #1.cbz", 4, "two");
+
+            const result = await runDuplicateFinder(libraryDir, { interactive: false, useCache: false });
+
+            expect(result.groups).toHaveLength(1);
+            expect(result.moved).toBe(0);
+            expect((await fs.readdir(libraryDir)).sort()).toEqual(["Saga #1.cbz", "Saga 001 (2012).cbz"]);
+        });
+
+        it("should move extra copies to _Duplicates keeping their relative path", async () => {
+            const kept = await createCBZ("Image/Saga/Saga 001 (2012).cbz", 4, "one");
+            await createCBZ("Unsorted/Saga #1.cbz", 3, "two");
+
+            const result = await runDuplicateFinder(libraryDir, { interactive: false, action: "move", useCache: false });
+
+            expect(result.moved).toBe(1);
+            expect(await fs.pathExists(kept)).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, "_Duplicates", "Unsorted", "Saga #1.cbz"))).toBe(true);
+
+            const [journal] = await listJournals();
+            expect(journal.mode).toBe("duplicates");
+
+            // Files already in _Duplicates aren't reported again
+            const again = await runDuplicateFinder(libraryDir, { interactive: false, useCache: false });
+            expect(again.groups).toHaveLength(0);
+        });
+
+        it("should delete extra copies", async () => {
+            await createCBZ("a/Random Title.cbz", 3, "same");
+            await createCBZ("b/Random Title.cbz", 3, "same");
+
+            const result = await runDuplicateFinder(libraryDir, { interactive: false, action: "delete", useCache: false });
+
+            expect(result.deleted).toBe(1);
+            expect(result.freed).toBeGreaterThan(0);
+            expect(await fs.pathExists(path.join(libraryDir, "a", "Random Title.cbz"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, "b", "Random Title.cbz"))).toBe(false);
+        });
+
+        it("should not change anything in a dry run", async () => {
+            await createCBZ("a/Random Title.cbz", 3, "same");
+            await createCBZ("b/Random Title.cbz", 3, "same");
+
+            const result = await runDuplicateFinder(libraryDir, { interactive: false, action: "delete", dryRun: true, useCache: false });
+
+            expect(result.deleted).toBe(0);
+            expect(await fs.pathExists(path.join(libraryDir, "b", "Random Title.cbz"))).toBe(true);
+        });
+    });
+});
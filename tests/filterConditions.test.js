@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { describeCondition, matchesCondition, validateCondition } from "../src/services/filterConditions.js";
+import { loadFilterConfig, runManualOrganizer } from "../src/organizers/manual.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Filter Conditions", () => {
+    const values = { filename: "Batman - Damned 001.cbz", publisher: "DC Comics", imprint: "DC Black Label", format: "TPB", year: 2018, languageISO: null };
+
+    describe("matchesCondition", () => {
+        it("should test fields with equals, pattern and ranges", () => {
+            expect(matchesCondition({ field: "format", equals: "tpb" }, values)).toBe(true);
+            expect(matchesCondition({ field: "imprint", pattern: "black\\s*label" }, values)).toBe(true);
+            expect(matchesCondition({ field: "year", min: 2010, max: 2019 }, values)).toBe(true);
+            expect(matchesCondition({ field: "year", max: 2009 }, values)).toBe(false);
+            expect(matchesCondition({ field: "filename", pattern: "damned" }, values)).toBe(true);
+        });
+
+        it("should never match missing fields", () => {
+            expect(matchesCondition({ field: "languageISO", pattern: ".*" }, values)).toBe(false);
+            expect(matchesCondition({ field: "storyArc", equals: "" }, values)).toBe(false);
+            expect(matchesCondition({ not: { field: "languageISO", equals: "ja" } }, values)).toBe(true);
+        });
+
+        it("should combine conditions with all, any and not", () => {
+            const condition = {
+                all: [{ field: "publisher", equals: "DC Comics" }, { any: [{ field: "format", equals: "Omnibus" }, { field: "year", min: 2015 }] }, { not: { field: "imprint", equals: "Vertigo" } }],
+            };
+
+            expect(matchesCondition(condition, values)).toBe(true);
+            expect(matchesCondition(condition, { ...values, year: 2001 })).toBe(false);
+            expect(describeCondition(condition)).toBe('all(publisher = "DC Comics", any(format = "Omnibus", year >= 2015), not(imprint = "Vertigo"))');
+        });
+    });
+
+    describe("validateCondition", () => {
+        it("should accept valid conditions", () => {
+            expect(validateCondition({ any: [{ field: "format", equals: "TPB" }, { not: { field: "year", min: 1990, max: 1999 } }] })).toEqual([]);
+        });
+
+        it("should describe invalid conditions", () => {
+            expect(validateCondition({ field: "colour", equals: "red" })[0]).toContain('match must have a "field" (one of: filename, series');
+            expect(validateCondition({ field: "year", min: "2000" })).toEqual(["match.min must be a number"]);
+            expect(validateCondition({ all: [{ field: "format" }, { field: "writer", pattern: "(" }] })).toEqual([
+                'match.all[0] must have exactly one of "equals", "pattern" or "min"/"max"',
+                expect.stringContaining("match.all[1] has invalid regex pattern"),
+            ]);
+            expect(validateCondition({ any: [] })).toEqual(["match.any must be a non-empty list of conditions"]);
+            expect(validateCondition({ all: [], any: [] })[0]).toContain("must have only one of");
+            expect(validateCondition("TPB")).toEqual(["match must be an object"]);
+        });
+    });
+
+    describe("Manual organization", () => {
+        let testDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-conditions-"));
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        async function createCBZ(filename, comicInfo = null) {
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from(filename));
+            if (comicInfo) {
+                zip.addFile("ComicInfo.xml", Buffer.from(`<ComicInfo>${comicInfo}</ComicInfo>`));
+            }
+            zip.writeZip(path.join(testDir, "inbox", filename));
+        }
+
+        async function writeFilters(filters) {
+            const configPath = path.join(testDir, "filters.json");
+            await fs.writeJson(configPath, { filters });
+            return configPath;
+        }
+
+        it("should sort files by ComicInfo fields regardless of their filename", async () => {
+            await fs.ensureDir(path.join(testDir, "inbox"));
+            await createCBZ("bm_dmnd_01.cbz", "<Series>Batman: Damned</Series><Imprint>DC Black Label</Imprint><Format>Main Series</Format>");
+            await createCBZ("saga_v1.cbz", "<Series>Saga</Series><Format>TPB</Format><Year>2012</Year>");
+            await createCBZ("Batman 001.cbz", "<Series>Batman</Series><Year>2016</Year>");
+            await createCBZ("Batman 002.cbz");
+
+            const configPath = await writeFilters([
+                { name: "Black Label", match: { field: "imprint", pattern: "black\\s*label" } },
+                { name: "Trades", match: { field: "format", equals: "TPB" } },
+                {
+                    name: "DC",
+                    pattern: "batman",
+                    filters: [{ name: "Rebirth", match: { all: [{ field: "year", min: 2016 }, { not: { field: "format", equals: "TPB" } }] } }],
+                },
+            ]);
+
+            await runManualOrganizer(path.join(testDir, "inbox"), path.join(testDir, "out"), configPath);
+
+            expect(await fs.readdir(path.join(testDir, "out", "Black Label"))).toEqual(["bm_dmnd_01.cbz"]);
+            expect(await fs.readdir(path.join(testDir, "out", "Trades"))).toEqual(["saga_v1.cbz"]);
+            expect(await fs.readdir(path.join(testDir, "out", "DC", "Rebirth"))).toEqual(["Batman 001.cbz"]);
+            expect(await fs.pathExists(path.join(testDir, "out", "DC", "Batman 002.cbz"))).toBe(true);
+        });
+
+        it("should finish the run when the metadata cache can't be saved", async () => {
+            await fs.ensureDir(path.join(testDir, "inbox"));
+            await createCBZ("saga_v1.cbz", "<Series>Saga</Series><Format>TPB</Format>");
+            // A folder where the cache writes its temp file makes every save fail
+            await fs.ensureDir(path.join(testDir, "home", "cache", "metadata.json.tmp"));
+            const configPath = await writeFilters([{ name: "Trades", match: { field: "format", equals: "TPB" } }]);
+
+            const result = await runManualOrganizer(path.join(testDir, "inbox"), path.join(testDir, "out"), configPath);
+
+            expect(result.moved).toBe(1);
+            expect(console.log.mock.calls.flat().join(" ")).toContain("Could not save the metadata cache");
+        });
+
+        it("should report invalid conditions with the filter's path", async () => {
+            const configPath = await writeFilters([
+                { name: "DC", pattern: "dc", filters: [{ name: "Trades", match: { field: "format" } }] },
+                { name: "Nothing" },
+            ]);
+
+            await expect(loadFilterConfig(configPath)).rejects.toThrow('Filter "DC.Trades" match must have exactly one of "equals", "pattern" or "min"/"max"');
+            await expect(loadFilterConfig(configPath)).rejects.toThrow('Filter "Nothing" must have a "pattern" string or a "match" condition');
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { applyPatternConfig, getPublisherFolder, getPublisherSegments, resolveImprint } from "../src/services/patterns.js";
+import { validateUserConfig } from "../src/services/userConfig.js";
+import { getComicMetadata } from "../src/services/metadata.js";
+import { buildAssignments } from "../src/organizers/auto.js";
+import { consolidateFoldersHandler } from "../src/postProcessors/consolidateFolders.js";
+import { renameFilesHandler } from "../src/postProcessors/renameFiles.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Imprints", () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-imprints-"));
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+    });
+
+    afterEach(async () => {
+        applyPatternConfig(null);
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function createCBZ(relativePath, comicInfo = null) {
+        const zip = new AdmZip();
+        zip.addFile("page01.jpg", Buffer.from(relativePath));
+        if (comicInfo) {
+            zip.addFile("ComicInfo.xml", Buffer.from(comicInfo));
+        }
+        const filePath = path.join(testDir, relativePath);
+        await fs.ensureDir(path.dirname(filePath));
+        zip.writeZip(filePath);
+        return filePath;
+    }
+
+    describe("resolveImprint", () => {
+        it("should split a known imprint into its parent publisher", () => {
+            expect(resolveImprint("vertigo")).toEqual({ publisher: "DC Comics", imprint: "Vertigo" });
+            expect(resolveImprint("DC Comics", "Vertigo")).toEqual({ publisher: "DC Comics", imprint: "Vertigo" });
+        });
+
+        it("should ignore unknown imprints and imprints of another publisher", () => {
+            expect(resolveImprint("Marvel", "Marvel Knights")).toEqual({ publisher: "Marvel", imprint: null });
+            expect(resolveImprint("Image", "Vertigo")).toEqual({ publisher: "Image", imprint: null });
+            expect(resolveImprint(null)).toEqual({ publisher: null, imprint: null });
+        });
+    });
+
+    describe("getPublisherSegments", () => {
+        it("should follow the imprint layout", () => {
+            expect(getPublisherSegments("Vertigo", null, "imprint")).toEqual(["Vertigo"]);
+            expect(getPublisherSegments("Vertigo", null, "nested")).toEqual(["DC Comics", "Vertigo"]);
+            expect(getPublisherSegments("Vertigo", null, "publisher")).toEqual(["DC Comics"]);
+            expect(getPublisherSegments("Marvel", null, "nested")).toEqual(["Marvel"]);
+            expect(getPublisherSegments(null)).toEqual([]);
+        });
+
+        it("should use the configured layout by default", () => {
+            expect(getPublisherFolder("Vertigo")).toBe("Vertigo");
+
+            applyPatternConfig({ imprintLayout: "nested", imprints: { "Black Label": "DC Comics" } });
+
+            expect(getPublisherFolder("Vertigo")).toBe("DC Comics/Vertigo");
+            expect(getPublisherFolder("DC Comics", "black label")).toBe("DC Comics/Black Label");
+        });
+
+        it("should reject unknown layouts", () => {
+            expect(validateUserConfig({ imprintLayout: "flat" })).toEqual(['"imprintLayout" must be one of: imprint, nested, publisher']);
+        });
+    });
+
+    describe("Organizing", () => {
+        it("should use the ComicInfo imprint even when the publisher is set", async () => {
+            applyPatternConfig({ imprintLayout: "nested" });
+            const filePath = await createCBZ("Lucifer 001.cbz", "<ComicInfo><Series>Lucifer</Series><Publisher>DC Comics</Publisher><Imprint>Vertigo</Imprint></ComicInfo>");
+
+            const metadata = await getComicMetadata("Lucifer 001.cbz", { filePath, useApi: false });
+
+            expect(metadata.publisher).toBe("DC Comics");
+            expect(metadata.imprint).toBe("Vertigo");
+            expect(metadata.suggestedFolder).toBe("DC Comics/Vertigo/Lucifer");
+        });
+
+        it("should build assignments with the imprint layout", async () => {
+            applyPatternConfig({ imprintLayout: "publisher" });
+            const files = ["/inbox/Sandman 001.cbz", "/inbox/Sandman 002.cbz", "/inbox/Preacher 001.cbz"];
+            const metadataResults = [];
+            for (const file of files) {
+                metadataResults.push(await getComicMetadata(path.basename(file), { useApi: false }));
+            }
+            const seriesGroups = [{ seriesName: "Sandman", files: files.slice(0, 2) }];
+            const seriesLookupMap = new Map(files.slice(0, 2).map((file) => [file, "Sandman"]));
+
+            const assignments = buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups);
+
+            expect(assignments.map((assignment) => assignment.folder)).toEqual(["DC Comics/Sandman", "DC Comics/Sandman", "DC Comics/Preacher"]);
+        });
+    });
+
+    describe("Post-processing", () => {
+        beforeEach(() => {
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        it("should consolidate imprint and publisher folders of the same series", async () => {
+            applyPatternConfig({ imprintLayout: "nested" });
+            await createCBZ("Vertigo/Sandman/Sandman 001.cbz");
+            await createCBZ("DC Comics/Sandman (1989)/Sandman 002.cbz");
+            await createCBZ("Image/Sandman/Sandman Other 001.cbz");
+
+            await consolidateFoldersHandler(testDir, testDir, { interactive: false });
+
+            expect((await fs.readdir(path.join(testDir, "DC Comics", "Vertigo", "Sandman"))).sort()).toEqual(["Sandman 001.cbz", "Sandman 002.cbz"]);
+            expect(await fs.pathExists(path.join(testDir, "Image", "Sandman", "Sandman Other 001.cbz"))).toBe(true);
+        });
+
+        it("should fail when not interactive and files could not be merged", async () => {
+            applyPatternConfig({ imprintLayout: "nested" });
+            await createCBZ("Vertigo/Sandman/Sandman 001.cbz");
+            await createCBZ("DC Comics/Sandman (1989)/Sandman 001.cbz");
+
+            await expect(consolidateFoldersHandler(testDir, testDir, { interactive: false })).rejects.toThrow("1 files could not be merged");
+        });
+
+        it("should use the imprint layout in publisher rename formats", async () => {
+            applyPatternConfig({ imprintLayout: "nested" });
+            await createCBZ("Sandman 001.cbz");
+
+            await renameFilesHandler(testDir, testDir, { interactive: false, format: "publisher-series-issue-year", useApi: false, useCache: false });
+
+            expect(await fs.readdir(testDir)).toContain("DC Comics - Vertigo - Sandman - Issue #001.cbz");
+        });
+    });
+});
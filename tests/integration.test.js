@@ -289,7 +289,10 @@ describe("Integration Tests - Comic Organization Workflow", () => {
                 useApi: false,
             });
 
-            expect(result.publisher).toBe("Vertigo");
+            // Vertigo is a DC Comics imprint, filed under "Vertigo" by default
+            expect(result.publisher).toBe("DC Comics");
+            expect(result.imprint).toBe("Vertigo");
+            expect(result.suggestedFolder).toBe("Vertigo/Sandman");
         });
     });
 
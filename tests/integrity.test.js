@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { CORRUPT_FOLDER, verifyComicFile } from "../src/services/integrity.js";
+import { runVerification } from "../src/organizers/verify.js";
+import { runCommand } from "../src/commands.js";
+import { listJournals } from "../src/services/journal.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Integrity", () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-integrity-"));
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function writeCbz(relativePath, entries) {
+        const zip = new AdmZip();
+        for (const [name, content] of Object.entries(entries)) {
+            zip.addFile(name, Buffer.from(content));
+        }
+        const filePath = path.join(testDir, "library", relativePath);
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, zip.toBuffer());
+        return filePath;
+    }
+
+    // A zip whose entries are marked as password protected (general purpose flag bit 0)
+    async function writeEncryptedZip(relativePath, entries) {
+        const filePath = await writeCbz(relativePath, entries);
+        const buffer = await fs.readFile(filePath);
+        for (let offset = 0; offset < buffer.length - 4; offset++) {
+            const signature = buffer.readUInt32LE(offset);
+            if (signature === 0x04034b50) buffer.writeUInt16LE(buffer.readUInt16LE(offset + 6) | 1, offset + 6);
+            if (signature === 0x02014b50) buffer.writeUInt16LE(buffer.readUInt16LE(offset + 8) | 1, offset + 8);
+        }
+        await fs.writeFile(filePath, buffer);
+        return filePath;
+    }
+
+    async function writeFile(relativePath, content) {
+        const filePath = path.join(testDir, "library", relativePath);
+        await fs.outputFile(filePath, content);
+        return filePath;
+    }
+
+    describe("verifyComicFile", () => {
+        it("should pass a good archive", async () => {
+            const filePath = await writeCbz("Saga 001.cbz", { "01.jpg": "a", "02.jpg": "b" });
+
+            expect((await verifyComicFile(filePath)).problem).toBeNull();
+        });
+
+        it("should report empty, unreadable and imageless files", async () => {
+            const empty = await writeFile("empty.cbz", "");
+            const html = await writeFile("download.cbr", "<html>Not found</html>");
+            const noImages = await writeCbz("readme.cbz", { "readme.txt": "hello" });
+
+            expect((await verifyComicFile(empty)).problem.type).toBe("empty");
+            expect((await verifyComicFile(html)).problem).toEqual({ type: "unreadable", message: "Not a ZIP, RAR, 7z or tar archive" });
+            expect((await verifyComicFile(noImages)).problem).toEqual({ type: "no-images", message: "No page images (1 other files)" });
+        });
+
+        it("should check that PDFs are complete", async () => {
+            const complete = await writeFile("complete.pdf", "%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n");
+            const truncated = await writeFile("truncated.pdf", "%PDF-1.4\n1 0 obj << >> endo");
+            const notPdf = await writeFile("page.pdf", "<html></html>");
+
+            expect((await verifyComicFile(complete)).problem).toBeNull();
+            expect((await verifyComicFile(truncated)).problem.type).toBe("damaged");
+            expect((await verifyComicFile(notPdf)).problem.type).toBe("unreadable");
+        });
+    });
+
+    describe("runVerification", () => {
+        beforeEach(async () => {
+            await writeCbz("Image/Saga/Saga 001.cbz", { "01.jpg": "a", "02.jpg": "b" });
+            await writeFile("Image/Saga/Saga 002.cbz", "");
+            await writeFile("Batman 001.cbr", "truncated download");
+        });
+
+        it("should report problems and save a JSON report without moving anything", async () => {
+            const reportPath = path.join(testDir, "report.json");
+
+            const result = await runVerification(path.join(testDir, "library"), { interactive: false, reportPath });
+
+            expect(result.checked).toBe(3);
+            expect(result.problems.map((item) => path.basename(item.path)).sort()).toEqual(["Batman 001.cbr", "Saga 002.cbz"]);
+            expect(result.moved).toBe(0);
+
+            const report = await fs.readJson(reportPath);
+            expect(report).toMatchObject({ checked: 3, ok: 1 });
+            expect(report.problems).toContainEqual({ file: path.join("Image", "Saga", "Saga 002.cbz"), size: 0, type: "empty", message: "The file is empty (0 bytes)" });
+        });
+
+        it("should quarantine bad files, keeping their folders, and record the moves for undo", async () => {
+            const libraryDir = path.join(testDir, "library");
+
+            const result = await runVerification(libraryDir, { interactive: false, quarantine: true });
+
+            expect(result.moved).toBe(2);
+            expect(await fs.pathExists(path.join(libraryDir, CORRUPT_FOLDER, "Image", "Saga", "Saga 002.cbz"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, CORRUPT_FOLDER, "Batman 001.cbr"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, "Image", "Saga", "Saga 001.cbz"))).toBe(true);
+            expect((await listJournals())[0].mode).toBe("verify");
+
+            // Quarantined files aren't checked again
+            expect((await runVerification(libraryDir, { interactive: false })).checked).toBe(1);
+        });
+
+        it("should report a .zip or .rar that can't be opened without moving it, and skip other archives without pages", async () => {
+            const libraryDir = path.join(testDir, "library");
+            await writeFile("Broken.zip", "truncated download");
+            await writeFile("Broken.rar", "Rar!\x1a\x07");
+            await writeCbz("drivers.zip", { "readme.txt": "not a comic" });
+            await writeEncryptedZip("secret.zip", { "notes.txt": "not a comic" });
+            await writeEncryptedZip("Locked 001.zip", { "01.jpg": "a" });
+
+            const result = await runVerification(libraryDir, { interactive: false, recursive: false, quarantine: true });
+
+            expect(result.checked).toBe(4);
+            expect(result.problems.map((item) => [path.basename(item.path), item.problem.type]).sort()).toEqual([
+                ["Batman 001.cbr", "unreadable"],
+                ["Broken.rar", "unreadable"],
+                ["Broken.zip", "unreadable"],
+                ["Locked 001.zip", "password"],
+            ]);
+            expect(result.moved).toBe(2);
+            expect(await fs.pathExists(path.join(libraryDir, CORRUPT_FOLDER, "Locked 001.zip"))).toBe(true);
+            for (const name of ["Broken.zip", "Broken.rar", "drivers.zip", "secret.zip"]) {
+                expect(await fs.pathExists(path.join(libraryDir, name))).toBe(true);
+            }
+        });
+
+        it("should leave password protected archives that aren't comics in the source of auto --verify", async () => {
+            const libraryDir = path.join(testDir, "library");
+            await writeEncryptedZip("secret.zip", { "notes.txt": "not a comic" });
+
+            await runCommand(["auto", "--source", libraryDir, "--output", path.join(testDir, "organized"), "--verify", "--no-api"]);
+
+            expect(await fs.pathExists(path.join(libraryDir, "secret.zip"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, CORRUPT_FOLDER, "Batman 001.cbr"))).toBe(true);
+        });
+
+        it("should leave files that are too big to check in place instead of calling them unreadable", async () => {
+            const libraryDir = path.join(testDir, "library");
+            const huge = await writeFile("Saga Compendium.cb7", Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c, 0, 4]));
+            const readFile = fs.readFile;
+            vi.spyOn(fs, "readFile").mockImplementation((file, ...args) => {
+                if (file !== huge) return readFile(file, ...args);
+                return Promise.reject(Object.assign(new RangeError("File size (3221225472) is greater than 2 GiB"), { code: "ERR_FS_FILE_TOO_LARGE" }));
+            });
+
+            const result = await runVerification(libraryDir, { interactive: false, recursive: false, quarantine: true });
+
+            expect(result.problems.find((item) => item.path === huge).problem.type).toBe("unchecked");
+            expect(result.moved).toBe(1);
+            expect(await fs.pathExists(huge)).toBe(true);
+        });
+
+        it("should only check the top level when not recursive, and not move anything in a dry run", async () => {
+            const libraryDir = path.join(testDir, "library");
+
+            const result = await runVerification(libraryDir, { interactive: false, recursive: false, quarantine: true, dryRun: true });
+
+            expect(result.checked).toBe(1);
+            expect(result.moved).toBe(0);
+            expect(await fs.pathExists(path.join(libraryDir, "Batman 001.cbr"))).toBe(true);
+        });
+    });
+});
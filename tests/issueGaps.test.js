@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { findIssueGaps, findMissingNumbers, formatIssueRanges, getIssueDetails, wantListToCsv, wantListToText } from "../src/services/issueGaps.js";
+import { runGapReport } from "../src/organizers/gaps.js";
+import { extractIssueNumber, extractYear } from "../src/utils/files.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+/**
+ * Filename-only metadata, like getComicMetadata without ComicInfo.xml
+ */
+function fromFilename(file) {
+    const filename = path.basename(file);
+    return { issueNumber: extractIssueNumber(filename), year: extractYear(filename), series: null, source: "filename-analysis" };
+}
+
+describe("Issue gaps", () => {
+    describe("findMissingNumbers", () => {
+        it("should find whole issues missing from #1 to the highest issue", () => {
+            expect(findMissingNumbers([2, 3, 5, 8])).toEqual([1, 4, 6, 7]);
+            expect(findMissingNumbers([0, 2])).toEqual([1]);
+            expect(findMissingNumbers([5, 7], { fromLowest: true })).toEqual([6]);
+        });
+
+        it("should never expect point issues", () => {
+            expect(findMissingNumbers([0.1, 1, 1.5, 3])).toEqual([2]);
+            expect(findMissingNumbers([0.5])).toEqual([]);
+        });
+    });
+
+    it("should format issues as ranges", () => {
+        expect(formatIssueRanges([13, 40, 41, 42])).toBe("#13, #40–42");
+        expect(formatIssueRanges([0.1, 1.5])).toBe("#0.1, #1.5");
+    });
+
+    describe("getIssueDetails", () => {
+        it("should recognize annuals and take the number after Annual", () => {
+            const file = "/lib/Batman/Batman 2016 Annual 2.cbz";
+
+            expect(getIssueDetails(file, fromFilename(file), "Batman")).toEqual({ series: "Batman", annual: true, number: 2 });
+        });
+
+        it("should skip a year in front of the issue number", () => {
+            const file = "/lib/Batman/Batman (2016) 007.cbz";
+
+            expect(getIssueDetails(file, fromFilename(file), "Batman").number).toBe(7);
+        });
+
+        it("should keep ComicInfo.xml's number", () => {
+            const metadata = { issueNumber: 2016, year: 2016, series: "Batman Annual", comicInfo: { number: 2016 } };
+
+            expect(getIssueDetails("/lib/Batman Annual.cbz", metadata, "Batman Annual")).toEqual({ series: "Batman", annual: true, number: 2016 });
+        });
+    });
+
+    describe("findIssueGaps", () => {
+        it("should report gaps per folder and series, with annuals as their own series", () => {
+            const files = [
+                "/lib/Image/Saga/Saga 001.cbz",
+                "/lib/Image/Saga/Saga 002.cbz",
+                "/lib/Image/Saga/Saga 004.cbz",
+                "/lib/Image/Saga/Saga 000.5.cbz",
+                "/lib/DC/Batman/Batman 001.cbz",
+                "/lib/DC/Batman/Batman 003.cbz",
+                "/lib/DC/Batman/Batman Annual 01.cbz",
+                "/lib/DC/Batman/Batman Annual 03.cbz",
+            ];
+
+            const runs = findIssueGaps("/lib", files, files.map(fromFilename));
+
+            expect(runs.map((run) => [run.folder, run.series, run.annual, run.missing])).toEqual([
+                [path.join("DC", "Batman"), "Batman", false, [2]],
+                [path.join("DC", "Batman"), "Batman", true, [2]],
+                [path.join("Image", "Saga"), "Saga", false, [3]],
+            ]);
+            expect(runs[2].points).toEqual([0.5]);
+            expect(wantListToText(runs)).toBe("Batman #2\nBatman Annual #2\nSaga #3\n");
+            expect(wantListToCsv(runs).split("\n")[2]).toBe(`Batman,2,yes,${path.join("DC", "Batman")}`);
+        });
+    });
+
+    describe("runGapReport", () => {
+        let testDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-gaps-"));
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        async function writeCbz(relativePath, comicInfo = null) {
+            const zip = new AdmZip();
+            zip.addFile("01.jpg", Buffer.from("a"));
+            if (comicInfo) zip.addFile("ComicInfo.xml", Buffer.from(comicInfo));
+            const filePath = path.join(testDir, "library", relativePath);
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, zip.toBuffer());
+        }
+
+        it("should use ComicInfo.xml numbers and save a want list", async () => {
+            await writeCbz("Saga/a.cbz", "<ComicInfo><Series>Saga</Series><Number>1</Number></ComicInfo>");
+            await writeCbz("Saga/b.cbz", "<ComicInfo><Series>Saga</Series><Number>0.1</Number></ComicInfo>");
+            await writeCbz("Saga/c.cbz", "<ComicInfo><Series>Saga</Series><Number>4</Number></ComicInfo>");
+            const wantList = path.join(testDir, "want-list.json");
+
+            const result = await runGapReport(path.join(testDir, "library"), { useCache: false, exportPath: wantList });
+
+            expect(result.missing).toBe(2);
+            expect(result.runs[0]).toMatchObject({ series: "Saga", issues: [0.1, 1, 4], missing: [2, 3], points: [0.1] });
+            expect((await fs.readJson(wantList)).series).toEqual([{ series: "Saga", folder: "Saga", missing: [2, 3], label: "#2–3" }]);
+        });
+    });
+});
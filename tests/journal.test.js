@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createJournal, readJournal, listJournals, findJournal, recordReplacements, undoJournal } from "../src/services/journal.js";
+import { moveFile } from "../src/utils/files.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Undo Journal", () => {
+    let testDir;
+    let journalDir;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-journal-test-"));
+        journalDir = path.join(testDir, "journals");
+        await fs.ensureDir(path.join(testDir, "inbox"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function createFile(relativePath, content = "comic") {
+        const filePath = path.join(testDir, relativePath);
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, content);
+        return filePath;
+    }
+
+    describe("createJournal", () => {
+        it("should not write anything until an operation is recorded", async () => {
+            const journal = createJournal("auto", {}, { directory: journalDir });
+
+            expect(journal.entryCount).toBe(0);
+            expect(await fs.pathExists(journal.path)).toBe(false);
+        });
+
+        it("should record moves made through moveFile, including created folders", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", { outputDir: testDir }, { directory: journalDir });
+
+            await moveFile(source, path.join(testDir, "library", "Image", "Saga"), { journal });
+
+            const saved = await readJournal(journal.path);
+            expect(saved.mode).toBe("auto");
+            expect(saved.details.outputDir).toBe(testDir);
+            expect(saved.entries.map((e) => e.type)).toEqual(["mkdir", "mkdir", "mkdir", "move"]);
+            expect(saved.entries[3].from).toBe(source);
+            expect(saved.entries[3].size).toBe(5);
+        });
+    });
+
+    describe("listJournals / findJournal", () => {
+        it("should return an empty list when no journals exist", async () => {
+            expect(await listJournals({ directory: journalDir })).toEqual([]);
+            expect(await findJournal(null, { directory: journalDir })).toBeNull();
+        });
+
+        it("should find a journal by id prefix", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            await moveFile(source, path.join(testDir, "library"), { journal });
+
+            const found = await findJournal(journal.id.slice(0, 10), { directory: journalDir });
+            expect(found.id).toBe(journal.id);
+        });
+    });
+
+    describe("undoJournal", () => {
+        it("should move files back and remove created folders", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            await moveFile(source, path.join(testDir, "library", "Image", "Saga"), { journal });
+
+            const result = await undoJournal(await readJournal(journal.path));
+
+            expect(result.restored).toBe(1);
+            expect(result.conflicts).toHaveLength(0);
+            expect(await fs.pathExists(source)).toBe(true);
+            expect(await fs.pathExists(path.join(testDir, "library"))).toBe(false);
+        });
+
+        it("should mark the journal as undone", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            await moveFile(source, path.join(testDir, "library"), { journal });
+
+            await undoJournal(await readJournal(journal.path));
+
+            expect((await readJournal(journal.path)).undone).toBe(true);
+            expect(await listJournals({ directory: journalDir })).toHaveLength(0);
+        });
+
+        it("should not change anything in dry-run mode", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            const { destination } = await moveFile(source, path.join(testDir, "library"), { journal });
+
+            const result = await undoJournal(await readJournal(journal.path), { dryRun: true });
+
+            expect(result.restored).toBe(1);
+            expect(await fs.pathExists(destination)).toBe(true);
+            expect((await readJournal(journal.path)).undone).toBe(false);
+        });
+
+        it("should follow chained renames in dry-run mode", async () => {
+            const first = await createFile("library/a.cbz");
+            const second = path.join(testDir, "library", "b.cbz");
+            const third = path.join(testDir, "library", "c.cbz");
+            const journal = createJournal("rename-files", {}, { directory: journalDir });
+
+            await fs.move(first, second);
+            await journal.recordRename(first, second);
+            await fs.move(second, third);
+            await journal.recordRename(second, third);
+
+            const result = await undoJournal(await readJournal(journal.path), { dryRun: true });
+
+            expect(result.restored).toBe(2);
+            expect(result.conflicts).toHaveLength(0);
+        });
+
+        it("should report files modified after the run as conflicts", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            const { destination } = await moveFile(source, path.join(testDir, "library"), { journal });
+
+            await fs.writeFile(destination, "a different comic");
+
+            const result = await undoJournal(await readJournal(journal.path));
+
+            expect(result.restored).toBe(0);
+            expect(result.conflicts).toHaveLength(1);
+            expect(result.conflicts[0].reason).toContain("modified");
+            expect(await fs.pathExists(destination)).toBe(true);
+        });
+
+        it("should report conflicts when the original location is taken", async () => {
+            const source = await createFile("inbox/Saga 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            await moveFile(source, path.join(testDir, "library"), { journal });
+
+            await createFile("inbox/Saga 001.cbz", "new download");
+
+            const result = await undoJournal(await readJournal(journal.path));
+
+            expect(result.conflicts).toHaveLength(1);
+            expect(result.conflicts[0].reason).toContain("original location");
+        });
+
+        it("should keep a partly undone journal so undo can be run again", async () => {
+            const saga = await createFile("inbox/Saga 001.cbz");
+            const batman = await createFile("inbox/Batman 001.cbz");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            await moveFile(saga, path.join(testDir, "library"), { journal });
+            await moveFile(batman, path.join(testDir, "library"), { journal });
+
+            await createFile("inbox/Saga 001.cbz", "new download");
+            const first = await undoJournal(await readJournal(journal.path));
+
+            expect(first).toMatchObject({ restored: 1, conflicts: [expect.objectContaining({ reason: expect.stringContaining("original location") })] });
+            expect(await findJournal(null, { directory: journalDir })).toMatchObject({ id: journal.id, undone: false });
+
+            await fs.remove(saga);
+            const second = await undoJournal(await findJournal(null, { directory: journalDir }));
+
+            expect(second).toMatchObject({ restored: 1, conflicts: [], errors: [] });
+            expect(await fs.readFile(saga, "utf-8")).toBe("comic");
+            expect(await fs.readFile(batman, "utf-8")).toBe("comic");
+            expect(await fs.pathExists(path.join(testDir, "library"))).toBe(false);
+            expect(await listJournals({ directory: journalDir })).toHaveLength(0);
+        });
+
+        it("should carry a converted file back in place of the original it replaced", async () => {
+            const source = await createFile("inbox/Saga 001.cbr", "rar pages");
+            const journal = createJournal("auto", {}, { directory: journalDir });
+            const { destination } = await moveFile(source, path.join(testDir, "library", "Saga"), { journal });
+
+            // Converting writes a CBZ next to the original and deletes the original
+            const before = await fs.stat(destination);
+            const converted = await createFile("library/Saga/Saga 001.cbz", "zip pages");
+            await fs.remove(destination);
+            await recordReplacements([{ path: destination, before, replacement: converted }], { directory: journalDir });
+
+            const result = await undoJournal(await readJournal(journal.path));
+
+            expect(result).toMatchObject({ restored: 1, conflicts: [] });
+            expect(await fs.readFile(path.join(testDir, "inbox", "Saga 001.cbz"), "utf-8")).toBe("zip pages");
+            expect(await fs.pathExists(path.join(testDir, "library"))).toBe(false);
+        });
+
+        it("should recreate removed folders", async () => {
+            const folder = path.join(testDir, "library", "Old");
+            await fs.ensureDir(folder);
+            const journal = createJournal("flatten", {}, { directory: journalDir });
+            await fs.rmdir(folder);
+            await journal.recordRmdir(folder);
+
+            const result = await undoJournal(await readJournal(journal.path));
+
+            expect(result.foldersRestored).toBe(1);
+            expect(await fs.pathExists(folder)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { buildLibraryStats, getComicInfoShare, statsToCsv, statsToHtml } from "../src/services/libraryStats.js";
+import { runLibraryStats } from "../src/organizers/stats.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Library stats", () => {
+    describe("buildLibraryStats", () => {
+        const files = ["/lib/Image/Saga/Saga 001.cbz", "/lib/Image/Saga/Saga 002.cbz", "/lib/DC/Batman 001 (1994).cbr", "/lib/misc/Random.pdf"];
+        const metadata = [
+            { series: "Saga", publisher: "Image", year: 2012, format: "Main Series", source: "comicinfo-xml" },
+            { series: "Saga", publisher: "Image", year: 2012, format: "Main Series", source: "comicinfo-xml" },
+            { series: "Batman", publisher: "DC Comics", year: 1994, format: null, source: "pattern-match" },
+            { series: null, publisher: null, year: null, source: "filename-analysis" },
+        ];
+        const sizes = [100, 200, 1000, 50];
+
+        it("should total files and bytes by publisher, series, format, file type and decade", () => {
+            const stats = buildLibraryStats("/lib", files, metadata, sizes);
+
+            expect(stats.totals).toEqual({ files: 4, bytes: 1350, publishers: 3, series: 3, withComicInfo: 2 });
+            expect(stats.publishers[0]).toEqual({ name: "Image", files: 2, bytes: 300, series: 1 });
+            expect(stats.series.map((series) => series.name)).toEqual(["Batman", "Saga", "Random"]);
+            expect(stats.series[1]).toEqual({ name: "Saga", publisher: "Image", files: 2, bytes: 300 });
+            expect(stats.formats.map((format) => format.name)).toEqual(["Unknown", "Main Series"]);
+            expect(stats.fileTypes.map((type) => [type.name, type.files])).toEqual([
+                ["CBZ", 2],
+                ["CBR", 1],
+                ["PDF", 1],
+            ]);
+            expect(stats.decades.map((decade) => decade.name)).toEqual(["1990s", "2010s", "Unknown"]);
+            expect(getComicInfoShare(stats)).toBe(50);
+        });
+
+        it("should export CSV and HTML with special characters escaped", () => {
+            const stats = buildLibraryStats("/lib", ["/lib/a.cbz"], [{ series: 'Rock, Paper & "Scissors"', publisher: "<Indie>", year: 2001 }], [10]);
+
+            const csv = statsToCsv(stats);
+            expect(csv.split("\n")[0]).toBe("category,name,publisher,files,bytes,size");
+            expect(csv).toContain('series,"Rock, Paper & ""Scissors""",<Indie>,1,10,10 B');
+
+            const html = statsToHtml(stats);
+            expect(html).toContain("Rock, Paper &amp; &quot;Scissors&quot;");
+            expect(html).toContain("&lt;Indie&gt;");
+            expect(html).not.toContain("<Indie>");
+        });
+    });
+
+    describe("runLibraryStats", () => {
+        let testDir;
+        let libraryDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-stats-"));
+            libraryDir = path.join(testDir, "library");
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        async function writeCbz(relativePath, comicInfo = null) {
+            const zip = new AdmZip();
+            zip.addFile("01.jpg", Buffer.from("a"));
+            zip.addFile("02.jpg", Buffer.from("b"));
+            if (comicInfo) zip.addFile("ComicInfo.xml", Buffer.from(comicInfo));
+            const filePath = path.join(libraryDir, relativePath);
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, zip.toBuffer());
+        }
+
+        it("should scan a library, skip set-aside folders and export the report", async () => {
+            const comicInfo = "<ComicInfo><Series>Saga</Series><Publisher>Image</Publisher><Year>2012</Year></ComicInfo>";
+            await writeCbz("Image/Saga/Saga 001.cbz", comicInfo);
+            await writeCbz("Image/Saga/Saga 002.cbz", comicInfo);
+            await writeCbz("Unsorted/Mystery Comic 001.cbz");
+            await writeCbz("_Duplicates/Image/Saga/Saga 001.cbz", comicInfo);
+            const reportPath = path.join(testDir, "stats.json");
+
+            const stats = await runLibraryStats(libraryDir, { useCache: false, exportPath: reportPath });
+
+            expect(stats.totals).toMatchObject({ files: 3, withComicInfo: 2 });
+            expect(stats.series[0]).toMatchObject({ name: "Saga", publisher: "Image", files: 2 });
+
+            const report = await fs.readJson(reportPath);
+            expect(report.totals).toMatchObject({ files: 3, comicInfoShare: 66.7 });
+            expect(report.decades).toContainEqual(expect.objectContaining({ name: "2010s", files: 2 }));
+        });
+
+        it("should refuse an unsupported export format before scanning", async () => {
+            await writeCbz("Saga 001.cbz");
+
+            await expect(runLibraryStats(libraryDir, { useCache: false, exportPath: path.join(testDir, "stats.txt") })).rejects.toThrow(".json, .csv, .html");
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { loadFilterConfig, runManualOrganizer } from "../src/organizers/manual.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Manual Organization", () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-manual-"));
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+        await fs.ensureDir(path.join(testDir, "inbox"));
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function writeFilters(filters) {
+        const configPath = path.join(testDir, "filters.json");
+        await fs.writeJson(configPath, { filters });
+        return configPath;
+    }
+
+    async function organize(filenames, filters) {
+        for (const filename of filenames) {
+            await fs.writeFile(path.join(testDir, "inbox", filename), filename);
+        }
+        const result = await runManualOrganizer(path.join(testDir, "inbox"), path.join(testDir, "out"), await writeFilters(filters), { dryRun: true });
+        expect(result.wouldMove).toBeGreaterThan(0);
+
+        const logged = console.log.mock.calls.map((call) => call.join(" ")).join("\n");
+        return Object.fromEntries(filenames.map((filename) => [filename, logged.match(new RegExp(`out/(.*)/${filename.replace(/[()]/g, "\\$&")}`))?.[1] ?? null]));
+    }
+
+    describe("Capture groups in names", () => {
+        it("should fill folder names from named capture groups", async () => {
+            const folders = await organize(["Paper Girls 001.cbz", "Saga 054.cbz", "Oneshot.cbz"], [{ name: "Indie/{series}", pattern: "^(?<series>.+?) \\d{3}" }]);
+
+            expect(folders).toEqual({ "Paper Girls 001.cbz": "Indie/Paper Girls", "Saga 054.cbz": "Indie/Saga", "Oneshot.cbz": null });
+        });
+
+        it("should let sub-filters use their parents' groups", async () => {
+            const folders = await organize(
+                ["Marvel - Daredevil 1964 001.cbz", "DC - Swamp Thing 1982 020.cbz", "DC - Sandman 001.cbz"],
+                [
+                    {
+                        name: "{publisher}",
+                        pattern: "^(?<publisher>marvel|dc) - ",
+                        filters: [{ name: "{series} ({year}) by {publisher}", pattern: " - (?<series>.+?) (?<year>\\d{4})" }],
+                    },
+                ]
+            );
+
+            expect(folders).toEqual({
+                "Marvel - Daredevil 1964 001.cbz": "Marvel/Daredevil (1964) by Marvel",
+                "DC - Swamp Thing 1982 020.cbz": "DC/Swamp Thing (1982) by DC",
+                "DC - Sandman 001.cbz": "DC",
+            });
+        });
+
+        it("should skip empty optional groups and sanitize captured values", async () => {
+            const folders = await organize(
+                ["Batman: Year One 001.cbz", "Batman - Hush 002.cbz", "Batman 003.cbz"],
+                [{ name: "{series}/{arc}", pattern: "^(?<series>batman[^-\\d]*?)(?: - (?<arc>.+?))? \\d{3}" }]
+            );
+
+            expect(folders).toEqual({ "Batman: Year One 001.cbz": "Batman- Year One", "Batman - Hush 002.cbz": "Batman/Hush", "Batman 003.cbz": "Batman" });
+        });
+    });
+
+    describe("Validation", () => {
+        it("should flag names that use groups no pattern defines", async () => {
+            const configPath = await writeFilters([
+                { name: "Indie/{series}", pattern: "^(?<title>.+?) \\d{3}" },
+                { name: "{publisher}", pattern: "^(?<publisher>dc) - ", filters: [{ name: "{publisher} {series}", pattern: "(?<=- )(?<series>.+)" }] },
+                { name: "{series}", match: { field: "format", equals: "TPB" } },
+            ]);
+
+            await expect(loadFilterConfig(configPath)).rejects.toThrow(
+                'Filter "Indie/{series}" name uses {series}, but its pattern has no (?<series>...) group (defined groups: title)'
+            );
+            await expect(loadFilterConfig(configPath)).rejects.toThrow('Filter "{series}" name uses {series}, but its pattern has no (?<series>...) group (no named groups are defined)');
+            await expect(loadFilterConfig(configPath)).rejects.not.toThrow("{publisher} {series}");
+        });
+    });
+});
@@ -128,7 +128,7 @@ describe("Metadata Service", () => {
             expect(result.suggestedFolder).toBe("Marvel/Spider-Man");
         });
 
-        it("should fall back to imprint if publisher not specified", async () => {
+        it("should use the imprint if publisher not specified", async () => {
             const comicInfo = {
                 series: "Sandman",
                 imprint: "Vertigo",
@@ -141,7 +141,10 @@ describe("Metadata Service", () => {
                 filePath: "/path/to/sandman001.cbz",
             });
 
-            expect(result.publisher).toBe("Vertigo");
+            // Vertigo is a DC Comics imprint, filed under "Vertigo" by default
+            expect(result.publisher).toBe("DC Comics");
+            expect(result.imprint).toBe("Vertigo");
+            expect(result.suggestedFolder).toBe("Vertigo/Sandman");
         });
     });
 
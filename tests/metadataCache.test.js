@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { openMetadataCache, clearMetadataCache } from "../src/services/metadataCache.js";
+import { batchGetMetadata, getComicMetadata } from "../src/services/metadata.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Metadata Cache", () => {
+    let testDir;
+    let cachePath;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-cache-test-"));
+        cachePath = path.join(testDir, "cache", "metadata.json");
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+        vi.restoreAllMocks();
+    });
+
+    describe("file entries", () => {
+        it("should return cached ComicInfo while size and mtime are unchanged", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            const stat = { size: 100, mtimeMs: 1000 };
+
+            cache.setFile("/comics/saga.cbz", stat, { series: "Saga" });
+
+            expect(cache.getFile("/comics/saga.cbz", stat)).toEqual({ series: "Saga" });
+        });
+
+        it("should miss when the file changed", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            cache.setFile("/comics/saga.cbz", { size: 100, mtimeMs: 1000 }, { series: "Saga" });
+
+            expect(cache.getFile("/comics/saga.cbz", { size: 200, mtimeMs: 1000 })).toBeUndefined();
+            expect(cache.getFile("/comics/saga.cbz", { size: 100, mtimeMs: 2000 })).toBeUndefined();
+        });
+
+        it("should cache files without ComicInfo as null", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            const stat = { size: 100, mtimeMs: 1000 };
+
+            cache.setFile("/comics/saga.cbz", stat, null);
+
+            expect(cache.getFile("/comics/saga.cbz", stat)).toBeNull();
+        });
+    });
+
+    describe("API entries", () => {
+        it("should key API results by provider and normalized query", async () => {
+            const cache = await openMetadataCache({ cachePath });
+
+            cache.setApi("google-books", "Saga ", { title: "Saga" });
+
+            expect(cache.getApi("google-books", "saga")).toEqual({ title: "Saga" });
+            expect(cache.getApi("comicvine", "saga")).toBeUndefined();
+        });
+
+        it("should expire entries older than the max age", async () => {
+            const cache = await openMetadataCache({ cachePath, apiMaxAge: 1000 });
+            cache.setApi("google-books", "saga", { title: "Saga" });
+
+            vi.spyOn(Date, "now").mockReturnValue(Date.now() + 5000);
+
+            expect(cache.getApi("google-books", "saga")).toBeUndefined();
+        });
+    });
+
+    describe("persistence", () => {
+        it("should save to disk and load again", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            cache.setApi("google-books", "saga", { title: "Saga" });
+            await cache.save();
+
+            const reopened = await openMetadataCache({ cachePath });
+
+            expect(reopened.size).toBe(1);
+            expect(reopened.getApi("google-books", "saga")).toEqual({ title: "Saga" });
+        });
+
+        it("should start empty when the cache file is corrupt", async () => {
+            await fs.outputFile(cachePath, "not json");
+
+            const cache = await openMetadataCache({ cachePath });
+
+            expect(cache.size).toBe(0);
+        });
+
+        it("should clear the cache and report removed entries", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            cache.setApi("google-books", "saga", { title: "Saga" });
+            cache.setFile("/comics/saga.cbz", { size: 1, mtimeMs: 1 }, null);
+            await cache.save();
+
+            expect(await clearMetadataCache(cachePath)).toBe(2);
+            expect(await fs.pathExists(cachePath)).toBe(false);
+            expect(await clearMetadataCache(cachePath)).toBe(0);
+        });
+    });
+
+    describe("getComicMetadata with a cache", () => {
+        it("should use cached API results instead of fetching", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            cache.setApi("google-books", "Invincible", { title: "Invincible", publisher: "Image Comics" });
+            global.fetch = vi.fn();
+
+            const result = await getComicMetadata("Invincible.cbz", { useApi: true, cache });
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(result.source).toBe("api-lookup");
+            expect(result.publisher).toBe("Image");
+        });
+
+        it("should store API results in the cache", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            global.fetch = vi.fn(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ items: [{ volumeInfo: { title: "Invincible", publisher: "Image Comics" } }] }),
+                })
+            );
+
+            await getComicMetadata("Invincible.cbz", { useApi: true, cache });
+            await getComicMetadata("Invincible.cbz", { useApi: true, cache });
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it("should not cache failed requests", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            global.fetch = vi.fn(() => Promise.reject(new Error("offline")));
+
+            await getComicMetadata("Invincible.cbz", { useApi: true, cache });
+
+            expect(cache.getApi("google-books", "Invincible")).toBeUndefined();
+        });
+
+        it("should finish a batch when the cache can't be saved", async () => {
+            const cache = await openMetadataCache({ cachePath });
+            cache.save = vi.fn(() => Promise.reject(new Error("disk full")));
+            const output = vi.spyOn(console, "log").mockImplementation(() => {});
+
+            const results = await batchGetMetadata(["/inbox/Saga 001.cbz", "/inbox/Saga 002.cbz"], { useApi: false, cache });
+
+            expect(results).toHaveLength(2);
+            expect(cache.save).toHaveBeenCalled();
+            expect(output.mock.calls.flat().join(" ")).toContain("disk full");
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { excludeFiles, groupByFolder, mergeFolders, moveToFolder, setSeries } from "../src/services/planEditor.js";
+
+/**
+ * An assignment like buildAssignments makes
+ */
+function assignment(file, folder, detectedSeries, metadata = {}) {
+    return { file, folder, publisherFolder: folder.split("/")[0], metadata: { series: detectedSeries, cleanedName: detectedSeries, ...metadata }, detectedSeries };
+}
+
+describe("Plan editor", () => {
+    const plan = [
+        assignment("/in/Saga 001.cbz", "Image/Saga", "Saga"),
+        assignment("/in/Saga 002.cbz", "Image/Saga", "Saga"),
+        assignment("/in/Sage 003.cbz", "Image/Sage", "Sage"),
+        assignment("/in/Batman 001.cbz", "Image/Batman", "Batman"),
+    ];
+
+    it("should group files by folder in plan order", () => {
+        expect([...groupByFolder(plan).entries()].map(([folder, items]) => [folder, items.length])).toEqual([
+            ["Image/Saga", 2],
+            ["Image/Sage", 1],
+            ["Image/Batman", 1],
+        ]);
+    });
+
+    it("should move and leave out single files", () => {
+        const moved = moveToFolder(plan, ["/in/Saga 002.cbz"], "Image/Saga/Extras");
+        expect(moved.map((item) => item.folder)).toEqual(["Image/Saga", "Image/Saga/Extras", "Image/Sage", "Image/Batman"]);
+
+        expect(excludeFiles(moved, ["/in/Batman 001.cbz"]).map((item) => item.file)).not.toContain("/in/Batman 001.cbz");
+        expect(plan[1].folder).toBe("Image/Saga");
+    });
+
+    it("should change the series and publisher and work out the folder from the template", () => {
+        const edited = setSeries(plan, ["/in/Batman 001.cbz"], { publisher: "DC Comics" }, "{publisher}/{series}");
+        expect(edited[3]).toMatchObject({ folder: "DC Comics/Batman", publisherFolder: "DC Comics", detectedSeries: "Batman" });
+
+        const noPublisher = setSeries(plan, ["/in/Batman 001.cbz"], { series: "Batman: Year One", publisher: null }, "{publisher}/{series}");
+        expect(noPublisher[3]).toMatchObject({ folder: "Batman- Year One", publisherFolder: null, detectedSeries: "Batman: Year One" });
+    });
+
+    it("should split files off into a new series", () => {
+        const edited = setSeries(plan, ["/in/Saga 002.cbz"], { series: "Saga Special" }, "{publisher}/{series}");
+
+        expect(edited.map((item) => item.folder)).toEqual(["Image/Saga", "Image/Saga Special", "Image/Sage", "Image/Batman"]);
+    });
+
+    it("should merge folders into the target's series", () => {
+        const merged = mergeFolders(plan, ["Image/Saga", "Image/Sage"], "Image/Saga");
+
+        expect(merged[2]).toMatchObject({ folder: "Image/Saga", detectedSeries: "Saga" });
+        expect(merged[3].folder).toBe("Image/Batman");
+    });
+
+    it("should give files put in the review folder their own review entry", () => {
+        const queued = [...plan, { ...assignment("/in/Random 001.cbz", "_Review", "Random", { confidence: "low", source: "filename-analysis" }), review: { reason: "Low confidence match (low, filename-analysis)", suggestedFolder: "Unsorted/Random" } }];
+
+        const moved = moveToFolder(queued, ["/in/Batman 001.cbz", "/in/Random 001.cbz"], "_Review");
+        expect(moved[3]).toMatchObject({ folder: "_Review", review: { suggestedFolder: "Image/Batman" } });
+        expect(moved[4]).toBe(queued[4]);
+
+        const merged = mergeFolders(queued, ["Image/Sage", "_Review"], "_Review");
+        expect(merged[2]).toMatchObject({ folder: "_Review", detectedSeries: "Sage", review: { suggestedFolder: "Image/Sage" } });
+
+        expect(moveToFolder(moved, ["/in/Batman 001.cbz"], "Image/Batman")[3]).toMatchObject({ folder: "Image/Batman", review: null });
+    });
+});
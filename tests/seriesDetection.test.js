@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { detectSeriesGroups, createSeriesLookupMap } from "../src/services/seriesDetection.js";
+import { detectSeriesGroups, createSeriesLookupMap, normalizeSeriesKey } from "../src/services/seriesDetection.js";
 
 describe("Series Detection Service", () => {
     describe("detectSeriesGroups", () => {
@@ -132,6 +132,13 @@ describe("Series Detection Service", () => {
         });
     });
 
+    describe("normalizeSeriesKey", () => {
+        it("should ignore case, punctuation and a leading 'The'", () => {
+            expect(normalizeSeriesKey("The Walking Dead")).toBe(normalizeSeriesKey("walking-dead"));
+            expect(normalizeSeriesKey("Spider-Man")).toBe("spiderman");
+        });
+    });
+
     describe("createSeriesLookupMap", () => {
         it("should create a map of files to series names", () => {
             const groups = [
@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { parseTemplate, validateTemplate, renderTemplate, renderFolderTemplate, getTemplateFields, sanitizeName } from "../src/services/templates.js";
+import { applyPatternConfig } from "../src/services/patterns.js";
+import { applyUserConfig, getUserConfig, loadUserConfig, saveUserConfig, validateUserConfig } from "../src/services/userConfig.js";
+import { getComicMetadata } from "../src/services/metadata.js";
+import { buildAssignments } from "../src/organizers/auto.js";
+import { getRenameFormats, renameFilesHandler } from "../src/postProcessors/renameFiles.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Templates", () => {
+    describe("parseTemplate", () => {
+        it("should parse fields, alternatives, padding and optional sections", () => {
+            expect(parseTemplate("{series} #{issue:000}{? ({year})}")).toEqual([
+                { type: "field", alternatives: [{ field: "series" }], padding: 0 },
+                { type: "text", value: " #" },
+                { type: "field", alternatives: [{ field: "issue" }], padding: 3 },
+                {
+                    type: "optional",
+                    nodes: [
+                        { type: "text", value: " (" },
+                        { type: "field", alternatives: [{ field: "year" }], padding: 0 },
+                        { type: "text", value: ")" },
+                    ],
+                },
+            ]);
+            expect(parseTemplate("{publisher|imprint|Unsorted}")[0].alternatives).toEqual([{ field: "publisher" }, { field: "imprint" }, { text: "Unsorted" }]);
+        });
+
+        it("should describe syntax errors", () => {
+            expect(validateTemplate("{series}/{seris}")).toEqual(['Unknown field "seris" in {seris}']);
+            expect(validateTemplate("{series")).toEqual(['Field at position 1 is missing its closing "}"']);
+            expect(validateTemplate("{? v{volume}")).toEqual(['Optional section at position 1 is missing its closing "}"']);
+            expect(validateTemplate("series}")).toEqual(['Unexpected "}" at position 7']);
+            expect(validateTemplate("{issue:0x}")[0]).toContain('Invalid number format "0x"');
+            expect(validateTemplate("{Unsorted|series}")).toEqual(['Unknown field "Unsorted" in {Unsorted|series}']);
+            expect(validateTemplate("")).toEqual(["Template must be a non-empty string"]);
+        });
+    });
+
+    describe("renderTemplate", () => {
+        it("should fill in fields and fallbacks", () => {
+            const fields = { series: "Batman", issue: "7", year: null, publisher: null };
+
+            expect(renderTemplate("{series} #{issue:000}", fields)).toBe("Batman #007");
+            expect(renderTemplate("{series} #{issue:000}", { ...fields, issue: "7.5" })).toBe("Batman #007.5");
+            expect(renderTemplate("{publisher|Unsorted} - {series}", fields)).toBe("Unsorted - Batman");
+        });
+
+        it("should leave out optional sections with missing fields", () => {
+            expect(renderTemplate("{series}{? ({year})}", { series: "Batman", year: 2016 })).toBe("Batman (2016)");
+            expect(renderTemplate("{series}{? ({year})}", { series: "Batman", year: null })).toBe("Batman");
+        });
+    });
+
+    describe("renderFolderTemplate", () => {
+        it("should drop empty folders and brackets and sanitize names", () => {
+            expect(renderFolderTemplate("{publisher}/{series} ({startYear})/{format}", { publisher: null, series: "Batman", startYear: null, format: null })).toBe("Batman");
+            expect(renderFolderTemplate("{series}/{title}", { series: "Batman", title: "What/If: Part 1?" })).toBe("Batman/What-If- Part 1-");
+            expect(renderFolderTemplate("{publisher}/{series}", { publisher: "DC Comics/Vertigo", series: "Sandman." })).toBe("DC Comics/Vertigo/Sandman");
+            expect(renderFolderTemplate("{format}", {})).toBe("");
+        });
+
+        it("should sanitize names like renamed files", () => {
+            expect(sanitizeName('Spawn: "Origins"  [ ]')).toBe("Spawn- -Origins-");
+        });
+    });
+
+    describe("getTemplateFields", () => {
+        let testDir;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-templates-"));
+        });
+
+        afterEach(async () => {
+            applyPatternConfig(null);
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        it("should expose ComicInfo fields and the start year", async () => {
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from("page"));
+            zip.addFile(
+                "ComicInfo.xml",
+                Buffer.from(
+                    "<ComicInfo><Series>Batman</Series><Number>7</Number><Volume>2016</Volume><Year>2017</Year><Publisher>DC Comics</Publisher><Format>TPB</Format><Penciller>David Finch</Penciller></ComicInfo>"
+                )
+            );
+            const filePath = path.join(testDir, "Batman 007.cbz");
+            zip.writeZip(filePath);
+
+            const metadata = await getComicMetadata("Batman 007.cbz", { filePath, useApi: false });
+            const fields = getTemplateFields(metadata);
+
+            expect(fields).toMatchObject({ series: "Batman", issue: 7, publisher: "DC Comics", year: 2017, volume: 2016, startYear: 2016, format: "TPB", penciller: "David Finch" });
+            expect(renderFolderTemplate("{publisher}/{series} ({startYear})/{format}", fields)).toBe("DC Comics/Batman (2016)/TPB");
+            expect(renderFolderTemplate("{series} v{volume}", fields)).toBe("Batman v2016");
+        });
+
+        it("should fall back to the cleaned name and the imprint layout", async () => {
+            applyPatternConfig({ imprintLayout: "nested" });
+            const metadata = await getComicMetadata("Sandman 001 (1989).cbz", { useApi: false });
+
+            expect(getTemplateFields(metadata)).toMatchObject({ series: "Sandman", publisher: "DC Comics/Vertigo", startYear: 1989 });
+            expect(getTemplateFields({ cleanedName: "Unknown Comic" }).series).toBe("Unknown Comic");
+        });
+    });
+
+    describe("Automatic organization", () => {
+        let testDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-templates-"));
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = testDir;
+        });
+
+        afterEach(async () => {
+            await fs.remove(path.join(testDir, "config.json"));
+            await applyUserConfig();
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        async function assign(files, seriesGroups, options) {
+            const metadataResults = [];
+            for (const file of files) {
+                metadataResults.push(await getComicMetadata(path.basename(file), { useApi: false }));
+            }
+            const seriesLookupMap = new Map(seriesGroups.flatMap((group) => group.files.map((file) => [file, group.seriesName])));
+            return buildAssignments(files, metadataResults, seriesLookupMap, seriesGroups, options).map((assignment) => assignment.folder);
+        }
+
+        it("should build folders from the template", async () => {
+            const files = ["/inbox/Batman 001 (2016).cbz", "/inbox/Batman 002 (2016).cbz", "/inbox/Mystery Comic 001.cbz"];
+            const seriesGroups = [{ seriesName: "Batman", files: files.slice(0, 2) }];
+
+            expect(await assign(files, seriesGroups)).toEqual(["DC Comics/Batman", "DC Comics/Batman", "Unsorted/Mystery Comic 001"]);
+            expect(await assign(files, seriesGroups, { folderTemplate: "{series} ({startYear})" })).toEqual(["Batman (2016)", "Batman (2016)", "Mystery Comic 001"]);
+        });
+
+        it("should fall back to Unsorted when the template renders nothing", async () => {
+            expect(await assign(["/inbox/Batman 001.cbz"], [], { folderTemplate: "{format}" })).toEqual(["Unsorted"]);
+        });
+
+        it("should validate the config file's folder template", async () => {
+            expect(validateUserConfig({ folderTemplate: "{publisher}/{serie}" })).toEqual(['"folderTemplate": Unknown field "serie" in {serie}']);
+
+            await fs.writeJson(path.join(testDir, "config.json"), { folderTemplate: "{series}" });
+            expect((await applyUserConfig()).folderTemplate).toBe("{series}");
+        });
+    });
+
+    describe("Rename templates", () => {
+        let testDir;
+        let originalHome;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-templates-"));
+            originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+            await fs.ensureDir(path.join(testDir, "comics"));
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            await fs.remove(process.env.COMIC_ORGANIZER_HOME);
+            await applyUserConfig();
+            if (originalHome === undefined) {
+                delete process.env.COMIC_ORGANIZER_HOME;
+            } else {
+                process.env.COMIC_ORGANIZER_HOME = originalHome;
+            }
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        async function createCBZ(filename, comicInfo = null) {
+            const zip = new AdmZip();
+            zip.addFile("page01.jpg", Buffer.from(filename));
+            if (comicInfo) {
+                zip.addFile("ComicInfo.xml", Buffer.from(comicInfo));
+            }
+            zip.writeZip(path.join(testDir, "comics", filename));
+        }
+
+        async function rename(format) {
+            const comicsDir = path.join(testDir, "comics");
+            await renameFilesHandler(comicsDir, comicsDir, { interactive: false, format, useApi: false, useCache: false });
+            return (await fs.readdir(comicsDir)).sort();
+        }
+
+        it("should list saved templates after the built-in formats", async () => {
+            await saveUserConfig({ renameTemplates: [{ name: "Short", template: "{series} #{issue:000}" }] });
+
+            const formats = getRenameFormats();
+            expect(formats[0].value).toBe("smart-format");
+            expect(formats.at(-1)).toMatchObject({ name: "Short", value: "Short", template: "{series} #{issue:000}" });
+        });
+
+        it("should rename with a saved template, leaving out missing optional parts", async () => {
+            await createCBZ("batman_7.cbz", "<ComicInfo><Series>Batman</Series><Number>7</Number><Year>2017</Year><Title>I Am Suicide: Part 1</Title></ComicInfo>");
+            await createCBZ("Saga 003 (2012).cbz");
+            await saveUserConfig({ renameTemplates: [{ name: "Full", template: "{series} #{issue:000} ({year}){? - {title}}" }] });
+
+            expect(await rename("full")).toEqual(["Batman #007 (2017) - I Am Suicide- Part 1.cbz", "Saga #003 (2012).cbz"]);
+        });
+
+        it("should accept a template as the format", async () => {
+            await createCBZ("Saga 003.cbz");
+
+            expect(await rename("{series}{? ({year})} - {issue:00}")).toEqual(["Saga - 03.cbz"]);
+            await expect(rename("{series} {isue}")).rejects.toThrow('Invalid rename template "{series} {isue}": Unknown field "isue"');
+        });
+
+        it("should save templates to the config file, keeping YAML comments", async () => {
+            const configPath = path.join(process.env.COMIC_ORGANIZER_HOME, "config.yaml");
+            await fs.outputFile(configPath, "# My publishers\npublishers:\n  - Vault\n");
+            await applyUserConfig();
+
+            expect(await saveUserConfig({ renameTemplates: [{ name: "Short", template: "{series} #{issue}" }] })).toBe(configPath);
+
+            const content = await fs.readFile(configPath, "utf-8");
+            expect(content).toContain("# My publishers");
+            expect(await loadUserConfig()).toEqual({ publishers: ["Vault"], renameTemplates: [{ name: "Short", template: "{series} #{issue}" }] });
+            expect(getUserConfig().renameTemplates).toHaveLength(1);
+        });
+
+        it("should reject invalid rename templates", async () => {
+            expect(validateUserConfig({ renameTemplates: [{ name: "A", template: "{series" }, { name: "a", template: "{series}" }, { template: "{series}" }] })).toEqual([
+                'Rename template "A": Field at position 1 is missing its closing "}"',
+                'Rename template "a" is defined more than once',
+                'renameTemplates[2] must have a "name"',
+            ]);
+            await expect(saveUserConfig({ renameTemplates: {} })).rejects.toThrow('"renameTemplates" must be a list');
+        });
+    });
+});
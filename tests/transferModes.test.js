@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { excludeOriginals, transferFile } from "../src/services/transferModes.js";
+import { moveWithCollisionPolicy } from "../src/services/collisions.js";
+import { createJournal, readJournal, undoJournal } from "../src/services/journal.js";
+import { runFlattenOrganizer } from "../src/organizers/flatten.js";
+import { convertCbrHandler } from "../src/postProcessors/convertCbr.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Transfer modes", () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-transfer-modes-"));
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    async function createFile(relativePath, content) {
+        const filePath = path.join(testDir, relativePath);
+        await fs.outputFile(filePath, content);
+        return filePath;
+    }
+
+    const libraryDir = () => path.join(testDir, "library", "Saga");
+
+    it("should copy, hardlink and symlink while keeping the original, and delete them on undo", async () => {
+        const source = await createFile("seeding/Saga 001.cbz", "pages");
+        const journal = createJournal("auto", {});
+
+        const copied = await transferFile(source, path.join(testDir, "copy"), { mode: "copy", journal });
+        const linked = await transferFile(source, path.join(testDir, "hardlink"), { mode: "hardlink", journal });
+        const symlinked = await transferFile(source, path.join(testDir, "symlink"), { mode: "symlink", journal });
+
+        expect(await fs.readFile(copied.destination, "utf-8")).toBe("pages");
+        expect((await fs.stat(linked.destination)).ino).toBe((await fs.stat(source)).ino);
+        expect(await fs.readlink(symlinked.destination)).toBe(source);
+        expect(await fs.readFile(source, "utf-8")).toBe("pages");
+
+        const result = await undoJournal(await readJournal(journal.path));
+
+        expect(result.conflicts).toEqual([]);
+        expect(await fs.pathExists(copied.destination)).toBe(false);
+        expect(await fs.pathExists(linked.destination)).toBe(false);
+        expect(await fs.pathExists(symlinked.destination)).toBe(false);
+        expect(await fs.readFile(source, "utf-8")).toBe("pages");
+    });
+
+    it("should never delete or swap out the original on a name clash", async () => {
+        const source = await createFile("seeding/Saga 001.cbz", "bigger file");
+        await createFile("library/Saga/Saga 001.cbz", "small");
+
+        const duplicate = await moveWithCollisionPolicy(source, libraryDir(), { policy: "dedupe", mode: "copy" });
+        expect(duplicate.action).toBe("suffix");
+
+        await fs.remove(path.join(libraryDir(), "Saga 001 (2).cbz"));
+        await fs.writeFile(path.join(libraryDir(), "Saga 001.cbz"), "bigger file");
+        expect(await moveWithCollisionPolicy(source, libraryDir(), { policy: "dedupe", mode: "copy" })).toMatchObject({ action: "skip", destination: null });
+
+        await fs.writeFile(path.join(libraryDir(), "Saga 001.cbz"), "small");
+        const replaced = await moveWithCollisionPolicy(source, libraryDir(), { policy: "larger", mode: "copy" });
+
+        expect(replaced.action).toBe("replace");
+        expect(await fs.readFile(path.join(libraryDir(), "Saga 001.cbz"), "utf-8")).toBe("bigger file");
+        expect(await fs.readFile(path.join(libraryDir(), "Saga 001 (2).cbz"), "utf-8")).toBe("small");
+        expect(await fs.readFile(source, "utf-8")).toBe("bigger file");
+    });
+
+    it("should flatten into copies and leave the originals out of post-processing", async () => {
+        const zip = new AdmZip();
+        zip.addFile("01.jpg", Buffer.from("page"));
+        const original = path.join(testDir, "inbox", "Saga", "Saga 001.cbr");
+        await fs.outputFile(original, zip.toBuffer());
+
+        const result = await runFlattenOrganizer(path.join(testDir, "inbox"), { transferMode: "copy" });
+
+        expect(result).toMatchObject({ moved: 1, foldersRemoved: 0, originals: [original] });
+
+        await convertCbrHandler(path.join(testDir, "inbox"), path.join(testDir, "inbox"), { interactive: false, originals: result.originals });
+
+        expect(await fs.pathExists(path.join(testDir, "inbox", "Saga 001.cbz"))).toBe(true);
+        expect(await fs.pathExists(original)).toBe(true);
+    });
+
+    it("should only leave out originals when there are any", () => {
+        expect(excludeOriginals(["/a.cbz", "/b.cbz"], ["/b.cbz"])).toEqual(["/a.cbz"]);
+        expect(excludeOriginals(["/a.cbz"])).toEqual(["/a.cbz"]);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createTransferStats, describeTransfers, getPartialPath, moveFile, moveVerified } from "../src/utils/files.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Moves between drives", () => {
+    let testDir;
+    let source;
+    let destination;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-transfers-"));
+        source = path.join(testDir, "inbox", "Saga 001.cbz");
+        destination = path.join(testDir, "library", "Saga 001.cbz");
+        await fs.outputFile(source, "0123456789");
+        await fs.ensureDir(path.dirname(destination));
+
+        // Renaming out of the inbox fails like it does across filesystems; renaming the verified copy still works
+        const rename = fs.rename;
+        vi.spyOn(fs, "rename").mockImplementation((from, to) => {
+            if (from.endsWith(".partial")) return rename(from, to);
+            return Promise.reject(Object.assign(new Error("cross-device link not permitted"), { code: "EXDEV" }));
+        });
+    });
+
+    afterEach(async () => {
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it("should copy, verify, keep the modification time and then remove the original", async () => {
+        const mtime = new Date("2020-05-01T12:00:00Z");
+        await fs.utimes(source, mtime, mtime);
+        const transfers = createTransferStats();
+
+        await moveFile(source, path.dirname(destination), { transfers });
+
+        expect(await fs.readFile(destination, "utf-8")).toBe("0123456789");
+        expect((await fs.stat(destination)).mtime.getTime()).toBe(mtime.getTime());
+        expect(await fs.pathExists(source)).toBe(false);
+        expect(await fs.pathExists(getPartialPath(destination))).toBe(false);
+        expect(transfers).toMatchObject({ copied: 1, resumed: 0, bytes: 10 });
+    });
+
+    it("should resume an interrupted copy", async () => {
+        await fs.writeFile(getPartialPath(destination), "012345");
+        const transfers = createTransferStats();
+
+        await moveVerified(source, destination, { transfers });
+
+        expect(await fs.readFile(destination, "utf-8")).toBe("0123456789");
+        expect(transfers).toMatchObject({ copied: 1, resumed: 1, bytes: 4 });
+    });
+
+    it("should start over when the partial copy doesn't match the original", async () => {
+        await fs.writeFile(getPartialPath(destination), "abcdef");
+        const transfers = createTransferStats();
+
+        await moveVerified(source, destination, { transfers });
+
+        expect(await fs.readFile(destination, "utf-8")).toBe("0123456789");
+        expect(await fs.pathExists(source)).toBe(false);
+        expect(transfers).toMatchObject({ copied: 1, resumed: 0, bytes: 14 });
+    });
+
+    it("should refuse to overwrite an existing file", async () => {
+        await fs.writeFile(destination, "existing");
+
+        await expect(moveVerified(source, destination)).rejects.toThrow("Saga 001.cbz already exists");
+        expect(await fs.readFile(source, "utf-8")).toBe("0123456789");
+    });
+
+    it("should describe throughput", () => {
+        expect(describeTransfers(createTransferStats())).toBeNull();
+        expect(describeTransfers({ copied: 2, resumed: 1, bytes: 4 * 1024 * 1024, elapsedMs: 2000 })).toBe("2 files, 4.0 MB in 2.0s (2.0 MB/s), 1 resumed");
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { applyUserConfig, findUserConfigPath, loadUserConfig, validateUserConfig } from "../src/services/userConfig.js";
+import { applyPatternConfig, getParentPublisher, getPublisherAliases, getSeriesPatterns } from "../src/services/patterns.js";
+import { getComicMetadata } from "../src/services/metadata.js";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("User Configuration", () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-config-"));
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = testDir;
+    });
+
+    afterEach(async () => {
+        applyPatternConfig(null);
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    const YAML_CONFIG = `
+publishers:
+  - Vault
+  - Ahoy Comics
+aliases:
+  vault comics: vault
+imprints:
+  Black Label: DC Comics
+series:
+  - pattern: "heavy[-\\\\s]?metal"
+    series: Heavy Metal
+    publisher: Heavy Metal Magazine
+  - pattern: "wasted space"
+    series: Wasted Space
+    publisher: Vault
+`;
+
+    describe("loadUserConfig", () => {
+        it("should return an empty config when there is no config file", async () => {
+            expect(await findUserConfigPath()).toBeNull();
+            expect(await loadUserConfig()).toEqual({});
+        });
+
+        it("should read JSON and YAML config files", async () => {
+            await fs.writeFile(path.join(testDir, "config.yml"), "publishers:\n  - Vault\n");
+            expect(await loadUserConfig()).toEqual({ publishers: ["Vault"] });
+
+            await fs.writeJson(path.join(testDir, "config.json"), { publishers: ["Ahoy Comics"] });
+            expect(await findUserConfigPath()).toBe(path.join(testDir, "config.json"));
+            expect(await loadUserConfig()).toEqual({ publishers: ["Ahoy Comics"] });
+        });
+
+        it("should report every problem with the file path", async () => {
+            const configPath = path.join(testDir, "config.yaml");
+            await fs.writeFile(configPath, YAML_CONFIG);
+
+            await expect(loadUserConfig()).rejects.toThrow(`Invalid configuration in ${configPath}`);
+            await expect(loadUserConfig()).rejects.toThrow('refers to unknown publisher "Heavy Metal Magazine"');
+        });
+
+        it("should report files that can't be parsed", async () => {
+            await fs.writeFile(path.join(testDir, "config.json"), "{ publishers: ");
+
+            await expect(loadUserConfig()).rejects.toThrow("Could not parse");
+        });
+    });
+
+    describe("validateUserConfig", () => {
+        it("should accept a valid config", () => {
+            expect(
+                validateUserConfig({
+                    publishers: ["Vault"],
+                    aliases: { "vault comics": "Vault", vertigo: "Vertigo" },
+                    imprints: { "Black Label": "DC Comics" },
+                    series: [{ pattern: "wasted space", series: "Wasted Space", publisher: "vault" }],
+                })
+            ).toEqual([]);
+        });
+
+        it("should reject wrong types", () => {
+            expect(validateUserConfig([])).toEqual(["Configuration must be an object"]);
+            expect(validateUserConfig({ publishers: "Vault", aliases: [], imprints: "DC", series: {} })).toHaveLength(4);
+            expect(validateUserConfig({ publishers: ["Vault", ""] })).toEqual(["publishers[1] must be a non-empty string"]);
+        });
+
+        it("should reject invalid worker and API rate settings", () => {
+            expect(validateUserConfig({ workers: 8, apiRequestsPerSecond: 0.5 })).toEqual([]);
+            expect(validateUserConfig({ workers: 2.5, apiRequestsPerSecond: 0 })).toEqual([
+                '"workers" must be a whole number of at least 1',
+                '"apiRequestsPerSecond" must be a number above 0',
+            ]);
+        });
+
+        it("should reject unknown publishers, bad regexes and incomplete series patterns", () => {
+            const errors = validateUserConfig({
+                aliases: { ahoy: "Ahoy Comics" },
+                imprints: { "Black Label": "DC Comics", Loop: "Loop" },
+                series: [{ pattern: "wasted (space", series: "Wasted Space", publisher: "DC Comics" }, { pattern: "x" }, "nope"],
+            });
+
+            expect(errors).toEqual([
+                'Imprint "Loop" can\'t be its own parent publisher',
+                'Alias "ahoy" refers to unknown publisher "Ahoy Comics" (add it to "publishers" first)',
+                expect.stringContaining('Series pattern "Wasted Space" has invalid regex pattern'),
+                'series[1] must have a "series" name',
+                "series[1] publisher must be a publisher name",
+                'series[2] must be an object with "pattern", "series" and "publisher"',
+            ]);
+        });
+    });
+
+    describe("applyUserConfig", () => {
+        beforeEach(async () => {
+            await fs.writeJson(path.join(testDir, "config.json"), {
+                publishers: ["Vault", "Ahoy Comics"],
+                aliases: { "Vault Comics": "vault" },
+                imprints: { "Black Label": "DC Comics" },
+                series: [{ pattern: "wasted[-\\s]?space", series: "Wasted Space", publisher: "Vault" }],
+            });
+            await applyUserConfig();
+        });
+
+        it("should merge aliases, imprints and series patterns over the defaults", () => {
+            expect(getPublisherAliases()["vault comics"]).toBe("Vault");
+            expect(getPublisherAliases()["marvel comics"]).toBe("Marvel");
+            expect(getParentPublisher("black label")).toBe("DC Comics");
+            expect(getParentPublisher("Vertigo")).toBe("DC Comics");
+            expect(getSeriesPatterns()[0].series).toBe("Wasted Space");
+            expect(getSeriesPatterns().some((entry) => entry.series === "Batman")).toBe(true);
+        });
+
+        it("should use the user's patterns and publishers for metadata", async () => {
+            const patternMatch = await getComicMetadata("Wasted Space 012 (2019).cbz", { useApi: false });
+            expect(patternMatch.source).toBe("pattern-match");
+            expect(patternMatch.suggestedFolder).toBe("Vault/Wasted Space");
+
+            const detected = await getComicMetadata("Ahoy Comics - Second Coming 001.cbz", { useApi: false });
+            expect(detected.publisher).toBe("Ahoy Comics");
+        });
+
+        it("should go back to the built-in data when the config is removed", async () => {
+            applyPatternConfig(null);
+
+            const metadata = await getComicMetadata("Wasted Space 012 (2019).cbz", { useApi: false });
+            expect(metadata.source).toBe("filename-analysis");
+        });
+    });
+});
@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { buildLibraryIndex, createWatchState, processInbox, runWatchMode } from "../src/organizers/watch.js";
+import { readReviewQueue } from "../src/services/reviewQueue.js";
+import { listJournals } from "../src/services/journal.js";
+import { applyUserConfig, saveUserConfig } from "../src/services/userConfig.js";
+import { openMetadataCache } from "../src/services/metadataCache.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Watch Mode", () => {
+    let testDir;
+    let inboxDir;
+    let libraryDir;
+    let originalHome;
+
+    beforeEach(async () => {
+        testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comic-watch-"));
+        inboxDir = path.join(testDir, "inbox");
+        libraryDir = path.join(testDir, "library");
+        await fs.ensureDir(inboxDir);
+        await fs.ensureDir(libraryDir);
+
+        originalHome = process.env.COMIC_ORGANIZER_HOME;
+        process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await fs.remove(path.join(testDir, "home", "config.json"));
+        await applyUserConfig();
+        if (originalHome === undefined) {
+            delete process.env.COMIC_ORGANIZER_HOME;
+        } else {
+            process.env.COMIC_ORGANIZER_HOME = originalHome;
+        }
+        vi.restoreAllMocks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Create a small CBZ, optionally with ComicInfo.xml
+     */
+    async function createCBZ(filePath, comicInfo = null) {
+        const zip = new AdmZip();
+        zip.addFile("page01.jpg", Buffer.from(filePath));
+        if (comicInfo) {
+            zip.addFile("ComicInfo.xml", Buffer.from(comicInfo));
+        }
+        await fs.ensureDir(path.dirname(filePath));
+        zip.writeZip(filePath);
+        return filePath;
+    }
+
+    const OPTIONS = { useApi: false, settleTime: 0 };
+
+    describe("buildLibraryIndex", () => {
+        it("should index series folders and skip review and oneshots folders", async () => {
+            await createCBZ(path.join(libraryDir, "Image", "Saga (2012)", "Saga 001.cbz"));
+            await createCBZ(path.join(libraryDir, "oneshots", "Something.cbz"));
+            await createCBZ(path.join(libraryDir, "_Review", "Other.cbz"));
+            await createCBZ(path.join(libraryDir, "Loose.cbz"));
+
+            const index = await buildLibraryIndex(libraryDir);
+
+            expect([...index.keys()]).toEqual(["saga"]);
+            expect([...index.get("saga")]).toEqual(["Image/Saga (2012)"]);
+        });
+    });
+
+    describe("processInbox", () => {
+        it("should file an issue into the matching library folder", async () => {
+            await createCBZ(path.join(libraryDir, "Indie", "My Little Series", "My Little Series 001.cbz"));
+            const file = await createCBZ(path.join(inboxDir, "My Little Series 002.cbz"));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result.filed).toHaveLength(1);
+            expect(await fs.pathExists(file)).toBe(false);
+            expect(await fs.pathExists(path.join(libraryDir, "Indie", "My Little Series", "My Little Series 002.cbz"))).toBe(true);
+
+            const [journal] = await listJournals();
+            expect(journal.mode).toBe("watch");
+        });
+
+        it("should use the automatic organizer's folders for a confident new series", async () => {
+            await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            await createCBZ(path.join(inboxDir, "Lost Boys 001.cbz"), "<ComicInfo><Series>Lost Boys</Series><Publisher>Vertigo</Publisher></ComicInfo>");
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result.filed).toHaveLength(2);
+            expect(await fs.pathExists(path.join(libraryDir, "Image", "Saga", "Saga 001 (2012).cbz"))).toBe(true);
+            expect(await fs.pathExists(path.join(libraryDir, "Vertigo", "Lost Boys", "Lost Boys 001.cbz"))).toBe(true);
+        });
+
+        it("should queue files matching several library folders for review", async () => {
+            await createCBZ(path.join(libraryDir, "Image", "Saga", "Saga 001.cbz"));
+            await createCBZ(path.join(libraryDir, "Unsorted", "Saga", "Saga 002.cbz"));
+            await createCBZ(path.join(inboxDir, "Saga 003.cbz"));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result.filed).toHaveLength(0);
+            expect(result.queued).toHaveLength(1);
+            expect(await fs.pathExists(path.join(libraryDir, "_Review", "Saga 003.cbz"))).toBe(true);
+
+            const queue = await readReviewQueue(libraryDir);
+            expect(queue["Saga 003.cbz"].reason).toContain("Image/Saga");
+        });
+
+        it("should queue low-confidence files with the folder they would have gone to", async () => {
+            await createCBZ(path.join(inboxDir, "Random Thing 001.cbz"));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result.queued).toHaveLength(1);
+            const queue = await readReviewQueue(libraryDir);
+            expect(queue["Random Thing 001.cbz"].suggestedFolder).toBe("Unsorted/Random Thing 001");
+        });
+
+        it("should only start new folders for matches at the configured minimum confidence", async () => {
+            await saveUserConfig({ minConfidence: "highest" });
+            await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            await createCBZ(path.join(inboxDir, "Lost Boys 001.cbz"), "<ComicInfo><Series>Lost Boys</Series><Publisher>Vertigo</Publisher></ComicInfo>");
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result.filed).toHaveLength(1);
+            expect(await fs.pathExists(path.join(libraryDir, "Vertigo", "Lost Boys", "Lost Boys 001.cbz"))).toBe(true);
+            const queue = await readReviewQueue(libraryDir);
+            expect(queue["Saga 001 (2012).cbz"]).toMatchObject({ reason: "Low confidence match (high, pattern-match)", suggestedFolder: "Image/Saga" });
+        });
+
+        it("should queue a re-download of an issue already in the library instead of leaving it in the inbox", async () => {
+            await createCBZ(path.join(libraryDir, "Indie", "My Little Series", "My Little Series 001.cbz"));
+            const file = await createCBZ(path.join(inboxDir, "My Little Series 001.cbz"));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), OPTIONS);
+
+            expect(result).toMatchObject({ filed: [], errors: [] });
+            expect(result.queued).toHaveLength(1);
+            expect(await fs.pathExists(file)).toBe(false);
+
+            const queue = await readReviewQueue(libraryDir);
+            expect(queue["My Little Series 001.cbz"]).toMatchObject({ reason: "Already in the library (Indie/My Little Series)", suggestedFolder: "Indie/My Little Series" });
+        });
+
+        it("should let the minConfidence option override the config", async () => {
+            await saveUserConfig({ minConfidence: "highest" });
+            await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), { ...OPTIONS, minConfidence: "high" });
+
+            expect(result.filed).toHaveLength(1);
+            expect(await fs.pathExists(path.join(libraryDir, "Image", "Saga", "Saga 001 (2012).cbz"))).toBe(true);
+        });
+
+        it("should keep filing when the metadata cache can't be saved", async () => {
+            await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            const cache = await openMetadataCache({ cachePath: path.join(testDir, "cache.json") });
+            cache.save = vi.fn(() => Promise.reject(new Error("no space left on device")));
+
+            const result = await processInbox(inboxDir, libraryDir, createWatchState(), { ...OPTIONS, cache });
+
+            expect(result.filed).toHaveLength(1);
+            expect(cache.save).toHaveBeenCalled();
+            expect(console.log.mock.calls.flat().join(" ")).toContain("no space left on device");
+        });
+
+        it("should wait until a file stops changing", async () => {
+            const file = await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            const state = createWatchState();
+            const options = { ...OPTIONS, settleTime: 60000 };
+
+            // Just written - still downloading as far as we know
+            expect((await processInbox(inboxDir, libraryDir, state, options)).filed).toHaveLength(0);
+
+            // Changed since the last check - the wait starts over
+            const lastHour = new Date(Date.now() - 3600000);
+            await fs.utimes(file, lastHour, lastHour);
+            expect((await processInbox(inboxDir, libraryDir, state, options)).filed).toHaveLength(0);
+            expect(await fs.pathExists(file)).toBe(true);
+
+            // A file that was already complete is filed on the first check
+            expect((await processInbox(inboxDir, libraryDir, createWatchState(), options)).filed).toHaveLength(1);
+        });
+
+        it("should not move anything in a dry run or report the same file twice", async () => {
+            const file = await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            const state = createWatchState();
+
+            const result = await processInbox(inboxDir, libraryDir, state, { ...OPTIONS, dryRun: true });
+
+            expect(result.filed[0].destination).toBe(path.join(libraryDir, "Image", "Saga", "Saga 001 (2012).cbz"));
+            expect(await fs.pathExists(file)).toBe(true);
+            expect(await fs.readdir(libraryDir)).toEqual([]);
+
+            expect((await processInbox(inboxDir, libraryDir, state, { ...OPTIONS, dryRun: true })).filed).toHaveLength(0);
+        });
+    });
+
+    describe("runWatchMode", () => {
+        it("should check the inbox once and return totals", async () => {
+            await createCBZ(path.join(inboxDir, "Saga 001 (2012).cbz"));
+            await createCBZ(path.join(inboxDir, "Random Thing 001.cbz"));
+
+            const totals = await runWatchMode(inboxDir, libraryDir, { ...OPTIONS, once: true, useCache: false });
+
+            expect(totals).toEqual({ filed: 1, queued: 1, errors: [] });
+        });
+
+        it("should stop when the signal is aborted", async () => {
+            const controller = new AbortController();
+            const watching = runWatchMode(inboxDir, libraryDir, { ...OPTIONS, interval: 60000, useCache: false, signal: controller.signal });
+
+            controller.abort();
+
+            await expect(watching).resolves.toEqual({ filed: 0, queued: 0, errors: [] });
+        });
+    });
+});
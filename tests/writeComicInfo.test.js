@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { buildComicInfoFields, getComicInfoChanges, writeComicInfoHandler } from "../src/postProcessors/writeComicInfo.js";
+import { getPostProcessingOptions } from "../src/services/postProcessing.js";
+import { readComicInfo } from "../src/services/comicInfo.js";
+import { findJournal, undoJournal } from "../src/services/journal.js";
+import { runAutoOrganizer } from "../src/organizers/auto.js";
+import AdmZip from "adm-zip";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+describe("Write ComicInfo Post-Processor", () => {
+    describe("buildComicInfoFields", () => {
+        it("should use API metadata including the cover date", () => {
+            const fields = buildComicInfoFields({
+                source: "api-lookup",
+                series: "Saga",
+                publisher: "Image",
+                issueNumber: 1,
+                year: null,
+                issueTitle: "Chapter One",
+                publishedDate: "2012-03-14",
+            });
+
+            expect(fields).toEqual({ series: "Saga", number: 1, year: 2012, month: 3, day: 14, publisher: "Image", title: "Chapter One" });
+        });
+
+        it("should not use a cover date from a different year", () => {
+            const fields = buildComicInfoFields({ source: "api-lookup", series: "Saga", issueNumber: 1, year: 2018, publishedDate: "2012-03-14" });
+
+            expect(fields.year).toBe(2018);
+            expect(fields.month).toBeUndefined();
+        });
+
+        it("should prefer the series name confirmed by the user", () => {
+            const fields = buildComicInfoFields({ source: "pattern-match", series: "Spider-Man", publisher: "Marvel", issueNumber: 5, year: 2020 }, "Amazing Spider-Man");
+
+            expect(fields.series).toBe("Amazing Spider-Man");
+            expect(fields.publisher).toBe("Marvel");
+        });
+
+        it("should only update the series for files that already have ComicInfo.xml", () => {
+            const metadata = { source: "comicinfo-xml", series: "Saga", publisher: "Image", issueNumber: 1, year: 2012 };
+
+            expect(buildComicInfoFields(metadata)).toEqual({});
+            expect(buildComicInfoFields(metadata, "Saga Deluxe")).toEqual({ series: "Saga Deluxe" });
+        });
+
+        it("should skip files without a trusted series", () => {
+            expect(buildComicInfoFields({ source: "filename-analysis", series: null, cleanedName: "random", issueNumber: 1 })).toEqual({});
+            expect(buildComicInfoFields({ source: "api-lookup-non-comic-publisher", series: "A Novel", publisher: "Unsorted" })).toEqual({});
+        });
+
+        it("should not write the Unsorted placeholder publisher", () => {
+            const fields = buildComicInfoFields({ source: "filename-analysis", series: null, publisher: "Unsorted", issueNumber: 2 }, "Local Man");
+
+            expect(fields.publisher).toBeUndefined();
+        });
+    });
+
+    describe("getComicInfoChanges", () => {
+        it("should list new and changed fields only", () => {
+            const changes = getComicInfoChanges({ series: "Saga", number: 1, year: null }, { series: "Saga", number: 2, year: 2012, title: null });
+
+            expect(changes).toEqual([
+                { field: "number", from: 1, to: 2 },
+                { field: "year", from: null, to: 2012 },
+            ]);
+        });
+
+        it("should treat a missing ComicInfo as all new", () => {
+            expect(getComicInfoChanges(null, { series: "Saga" })).toEqual([{ field: "series", from: null, to: "Saga" }]);
+        });
+    });
+
+    describe("writeComicInfoHandler", () => {
+        let testDir;
+
+        beforeEach(async () => {
+            testDir = await fs.mkdtemp(path.join(os.tmpdir(), "comicinfo-handler-"));
+            vi.spyOn(console, "log").mockImplementation(() => {});
+        });
+
+        afterEach(async () => {
+            vi.restoreAllMocks();
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        function createCBZ(relativePath, entries) {
+            const zip = new AdmZip();
+            for (const [name, content] of Object.entries(entries)) {
+                zip.addFile(name, Buffer.from(content));
+            }
+            const filePath = path.join(testDir, relativePath);
+            fs.ensureDirSync(path.dirname(filePath));
+            zip.writeZip(filePath);
+            return filePath;
+        }
+
+        it("should be registered as a post-processing option", () => {
+            expect(getPostProcessingOptions().map((option) => option.value)).toContain("write-comicinfo");
+        });
+
+        it("should tag files from pattern matches and confirmed series names", async () => {
+            const patterned = createCBZ("Marvel/Amazing Spider-Man/Amazing Spider-Man 001 (2018).cbz", { "page01.jpg": "x" });
+            const reviewed = createCBZ("Saga/saga-deluxe-002.cbz", {
+                "ComicInfo.xml": "<ComicInfo><Series>Saga</Series><Number>2</Number><Publisher>Image</Publisher></ComicInfo>",
+                "page01.jpg": "x",
+            });
+            const unknown = createCBZ("random-file.cbz", { "page01.jpg": "x" });
+
+            await writeComicInfoHandler(testDir, testDir, {
+                interactive: false,
+                useApi: false,
+                useCache: false,
+                seriesNames: new Map([[reviewed, "Saga Deluxe"]]),
+            });
+
+            const patternedInfo = await readComicInfo(patterned);
+            expect(patternedInfo.series).toBe("Spider-Man");
+            expect(patternedInfo.publisher).toBe("Marvel");
+            expect(patternedInfo.number).toBe(1);
+            expect(patternedInfo.year).toBe(2018);
+
+            const reviewedInfo = await readComicInfo(reviewed);
+            expect(reviewedInfo.series).toBe("Saga Deluxe");
+            expect(reviewedInfo.number).toBe(2);
+            expect(reviewedInfo.publisher).toBe("Image");
+
+            expect(await readComicInfo(unknown)).toBeNull();
+        });
+
+        it("should keep the organizing run undoable after tagging its files", async () => {
+            const originalHome = process.env.COMIC_ORGANIZER_HOME;
+            process.env.COMIC_ORGANIZER_HOME = path.join(testDir, "home");
+
+            try {
+                const first = createCBZ("inbox/Saga 001.cbz", { "page01.jpg": "x" });
+                const second = createCBZ("inbox/Saga 002.cbz", { "page01.jpg": "x" });
+                const libraryDir = path.join(testDir, "library");
+
+                const result = await runAutoOrganizer(path.join(testDir, "inbox"), libraryDir, { useApi: false, useCache: false, reviewSeries: false, collisionPolicy: "skip" });
+                await writeComicInfoHandler(libraryDir, libraryDir, { interactive: false, useApi: false, useCache: false, seriesNames: result.seriesNames });
+
+                const tagged = [...result.seriesNames.keys()];
+                expect(tagged).toHaveLength(2);
+                expect((await readComicInfo(tagged[0])).series).toBe("Saga");
+
+                const undo = await undoJournal(await findJournal());
+
+                expect(undo).toMatchObject({ restored: 2, conflicts: [], errors: [] });
+                expect((await readComicInfo(first)).series).toBe("Saga");
+                expect(await fs.pathExists(second)).toBe(true);
+            } finally {
+                if (originalHome === undefined) {
+                    delete process.env.COMIC_ORGANIZER_HOME;
+                } else {
+                    process.env.COMIC_ORGANIZER_HOME = originalHome;
+                }
+            }
+        });
+    });
+});